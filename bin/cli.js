@@ -4,6 +4,10 @@ import { program } from 'commander';
 import chalk from 'chalk';
 import { runWizard } from '../src/index.js';
 import { loadProfile, quickSetup } from '../src/profiles.js';
+import { addConfigFlags } from '../src/config/flags.js';
+import { findConfigFile } from '../src/config/config-file.js';
+import { getDisplayPath } from '../src/output.js';
+import { registry, discoverPlugins, addPlugin, removePlugin } from '../src/plugins/index.js';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -11,32 +15,102 @@ import { dirname, join } from 'path';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(await readFile(join(__dirname, '../package.json'), 'utf8'));
 
+// External plugins load before every command; one that fails to load is skipped with a warning
+let pluginLoad = { loaded: [], failed: [] };
+
+function warnSkippedPlugins() {
+  pluginLoad.failed.forEach(({ source, error }) => {
+    console.error(chalk.yellow(`⚠️  Skipped plugin ${source}: ${error}`));
+  });
+}
+
+program.hook('preAction', async (_, actionCommand) => {
+  pluginLoad = await discoverPlugins(registry);
+
+  // The wizard clears the screen first and reports these below its banner
+  if (actionCommand !== program) {
+    warnSkippedPlugins();
+  }
+});
+
 program
   .version(pkg.version)
   .description('Generate perfect Claude Code setup files with plugin system')
+  .enablePositionalOptions()
   .option('-p, --profile <name>', 'Use saved profile')
   .option('-q, --quick', 'Use last configuration')
+  .option('-o, --output <path>', 'Write the setup file to this path', 'claude-kickstart.md')
+  .option('--stdout', 'Print the markdown to stdout instead of writing a file')
+  .option('-f, --force', 'Overwrite an existing output file without asking')
+  .option('--project-files [dir]', 'Write CLAUDE.md, .mcp.json and .claude/ files instead of a single setup file')
+  .option('-c, --config <path>', 'Generate from this config file without prompts')
   .action(async (options) => {
-    console.clear();
-    console.log(chalk.blue('🚀 Claude Kickstart v' + pkg.version + ' (Plugin System)'));
-    console.log(chalk.gray('─'.repeat(60)));
-    console.log();
+    if (options.config) {
+      warnSkippedPlugins();
+      const { runGenerate } = await import('../src/generate.js');
+      await runGenerate(options);
+      return;
+    }
+
+    if (!options.stdout) {
+      console.clear();
+      console.log(chalk.blue('🚀 Claude Kickstart v' + pkg.version + ' (Plugin System)'));
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log();
+    }
+    warnSkippedPlugins();
+
+    // The wizard still runs in projects with a config file, so an existing setup file gets its overwrite prompt
+    const configFile = !options.profile && !options.quick && await findConfigFile();
+    if (configFile) {
+      (options.stdout ? console.error : console.log)(chalk.gray(`Found ${getDisplayPath(configFile)}. Run "ck generate" or "ck -c ${getDisplayPath(configFile)}" to generate from it without prompts.\n`));
+    }
     
     if (options.profile) {
-      await loadProfile(options.profile);
+      await loadProfile(options.profile, options);
     } else if (options.quick) {
-      await quickSetup();
+      await quickSetup(options);
     } else {
-      await runWizard();
+      await runWizard(options);
     }
   });
 
+// Non-interactive generation from flags
+addConfigFlags(
+  program
+    .command('generate')
+    .description('Generate claude-kickstart.md from flags and the project config file without prompts')
+    .option('-c, --config <path>', 'Read the configuration from this file instead of the project config file')
+    .option('-o, --output <path>', 'Write the setup file to this path', 'claude-kickstart.md')
+    .option('--stdout', 'Print the markdown to stdout instead of writing a file')
+    .option('-f, --force', 'Overwrite an existing output file')
+    .option('--project-files [dir]', 'Write CLAUDE.md, .mcp.json and .claude/ files instead of a single setup file')
+).action(async (options) => {
+  const { runGenerate } = await import('../src/generate.js');
+  await runGenerate(options);
+});
+
+// Materialize plugin config files into a project skeleton
+addConfigFlags(
+  program
+    .command('scaffold [dir]')
+    .description('Write the selected plugins\' config files and directories to disk')
+    .option('-p, --profile <name>', 'Use saved profile instead of flags')
+    .option('-c, --config <path>', 'Read the configuration from this file instead of the project config file')
+    .option('--dry-run', 'List what would be created without writing anything')
+    .option('-f, --force', 'Overwrite existing files')
+    .option('--skip-existing', 'Skip existing files without asking')
+).action(async (dir, options) => {
+  const { runScaffold } = await import('../src/scaffold.js');
+  await runScaffold(dir, options);
+});
+
 // Plugin management commands
-program
+const pluginsCommand = program
   .command('plugins')
   .description('List available plugins')
   .action(async () => {
-    const { registry } = await import('../src/plugins/index.js');
+    const external = new Map(pluginLoad.loaded.map(({ name, source }) => [name, source]));
     
     console.log(chalk.cyan('\n🔧 Available Plugins:\n'));
     
@@ -53,6 +127,9 @@ program
         if (metadata.languages) {
           console.log(chalk.gray(`    Languages: ${metadata.languages.join(', ')}`));
         }
+        if (external.has(metadata.name)) {
+          console.log(chalk.gray(`    Source: ${external.get(metadata.name)}`));
+        }
         console.log();
       });
     }
@@ -60,18 +137,58 @@ program
     console.log(chalk.green(`\n✅ Total: ${plugins.length} plugins available`));
   });
 
+pluginsCommand
+  .command('add <path>')
+  .description('Install a plugin file or directory into ~/.claude-kickstart/plugins')
+  .option('--project', 'Install into .claude-kickstart/plugins in the current project instead')
+  .action(async (path, options) => {
+    try {
+      const { name, path: target } = await addPlugin(path, registry, options);
+      console.log(chalk.green(`✅ Added plugin ${name} (${target})`));
+    } catch (error) {
+      console.error(chalk.red('❌ Could not add plugin:', error.message));
+      process.exit(1);
+    }
+  });
+
+pluginsCommand
+  .command('remove <name>')
+  .description('Remove a plugin from the user or project plugins directory')
+  .action(async (name) => {
+    try {
+      const source = await removePlugin(name);
+      console.log(chalk.green(`✅ Removed ${source}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Could not remove plugin:', error.message));
+      process.exit(1);
+    }
+  });
+
 program
-  .command('validate <config-file>')
-  .description('Validate a configuration file against the schema')
+  .command('validate [config-file]')
+  .description('Validate a JSON, YAML, TOML or JS configuration file (default: the project config file) against the schema')
   .action(async (configFile) => {
     try {
       const { validator } = await import('../src/config/schema.js');
-      const config = JSON.parse(await readFile(configFile, 'utf8'));
-      
-      const validation = validator.validate(config);
+      // The same checks as `generate`, including unknown stacks and plugin conflicts
+      const { validateConfig } = await import('../src/generate.js');
+      const { loadConfigFile, CONFIG_FILE_NAMES, PACKAGE_JSON_KEY } = await import('../src/config/config-file.js');
+      const file = await loadConfigFile(configFile);
+
+      if (!file) {
+        console.error(chalk.red(`❌ No config file found. Looked for ${CONFIG_FILE_NAMES.join(', ')} and a "${PACKAGE_JSON_KEY}" key in package.json`));
+        process.exit(1);
+      }
+
+      const { config } = file;
+      const validation = validateConfig(config);
+      const plugins = validator.getSelectedPlugins(config).map(plugin => plugin.metadata.name);
       
       if (validation.isValid) {
-        console.log(chalk.green('✅ Configuration is valid'));
+        console.log(chalk.green(`✅ Configuration is valid (${file.path}, ${file.format})`));
+        if (plugins.length > 0) {
+          console.log(chalk.gray(`   Plugin options checked for: ${plugins.join(', ')}`));
+        }
       } else {
         console.log(chalk.red('❌ Configuration validation failed:'));
         validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
@@ -88,4 +205,4 @@ program
     }
   });
 
-program.parse();
\ No newline at end of file
+await program.parseAsync();
\ No newline at end of file
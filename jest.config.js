@@ -1,6 +1,7 @@
 export default {
   testEnvironment: 'node',
   transform: {},
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   testMatch: [
     '**/tests/**/*.test.js',
     '**/tests/**/*.spec.js'
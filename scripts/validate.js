@@ -15,6 +15,8 @@ import path from 'path';
 class ValidationSuite {
   constructor(options = {}) {
     this.generator = generator;
+    // Fail any plugin whose output leaves a template variable, helper or partial unresolved
+    this.generator.templateEngine.strict = true;
     this.registry = registry;
     this.questionGenerator = questionGenerator;
     this.outputDir = options.outputDir || './validation-output';
@@ -94,7 +96,8 @@ class ValidationSuite {
     console.log('🔬 Comprehensive Plugin Validation\n');
     
     await fs.ensureDir(this.outputDir);
-    const allPlugins = this.registry.getAllPlugins();
+    // Category plugins (databases, ...) are exercised through the stack configurations
+    const allPlugins = this.registry.getByCategory('stack');
     console.log(`Found ${allPlugins.length} plugins to validate:\n`);
 
     for (const { id, metadata } of allPlugins) {
@@ -332,7 +335,7 @@ class ValidationSuite {
       if (!categories[metadata.category]) categories[metadata.category] = 0;
       categories[metadata.category]++;
       
-      metadata.projectTypes.forEach(type => {
+      (metadata.projectTypes || []).forEach(type => {
         if (!projectTypes[type]) projectTypes[type] = 0;
         projectTypes[type]++;
       });
@@ -0,0 +1,105 @@
+import { basename, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import fsExtra from 'fs-extra';
+import YAML from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+
+const { pathExists, readFile } = fsExtra;
+
+// Looked up in the project root in this order; package.json is checked last for a "claude-kickstart" key
+export const CONFIG_FILE_NAMES = [
+  '.claude-kickstartrc',
+  'claude-kickstart.config.json',
+  'claude-kickstart.config.yaml',
+  'claude-kickstart.config.yml',
+  'claude-kickstart.config.toml',
+  'claude-kickstart.config.js'
+];
+export const PACKAGE_JSON_KEY = 'claude-kickstart';
+
+const EXTENSION_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js'
+};
+
+// By extension, or for .claude-kickstartrc and other files without one, by the first line that isn't a comment
+export function detectFormat(path, content = '') {
+  if (basename(path) === 'package.json') return 'package.json';
+  if (EXTENSION_FORMATS[extname(path)]) return EXTENSION_FORMATS[extname(path)];
+
+  const firstLine = content.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#')) || '';
+  if (firstLine.startsWith('{')) return 'json';
+  if (/^\[[^\]]+\]$/.test(firstLine) || /^[\w"'.-]+\s*=/.test(firstLine)) return 'toml';
+  return 'yaml';
+}
+
+async function parseConfig(path, content, format) {
+  switch (format) {
+    case 'json':
+      return JSON.parse(content);
+    case 'yaml':
+      return YAML.parse(content);
+    case 'toml':
+      return parseToml(content);
+    case 'package.json':
+      return JSON.parse(content)[PACKAGE_JSON_KEY];
+    case 'js': {
+      const module = await import(pathToFileURL(path).href);
+      return module.default;
+    }
+  }
+}
+
+// { config, path, format } for a config file in any supported format
+export async function readConfigFile(path) {
+  const fullPath = resolve(path);
+  const content = await readFile(fullPath, 'utf8');
+  const format = detectFormat(fullPath, content);
+
+  let data;
+  try {
+    data = await parseConfig(fullPath, content, format);
+  } catch (error) {
+    throw new Error(`Could not parse ${path} as ${format === 'package.json' ? 'JSON' : format.toUpperCase()}: ${error.message}`);
+  }
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error(format === 'package.json'
+      ? `${path} has no "${PACKAGE_JSON_KEY}" configuration object`
+      : `${path} must contain a configuration object`);
+  }
+
+  // "$schema" only points editors at claude-kickstart.schema.json
+  const { $schema, ...config } = data;
+  return { config, path: fullPath, format };
+}
+
+// Path of the project's config file, or null when there is none
+export async function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    if (await pathExists(join(cwd, name))) return join(cwd, name);
+  }
+
+  const packagePath = join(cwd, 'package.json');
+  if (await pathExists(packagePath)) {
+    try {
+      const pkg = JSON.parse(await readFile(packagePath, 'utf8'));
+      if (pkg[PACKAGE_JSON_KEY] !== undefined) return packagePath;
+    } catch {
+      // A broken package.json is not ours to report
+    }
+  }
+
+  return null;
+}
+
+// The config from an explicit path, or else from the project's config file; null when neither exists
+export async function loadConfigFile(path, { cwd = process.cwd() } = {}) {
+  const configPath = path ? resolve(cwd, path) : await findConfigFile(cwd);
+  return configPath ? readConfigFile(configPath) : null;
+}
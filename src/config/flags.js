@@ -0,0 +1,50 @@
+import { configSchema } from './schema.js';
+
+export function toFlagName(field) {
+  return field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+export function getConfigFlags(schema = configSchema) {
+  return Object.entries(schema.properties).map(([field, fieldSchema]) => {
+    const name = toFlagName(field);
+    const choices = fieldSchema.enum || fieldSchema.items?.enum;
+    let description = fieldSchema.description || field;
+
+    if (choices) {
+      description += ` (${choices.join(', ')})`;
+    }
+
+    switch (fieldSchema.type) {
+      case 'boolean':
+        return { field, flags: `--${name}`, description };
+      case 'array':
+        return { field, flags: `--${name} <values>`, description: `${description}, comma-separated` };
+      default:
+        return { field, flags: `--${name} <value>`, description };
+    }
+  });
+}
+
+export function addConfigFlags(command, schema = configSchema) {
+  for (const { flags, description } of getConfigFlags(schema)) {
+    command.option(flags, description);
+  }
+  return command;
+}
+
+export function configFromFlags(options, schema = configSchema) {
+  const config = {};
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    const value = options[field];
+    if (value === undefined) continue;
+
+    if (fieldSchema.type === 'array' && typeof value === 'string') {
+      config[field] = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else {
+      config[field] = value;
+    }
+  }
+
+  return config;
+}
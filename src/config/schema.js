@@ -1,251 +1,282 @@
-export const configSchema = {
-  type: 'object',
-  properties: {
-    projectType: {
-      type: 'string',
-      enum: ['fullstack', 'backend', 'frontend', 'cli', 'mobile', 'datascience', 'library'],
-      description: 'Type of project being created'
-    },
-    stack: {
-      type: 'string',
-      description: 'Technology stack chosen'
-    },
-    customStack: {
-      type: 'string',
-      description: 'Custom stack description when stack is "custom"'
-    },
-    language: {
-      type: 'string',
-      enum: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Java', 'Ruby', 'Rust', 'C++', 'C#', 'Other'],
-      description: 'Primary programming language'
-    },
-    customLanguage: {
-      type: 'string',
-      description: 'Custom language when language is "Other"'
-    },
-    packageManager: {
-      type: 'string',
-      enum: ['npm', 'yarn', 'pnpm', 'bun'],
-      default: 'npm',
-      description: 'Package manager for Node.js projects'
-    },
-    database: {
-      type: 'string',
-      enum: ['postgresql', 'mysql', 'mongodb', 'sqlite', 'supabase', 'firebase', 'other', 'none'],
-      description: 'Database choice'
-    },
-    customDatabase: {
-      type: 'string',
-      description: 'Custom database when database is "other"'
-    },
-    authentication: {
-      type: 'string',
-      enum: ['nextauth', 'clerk', 'auth0', 'supabase-auth', 'jwt', 'other', 'none'],
-      description: 'Authentication strategy'
-    },
-    customAuthentication: {
-      type: 'string',
-      description: 'Custom authentication when authentication is "other"'
-    },
-    styling: {
-      type: 'string',
-      enum: ['tailwind', 'css-modules', 'styled-components', 'vanilla-css', 'scss', 'emotion'],
-      description: 'Styling approach for frontend projects'
-    },
-    componentLibrary: {
-      type: 'string',
-      enum: ['shadcn', 'mantine', 'mui', 'antd', 'chakra', 'none'],
-      description: 'Component library choice'
-    },
-    testing: {
-      type: 'string',
-      enum: ['jest', 'vitest', 'playwright', 'cypress', 'pytest', 'unittest', 'go-test', 'none'],
-      description: 'Testing framework'
-    },
-    deployment: {
-      type: 'string',
-      enum: ['vercel', 'netlify', 'aws', 'gcp', 'fly', 'railway', 'docker', 'unsure'],
-      description: 'Deployment target'
-    },
-    codeStyle: {
-      type: 'array',
-      items: {
-        type: 'string',
-        enum: ['ts-strict', 'functional', 'self-documenting', 'comments', 'early-returns', 'error-handling']
-      },
-      description: 'Coding style preferences'
-    },
-    claudeBehavior: {
-      type: 'array',
-      items: {
-        type: 'string',
-        enum: ['explain', 'ask-first', 'tdd', 'fast', 'patterns']
-      },
-      description: 'Claude behavior preferences'
-    },
-    gitCommitStyle: {
-      type: 'string',
-      enum: ['conventional', 'simple', 'detailed'],
-      description: 'Git commit message style'
-    },
-    branchStrategy: {
-      type: 'string',
-      enum: ['feature-slash', 'feature-dash', 'username'],
-      description: 'Branch naming strategy'
-    },
-    wantAdvancedOptions: {
-      type: 'boolean',
-      default: false,
-      description: 'Whether to configure advanced options'
-    },
-    mcpServers: {
-      type: 'array',
-      items: {
-        type: 'string',
-        enum: ['puppeteer', 'sentry', 'database', 'filesystem', 'git', 'none']
-      },
-      description: 'MCP servers to configure'
-    },
-    preferredWorkflow: {
-      type: 'string',
-      enum: ['explore-plan-code', 'tdd', 'screenshot-ui', 'safe-yolo', 'multi-claude', 'standard'],
-      default: 'standard',
-      description: 'Preferred development workflow'
-    },
-    teamFeatures: {
-      type: 'array',
-      items: {
-        type: 'string',
-        enum: ['shared-mcp', 'team-commands', 'team-allowlist', 'review-automation', 'issue-triage', 'none']
-      },
-      description: 'Team collaboration features'
-    },
-    saveProfile: {
-      type: 'boolean',
-      default: true,
-      description: 'Whether to save configuration as a profile'
-    },
-    profileName: {
-      type: 'string',
-      description: 'Name for saved profile'
-    }
-  },
-  required: ['projectType']
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { registry } from '../plugins/registry.js';
+
+// Answers that select a plugin named `${value}-plugin`
+const PLUGIN_FIELDS = ['database', 'authentication', 'testing', 'styling', 'componentLibrary', 'deployment'];
+
+// The schema lives in claude-kickstart.schema.json so editors can use it for autocompletion
+export const CONFIG_SCHEMA_PATH = fileURLToPath(new URL('./claude-kickstart.schema.json', import.meta.url));
+export const configSchema = JSON.parse(readFileSync(CONFIG_SCHEMA_PATH, 'utf8'));
+
+// Profile names become file names under ~/.claude-kickstart/profiles
+export const PROFILE_NAME_SCHEMA = configSchema.properties.profileName;
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'a boolean',
+  number: 'a number',
+  integer: 'an integer',
+  array: 'an array',
+  object: 'an object'
 };
 
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// null counts as missing, as it does for answers that were skipped
+function isPresent(value) {
+  return value !== undefined && value !== null;
+}
+
 export class ConfigValidator {
   constructor(schema = configSchema) {
     this.schema = schema;
   }
 
   validate(config) {
-    const errors = [];
-    const warnings = [];
-
-    // Basic type and required field validation
-    this.validateRequired(config, this.schema, errors);
-    this.validateTypes(config, this.schema, errors);
-    this.validateEnums(config, this.schema, errors);
-
-    // Business logic validation
-    this.validateBusinessRules(config, errors, warnings);
+    // Types, required fields and conditional rules, including the selected plugins' options
+    const schema = this.getRuntimeSchema(config);
+    const errors = this.validateSchema(config, schema);
 
     return {
       isValid: errors.length === 0,
       errors,
-      warnings
+      warnings: [
+        ...this.getUnknownFields(config, schema).map(field => `Unknown field: ${field}`),
+        ...this.getWarnings(config)
+      ]
     };
   }
 
-  validateRequired(config, schema, errors, path = '') {
-    if (!schema.required) return;
+  // Unknown fields only warn, so leftovers in older profiles don't stop them from loading, and the
+  // profile name rule only applies when the config is saved as a profile under that name
+  getRuntimeSchema(config) {
+    const { additionalProperties, ...schema } = this.mergePluginSchemas(config);
+    if (isObject(config) && config.saveProfile) return schema;
+
+    const { maxLength, pattern, ...profileName } = schema.properties.profileName || {};
+    return { ...schema, properties: { ...schema.properties, profileName } };
+  }
+
+  getUnknownFields(config, schema) {
+    if (!isObject(config)) return [];
+    return Object.keys(config).filter(field => !(field in schema.properties) && isPresent(config[field]));
+  }
+
+  validateSchema(config, schema) {
+    const errors = [];
+    this.validateValue(config, schema, '', errors);
+    return errors;
+  }
+
+  // Errors for a single answer, such as a profile name typed at a prompt
+  validateProperty(field, value, fieldSchema = this.schema.properties[field] || {}) {
+    const errors = [];
+    this.validateValue(value, fieldSchema, field, errors);
+    return errors;
+  }
+
+  // Plugin classes selected by the config's stack and category answers
+  getSelectedPlugins(config) {
+    const ids = [config.stack, ...PLUGIN_FIELDS.map(field => config[field] && `${config[field]}-plugin`)];
+    return ids.filter(id => id && registry.get(id)).map(id => registry.get(id));
+  }
 
-    for (const field of schema.required) {
-      if (config[field] === undefined || config[field] === null) {
-        errors.push(`Required field missing: ${path}${field}`);
+  // Adds each selected plugin's options to the schema, tagged with the plugin that owns them. Options and
+  // question answers of other plugins are accepted unchecked, so a profile keeps them when it switches stacks.
+  mergePluginSchemas(config) {
+    const properties = { ...this.schema.properties };
+
+    for (const PluginClass of this.getSelectedPlugins(config)) {
+      const pluginSchema = this.readPlugin(PluginClass, plugin => plugin.getConfigSchema());
+      if (!pluginSchema?.properties) continue;
+
+      for (const [field, fieldSchema] of Object.entries(pluginSchema.properties)) {
+        if (!properties[field]) {
+          properties[field] = { ...fieldSchema, plugin: PluginClass.metadata.name };
+        }
+      }
+    }
+
+    for (const { class: PluginClass } of registry.getAllPlugins()) {
+      const fields = this.readPlugin(PluginClass, plugin => [
+        ...Object.keys(plugin.getConfigSchema()?.properties || {}),
+        ...plugin.getQuestions().map(question => question.name)
+      ]) || [];
+
+      for (const field of fields) {
+        properties[field] = properties[field] || {};
       }
     }
+
+    return { ...this.schema, properties };
+  }
+
+  // A plugin that can't be instantiated or read is left out rather than failing every validation,
+  // the same way discoverPlugins() skips plugins that fail to load
+  readPlugin(PluginClass, read) {
+    try {
+      return read(new PluginClass());
+    } catch {
+      return null;
+    }
   }
 
-  validateTypes(config, schema, errors, path = '') {
-    if (!schema.properties) return;
+  getFieldPath(field, fieldSchema, path) {
+    const fieldPath = path ? `${path}.${field}` : field;
+    return fieldSchema.plugin ? `${fieldSchema.plugin}: ${fieldPath}` : fieldPath;
+  }
 
-    for (const [field, fieldSchema] of Object.entries(schema.properties)) {
-      const value = config[field];
-      if (value === undefined || value === null) continue;
+  // Checks a value against a draft 2020-12 subset: type, const, enum, string length and pattern, items,
+  // properties, required, additionalProperties, dependentRequired, allOf and if/then/else.
+  // path names the value in messages and is empty for the config itself.
+  validateValue(value, schema, path, errors) {
+    if (!this.validateType(value, schema, path, errors)) return;
 
-      const fieldPath = path ? `${path}.${field}` : field;
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
 
-      switch (fieldSchema.type) {
-        case 'string':
-          if (typeof value !== 'string') {
-            errors.push(`${fieldPath} must be a string, got ${typeof value}`);
-          }
-          break;
-        case 'boolean':
-          if (typeof value !== 'boolean') {
-            errors.push(`${fieldPath} must be a boolean, got ${typeof value}`);
-          }
-          break;
-        case 'array':
-          if (!Array.isArray(value)) {
-            errors.push(`${fieldPath} must be an array, got ${typeof value}`);
-          }
-          break;
-        case 'object':
-          if (typeof value !== 'object' || Array.isArray(value)) {
-            errors.push(`${fieldPath} must be an object, got ${typeof value}`);
-          }
-          break;
-      }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(value, schema, path, errors);
+    } else if (Array.isArray(value)) {
+      this.validateItems(value, schema, path, errors);
+    } else if (isObject(value)) {
+      this.validateObject(value, schema, path, errors);
+    }
+
+    for (const subschema of schema.allOf || []) {
+      this.validateValue(value, subschema, path, errors);
     }
+
+    this.validateConditional(value, schema, path, errors);
   }
 
-  validateEnums(config, schema, errors, path = '') {
-    if (!schema.properties) return;
+  validateType(value, schema, path, errors) {
+    const types = [].concat(schema.type || []);
+    if (types.length === 0 || types.some(type => this.hasType(value, type))) return true;
 
-    for (const [field, fieldSchema] of Object.entries(schema.properties)) {
-      const value = config[field];
-      if (value === undefined || value === null) continue;
+    const got = Array.isArray(value) ? 'array' : typeof value;
+    errors.push(`${path || 'Configuration'} must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}, got ${got}`);
+    return false;
+  }
 
-      const fieldPath = path ? `${path}.${field}` : field;
+  hasType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return isObject(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
 
-      if (fieldSchema.enum && !fieldSchema.enum.includes(value)) {
-        errors.push(`${fieldPath} must be one of: ${fieldSchema.enum.join(', ')}`);
-      }
+  validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+    }
 
-      if (fieldSchema.type === 'array' && fieldSchema.items?.enum && Array.isArray(value)) {
-        for (const item of value) {
-          if (!fieldSchema.items.enum.includes(item)) {
-            errors.push(`${fieldPath} contains invalid value: ${item}`);
-          }
-        }
-      }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
     }
+
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  validateItems(value, schema, path, errors) {
+    if (!schema.items) return;
+
+    value.forEach((item, index) => {
+      if (schema.items.enum && !schema.items.enum.includes(item)) {
+        errors.push(`${path} contains invalid value: ${item}`);
+      } else {
+        this.validateValue(item, schema.items, `${path}[${index}]`, errors);
+      }
+    });
   }
 
-  validateBusinessRules(config, errors, warnings) {
-    // Custom stack validation
-    if (config.stack === 'custom' && !config.customStack) {
-      errors.push('customStack is required when stack is "custom"');
+  // condition explains a required field that only an if/then/else branch asks for
+  validateObject(value, schema, path, errors, condition) {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (isPresent(value[field])) continue;
+
+      const fieldPath = path ? `${path}.${field}` : field;
+      errors.push(condition ? `${fieldPath} is required ${condition}` : `Required field missing: ${fieldPath}`);
     }
 
-    if (config.language === 'Other' && !config.customLanguage) {
-      errors.push('customLanguage is required when language is "Other"');
+    for (const [field, fieldSchema] of Object.entries(properties)) {
+      if (isPresent(value[field])) {
+        this.validateValue(value[field], fieldSchema, this.getFieldPath(field, fieldSchema, path), errors);
+      }
     }
 
-    if (config.database === 'other' && !config.customDatabase) {
-      errors.push('customDatabase is required when database is "other"');
+    for (const [field, dependencies] of Object.entries(schema.dependentRequired || {})) {
+      if (!isPresent(value[field])) continue;
+
+      for (const dependency of dependencies.filter(dependency => !isPresent(value[dependency]))) {
+        errors.push(`${path ? `${path}.` : ''}${dependency} is required when ${field} is set`);
+      }
     }
 
-    if (config.authentication === 'other' && !config.customAuthentication) {
-      errors.push('customAuthentication is required when authentication is "other"');
+    if (schema.additionalProperties === undefined || schema.additionalProperties === true) return;
+
+    for (const field of Object.keys(value).filter(field => !(field in properties) && isPresent(value[field]))) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (schema.additionalProperties === false) {
+        errors.push(`Unknown field: ${fieldPath}`);
+      } else {
+        this.validateValue(value[field], schema.additionalProperties, fieldPath, errors);
+      }
     }
+  }
+
+  validateConditional(value, schema, path, errors) {
+    if (!schema.if) return;
+
+    const matches = this.validateSchema(value, schema.if).length === 0;
+    const branch = matches ? schema.then : schema.else;
+    if (!branch) return;
+
+    const description = this.describeCondition(schema.if);
+    const condition = description && `${matches ? 'when' : 'unless'} ${description}`;
 
-    // Profile name validation
-    if (config.saveProfile && !config.profileName) {
-      errors.push('profileName is required when saveProfile is true');
+    // The branch's own required list is reported with the condition; everything else as usual
+    const { required, ...rest } = branch;
+    if (required && isObject(value)) {
+      this.validateObject(value, { required }, path, errors, condition);
     }
+    this.validateValue(value, rest, path, errors);
+  }
+
+  // 'stack is "custom"' for { properties: { stack: { const: 'custom' } } }; null if the condition is more involved
+  describeCondition(schema) {
+    const parts = Object.entries(schema.properties || {}).map(([field, fieldSchema]) => {
+      if (fieldSchema.const !== undefined) return `${field} is ${JSON.stringify(fieldSchema.const)}`;
+      if (fieldSchema.enum) return `${field} is one of ${fieldSchema.enum.map(value => JSON.stringify(value)).join(', ')}`;
+      return null;
+    });
+
+    return parts.length > 0 && !parts.includes(null) ? parts.join(' and ') : null;
+  }
+
+  // Combinations that work but need attention; errors come from the schema
+  getWarnings(config) {
+    const warnings = [];
 
     // Compatibility warnings
     if (config.stack === 'nextjs-app' && config.styling === 'styled-components') {
@@ -262,9 +293,16 @@ export class ConfigValidator {
       warnings.push('Styling frameworks are typically not needed for CLI tools or libraries');
     }
 
-    if (config.projectType === 'backend' && config.componentLibrary !== 'none') {
+    if (config.projectType === 'backend' && config.componentLibrary && config.componentLibrary !== 'none') {
       warnings.push('Component libraries are not typically used in backend-only projects');
     }
+
+    const Library = config.stack && this.getSelectedPlugins(config).find(plugin => plugin.metadata.category === 'ui');
+    if (Library) {
+      warnings.push(...new Library(config).getCompatibilityWarnings());
+    }
+
+    return warnings;
   }
 
   getDefaults() {
@@ -0,0 +1,95 @@
+import chalk from 'chalk';
+import { generator } from './generator.js';
+import { validator } from './config/schema.js';
+import { configFromFlags } from './config/flags.js';
+import { loadConfigFile } from './config/config-file.js';
+import { saveProfile } from './profiles.js';
+import { writeOutput, writeProjectFiles, printManifest, getWrittenPaths } from './output.js';
+import { registry } from './plugins/index.js';
+
+// Flags win over values from a config file
+export function buildConfig(options, fileConfig = {}) {
+  return validator.sanitize({ ...fileConfig, ...configFromFlags(options) });
+}
+
+// The config from --config or the project's config file, with flags on top; source is the file used, if any
+export async function resolveConfig(options, { cwd = process.cwd() } = {}) {
+  const file = await loadConfigFile(options.config, { cwd });
+  return { config: buildConfig(options, file?.config), source: file?.path };
+}
+
+export function validateConfig(config) {
+  const validation = validator.validate(config);
+
+  if (config.stack && config.stack !== 'custom' && !registry.get(config.stack)) {
+    const stacks = registry.getByCategory('stack').map(({ id }) => id);
+    validation.errors.push(`stack must be one of: ${[...stacks, 'custom'].join(', ')}`);
+    validation.isValid = false;
+  }
+
+  // The wizard re-asks these; without prompts they are errors
+  if (validation.isValid) {
+    for (const { reason, field, alternatives } of generator.findConflicts(config)) {
+      const hint = field && alternatives.length > 0 ? ` (compatible ${field}: ${alternatives.join(', ')})` : '';
+      validation.errors.push(`${reason}${hint}`);
+      validation.isValid = false;
+    }
+  }
+
+  return validation;
+}
+
+export async function runGenerate(options) {
+  // Keep stdout clean for the markdown when piping
+  const log = options.stdout ? console.error : console.log;
+
+  let config;
+  try {
+    const resolved = await resolveConfig(options);
+    config = resolved.config;
+    if (resolved.source) {
+      log(chalk.gray(`Using configuration from ${resolved.source}`));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error reading config file:', error.message));
+    process.exit(1);
+  }
+
+  const validation = validateConfig(config);
+
+  if (!validation.isValid) {
+    console.error(chalk.red('❌ Configuration validation failed:'));
+    validation.errors.forEach(error => console.error(chalk.red(`  • ${error}`)));
+    process.exit(1);
+  }
+
+  if (validation.warnings.length > 0) {
+    log(chalk.yellow('⚠️  Warnings:'));
+    validation.warnings.forEach(warning => log(chalk.yellow(`  • ${warning}`)));
+  }
+
+  try {
+    if (options.projectFiles) {
+      const files = await generator.generateProjectFiles(config);
+      const manifest = await writeProjectFiles(files, { ...options, interactive: false });
+      printManifest(manifest);
+      await generator.completeGeneration(config, files[0].content, getWrittenPaths(manifest));
+    } else {
+      const markdown = await generator.generateMarkdown(config, { output: options.output });
+      const result = await writeOutput(markdown, { ...options, interactive: false });
+      await generator.completeGeneration(config, markdown, result.written && result.path ? [result.path] : []);
+
+      if (result.path) {
+        log(chalk.green(result.written ? `✅ Success! Created ${result.path}` : `✅ ${result.path} is already up to date`));
+      }
+    }
+
+    if (config.saveProfile) {
+      await saveProfile(config.profileName, config);
+      log(chalk.green(`✓ Profile saved as "${config.profileName}"`));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error generating file:', error.message));
+    process.exit(1);
+  }
+}
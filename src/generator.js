@@ -1,21 +1,62 @@
 import { execSync } from 'child_process';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { registry } from './plugins/registry.js';
+import { mergeEnvFile, mergeLists, mountFiles } from './plugins/composition.js';
 import { templateEngine } from './templates/template-engine.js';
+import { loadTemplateOverrides, resolveTemplate } from './templates/overrides.js';
 import { validator } from './config/schema.js';
+import { toolchain } from './toolchain.js';
+import { DEFAULT_OUTPUT } from './output.js';
+
+// The answer that selects each category's plugin in selectPlugins()
+const CATEGORY_FIELDS = {
+  stack: 'stack',
+  database: 'database',
+  auth: 'authentication',
+  testing: 'testing',
+  styling: 'styling',
+  ui: 'componentLibrary',
+  deployment: 'deployment'
+};
+
+const MCP_SECTION = `## 🔧 MCP Server Configuration
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+Create \`.mcp.json\` in your project root:
+
+\`\`\`json
+{{json mcpConfig}}
+\`\`\`
+
+These MCP servers will be available to Claude for enhanced functionality.`;
+
+const TOOL_ALLOWLIST_SECTION = `## 🛠️ Recommended Tool Allowlist
+
+Consider allowing these tools in Claude Code for smoother workflow:
+
+\`\`\`bash
+# In Claude Code, use /permissions to add:
+{{#each tools}}- {{fence this}}
+{{/each}}\`\`\`
+
+Or add to your \`.claude/settings.json\`:
+\`\`\`json
+{{json settings}}
+\`\`\``;
 
 export class ModularGenerator {
   constructor() {
     this.templateEngine = templateEngine;
     this.registry = registry;
     this.validator = validator;
+    this.toolchain = toolchain;
+    // Plugin instances per generated config, so afterGeneration sees the same instances
+    this.sessions = new WeakMap();
   }
 
-  async generateMarkdown(config) {
+  // cwd is where project template overrides are looked up (.claude-kickstart/templates/); output is
+  // the path the markdown is written to, and projectFiles is set when it becomes CLAUDE.md next to
+  // the .mcp.json and .claude/ files generateProjectFiles() writes
+  async generateMarkdown(config, { cwd = process.cwd(), output = DEFAULT_OUTPUT, projectFiles = false } = {}) {
     // Validate configuration
     const validation = this.validator.validate(config);
     if (!validation.isValid) {
@@ -27,17 +68,45 @@ export class ModularGenerator {
 
     // Determine which plugins to use
     const plugins = this.selectPlugins(sanitizedConfig);
+    this.sessions.set(config, { config: sanitizedConfig, plugins });
+
+    for (const plugin of plugins) {
+      await plugin.beforeGeneration(sanitizedConfig);
+    }
 
     // Gather all data from plugins
-    const templateData = await this.gatherTemplateData(sanitizedConfig, plugins);
+    const templateData = await this.gatherTemplateData(sanitizedConfig, plugins, {
+      setupFile: path.relative(cwd, path.resolve(cwd, output)) || output,
+      projectFiles
+    });
 
     // Render the template
-    const templatePath = path.join(__dirname, 'templates', 'base.md');
-    const markdown = await this.templateEngine.renderFile(templatePath, templateData);
+    for (const [name, helper] of this.registry.getHelpers()) {
+      this.templateEngine.registerHelper(name, helper);
+    }
+    await loadTemplateOverrides(this.templateEngine, cwd);
+    const templatePath = await resolveTemplate('base.md', cwd);
+    let markdown = await this.templateEngine.renderFile(templatePath, templateData);
+
+    // Each plugin sees the previous plugin's output
+    for (const plugin of plugins) {
+      markdown = await plugin.transformOutput(markdown, { config: sanitizedConfig, templateData });
+    }
 
     return markdown;
   }
 
+  // Call once the output has been written; files lists the paths that were actually written
+  async completeGeneration(config, output, files = []) {
+    const session = this.sessions.get(config);
+    if (!session) return;
+
+    for (const plugin of session.plugins) {
+      await plugin.afterGeneration(session.config, { output, files });
+    }
+    this.sessions.delete(config);
+  }
+
   selectPlugins(config) {
     const selectedPlugins = [];
 
@@ -57,6 +126,14 @@ export class ModularGenerator {
       }
     }
 
+    // Select authentication plugin
+    if (config.authentication && config.authentication !== 'none') {
+      const authPlugin = this.registry.get(`${config.authentication}-plugin`);
+      if (authPlugin) {
+        selectedPlugins.push(this.registry.createInstance(`${config.authentication}-plugin`, config));
+      }
+    }
+
     // Select testing plugin
     if (config.testing && config.testing !== 'none') {
       const testPlugin = this.registry.get(`${config.testing}-plugin`);
@@ -73,10 +150,56 @@ export class ModularGenerator {
       }
     }
 
-    return selectedPlugins;
+    // Select component library plugin
+    if (config.componentLibrary && config.componentLibrary !== 'none') {
+      const libraryPlugin = this.registry.get(`${config.componentLibrary}-plugin`);
+      if (libraryPlugin) {
+        selectedPlugins.push(this.registry.createInstance(`${config.componentLibrary}-plugin`, config));
+      }
+    }
+
+    // Select deployment plugin
+    if (config.deployment && config.deployment !== 'unsure') {
+      const deployPlugin = this.registry.get(`${config.deployment}-plugin`);
+      if (deployPlugin) {
+        selectedPlugins.push(this.registry.createInstance(`${config.deployment}-plugin`, config));
+      }
+    }
+
+    return this.addRequiredPlugins(selectedPlugins, config);
   }
 
-  async gatherTemplateData(config, plugins) {
+  // Adds the plugins named in each selected plugin's metadata.requires, dependencies first
+  addRequiredPlugins(plugins, config) {
+    const selected = new Map(plugins.map(plugin => [plugin.constructor.metadata.name, plugin]));
+    return this.registry.resolveDependencies([...selected.keys()], { relations: ['requires'] })
+      .map(pluginId => selected.get(pluginId) || this.registry.createInstance(pluginId, config));
+  }
+
+  // Pairwise conflicts between the selected plugins, each with the answer to change and values that fix it
+  findConflicts(config) {
+    return this.registry.validatePluginCompatibility(this.selectPlugins(config)).map(conflict => {
+      const field = CATEGORY_FIELDS[this.registry.get(conflict.plugin).metadata.category];
+      return { ...conflict, field, alternatives: field ? this.getAlternatives(config, field) : [] };
+    });
+  }
+
+  // Other answers for a field whose plugin works with everything else that is selected
+  getAlternatives(config, field) {
+    const category = Object.keys(CATEGORY_FIELDS).find(key => CATEGORY_FIELDS[key] === field);
+
+    return this.registry.getByCategory(category)
+      .filter(({ metadata }) => !config.projectType || !metadata.projectTypes || metadata.projectTypes.includes(config.projectType))
+      .map(({ id }) => ({ id, value: field === 'stack' ? id : id.replace(/-plugin$/, '') }))
+      .filter(({ value }) => value !== config[field])
+      .filter(({ id, value }) => {
+        const conflicts = this.registry.validatePluginCompatibility(this.selectPlugins({ ...config, [field]: value }));
+        return !conflicts.some(conflict => [conflict.plugin1, conflict.plugin2].includes(id));
+      })
+      .map(({ value }) => value);
+  }
+
+  async gatherTemplateData(config, plugins, { setupFile = DEFAULT_OUTPUT, projectFiles = false } = {}) {
     const date = new Date().toISOString().split('T')[0];
     const profileName = config.profileName || 'custom';
 
@@ -86,6 +209,8 @@ export class ModularGenerator {
       version: '2.0.0',
       profileName,
       date,
+      setupReference: `@${setupFile}`,
+      projectFiles,
 
       // Project info
       projectTypeLabel: this.getProjectTypeLabel(config.projectType),
@@ -102,6 +227,7 @@ export class ModularGenerator {
       claudeBehaviorLabels: config.claudeBehavior?.map(behavior => this.getClaudeBehaviorLabel(behavior)) || [],
       gitCommitLabel: this.getGitCommitLabel(config.gitCommitStyle),
       branchStrategyLabel: this.getBranchStrategyLabel(config.branchStrategy),
+      preferredWorkflow: config.preferredWorkflow,
 
       // Testing and UI
       testingLabel: this.getTestingLabel(config.testing),
@@ -138,6 +264,19 @@ export class ModularGenerator {
       await this.gatherPluginData(plugin, templateData, config);
     }
 
+    // Stack and category plugins can both contribute the same package or guideline
+    templateData.productionDependencies = mergeLists(templateData.productionDependencies);
+    templateData.developmentDependencies = mergeLists(templateData.developmentDependencies);
+    templateData.securityGuidelines = mergeLists(templateData.securityGuidelines);
+
+    // The stack's own version of a file or section wins over a category plugin's default
+    templateData.configFiles = templateData.configFiles.filter((file, index, files) =>
+      files.findIndex(other => other.name === file.name) === index
+    );
+    templateData.customSections = templateData.customSections.filter((section, index, sections) =>
+      sections.findIndex(other => other.title === section.title) === index
+    );
+
     // Generate file structure
     templateData.fileStructure = this.generateFileStructure(config, plugins);
 
@@ -148,11 +287,13 @@ export class ModularGenerator {
     templateData.uiGuidelines = this.generateUIGuidelines(config, plugins);
 
     // Generate special sections
+    // Tools the selected plugins need that are missing or too old on this machine
+    templateData.prerequisites = this.toolchain.check(plugins);
     templateData.githubCLISection = this.generateGitHubCLISection();
-    templateData.mcpSection = this.generateMCPSection(config);
-    templateData.toolAllowlistSection = this.generateToolAllowlistSection(config);
-    templateData.workflowSection = this.generateWorkflowSection(config);
-    templateData.teamCollaborationSection = this.generateTeamCollaborationSection(config);
+    // Project files mode writes .mcp.json and .claude/settings.json, so there is nothing to set up by hand
+    templateData.mcpSection = projectFiles ? '' : this.generateMCPSection(config);
+    templateData.toolAllowlistSection = projectFiles ? '' : this.generateToolAllowlistSection(config);
+    templateData.teamCollaborationSection = this.generateTeamCollaborationSection(config, { projectFiles });
 
     return templateData;
   }
@@ -164,7 +305,7 @@ export class ModularGenerator {
     templateData.developmentDependencies.push(...deps.development);
 
     // Config files
-    const configFiles = plugin.getConfigFiles();
+    const configFiles = this.getPluginConfigFiles(plugin);
     templateData.configFiles.push(...configFiles);
 
     // Custom sections
@@ -182,9 +323,36 @@ export class ModularGenerator {
     // Template variables
     const variables = plugin.getTemplateVariables();
     Object.assign(templateData, variables);
+  }
 
-    // Call lifecycle hooks
-    await plugin.beforeGeneration(config);
+  // A plugin's config files, placed in the sub-app the stack mounts them under
+  getPluginConfigFiles(plugin) {
+    return mountFiles(plugin.getConfigFiles(), plugin.getMountPath()).map(file => (
+      path.basename(file.name) === '.env.example' ? { ...file, content: this.mergeEnvExample(file.content, plugin) } : file
+    ));
+  }
+
+  // Selected category plugins with env vars (database, auth) replace the stack's placeholder
+  // blocks for their category, e.g. Clerk keys instead of NEXTAUTH_* on Next.js
+  mergeEnvExample(content, plugin) {
+    let merged = content;
+
+    for (const [category, field] of Object.entries(CATEGORY_FIELDS)) {
+      const selected = category !== 'stack' && plugin.getSelectedPlugin(field);
+      const envVars = selected?.getEnvVars?.() || [];
+      if (envVars.length === 0) continue;
+
+      const categoryVars = this.registry.getByCategory(category).flatMap(({ class: PluginClass }) =>
+        (new PluginClass(selected.config).getEnvVars?.() || []).map(({ name }) => name)
+      );
+      const block = [
+        `# ${selected.constructor.metadata.displayName}`,
+        ...envVars.map(({ name, example }) => `${name}="${example}"`)
+      ].join('\n');
+      merged = mergeEnvFile(merged, categoryVars, block);
+    }
+
+    return merged;
   }
 
   generateFileStructure(config, plugins) {
@@ -206,48 +374,16 @@ export class ModularGenerator {
       return testingPlugin.getTestingStrategy();
     }
 
-    const strategies = {
-      'jest': `- Write unit tests for all utilities and hooks
-- Component tests with React Testing Library
-- Mock external dependencies
-- Aim for 80% code coverage`,
-      'vitest': `- Use Vitest for fast unit testing
-- Component tests with React Testing Library
-- Integration tests for API routes
-- Run tests in watch mode during development`,
-      'playwright': `- E2E tests for critical user flows
-- Test across multiple browsers
-- Visual regression testing
-- API testing capabilities`,
-      'none': `- No testing framework configured yet
-- Consider adding tests as the project grows`
-    };
-
-    return strategies[config.testing] || strategies.none;
+    return `- No testing framework configured yet
+- Consider adding tests as the project grows`;
   }
 
   generateUIGuidelines(config, plugins) {
-    const stylingPlugin = plugins.find(p => p.constructor.metadata.category === 'styling');
-    if (stylingPlugin) {
-      return stylingPlugin.getUIGuidelines();
-    }
-
-    if (!config.styling) return '';
-
-    const guidelines = {
-      'tailwind': `- Use Tailwind utility classes
-- Create reusable component classes with @apply
-- Mobile-first responsive design
-- Use CSS variables for theming`,
-      'styled-components': `- Create styled components for reusability
-- Use theme provider for consistent styling
-- Implement CSS-in-JS best practices`,
-      'css-modules': `- One CSS module per component
-- Use camelCase for class names
-- Compose styles for variants`
-    };
-
-    return guidelines[config.styling] || '';
+    return plugins
+      .filter(p => ['styling', 'ui'].includes(p.constructor.metadata.category))
+      .map(p => p.getUIGuidelines())
+      .filter(Boolean)
+      .join('\n\n');
   }
 
   // Utility functions
@@ -297,58 +433,51 @@ Benefits: Claude can create PRs, manage issues, and automate GitHub workflows.`;
     }
   }
 
-  generateMCPSection(config) {
+  getMCPServers(config) {
+    const servers = {};
+
     if (!config.mcpServers || config.mcpServers.includes('none')) {
-      return '';
+      return servers;
     }
 
-    const serverConfigs = [];
-    
     if (config.mcpServers.includes('puppeteer')) {
-      serverConfigs.push(`  "puppeteer": {
-    "command": "npx",
-    "args": ["@mcp-server/puppeteer"]
-  }`);
+      servers.puppeteer = {
+        command: 'npx',
+        args: ['@mcp-server/puppeteer']
+      };
     }
-    
+
     if (config.mcpServers.includes('sentry')) {
-      serverConfigs.push(`  "sentry": {
-    "command": "npx",
-    "args": ["@mcp-server/sentry"],
-    "env": {
-      "SENTRY_AUTH_TOKEN": "your-sentry-token"
-    }
-  }`);
+      servers.sentry = {
+        command: 'npx',
+        args: ['@mcp-server/sentry'],
+        env: {
+          SENTRY_AUTH_TOKEN: 'your-sentry-token'
+        }
+      };
     }
-    
+
     if (config.mcpServers.includes('database')) {
-      serverConfigs.push(`  "database": {
-    "command": "npx",
-    "args": ["@mcp-server/database"],
-    "env": {
-      "DATABASE_URL": "your-database-url"
+      servers.database = {
+        command: 'npx',
+        args: ['@mcp-server/database'],
+        env: {
+          DATABASE_URL: 'your-database-url'
+        }
+      };
     }
-  }`);
-    }
-    
-    if (serverConfigs.length === 0) return '';
 
-    return `## 🔧 MCP Server Configuration
-
-Create \`.mcp.json\` in your project root:
-
-\`\`\`json
-{
-  "mcpServers": {
-${serverConfigs.join(',\n')}
+    return servers;
   }
-}
-\`\`\`
 
-These MCP servers will be available to Claude for enhanced functionality.`;
+  generateMCPSection(config) {
+    const servers = this.getMCPServers(config);
+    if (Object.keys(servers).length === 0) return '';
+
+    return this.templateEngine.render(MCP_SECTION, { mcpConfig: { mcpServers: servers } }, 'MCP section');
   }
 
-  generateToolAllowlistSection(config) {
+  getAllowedTools(config) {
     const tools = ['Edit', 'Write'];
     
     if (['TypeScript', 'JavaScript'].includes(config.language)) {
@@ -374,79 +503,25 @@ These MCP servers will be available to Claude for enhanced functionality.`;
       }
     }
 
-    return `## 🛠️ Recommended Tool Allowlist
-
-Consider allowing these tools in Claude Code for smoother workflow:
-
-\`\`\`bash
-# In Claude Code, use /permissions to add:
-${tools.map(tool => `- ${tool}`).join('\n')}
-\`\`\`
-
-Or add to your \`.claude/settings.json\`:
-\`\`\`json
-{
-  "allowedTools": [${tools.map(t => `"${t}"`).join(', ')}]
-}
-\`\`\``;
+    return tools;
   }
 
-  generateWorkflowSection(config) {
-    if (!config.preferredWorkflow || config.preferredWorkflow === 'standard') {
-      return '';
-    }
-
-    const workflows = {
-      'explore-plan-code': `## 🔄 Recommended Workflow: Explore → Plan → Code
-
-Your preferred workflow optimizes for thoughtful development:
-
-1. **Explore Phase**
-   - Ask Claude to read relevant files (don't code yet!)
-   - Use subagents for complex investigations
-   - Example: "Read the authentication system but don't write code yet"
-
-2. **Plan Phase** 
-   - Ask Claude to "think" and create a detailed plan
-   - Use "think hard" for complex problems
-   - Save plans as documents or GitHub issues for later reference
-
-3. **Code Phase**
-   - Implement the planned solution
-   - Ask Claude to verify reasonableness as it codes
-   - Iterate based on feedback
-
-4. **Commit Phase**
-   - Have Claude create descriptive commit messages
-   - Create pull requests with context-rich descriptions`,
-
-      'tdd': `## 🧪 Test-Driven Development Workflow
-
-Your TDD approach ensures robust, well-tested code:
-
-1. **Write Tests First**
-   - Ask Claude to write tests based on expected behavior
-   - Be explicit: "We're doing TDD - don't write implementation yet"
-   - Ensure tests fail initially
-
-2. **Commit Tests**
-   - Commit failing tests before implementation
-   - This creates a clear development checkpoint
-
-3. **Implement & Iterate**
-   - Write code to make tests pass
-   - Don't modify tests during implementation
-   - Iterate until all tests pass
-
-4. **Verify & Commit**
-   - Use subagents to verify implementation quality
-   - Commit working code with descriptive messages`
+  getClaudeSettings(config) {
+    return {
+      permissions: {
+        allow: this.getAllowedTools(config)
+      }
     };
+  }
 
-    return workflows[config.preferredWorkflow] || '';
+  generateToolAllowlistSection(config) {
+    return this.templateEngine.render(TOOL_ALLOWLIST_SECTION, {
+      tools: this.getAllowedTools(config),
+      settings: this.getClaudeSettings(config)
+    }, 'tool allowlist section');
   }
 
-  generateTeamCollaborationSection(config) {
+  generateTeamCollaborationSection(config, { projectFiles = false } = {}) {
     if (!config.teamFeatures || config.teamFeatures.includes('none')) {
       return '';
     }
@@ -464,10 +539,8 @@ Your TDD approach ensures robust, well-tested code:
     
     if (config.teamFeatures.includes('team-commands')) {
       content += `### Team Slash Commands
-Create shared commands in \`.claude/commands/\`:
-- \`fix-github-issue.md\` - Automated issue resolution
-- \`deploy-staging.md\` - Standardized deployment process
-- \`run-security-scan.md\` - Security verification workflow
+${projectFiles ? 'Shared commands are in' : 'Create shared commands in'} \`.claude/commands/\`:
+${this.getTeamCommands(config).map(command => `- \`${command.name}\` - ${command.description}`).join('\n')}
 
 `;
     }
@@ -475,6 +548,90 @@ Create shared commands in \`.claude/commands/\`:
     return content.trim();
   }
 
+  getTeamCommands(config) {
+    if (!config.teamFeatures?.includes('team-commands')) {
+      return [];
+    }
+
+    return [
+      {
+        name: 'fix-github-issue.md',
+        description: 'Automated issue resolution',
+        content: `Please analyze and fix the GitHub issue: $ARGUMENTS.
+
+1. Use \`gh issue view\` to get the issue details
+2. Understand the problem described in the issue
+3. Search the codebase for relevant files
+4. Implement the necessary changes to fix the issue
+5. Write and run tests to verify the fix
+6. Ensure code passes linting and type checking
+7. Create a descriptive commit message
+8. Push and create a PR
+`
+      },
+      {
+        name: 'deploy-staging.md',
+        description: 'Standardized deployment process',
+        content: `Deploy the current branch to staging${config.deployment && config.deployment !== 'unsure' ? ` on ${this.getDeploymentLabel(config.deployment)}` : ''}.
+
+1. Make sure the working tree is clean and up to date with the remote
+2. Run the full test suite and stop if anything fails
+3. Build the project for production
+4. Deploy the build to the staging environment
+5. Smoke test the critical user flows on staging
+6. Report the staging URL and any issues found
+`
+      },
+      {
+        name: 'run-security-scan.md',
+        description: 'Security verification workflow',
+        content: `Run a security review of the codebase. Focus on: $ARGUMENTS.
+
+1. Audit dependencies for known vulnerabilities
+2. Search for hard-coded secrets, tokens and credentials
+3. Check input validation and output encoding on all entry points
+4. Review authentication and authorization checks
+5. Summarize findings by severity with suggested fixes
+`
+      }
+    ];
+  }
+
+  async generateProjectFiles(config, options = {}) {
+    const files = [
+      {
+        path: 'CLAUDE.md',
+        description: 'Project memory for Claude Code',
+        content: await this.generateMarkdown(config, { ...options, output: 'CLAUDE.md', projectFiles: true })
+      }
+    ];
+
+    const servers = this.getMCPServers(config);
+    if (Object.keys(servers).length > 0) {
+      files.push({
+        path: '.mcp.json',
+        description: 'Project-scoped MCP servers',
+        content: `${JSON.stringify({ mcpServers: servers }, null, 2)}\n`
+      });
+    }
+
+    files.push({
+      path: path.join('.claude', 'settings.json'),
+      description: 'Tool allowlist',
+      content: `${JSON.stringify(this.getClaudeSettings(config), null, 2)}\n`
+    });
+
+    for (const command of this.getTeamCommands(config)) {
+      files.push({
+        path: path.join('.claude', 'commands', command.name),
+        description: `Slash command /${command.name.replace(/\.md$/, '')}`,
+        content: command.content
+      });
+    }
+
+    return files;
+  }
+
   // Label helper functions
   getProjectTypeLabel(type) {
     const labels = {
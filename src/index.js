@@ -4,20 +4,31 @@ import { questionGenerator } from './questions.js';
 import { generator } from './generator.js';
 import { saveProfile, getProfileHome } from './profiles.js';
 import { validator } from './config/schema.js';
-import fsExtra from 'fs-extra';
-import { join } from 'path';
+import { writeOutput, writeProjectFiles, printManifest, getWrittenPaths } from './output.js';
 import ora from 'ora';
 
-const { writeFile, ensureDir } = fsExtra;
+// Answers that follow from another answer, asked again when resolving a conflict changes it
+const DEPENDENT_FIELDS = {
+  stack: ['customStack', 'language', 'customLanguage', 'packageManager']
+};
+
+// With --stdout the markdown is piped, so progress and prompts go to stderr, as runGenerate() does
+function getTerminal(options) {
+  return options.stdout
+    ? { log: console.error, prompt: inquirer.createPromptModule({ output: process.stderr }) }
+    : { log: console.log, prompt: inquirer.prompt };
+}
+
+export async function runWizard(options = {}) {
+  const { log, prompt } = getTerminal(options);
 
-export async function runWizard() {
   try {
     // Initialize plugins
-    console.log(chalk.cyan('🔧 Initializing plugin system...'));
+    log(chalk.cyan('🔧 Initializing plugin system...'));
     await import('./plugins/index.js');
 
     // Show welcome menu
-    const { action } = await inquirer.prompt([
+    const { action } = await prompt([
       {
         type: 'list',
         name: 'action',
@@ -33,18 +44,18 @@ export async function runWizard() {
 
     if (action === 'profile') {
       const { loadProfile } = await import('./profiles.js');
-      await loadProfile();
+      await loadProfile(undefined, options);
       return;
     }
 
     if (action === 'quick') {
       const { quickSetup } = await import('./profiles.js');
-      await quickSetup();
+      await quickSetup(options);
       return;
     }
 
     if (action === 'plugins') {
-      await showPluginBrowser();
+      await showPluginBrowser(options);
       return;
     }
 
@@ -52,27 +63,33 @@ export async function runWizard() {
     const questions = await questionGenerator.getAllQuestions();
     
     // Show progress
-    console.log();
-    console.log(chalk.cyan('📋 Answer these questions to generate your perfect setup file...'));
-    console.log(chalk.gray('    The questions adapt based on your choices to minimize setup time'));
-    console.log();
+    log();
+    log(chalk.cyan('📋 Answer these questions to generate your perfect setup file...'));
+    log(chalk.gray('    The questions adapt based on your choices to minimize setup time'));
+    log();
 
     // Ask all questions
-    const answers = await inquirer.prompt(questions);
+    let answers = await prompt(questions);
+
+    const pluginFields = new Set();
+    answers = await askPluginQuestions(answers, pluginFields, { log, prompt });
+
+    // Re-ask answers whose plugin can't work with the rest of the selection
+    answers = await resolveConflicts(answers, questions, pluginFields, { log, prompt });
     
     // Validate answers
     const validation = questionGenerator.validateAnswers(answers);
     if (validation.errors.length > 0) {
-      console.log(chalk.red('\n❌ Configuration errors:'));
-      validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+      log(chalk.red('\n❌ Configuration errors:'));
+      validation.errors.forEach(error => log(chalk.red(`  • ${error}`)));
       return;
     }
 
     if (validation.warnings.length > 0) {
-      console.log(chalk.yellow('\n⚠️  Warnings:'));
-      validation.warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)));
+      log(chalk.yellow('\n⚠️  Warnings:'));
+      validation.warnings.forEach(warning => log(chalk.yellow(`  • ${warning}`)));
       
-      const { continue: shouldContinue } = await inquirer.prompt([
+      const { continue: shouldContinue } = await prompt([
         {
           type: 'confirm',
           name: 'continue',
@@ -87,20 +104,38 @@ export async function runWizard() {
     // Validate with schema
     const schemaValidation = validator.validate(answers);
     if (!schemaValidation.isValid) {
-      console.log(chalk.red('\n❌ Configuration validation failed:'));
-      schemaValidation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+      log(chalk.red('\n❌ Configuration validation failed:'));
+      schemaValidation.errors.forEach(error => log(chalk.red(`  • ${error}`)));
       return;
     }
     
     // Generate the markdown
-    const spinner = ora('Generating claude-kickstart.md with plugin system...').start();
+    const spinner = ora('Generating setup file with plugin system...').start();
     
     try {
-      const markdown = await generator.generateMarkdown(answers);
-      
-      // Write the file
-      await writeFile('claude-kickstart.md', markdown);
-      spinner.succeed('Generated claude-kickstart.md');
+      let outputPath = null;
+
+      if (options.projectFiles) {
+        const files = await generator.generateProjectFiles(answers);
+        spinner.stop();
+
+        const manifest = await writeProjectFiles(files, options);
+        printManifest(manifest);
+        outputPath = manifest.find(entry => entry.status !== 'skipped')?.path;
+        await generator.completeGeneration(answers, files[0].content, getWrittenPaths(manifest));
+      } else {
+        const markdown = await generator.generateMarkdown(answers, { output: options.output });
+        spinner.stop();
+        
+        // Write the file
+        const result = await writeOutput(markdown, options);
+        if (!result.written) {
+          log(chalk.yellow(result.unchanged ? `${result.path} is already up to date` : `Kept existing ${result.path}`));
+        } else {
+          outputPath = result.path;
+        }
+        await generator.completeGeneration(answers, markdown, result.written && result.path ? [result.path] : []);
+      }
       
       // Save profile if requested
       if (answers.saveProfile) {
@@ -110,10 +145,12 @@ export async function runWizard() {
       }
       
       // Show success and statistics
-      await showGenerationSuccess(answers);
+      if (outputPath) {
+        await showGenerationSuccess(answers, outputPath);
+      }
       
     } catch (error) {
-      spinner.fail('Failed to generate file');
+      if (spinner.isSpinning) spinner.fail('Failed to generate file');
       throw error;
     }
     
@@ -126,28 +163,89 @@ export async function runWizard() {
   }
 }
 
-async function showPluginBrowser() {
+// Asks the options owned by the selected plugins, such as FastAPI's ORM, and records their names in
+// pluginFields. previous holds earlier answers, offered as defaults when the phase runs again.
+async function askPluginQuestions(answers, pluginFields, { log, prompt }, previous = {}) {
+  const pluginQuestions = await questionGenerator.getPluginPhaseQuestions(answers);
+  if (pluginQuestions.length === 0) return answers;
+
+  log();
+  log(chalk.cyan('🔌 A few more options for your stack...'));
+  pluginQuestions.forEach(question => pluginFields.add(question.name));
+
+  return prompt(pluginQuestions.map(question =>
+    question.name in previous ? { ...question, default: previous[question.name] } : question
+  ), answers);
+}
+
+// Re-asks what followed from a changed answer: a new stack's language and package manager, and the
+// plugin options, since the change may select plugins with different questions
+async function askDependents(answers, field, questions, pluginFields, terminal) {
+  const dependents = DEPENDENT_FIELDS[field] || [];
+  const previous = Object.fromEntries([...pluginFields].filter(name => name in answers).map(name => [name, answers[name]]));
+  const kept = Object.fromEntries(Object.entries(answers).filter(([name]) => !dependents.includes(name) && !pluginFields.has(name)));
+
+  pluginFields.clear();
+  answers = await terminal.prompt(questions.filter(question => dependents.includes(question.name)), kept);
+  return askPluginQuestions(answers, pluginFields, terminal, previous);
+}
+
+export async function resolveConflicts(answers, questions, pluginFields, terminal) {
+  const { log, prompt } = terminal;
+  const asked = new Set();
+
+  for (;;) {
+    const conflict = generator.findConflicts(answers)
+      .find(({ field, alternatives }) => field && !asked.has(field) && alternatives.length > 0);
+    if (!conflict) return answers;
+
+    const { field, reason, alternatives } = conflict;
+    asked.add(field);
+
+    const question = questions.find(q => q.name === field && (!q.when || q.when(answers)))
+      || { type: 'list', name: field, message: `Choose a different ${field}:` };
+    const choices = typeof question.choices === 'function' ? question.choices(answers) : question.choices || [];
+    const compatible = choices.filter(choice => alternatives.includes(choice.value) || choice.value === 'none');
+
+    log(chalk.yellow(`\n⚠️  ${reason}`));
+
+    const before = answers[field];
+    answers = await prompt([{
+      ...question,
+      when: undefined,
+      askAnswered: true,
+      choices: compatible.length > 0 ? compatible : alternatives
+    }], answers);
+
+    if (answers[field] !== before) {
+      answers = await askDependents(answers, field, questions, pluginFields, terminal);
+    }
+  }
+}
+
+async function showPluginBrowser(options) {
+  const { log, prompt } = getTerminal(options);
   const { registry } = await import('./plugins/index.js');
   
-  console.log(chalk.cyan('\n🔧 Available Plugins:\n'));
+  log(chalk.cyan('\n🔧 Available Plugins:\n'));
   
   const categories = registry.getAllCategories();
   
   for (const category of categories) {
     const plugins = registry.getByCategory(category);
-    console.log(chalk.yellow(`📁 ${category.toUpperCase()}`));
+    log(chalk.yellow(`📁 ${category.toUpperCase()}`));
     
     plugins.forEach(({ metadata }) => {
-      console.log(chalk.gray(`  ${metadata.icon || '📦'} ${metadata.displayName}`));
-      console.log(chalk.gray(`    ${metadata.description || 'No description'}`));
+      log(chalk.gray(`  ${metadata.icon || '📦'} ${metadata.displayName}`));
+      log(chalk.gray(`    ${metadata.description || 'No description'}`));
       if (metadata.languages) {
-        console.log(chalk.gray(`    Languages: ${metadata.languages.join(', ')}`));
+        log(chalk.gray(`    Languages: ${metadata.languages.join(', ')}`));
       }
-      console.log();
+      log();
     });
   }
   
-  const { action } = await inquirer.prompt([
+  const { action } = await prompt([
     {
       type: 'list',
       name: 'action',
@@ -161,15 +259,15 @@ async function showPluginBrowser() {
   
   if (action === 'new') {
     // Restart the wizard
-    await runWizard();
+    await runWizard(options);
   }
 }
 
-async function showGenerationSuccess(answers) {
+async function showGenerationSuccess(answers, outputPath) {
   const { registry } = await import('./plugins/index.js');
   
   console.log();
-  console.log(chalk.green('✅ Success! Created claude-kickstart.md'));
+  console.log(chalk.green(`✅ Success! Created ${outputPath}`));
   console.log();
   
   // Show project summary
@@ -196,7 +294,7 @@ async function showGenerationSuccess(answers) {
   console.log(chalk.gray('  3. ') + 'Watch Claude set up your project perfectly!');
   console.log();
   console.log(chalk.cyan('💡 Pro tips:'));
-  console.log(chalk.gray('  • ') + 'Reference @claude-kickstart.md anytime for project context');
+  console.log(chalk.gray('  • ') + `Reference @${outputPath} anytime for project context`);
   console.log(chalk.gray('  • ') + 'Use profile system to quickly recreate similar projects');
   console.log(chalk.gray('  • ') + 'Plugin system ensures your setup is always up-to-date');
   console.log();
@@ -0,0 +1,229 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import fsExtra from 'fs-extra';
+import { dirname, relative, resolve } from 'path';
+
+const { ensureDir, pathExists, readFile, writeFile } = fsExtra;
+
+export const DEFAULT_OUTPUT = 'claude-kickstart.md';
+
+const DIFF_CONTEXT = 3;
+
+export class OutputExistsError extends Error {
+  // path is a display path, or a list of them when several project files conflict
+  constructor(path) {
+    const paths = [].concat(path);
+    super(paths.length === 1
+      ? `${paths[0]} already exists. Use --force to overwrite it or --output to choose another path.`
+      : `${paths.join(', ')} already exist. Use --force to overwrite them.`);
+    this.name = 'OutputExistsError';
+    this.path = paths[0];
+    this.paths = paths;
+  }
+}
+
+export function getDisplayPath(target) {
+  return relative(process.cwd(), target) || target;
+}
+
+// Single write routine shared by the wizard, profiles and non-interactive generation
+export async function writeOutput(content, options = {}) {
+  if (options.stdout) {
+    process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    return { path: null, written: true };
+  }
+
+  const target = resolve(options.output || DEFAULT_OUTPUT);
+  const decision = await decideOutput(target, content, options);
+
+  return decision.write ? commitOutput(target, content, decision) : decision.result;
+}
+
+// Whether content may go to target: asks before replacing a different file when it can prompt,
+// and throws OutputExistsError when it can't. Nothing is written here.
+async function decideOutput(target, content, options) {
+  const displayPath = getDisplayPath(target);
+  const existed = await pathExists(target);
+
+  if (!options.force && existed) {
+    const existing = await readFile(target, 'utf8');
+
+    if (existing === content) {
+      return { write: false, result: { path: displayPath, written: false, unchanged: true } };
+    }
+
+    if (!canPrompt(options)) {
+      throw new OutputExistsError(displayPath);
+    }
+
+    console.log(chalk.yellow(`\n⚠️  ${displayPath} already exists. Changes:\n`));
+    console.log(formatDiff(diffLines(existing, content)));
+
+    const { overwrite } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'overwrite',
+        message: `Overwrite ${displayPath}?`,
+        default: false
+      }
+    ]);
+
+    if (!overwrite) {
+      return { write: false, result: { path: displayPath, written: false } };
+    }
+  }
+
+  return { write: true, displayPath, existed };
+}
+
+async function commitOutput(target, content, { displayPath, existed }) {
+  await ensureDir(dirname(target));
+  await writeFile(target, content);
+  return { path: displayPath, written: true, existed };
+}
+
+// Display paths of targets that exist with different content
+async function findOutputConflicts(targets) {
+  const conflicts = [];
+
+  for (const { target, content } of targets) {
+    if (await pathExists(target) && await readFile(target, 'utf8') !== content) {
+      conflicts.push(getDisplayPath(target));
+    }
+  }
+
+  return conflicts;
+}
+
+// Writes generated project files relative to a target directory and returns a manifest
+export async function writeProjectFiles(files, options = {}) {
+  if (options.stdout) {
+    throw new Error('--stdout cannot be combined with --project-files');
+  }
+
+  const targetDir = typeof options.projectFiles === 'string' ? options.projectFiles : '.';
+  const targets = files.map(file => ({ file, target: resolve(targetDir, file.path), content: file.content }));
+
+  // Every conflict is found before anything is written, so a refused run leaves the directory as it was
+  if (!options.force && !canPrompt(options)) {
+    const conflicts = await findOutputConflicts(targets);
+    if (conflicts.length > 0) throw new OutputExistsError(conflicts);
+  }
+
+  const decisions = [];
+  for (const { target, content } of targets) {
+    decisions.push(await decideOutput(target, content, options));
+  }
+
+  const manifest = [];
+  for (const [index, { file, target, content }] of targets.entries()) {
+    const decision = decisions[index];
+    const result = decision.write ? await commitOutput(target, content, decision) : decision.result;
+
+    manifest.push({
+      path: result.path,
+      description: file.description,
+      bytes: Buffer.byteLength(content),
+      status: getManifestStatus(result)
+    });
+  }
+
+  return manifest;
+}
+
+// Paths from a manifest that were created or overwritten
+export function getWrittenPaths(manifest) {
+  return manifest
+    .filter(entry => ['created', 'overwritten'].includes(entry.status))
+    .map(entry => entry.path);
+}
+
+function getManifestStatus(result) {
+  if (result.unchanged) return 'unchanged';
+  if (!result.written) return 'skipped';
+  return result.existed ? 'overwritten' : 'created';
+}
+
+export function printManifest(manifest, log = console.log) {
+  const icons = {
+    created: chalk.green('+'),
+    overwritten: chalk.yellow('~'),
+    unchanged: chalk.gray('='),
+    skipped: chalk.gray('-')
+  };
+
+  log(chalk.cyan('\n📄 Project files:'));
+  manifest.forEach(entry => {
+    const details = chalk.gray(`${entry.status}, ${entry.bytes} bytes${entry.description ? ` - ${entry.description}` : ''}`);
+    log(`  ${icons[entry.status]} ${entry.path} ${details}`);
+  });
+}
+
+function canPrompt(options) {
+  return options.interactive !== false && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+// Line-based diff using the longest common subsequence
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] });
+    } else {
+      changes.push({ type: 'added', line: b[j++] });
+    }
+  }
+
+  while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+
+  return changes;
+}
+
+export function formatDiff(changes, context = DIFF_CONTEXT) {
+  const visible = changes.map((change, index) =>
+    change.type !== 'same' ||
+    changes.slice(Math.max(0, index - context), index + context + 1).some(c => c.type !== 'same')
+  );
+
+  const lines = [];
+  let skipped = false;
+
+  changes.forEach((change, index) => {
+    if (!visible[index]) {
+      if (!skipped) lines.push(chalk.gray('  ...'));
+      skipped = true;
+      return;
+    }
+
+    skipped = false;
+    if (change.type === 'added') {
+      lines.push(chalk.green(`+ ${change.line}`));
+    } else if (change.type === 'removed') {
+      lines.push(chalk.red(`- ${change.line}`));
+    } else {
+      lines.push(chalk.gray(`  ${change.line}`));
+    }
+  });
+
+  return lines.join('\n');
+}
@@ -48,8 +48,9 @@ export class AngularPlugin extends BasePlugin {
       'typescript'
     ];
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const styling = this.getSelectedPlugin('styling', { stack: 'angular' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'jest') {
@@ -349,21 +350,6 @@ package.json`;
 html, body { height: 100%; }
 body { margin: 0; font-family: Roboto, "Helvetica Neue", sans-serif; }`
       });
-
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-module.exports = {
-  content: [
-    "./src/**/*.{html,ts}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-};`
-      });
     } else {
       files.push({
         name: 'src/styles.scss',
@@ -374,6 +360,11 @@ body { margin: 0; font-family: Roboto, "Helvetica Neue", sans-serif; }`
       });
     }
 
+    const styling = this.getSelectedPlugin('styling', { stack: 'angular' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
+    }
+
     return files;
   }
 
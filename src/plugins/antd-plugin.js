@@ -0,0 +1,74 @@
+import { ComponentLibraryPlugin } from './component-library-plugin.js';
+
+export class AntdPlugin extends ComponentLibraryPlugin {
+  static get metadata() {
+    return {
+      name: 'antd-plugin',
+      displayName: 'Ant Design',
+      category: 'ui',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🐜',
+      description: 'Enterprise-class UI design system for React, Vue and Angular'
+    };
+  }
+
+  getPackages() {
+    return {
+      react: { production: ['antd', '@ant-design/icons'] },
+      vue: { production: ['ant-design-vue', '@ant-design/icons-vue'] },
+      angular: { production: ['ng-zorro-antd'] }
+    };
+  }
+
+  getStackPackages() {
+    return {
+      'nextjs-app': { production: ['@ant-design/nextjs-registry'] }
+    };
+  }
+
+  getSetupFiles() {
+    if (this.getFramework() !== 'react') return [];
+
+    const appRouter = this.config.stack === 'nextjs-app';
+    const configProvider = `    <ConfigProvider theme={{ token: { colorPrimary: '#1677ff', borderRadius: 6 } }}>
+      {children}
+    </ConfigProvider>`;
+
+    // AntdRegistry extracts the CSS-in-JS styles during server rendering
+    return [
+      appRouter
+        ? this.providersFile(`import { AntdRegistry } from '@ant-design/nextjs-registry';
+import { ConfigProvider } from 'antd';`, `    <AntdRegistry>
+  ${configProvider.split('\n').join('\n  ')}
+    </AntdRegistry>`)
+        : this.providersFile("import { ConfigProvider } from 'antd';", configProvider)
+    ];
+  }
+
+  getGuidelines() {
+    const framework = this.getFramework();
+
+    if (framework === 'vue') {
+      return [
+        'Register components individually (`app.use(Button)`) or rely on unplugin-vue-components for tree shaking',
+        'Theme with design tokens through `<a-config-provider :theme>` instead of overriding Less variables',
+        'Use `a-form` with `rules` for validation rather than hand-rolled checks'
+      ];
+    }
+
+    if (framework === 'angular') {
+      return [
+        'Import standalone components from their entry points (`ng-zorro-antd/button`) in each component',
+        'Provide `provideNzI18n()` and icons in `app.config.ts`',
+        'Use reactive forms with `nz-form-control` error tips for validation'
+      ];
+    }
+
+    return [
+      'Wrap the app in `<Providers>` once at the root; theme through `ConfigProvider` tokens, not global CSS overrides',
+      'Use `App.useApp()` for `message`, `notification` and `modal` so they pick up the theme',
+      'Build forms with `Form` and `Form.Item` rules instead of managing field state by hand',
+      'Import icons individually from `@ant-design/icons` to keep bundles small'
+    ];
+  }
+}
@@ -0,0 +1,160 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+// Stacks that share an SDK with a wider family
+const STACK_FAMILIES = {
+  'nextjs-app': 'nextjs',
+  'nextjs-pages': 'nextjs',
+  't3': 'nextjs'
+};
+
+// Prefix that exposes an env var to browser code
+const PUBLIC_ENV_PREFIXES = {
+  'nextjs': 'NEXT_PUBLIC_',
+  'react': 'VITE_',
+  'vue': 'VITE_',
+  'vanilla': 'VITE_',
+  'svelte': 'PUBLIC_',
+  'mern': 'VITE_'
+};
+
+// Single-page apps without a server of their own never get server SDKs
+const CLIENT_ONLY_STACKS = ['react', 'vue', 'angular', 'vanilla'];
+
+/**
+ * Shared behaviour for authentication provider plugins.
+ *
+ * Subclasses list their SDKs in getSDKs(), keyed by stack id, stack family
+ * ('nextjs'), UI framework or runtime. The most specific key wins, so Clerk
+ * can map 'nextjs' to @clerk/nextjs and fall back to 'node' for other servers.
+ * Stack plugins ask for the packages that fit them:
+ *
+ *   this.getSelectedPlugin('authentication')?.getSDKDependencies().production
+ */
+export class AuthPlugin extends CategoryPlugin {
+  // { key: { production: [], development: [], types: [] } }
+  getSDKs() {
+    return {};
+  }
+
+  // [{ name, example, description }]
+  getEnvVars() {
+    return [];
+  }
+
+  // Middleware, route guards and client setup for the stack
+  getAuthFiles() {
+    return [];
+  }
+
+  // Markdown describing where sessions live and how they are verified
+  getSessionModel() {
+    return '';
+  }
+
+  getStackFamily() {
+    return STACK_FAMILIES[this.config.stack] || this.config.stack;
+  }
+
+  isClientOnlyStack() {
+    return CLIENT_ONLY_STACKS.includes(this.config.stack);
+  }
+
+  getSDK() {
+    const sdks = this.getSDKs();
+    const keys = [this.config.stack, this.getStackFamily(), this.getFramework()];
+    if (!this.isClientOnlyStack()) {
+      keys.push(this.getRuntime());
+    }
+
+    const key = keys.find(candidate => candidate && sdks[candidate]);
+    return key ? sdks[key] : null;
+  }
+
+  // Providers without an SDK for the stack can't set it up
+  getConflicts() {
+    const stack = this.getStackMetadata();
+    if (!stack || this.getSDK()) return [];
+
+    return [{
+      plugins: [stack.name],
+      reason: `${this.constructor.metadata.displayName} has no SDK for ${stack.displayName}`
+    }];
+  }
+
+  getSDKDependencies() {
+    const sdk = this.getSDK();
+
+    if (!sdk) {
+      return { production: [], development: [] };
+    }
+
+    const development = [...(sdk.development || [])];
+    if (this.getLanguage() === 'TypeScript' && sdk.types) {
+      development.push(...sdk.types);
+    }
+
+    return {
+      production: [...(sdk.production || [])],
+      development
+    };
+  }
+
+  getPublicEnvPrefix() {
+    return PUBLIC_ENV_PREFIXES[this.getStackFamily()] || '';
+  }
+
+  getDependencies() {
+    return this.getSDKDependencies();
+  }
+
+  getConfigFiles() {
+    return this.getAuthFiles();
+  }
+
+  getMarkdownSections() {
+    const { displayName } = this.constructor.metadata;
+    const envVars = this.getEnvVars();
+    const files = this.getAuthFiles();
+
+    let content = this.getSessionModel();
+
+    if (envVars.length > 0) {
+      content += `
+
+### Environment Variables
+| Variable | Example | Purpose |
+|----------|---------|---------|
+${envVars.map(v => `| \`${v.name}\` | \`${v.example}\` | ${v.description} |`).join('\n')}`;
+    }
+
+    if (files.length > 0) {
+      content += `
+
+### Auth Files
+${files.map(file => `- \`${file.name}\``).join('\n')}`;
+    }
+
+    if (!this.getSDK()) {
+      content += `
+
+> **Note:** No ${displayName} package is added for this stack. Verify tokens in your own middleware or in the API this app calls.`;
+    }
+
+    return [{ title: `🔐 Authentication with ${displayName}`, content }];
+  }
+
+  getSupportedFeatures() {
+    return ['authentication'];
+  }
+
+  getTemplateVariables() {
+    return {
+      hasAuthentication: true,
+      authEnvVars: this.getEnvVars().map(v => v.name)
+    };
+  }
+
+  getSourceLanguage() {
+    return this.getLanguageExtension() === 'ts' ? 'typescript' : 'javascript';
+  }
+}
@@ -0,0 +1,162 @@
+import { AuthPlugin } from './auth-plugin.js';
+
+export class Auth0Plugin extends AuthPlugin {
+  static get metadata() {
+    return {
+      name: 'auth0-plugin',
+      displayName: 'Auth0',
+      category: 'auth',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🛡️',
+      description: 'Hosted identity platform with OAuth 2.0 and OpenID Connect'
+    };
+  }
+
+  getSDKs() {
+    return {
+      nextjs: { production: ['@auth0/nextjs-auth0'] },
+      mern: { production: ['@auth0/auth0-react', 'express-oauth2-jwt-bearer'] },
+      react: { production: ['@auth0/auth0-react'] },
+      vue: { production: ['@auth0/auth0-vue'] },
+      angular: { production: ['@auth0/auth0-angular'] },
+      vanilla: { production: ['@auth0/auth0-spa-js'] },
+      node: { production: ['express-oauth2-jwt-bearer'] },
+      django: { production: ['authlib', 'pyjwt[crypto]'] },
+      python: { production: ['pyjwt[crypto]'] },
+      go: { production: ['github.com/auth0/go-jwt-middleware/v2'] },
+      ruby: { production: ['omniauth-auth0', 'omniauth-rails_csrf_protection'] }
+    };
+  }
+
+  getEnvVars() {
+    const prefix = this.getPublicEnvPrefix();
+
+    if (this.getStackFamily() === 'nextjs') {
+      return [
+        { name: 'AUTH0_DOMAIN', example: 'your-tenant.us.auth0.com', description: 'Auth0 tenant domain' },
+        { name: 'AUTH0_CLIENT_ID', example: 'your-client-id', description: 'Regular Web Application client id' },
+        { name: 'AUTH0_CLIENT_SECRET', example: 'your-client-secret', description: 'Server-only client secret' },
+        { name: 'AUTH0_SECRET', example: 'generate-with-openssl-rand-hex-32', description: 'Key that encrypts the session cookie' },
+        { name: 'APP_BASE_URL', example: 'http://localhost:3000', description: 'Base URL for callback and logout redirects' }
+      ];
+    }
+
+    if (this.isClientOnlyStack()) {
+      return [
+        { name: `${prefix}AUTH0_DOMAIN`, example: 'your-tenant.us.auth0.com', description: 'Auth0 tenant domain' },
+        { name: `${prefix}AUTH0_CLIENT_ID`, example: 'your-client-id', description: 'Single Page Application client id' },
+        { name: `${prefix}AUTH0_AUDIENCE`, example: 'https://api.example.com', description: 'API identifier to request access tokens for' }
+      ];
+    }
+
+    return [
+      { name: 'AUTH0_DOMAIN', example: 'your-tenant.us.auth0.com', description: 'Auth0 tenant domain used to fetch signing keys' },
+      { name: 'AUTH0_AUDIENCE', example: 'https://api.example.com', description: 'API identifier that access tokens must be issued for' }
+    ];
+  }
+
+  getAuthFiles() {
+    const stack = this.config.stack;
+    const ext = this.getLanguageExtension();
+
+    if (this.getStackFamily() === 'nextjs') {
+      return [
+        {
+          name: 'src/lib/auth0.ts',
+          language: 'typescript',
+          content: `import { Auth0Client } from '@auth0/nextjs-auth0/server';
+
+// Reads AUTH0_DOMAIN, AUTH0_CLIENT_ID, AUTH0_CLIENT_SECRET, AUTH0_SECRET and APP_BASE_URL
+export const auth0 = new Auth0Client();`
+        },
+        {
+          name: 'src/middleware.ts',
+          language: 'typescript',
+          content: `import type { NextRequest } from 'next/server';
+import { auth0 } from './lib/auth0';
+
+// Mounts /auth/login, /auth/logout and /auth/callback and rolls the session cookie
+export async function middleware(request: NextRequest) {
+  return auth0.middleware(request);
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|_next/image|favicon.ico|sitemap.xml|robots.txt).*)']
+};`
+        }
+      ];
+    }
+
+    if (stack === 'express' || stack === 'mern') {
+      const dir = stack === 'mern' ? 'server/middleware' : 'src/middleware';
+      return [{
+        name: `${dir}/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { auth, requiredScopes } from 'express-oauth2-jwt-bearer';
+
+// Validates the access token's signature, issuer, audience and expiry
+export const requireAuth = auth({
+  issuerBaseURL: \`https://\${process.env.AUTH0_DOMAIN}/\`,
+  audience: process.env.AUTH0_AUDIENCE
+});
+
+export { requiredScopes };`
+      }];
+    }
+
+    if (stack === 'fastapi') {
+      return [{
+        name: 'app/core/auth.py',
+        language: 'python',
+        content: `import os
+
+import jwt
+from fastapi import Depends, HTTPException, status
+from fastapi.security import HTTPAuthorizationCredentials, HTTPBearer
+
+DOMAIN = os.environ["AUTH0_DOMAIN"]
+AUDIENCE = os.environ["AUTH0_AUDIENCE"]
+
+jwks_client = jwt.PyJWKClient(f"https://{DOMAIN}/.well-known/jwks.json")
+bearer = HTTPBearer()
+
+
+def require_user(credentials: HTTPAuthorizationCredentials = Depends(bearer)) -> dict:
+    try:
+        key = jwks_client.get_signing_key_from_jwt(credentials.credentials).key
+        return jwt.decode(
+            credentials.credentials,
+            key,
+            algorithms=["RS256"],
+            audience=AUDIENCE,
+            issuer=f"https://{DOMAIN}/",
+        )
+    except jwt.PyJWTError:
+        raise HTTPException(status_code=status.HTTP_401_UNAUTHORIZED)`
+      }];
+    }
+
+    return [];
+  }
+
+  getSessionModel() {
+    if (this.getStackFamily() === 'nextjs') {
+      return `Auth0 runs the login through Universal Login. The Next.js SDK stores the session in an encrypted, httpOnly cookie signed with \`AUTH0_SECRET\` and refreshes tokens on the server. Call \`auth0.getSession()\` in server components and route handlers to read the user.`;
+    }
+
+    if (this.isClientOnlyStack()) {
+      return `Auth0 runs the login through Universal Login with Authorization Code + PKCE. The SPA SDK keeps tokens in memory and silently renews them, then sends the access token as a Bearer header to your API, which must validate it.`;
+    }
+
+    return `Auth0 issues RS256 access tokens to your frontend. This API is stateless: every request carries a Bearer token that is checked against the tenant's JWKS, the \`AUTH0_AUDIENCE\` and the issuer before the handler runs. Use scopes or permissions claims for authorization.`;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Validate issuer, audience, expiry and the RS256 signature on every access token',
+      'Use Authorization Code + PKCE for browser apps - never the implicit flow',
+      'Keep AUTH0_CLIENT_SECRET and AUTH0_SECRET server-side and out of client bundles',
+      'Register exact callback and logout URLs in the Auth0 dashboard, no wildcards'
+    ];
+  }
+}
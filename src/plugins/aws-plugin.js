@@ -0,0 +1,172 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class AWSPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'aws-plugin',
+      displayName: 'AWS',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '☁️',
+      description: 'CloudFormation starter for App Runner services or S3 and CloudFront sites'
+    };
+  }
+
+  static get container() {
+    return true;
+  }
+
+  // Static sites are uploaded to S3, so they skip the container image
+  getConfigFiles() {
+    return this.getTarget().static ? this.getPlatformFiles() : super.getConfigFiles();
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+
+    return [{
+      name: 'infra/aws/template.yaml',
+      language: 'yaml',
+      content: target.static ? this.staticSiteTemplate() : this.appRunnerTemplate(target)
+    }];
+  }
+
+  getDeployCommands() {
+    const target = this.getTarget();
+    const stack = this.getAppName();
+
+    if (target.static) {
+      return {
+        deployInfra: `aws cloudformation deploy --template-file infra/aws/template.yaml --stack-name ${stack}`,
+        deploy: `${target.build} && aws s3 sync ${target.output} s3://$BUCKET_NAME --delete`
+      };
+    }
+
+    return {
+      dockerBuild: `docker build -t ${stack} .`,
+      dockerPush: `docker tag ${stack} $ECR_REPOSITORY:latest && docker push $ECR_REPOSITORY:latest`,
+      deploy: `aws cloudformation deploy --template-file infra/aws/template.yaml --stack-name ${stack} --parameter-overrides ImageUri=$ECR_REPOSITORY:latest --capabilities CAPABILITY_IAM`
+    };
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Deploy with a least-privilege IAM role instead of root or administrator credentials',
+      'Keep secrets in AWS Secrets Manager or SSM Parameter Store, not in the template or image',
+      'Keep S3 buckets private and serve content only through CloudFront'
+    ];
+  }
+
+  appRunnerTemplate(target) {
+    return `AWSTemplateFormatVersion: '2010-09-09'
+Description: App Runner service for ${this.getAppName()}
+
+Parameters:
+  ImageUri:
+    Type: String
+    Description: ECR image URI, for example 123456789012.dkr.ecr.us-east-1.amazonaws.com/${this.getAppName()}:latest
+
+Resources:
+  AccessRole:
+    Type: AWS::IAM::Role
+    Properties:
+      AssumeRolePolicyDocument:
+        Version: '2012-10-17'
+        Statement:
+          - Effect: Allow
+            Principal:
+              Service: build.apprunner.amazonaws.com
+            Action: sts:AssumeRole
+      ManagedPolicyArns:
+        - arn:aws:iam::aws:policy/service-role/AWSAppRunnerServicePolicyForECRAccess
+
+  Service:
+    Type: AWS::AppRunner::Service
+    Properties:
+      ServiceName: ${this.getAppName()}
+      SourceConfiguration:
+        AuthenticationConfiguration:
+          AccessRoleArn: !GetAtt AccessRole.Arn
+        AutoDeploymentsEnabled: true
+        ImageRepository:
+          ImageIdentifier: !Ref ImageUri
+          ImageRepositoryType: ECR
+          ImageConfiguration:
+            Port: '${target.port}'
+      HealthCheckConfiguration:
+        Protocol: HTTP
+        Path: ${target.healthCheck}
+
+Outputs:
+  ServiceUrl:
+    Value: !Sub https://\${Service.ServiceUrl}`;
+  }
+
+  staticSiteTemplate() {
+    return `AWSTemplateFormatVersion: '2010-09-09'
+Description: S3 and CloudFront hosting for ${this.getAppName()}
+
+Resources:
+  SiteBucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      PublicAccessBlockConfiguration:
+        BlockPublicAcls: true
+        BlockPublicPolicy: true
+        IgnorePublicAcls: true
+        RestrictPublicBuckets: true
+
+  OriginAccessControl:
+    Type: AWS::CloudFront::OriginAccessControl
+    Properties:
+      OriginAccessControlConfig:
+        Name: !Sub \${AWS::StackName}-oac
+        OriginAccessControlOriginType: s3
+        SigningBehavior: always
+        SigningProtocol: sigv4
+
+  Distribution:
+    Type: AWS::CloudFront::Distribution
+    Properties:
+      DistributionConfig:
+        Enabled: true
+        DefaultRootObject: index.html
+        Origins:
+          - Id: site
+            DomainName: !GetAtt SiteBucket.RegionalDomainName
+            OriginAccessControlId: !GetAtt OriginAccessControl.Id
+            S3OriginConfig:
+              OriginAccessIdentity: ''
+        DefaultCacheBehavior:
+          TargetOriginId: site
+          ViewerProtocolPolicy: redirect-to-https
+          CachePolicyId: 658327ea-f89d-4fab-a63d-7e88639e58f6
+          ResponseHeadersPolicyId: 67f7725c-6f97-4210-82d7-5512b31e9d03
+        # Single-page apps handle routing in the browser
+        CustomErrorResponses:
+          - ErrorCode: 403
+            ResponseCode: 200
+            ResponsePagePath: /index.html
+
+  SiteBucketPolicy:
+    Type: AWS::S3::BucketPolicy
+    Properties:
+      Bucket: !Ref SiteBucket
+      PolicyDocument:
+        Statement:
+          - Effect: Allow
+            Principal:
+              Service: cloudfront.amazonaws.com
+            Action: s3:GetObject
+            Resource: !Sub \${SiteBucket.Arn}/*
+            Condition:
+              StringEquals:
+                AWS:SourceArn: !Sub arn:aws:cloudfront::\${AWS::AccountId}:distribution/\${Distribution}
+
+Outputs:
+  BucketName:
+    Value: !Ref SiteBucket
+  SiteUrl:
+    Value: !Sub https://\${Distribution.DomainName}`;
+  }
+}
@@ -1,3 +1,7 @@
+import { validator } from '../config/schema.js';
+import { getPluginRelations, registry } from './registry.js';
+import { mergeDependencies, mergeFiles, mergeLists, mergeSections, mountFiles } from './composition.js';
+
 export class BasePlugin {
   static get metadata() {
     throw new Error('Plugin must implement static metadata getter');
@@ -14,6 +18,11 @@ export class BasePlugin {
     };
   }
 
+  // Template helpers this plugin adds, as { name: (...args, context) => value }
+  static get helpers() {
+    return {};
+  }
+
   constructor(config = {}) {
     this.config = config;
     this.validateConfig();
@@ -22,21 +31,49 @@ export class BasePlugin {
   validateConfig() {
     const schema = this.getConfigSchema();
     if (schema && !this.isValidConfig(this.config, schema)) {
-      throw new Error(`Invalid configuration for plugin ${this.constructor.metadata.name}`);
+      const errors = validator.validateSchema(this.config, schema);
+      throw new Error(`Invalid configuration for plugin ${this.constructor.metadata.name}: ${errors.join('; ')}`);
     }
   }
 
   isValidConfig(config, schema) {
-    // Basic validation - can be extended
-    return true;
+    return validator.validateSchema(config, schema).length === 0;
+  }
+
+  /**
+   * Instances of the plugins named in metadata.extends and metadata.composes, as { plugin, path }.
+   * The default getters below merge their output, so a composite only overrides what differs.
+   */
+  getComposedPlugins() {
+    // BasePlugin on its own has no metadata to read relations from
+    if (this.constructor === BasePlugin) return [];
+
+    if (!this.composedPlugins) {
+      const relations = getPluginRelations(this.constructor.metadata);
+      // Throws on unknown plugins and dependency cycles before anything is instantiated
+      registry.resolveDependencies([this.constructor]);
+
+      this.composedPlugins = [...relations.extends, ...relations.composes].map(({ id, PluginClass = registry.get(id), path }) => {
+        const config = PluginClass.metadata.category === 'stack' ? { ...this.config, stack: id } : this.config;
+        return { plugin: new PluginClass(config), path };
+      });
+    }
+    return this.composedPlugins;
+  }
+
+  /**
+   * Instance of the registered plugin a category answer selects, e.g. getSelectedPlugin('database'),
+   * or null. Stack plugins reuse its dependencies and files instead of copying them; pass `stack`
+   * for output specific to a stack other than config.stack, and `config` to fill in defaults.
+   */
+  getSelectedPlugin(field, { stack = this.config.stack, config = this.config } = {}) {
+    const PluginClass = config[field] && registry.get(`${config[field]}-plugin`);
+    return PluginClass ? new PluginClass({ ...config, stack }) : null;
   }
 
   // Core plugin methods that must be implemented
   getDependencies() {
-    return {
-      production: [],
-      development: []
-    };
+    return mergeDependencies(...this.getComposedPlugins().map(({ plugin }) => plugin.getDependencies()));
   }
 
   getDevDependencies() {
@@ -48,16 +85,22 @@ export class BasePlugin {
   }
 
   getConfigFiles() {
-    return [];
+    return mergeFiles(...this.getComposedPlugins().map(({ plugin, path }) => mountFiles(plugin.getConfigFiles(), path)));
   }
 
+  // Directory getConfigFiles() names are relative to; null for the project root
+  getMountPath() {
+    return null;
+  }
+
+  // Options this plugin reads from the config, as { properties: { field: { type, enum } } }
   getConfigSchema() {
     return null;
   }
 
   // Template and content generation
   getMarkdownSections() {
-    return [];
+    return mergeSections(...this.getComposedPlugins().map(({ plugin }) => plugin.getMarkdownSections()));
   }
 
   getQuestions() {
@@ -65,21 +108,26 @@ export class BasePlugin {
   }
 
   getCommands() {
-    return {
+    return Object.assign({
       dev: 'npm run dev',
       build: 'npm run build',
       test: 'npm test',
       lint: 'npm run lint'
-    };
+    }, ...this.getComposedPlugins().map(({ plugin }) => plugin.getCommands()));
   }
 
-  // Lifecycle hooks
+  // Lifecycle hooks, called in plugin selection order
   async beforeGeneration(config) {
-    // Override in subclasses
+    // Runs before any plugin data is gathered
   }
 
-  async afterGeneration(config) {
-    // Override in subclasses
+  // Returns the rendered markdown, optionally rewritten or annotated
+  async transformOutput(markdown, context) {
+    return markdown;
+  }
+
+  async afterGeneration(config, result) {
+    // Runs after writing; result is { output, files } with the final markdown and written paths
   }
 
   // Utility methods
@@ -89,7 +137,7 @@ export class BasePlugin {
   }
 
   getSupportedFeatures() {
-    return [];
+    return mergeLists(...this.getComposedPlugins().map(({ plugin }) => plugin.getSupportedFeatures()));
   }
 
   getLanguageExtension() {
@@ -101,18 +149,19 @@ export class BasePlugin {
     return true;
   }
 
+  // [{ plugins: [pluginName], reason }] - selected plugins this one can't work with, and why
   getConflicts() {
     return [];
   }
 
   // Template variables this plugin provides
   getTemplateVariables() {
-    return {};
+    return Object.assign({}, ...this.getComposedPlugins().map(({ plugin }) => plugin.getTemplateVariables()));
   }
 
   // Security configurations
   getSecurityGuidelines() {
-    return [];
+    return mergeLists(...this.getComposedPlugins().map(({ plugin }) => plugin.getSecurityGuidelines()));
   }
 
   // Testing configurations
@@ -0,0 +1,85 @@
+import { BasePlugin } from './base-plugin.js';
+import { registry } from './registry.js';
+
+const RUNTIMES = {
+  'TypeScript': 'node',
+  'JavaScript': 'node',
+  'Python': 'python',
+  'Go': 'go',
+  'Ruby': 'ruby'
+};
+
+// UI framework behind each stack, for plugins with framework-specific output
+const FRAMEWORKS = {
+  'nextjs-app': 'react',
+  'nextjs-pages': 'react',
+  'react': 'react',
+  'remix': 'react',
+  't3': 'react',
+  'mern': 'react',
+  'vue': 'vue',
+  'svelte': 'svelte',
+  'angular': 'angular',
+  'mean': 'angular',
+  'vanilla': 'vanilla'
+};
+
+const EXEC_COMMANDS = {
+  'npm': 'npx',
+  'yarn': 'yarn',
+  'pnpm': 'pnpm exec',
+  'bun': 'bunx'
+};
+
+// Base for plugins selected by a config answer (database, testing, ...) rather than
+// as the project stack. They adapt their output to the stack the user picked.
+export class CategoryPlugin extends BasePlugin {
+  static get requirements() {
+    return {};
+  }
+
+  getStackMetadata() {
+    const StackPlugin = this.config.stack && registry.get(this.config.stack);
+    return StackPlugin?.metadata || null;
+  }
+
+  getStackCommands() {
+    const StackPlugin = this.config.stack && registry.get(this.config.stack);
+    return StackPlugin ? new StackPlugin(this.config).getCommands() : {};
+  }
+
+  getLanguage() {
+    return this.config.language || this.getStackMetadata()?.languages?.[0];
+  }
+
+  getRuntime() {
+    return RUNTIMES[this.getLanguage()] || null;
+  }
+
+  getFramework() {
+    return FRAMEWORKS[this.config.stack] || null;
+  }
+
+  isReactStack() {
+    return this.getFramework() === 'react';
+  }
+
+  getLanguageExtension() {
+    return this.getLanguage() === 'TypeScript' ? 'ts' : 'js';
+  }
+
+  // Sub-app a composite stack puts this category's files in, from its metadata.categoryPaths
+  getMountPath() {
+    return this.getStackMetadata()?.categoryPaths?.[this.constructor.metadata.category] || null;
+  }
+
+  // Stack plugins own the dev/build/lint commands
+  getCommands() {
+    return {};
+  }
+
+  // Runs a locally installed binary with the configured package manager
+  exec(command) {
+    return `${EXEC_COMMANDS[this.config.packageManager] || 'npx'} ${command}`;
+  }
+}
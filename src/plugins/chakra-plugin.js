@@ -0,0 +1,57 @@
+import { ComponentLibraryPlugin } from './component-library-plugin.js';
+
+export class ChakraPlugin extends ComponentLibraryPlugin {
+  static get metadata() {
+    return {
+      name: 'chakra-plugin',
+      displayName: 'Chakra UI',
+      category: 'ui',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '⚡',
+      description: 'Accessible, composable React components with style props'
+    };
+  }
+
+  getPackages() {
+    return {
+      react: { production: ['@chakra-ui/react', '@emotion/react'] }
+    };
+  }
+
+  getSetupFiles() {
+    return [
+      {
+        name: `${this.getSourceDir()}/theme.${this.getLanguageExtension()}`,
+        language: this.getSourceLanguage(),
+        content: `import { createSystem, defaultConfig, defineConfig } from '@chakra-ui/react';
+
+const config = defineConfig({
+  theme: {
+    tokens: {
+      fonts: {
+        heading: { value: 'Inter, sans-serif' },
+        body: { value: 'Inter, sans-serif' }
+      }
+    }
+  }
+});
+
+export const system = createSystem(defaultConfig, config);`
+      },
+      this.providersFile(`import { ChakraProvider } from '@chakra-ui/react';
+import { system } from '../theme';`, `    <ChakraProvider value={system}>
+      {children}
+    </ChakraProvider>`)
+    ];
+  }
+
+  getGuidelines() {
+    return [
+      'Wrap the app in `<Providers>` once at the root so every component reads the system',
+      'Add tokens and recipes to the system config instead of hard-coding values in style props',
+      'Use style props for layout (`Stack`, `Flex`, `gap`) and recipes for reusable component variants',
+      'Run `npx @chakra-ui/cli snippet add` for ready-made composed components such as color mode',
+      'Compose with the compound component APIs (`Dialog.Root`, `Dialog.Content`) to keep accessibility intact'
+    ];
+  }
+}
@@ -0,0 +1,130 @@
+import { AuthPlugin } from './auth-plugin.js';
+
+export class ClerkPlugin extends AuthPlugin {
+  static get metadata() {
+    return {
+      name: 'clerk-plugin',
+      displayName: 'Clerk',
+      category: 'auth',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🔐',
+      description: 'Hosted user management with prebuilt sign-in components'
+    };
+  }
+
+  getSDKs() {
+    return {
+      nextjs: { production: ['@clerk/nextjs'] },
+      remix: { production: ['@clerk/remix'] },
+      react: { production: ['@clerk/clerk-react'] },
+      vue: { production: ['@clerk/vue'] },
+      fastify: { production: ['@clerk/fastify'] },
+      node: { production: ['@clerk/express'] },
+      python: { production: ['clerk-backend-api'] },
+      go: { production: ['github.com/clerk/clerk-sdk-go/v2'] },
+      ruby: { production: ['clerk-sdk-ruby'] }
+    };
+  }
+
+  getEnvVars() {
+    const prefix = this.getPublicEnvPrefix();
+    const envVars = [
+      {
+        name: `${prefix}CLERK_PUBLISHABLE_KEY`,
+        example: 'pk_test_...',
+        description: 'Publishable key for the frontend SDK'
+      }
+    ];
+
+    if (!this.isClientOnlyStack()) {
+      envVars.push({
+        name: 'CLERK_SECRET_KEY',
+        example: 'sk_test_...',
+        description: 'Server-only key for verifying sessions and calling the Backend API'
+      });
+    }
+
+    return envVars;
+  }
+
+  getAuthFiles() {
+    const stack = this.config.stack;
+    const ext = this.getLanguageExtension();
+
+    if (stack === 'nextjs-app' || stack === 'nextjs-pages' || stack === 't3') {
+      return [{
+        name: 'src/middleware.ts',
+        language: 'typescript',
+        content: `import { clerkMiddleware, createRouteMatcher } from '@clerk/nextjs/server';
+
+const isProtectedRoute = createRouteMatcher(['/dashboard(.*)']);
+
+export default clerkMiddleware(async (auth, req) => {
+  if (isProtectedRoute(req)) await auth.protect();
+});
+
+export const config = {
+  matcher: [
+    // Skip Next.js internals and static files
+    '/((?!_next|[^?]*\\\\.(?:html?|css|js(?!on)|jpe?g|webp|png|gif|svg|ttf|woff2?|ico|csv|docx?|xlsx?|zip|webmanifest)).*)',
+    '/(api|trpc)(.*)'
+  ]
+};`
+      }];
+    }
+
+    if (stack === 'express') {
+      return [{
+        name: `src/middleware/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { clerkMiddleware, requireAuth } from '@clerk/express';
+
+// Reads the session token from the __session cookie or Authorization header
+export const withAuth = clerkMiddleware();
+
+// Responds 401 for signed-out requests
+export const protect = requireAuth();`
+      }];
+    }
+
+    if (stack === 'fastapi') {
+      return [{
+        name: 'app/core/auth.py',
+        language: 'python',
+        content: `import os
+
+from clerk_backend_api import Clerk
+from clerk_backend_api.jwks_helpers import AuthenticateRequestOptions
+from fastapi import HTTPException, Request, status
+
+clerk = Clerk(bearer_auth=os.environ["CLERK_SECRET_KEY"])
+
+
+def require_user(request: Request) -> str:
+    state = clerk.authenticate_request(request, AuthenticateRequestOptions())
+    if not state.is_signed_in:
+        raise HTTPException(status_code=status.HTTP_401_UNAUTHORIZED)
+    return state.payload["sub"]`
+      }];
+    }
+
+    return [];
+  }
+
+  getSessionModel() {
+    return `Clerk hosts users and sessions. The frontend SDK keeps a long-lived session on Clerk's domain and refreshes a short-lived session token (60 seconds) in the \`__session\` cookie. Servers verify that token locally against Clerk's JWKS, so no request to Clerk is needed per call.
+
+- Wrap the app in \`<ClerkProvider>\` and use \`<SignIn />\`, \`<UserButton />\` and \`useUser()\` on the client
+- Read the user id from \`auth()\` (or the SDK equivalent) on the server - never trust a user id sent by the client
+- Sync users into your own database with Clerk webhooks when you need foreign keys`;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Keep CLERK_SECRET_KEY server-side - only the publishable key may reach the browser',
+      'Protect routes in middleware and check auth() again in server actions and API handlers',
+      'Verify Clerk webhook signatures (svix) before trusting webhook payloads',
+      'Restrict allowed origins and redirect URLs in the Clerk dashboard'
+    ];
+  }
+}
@@ -0,0 +1,142 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+const FRAMEWORK_LABELS = {
+  'react': 'React',
+  'vue': 'Vue',
+  'svelte': 'Svelte',
+  'angular': 'Angular',
+  'vanilla': 'vanilla JavaScript'
+};
+
+// Where application source lives for stacks that don't use src/
+const SOURCE_DIRS = {
+  'remix': 'app',
+  'mern': 'client/src'
+};
+
+/**
+ * Shared behaviour for component library plugins.
+ *
+ * Subclasses list their packages per UI framework in getPackages(). A library
+ * only adds packages and setup files when the selected stack's framework is
+ * listed there; otherwise getConflicts() explains why, which the config
+ * validator and the wizard report.
+ */
+export class ComponentLibraryPlugin extends CategoryPlugin {
+  // { framework: { production: [], development: [] } }
+  getPackages() {
+    return {};
+  }
+
+  // Extra packages for specific stacks, such as SSR helpers for the App Router
+  getStackPackages() {
+    return {};
+  }
+
+  // Theme and provider files
+  getSetupFiles() {
+    return [];
+  }
+
+  // Bullet points for the UI guidelines section
+  getGuidelines() {
+    return [];
+  }
+
+  isSupported() {
+    return Boolean(this.getPackages()[this.getFramework()]);
+  }
+
+  getConflicts() {
+    const framework = this.getFramework();
+    if (!framework || this.isSupported()) return [];
+
+    const { displayName } = this.constructor.metadata;
+    const supported = Object.keys(this.getPackages()).map(key => FRAMEWORK_LABELS[key] || key);
+    return [{
+      plugins: [this.config.stack],
+      reason: `${displayName} does not support ${FRAMEWORK_LABELS[framework] || framework} (supported: ${supported.join(', ')})`
+    }];
+  }
+
+  getCompatibilityWarnings() {
+    return this.getConflicts().map(conflict => conflict.reason);
+  }
+
+  getDependencies() {
+    if (!this.isSupported()) {
+      return { production: [], development: [] };
+    }
+
+    const packages = this.getPackages()[this.getFramework()];
+    const extra = this.getStackPackages()[this.config.stack] || {};
+
+    return {
+      production: [...(packages.production || []), ...(extra.production || [])],
+      development: [...(packages.development || []), ...(extra.development || [])]
+    };
+  }
+
+  getConfigFiles() {
+    return this.isSupported() ? this.getSetupFiles() : [];
+  }
+
+  getUIGuidelines() {
+    if (!this.isSupported()) return '';
+
+    const { displayName } = this.constructor.metadata;
+    return `### ${displayName}
+${this.getGuidelines().map(guideline => `- ${guideline}`).join('\n')}`;
+  }
+
+  getMarkdownSections() {
+    const files = this.getConfigFiles();
+    if (files.length === 0) return [];
+
+    const { displayName } = this.constructor.metadata;
+    return [{
+      title: `🧩 ${displayName} Setup`,
+      content: `These files wire ${displayName} into the app:
+${files.map(file => `- \`${file.name}\``).join('\n')}`
+    }];
+  }
+
+  getSupportedFeatures() {
+    return ['component-library'];
+  }
+
+  getSourceDir() {
+    return SOURCE_DIRS[this.config.stack] || 'src';
+  }
+
+  getComponentExtension() {
+    return `${this.getLanguageExtension()}x`;
+  }
+
+  getSourceLanguage() {
+    return this.getLanguageExtension() === 'ts' ? 'typescript' : 'javascript';
+  }
+
+  // React context providers must be client components in the App Router
+  getClientDirective() {
+    return this.config.stack === 'nextjs-app' ? "'use client';\n\n" : '';
+  }
+
+  // Wraps the app in the library's React providers; render <Providers> in the root layout
+  providersFile(imports, tree) {
+    const ts = this.getLanguageExtension() === 'ts';
+
+    return {
+      name: `${this.getSourceDir()}/components/providers.${this.getComponentExtension()}`,
+      language: this.getSourceLanguage(),
+      content: `${this.getClientDirective()}${imports}${ts ? `
+import type { ReactNode } from 'react';` : ''}
+
+export function Providers({ children }${ts ? ': { children: ReactNode }' : ''}) {
+  return (
+${tree}
+  );
+}`
+    };
+  }
+}
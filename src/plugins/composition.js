@@ -0,0 +1,49 @@
+// Merge rules for combining plugin outputs. Later parts override earlier ones,
+// and merged entries keep the position they first appeared in.
+
+export function mergeLists(...lists) {
+  return [...new Set(lists.flat())];
+}
+
+export function mergeDependencies(...parts) {
+  return {
+    production: mergeLists(...parts.map(part => part.production || [])),
+    development: mergeLists(...parts.map(part => part.development || []))
+  };
+}
+
+function mergeByKey(key, lists) {
+  const merged = new Map();
+  for (const item of lists.flat()) {
+    merged.set(item[key], item);
+  }
+  return [...merged.values()];
+}
+
+// Config files are matched by name
+export function mergeFiles(...lists) {
+  return mergeByKey('name', lists);
+}
+
+// Markdown sections are matched by title
+export function mergeSections(...lists) {
+  return mergeByKey('title', lists);
+}
+
+// Moves a composed plugin's files into the directory it was mounted at
+export function mountFiles(files, path) {
+  return path ? files.map(file => ({ ...file, name: `${path}/${file.name}` })) : files;
+}
+
+// Replaces every block of a .env file (lines between blank lines) that sets one of `names` with
+// `block`, at the first replaced block's position or at the end. Stacks group each service's
+// variables under one comment, so the whole block goes
+export function mergeEnvFile(content, names, block) {
+  const blocks = content.split(/\n\s*\n/);
+  const isReplaced = lines => lines.split('\n').some(line => names.includes(line.split('=')[0].trim()));
+  const position = blocks.findIndex(isReplaced);
+  const kept = blocks.filter(lines => !isReplaced(lines));
+
+  kept.splice(position === -1 ? kept.length : position, 0, block);
+  return kept.join('\n\n');
+}
@@ -0,0 +1,85 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+export class CSSModulesPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'css-modules-plugin',
+      displayName: 'CSS Modules',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '📦',
+      description: 'Locally scoped class names with plain CSS files'
+    };
+  }
+
+  getDependencies() {
+    const deps = [];
+
+    if (this.getLanguage() === 'TypeScript') {
+      deps.push('typescript-plugin-css-modules');
+    }
+
+    return { production: [], development: deps };
+  }
+
+  getConfigFiles() {
+    const files = [{
+      name: 'src/styles/Button.module.css',
+      language: 'css',
+      content: `.button {
+  padding: 0.5rem 1rem;
+  border-radius: 0.375rem;
+  font-weight: 500;
+}
+
+.primary {
+  composes: button;
+  background: var(--color-primary, #2563eb);
+  color: white;
+}`
+    }];
+
+    if (this.getLanguage() === 'TypeScript' && this.getFramework() !== 'react') {
+      files.push({
+        name: 'src/types/css-modules.d.ts',
+        language: 'typescript',
+        content: `declare module '*.module.css' {
+  const classes: { readonly [key: string]: string };
+  export default classes;
+}`
+      });
+    }
+
+    return files;
+  }
+
+  getIntegrationNotes() {
+    return {
+      react: [
+        'Import styles as an object: `import styles from \'./Button.module.css\'` and use `className={styles.primary}`',
+        'Add typescript-plugin-css-modules to tsconfig `plugins` for class name autocompletion'
+      ],
+      vue: [
+        'Prefer `<style module>` in single-file components and read classes from `$style`',
+        'Standalone `.module.css` files work too through Vite'
+      ],
+      svelte: [
+        'Svelte already scopes `<style>` blocks; use .module.css only for styles shared across components'
+      ],
+      angular: [
+        'Angular does not support CSS Modules out of the box - use component styles with ViewEncapsulation instead'
+      ],
+      default: [
+        'Name files `*.module.css` so the bundler scopes their class names',
+        'Import the generated class map and apply classes from it'
+      ]
+    };
+  }
+
+  getUIGuidelines() {
+    return `- One CSS module per component, named after the component
+- Use camelCase for class names so they read well as object keys
+- Compose styles for variants with \`composes\`
+- Keep global styles (resets, custom properties) in a single global stylesheet`;
+  }
+}
@@ -0,0 +1,84 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class CypressPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'cypress-plugin',
+      displayName: 'Cypress',
+      category: 'testing',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🌲',
+      description: 'Browser-based end-to-end and component testing'
+    };
+  }
+
+  // Browser tests drive any stack through its dev server
+  getConflicts() {
+    return [];
+  }
+
+  getDependencies() {
+    const deps = ['cypress', 'start-server-and-test'];
+    return { production: [], development: deps };
+  }
+
+  getTestCommands() {
+    const url = this.getDevServerUrl();
+
+    return {
+      test: this.exec('cypress run'),
+      watch: this.exec('cypress open'),
+      ci: this.exec(`start-server-and-test dev ${url} "cypress run --browser chrome"`)
+    };
+  }
+
+  getFrameworkConfigFiles() {
+    const ext = this.getLanguageExtension();
+
+    return [
+      {
+        name: `cypress.config.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import { defineConfig } from 'cypress';
+
+export default defineConfig({
+  e2e: {
+    baseUrl: '${this.getDevServerUrl()}',
+    specPattern: 'cypress/e2e/**/*.cy.${ext}',
+    supportFile: 'cypress/support/e2e.${ext}'
+  },
+  video: false,
+  retries: { runMode: 2, openMode: 0 }
+});`
+      },
+      {
+        name: `cypress/support/e2e.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `// Runs before every spec file - register custom commands here
+export {};`
+      }
+    ];
+  }
+
+  getExampleTest() {
+    const ext = this.getLanguageExtension();
+
+    return {
+      name: `cypress/e2e/home.cy.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `describe('Home page', () => {
+  it('loads', () => {
+    cy.visit('/');
+    cy.get('body').should('be.visible');
+  });
+});`
+    };
+  }
+
+  getTestingStrategy() {
+    return `- E2E specs for critical user flows in cypress/e2e/
+- Select elements with data-cy attributes so tests survive styling changes
+- Stub network calls with cy.intercept() for deterministic tests
+- Start the dev server with start-server-and-test in CI`;
+  }
+}
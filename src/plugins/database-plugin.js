@@ -0,0 +1,167 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+// Client variants for stacks whose framework expects a specific driver
+const STACK_CLIENTS = {
+  'fastapi': 'async',
+  't3': 'prisma'
+};
+
+// Frameworks that ship their own ORM, connection setup and migration tooling
+const STACK_MIGRATIONS = {
+  'django': {
+    dbMigrate: 'python manage.py migrate',
+    dbMakeMigrations: 'python manage.py makemigrations'
+  },
+  'rails': {
+    dbMigrate: 'bin/rails db:migrate',
+    dbRollback: 'bin/rails db:rollback'
+  },
+  't3': {
+    dbMigrate: 'npx prisma migrate dev',
+    dbStudio: 'npx prisma studio'
+  }
+};
+
+// Stacks that ship their own connection module, so a second one would only be dead code
+const STACK_CONNECTIONS = ['mern', 'mean'];
+
+/**
+ * Shared behaviour for database plugins.
+ *
+ * Subclasses describe their client libraries per runtime in getClients().
+ * Stack plugins ask for the variant that fits their framework, for example
+ * FastAPI requests the async Python client:
+ *
+ *   this.getSelectedPlugin('database')?.getClientDependencies('python', 'async')
+ */
+export class DatabasePlugin extends CategoryPlugin {
+  // { runtime: { variant: { production: [], development: [], types: [] } } }
+  getClients() {
+    return {};
+  }
+
+  // [{ name, example, description }]
+  getEnvVars() {
+    return [];
+  }
+
+  getMigrationCommands(runtime) {
+    return {};
+  }
+
+  getConnectionFile(runtime) {
+    return null;
+  }
+
+  getClientDependencies(runtime = this.getRuntime(), variant = 'default') {
+    const clients = this.getClients()[runtime];
+    const client = clients?.[variant] || clients?.default;
+
+    if (!client) {
+      return { production: [], development: [] };
+    }
+
+    const development = [...(client.development || [])];
+    if (this.getLanguage() === 'TypeScript' && client.types) {
+      development.push(...client.types);
+    }
+
+    return {
+      production: [...(client.production || [])],
+      development
+    };
+  }
+
+  getDependencies() {
+    return this.getClientDependencies(this.getRuntime(), STACK_CLIENTS[this.config.stack]);
+  }
+
+  getConfigFiles() {
+    if (STACK_MIGRATIONS[this.config.stack] || STACK_CONNECTIONS.includes(this.config.stack)) return [];
+
+    const file = this.getConnectionFile(this.getRuntime());
+    return file ? [file] : [];
+  }
+
+  getCommands() {
+    return STACK_MIGRATIONS[this.config.stack] || this.getMigrationCommands(this.getRuntime());
+  }
+
+  getMarkdownSections() {
+    const { displayName } = this.constructor.metadata;
+    const envVars = this.getEnvVars();
+    const commands = Object.entries(this.getCommands());
+
+    let content = `Connection settings for ${displayName} are read from the environment:
+
+| Variable | Example | Purpose |
+|----------|---------|---------|
+${envVars.map(v => `| \`${v.name}\` | \`${v.example}\` | ${v.description} |`).join('\n')}`;
+
+    if (commands.length > 0) {
+      content += `
+
+### Migrations
+\`\`\`bash
+${commands.map(([name, command]) => `# ${name}\n${command}`).join('\n\n')}
+\`\`\``;
+    }
+
+    return [{ title: `🗄️ ${displayName} Setup`, content }];
+  }
+
+  getSupportedFeatures() {
+    return ['database'];
+  }
+
+  getTemplateVariables() {
+    return {
+      hasDatabase: true,
+      databaseEnvVars: this.getEnvVars().map(v => v.name)
+    };
+  }
+
+  // Shared connection templates
+  sqlAlchemySession(exampleUrl) {
+    return {
+      name: 'app/db/session.py',
+      language: 'python',
+      content: `import os
+
+from sqlalchemy import create_engine
+from sqlalchemy.orm import sessionmaker
+
+DATABASE_URL = os.environ.get("DATABASE_URL", "${exampleUrl}")
+
+engine = create_engine(DATABASE_URL, pool_pre_ping=True)
+SessionLocal = sessionmaker(autocommit=False, autoflush=False, bind=engine)
+
+
+def get_db():
+    db = SessionLocal()
+    try:
+        yield db
+    finally:
+        db.close()`
+    };
+  }
+
+  gormConnection(driverImport, dialector) {
+    return {
+      name: 'internal/database/database.go',
+      language: 'go',
+      content: `package database
+
+import (
+	"os"
+
+	"${driverImport}"
+	"gorm.io/gorm"
+)
+
+func Connect() (*gorm.DB, error) {
+	return gorm.Open(${dialector}(os.Getenv("DATABASE_URL")), &gorm.Config{})
+}`
+    };
+  }
+}
@@ -0,0 +1,296 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+// How each stack is built and served in production. Build and start commands
+// come from the stack plugin unless the stack needs something different here.
+const STACK_TARGETS = {
+  'nextjs-app': { framework: 'nextjs', output: '.next' },
+  'nextjs-pages': { framework: 'nextjs', output: '.next' },
+  't3': { framework: 'nextjs', output: '.next' },
+  'remix': { framework: 'remix', output: 'build' },
+  'svelte': { framework: 'sveltekit', output: 'build', start: 'node build' },
+  'react': { framework: 'vite', output: 'dist', static: true },
+  'vue': { framework: 'vite', output: 'dist', static: true },
+  'vanilla': { framework: 'vite', output: 'dist', static: true },
+  'angular': { framework: 'angular', output: 'dist/angular-app/browser', static: true },
+  'express': { healthCheck: '/health' },
+  'fastify': { healthCheck: '/health' },
+  'mern': { port: 5000, start: 'node server/server.js', packages: ['server', 'client'] },
+  'mean': { port: 5000, start: 'node server/app.js', packages: ['server', 'client'] },
+  'fastapi': { port: 8000, healthCheck: '/health' },
+  'django': {
+    port: 8000,
+    start: 'gunicorn myproject.wsgi:application --bind 0.0.0.0:8000',
+    healthCheck: '/health/',
+    requirements: 'requirements/base.txt'
+  },
+  'gin': { port: 8080, healthCheck: '/health' },
+  'rails': { start: 'bin/rails server -b 0.0.0.0', healthCheck: '/up' }
+};
+
+const PACKAGE_MANAGERS = {
+  'npm': { lockfile: 'package-lock.json', install: 'npm ci' },
+  'yarn': { lockfile: 'yarn.lock', install: 'yarn install --frozen-lockfile', setup: 'corepack enable' },
+  'pnpm': { lockfile: 'pnpm-lock.yaml', install: 'pnpm install --frozen-lockfile', setup: 'corepack enable' },
+  'bun': { lockfile: 'bun.lockb', install: 'bun install --frozen-lockfile', setup: 'npm install -g bun' }
+};
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload'
+};
+
+const DOCKERIGNORE = {
+  'node': ['node_modules', 'npm-debug.log*', 'coverage', '.next', 'dist', 'build'],
+  'python': ['__pycache__', '*.pyc', '.venv', 'venv', '.pytest_cache', '.mypy_cache'],
+  'go': ['bin', 'tmp', 'coverage.out'],
+  'ruby': ['.bundle', 'vendor/bundle', 'log/*', 'tmp/*', 'storage/*', 'node_modules']
+};
+
+/**
+ * Shared behaviour for deployment plugins.
+ *
+ * Subclasses write the platform config in getPlatformFiles() and the deploy
+ * commands in getDeployCommands(). Both can read getTarget() for the stack's
+ * build command, start command, port and output directory. Platforms that run
+ * containers set `container` and get a Dockerfile and .dockerignore as well.
+ */
+export class DeploymentPlugin extends CategoryPlugin {
+  static get container() {
+    return false;
+  }
+
+  getPlatformFiles() {
+    return [];
+  }
+
+  getDeployCommands() {
+    return {};
+  }
+
+  // Extra markdown for stacks that need manual steps on this platform
+  getPlatformNotes() {
+    return '';
+  }
+
+  getTarget() {
+    const target = STACK_TARGETS[this.config.stack] || {};
+    const commands = this.getStackCommands();
+    const runtime = this.getRuntime();
+
+    // Node build scripts call local binaries (vite, tsc, ng), so run them through package.json
+    const build = runtime === 'node'
+      ? (commands.build ? this.runScript('build') : null)
+      : commands.build || null;
+
+    return {
+      runtime,
+      framework: null,
+      output: null,
+      static: false,
+      healthCheck: '/',
+      packages: [],
+      requirements: 'requirements.txt',
+      build,
+      start: commands.start || this.runScript('start'),
+      ...target,
+      port: target.port || (target.static ? 80 : 3000)
+    };
+  }
+
+  getAppName() {
+    return 'my-app';
+  }
+
+  getPackageManager() {
+    return PACKAGE_MANAGERS[this.config.packageManager] || PACKAGE_MANAGERS.npm;
+  }
+
+  runScript(script) {
+    return `${this.config.packageManager || 'npm'} run ${script}`;
+  }
+
+  getSecurityHeaders() {
+    return SECURITY_HEADERS;
+  }
+
+  getConfigFiles() {
+    const files = this.getPlatformFiles();
+
+    if (this.constructor.container) {
+      files.push(this.getDockerfile(), this.getDockerignore());
+    }
+
+    return files;
+  }
+
+  getCommands() {
+    return this.getDeployCommands();
+  }
+
+  getMarkdownSections() {
+    const { displayName } = this.constructor.metadata;
+    const target = this.getTarget();
+    const files = this.getConfigFiles().map(file => `\`${file.name}\``);
+    const commands = Object.entries(this.getCommands());
+
+    let content = `Deployment config for ${displayName}: ${files.join(', ')}.
+
+- **Build**: ${target.build ? `\`${target.build}\`` : 'No build step'}
+- **Serve**: ${target.static ? `Static files from \`${target.output}\`` : `\`${target.start}\` on port ${target.port}`}`;
+
+    if (!target.static) {
+      content += `\n- **Health check**: \`${target.healthCheck}\``;
+    }
+
+    if (commands.length > 0) {
+      content += `
+
+### Deploy Commands
+\`\`\`bash
+${commands.map(([name, command]) => `# ${name}\n${command}`).join('\n\n')}
+\`\`\``;
+    }
+
+    const notes = this.getPlatformNotes();
+    if (notes) {
+      content += `\n\n${notes}`;
+    }
+
+    return [{ title: `🚀 Deploying to ${displayName}`, content }];
+  }
+
+  getSupportedFeatures() {
+    return ['deployment'];
+  }
+
+  getTemplateVariables() {
+    return {
+      hasDeployment: true,
+      deploymentTarget: this.constructor.metadata.displayName
+    };
+  }
+
+  // Shared container setup for Docker, Fly.io, AWS and Google Cloud
+  getDockerfile() {
+    const target = this.getTarget();
+    const builders = {
+      node: () => this.nodeDockerfile(target),
+      python: () => this.pythonDockerfile(target),
+      go: () => this.goDockerfile(target),
+      ruby: () => this.rubyDockerfile(target)
+    };
+
+    return {
+      name: 'Dockerfile',
+      language: 'dockerfile',
+      content: (builders[target.runtime] || builders.node)()
+    };
+  }
+
+  getDockerignore() {
+    const entries = [
+      '.git',
+      '.env',
+      '.env.*',
+      '!.env.example',
+      '*.log',
+      'Dockerfile',
+      '.dockerignore',
+      ...(DOCKERIGNORE[this.getRuntime()] || DOCKERIGNORE.node)
+    ];
+
+    return {
+      name: '.dockerignore',
+      language: 'text',
+      content: entries.join('\n')
+    };
+  }
+
+  toExecForm(command) {
+    return `[${command.split(' ').map(part => JSON.stringify(part)).join(', ')}]`;
+  }
+
+  nodeDockerfile(target) {
+    const packageManager = this.getPackageManager();
+    const setup = packageManager.setup ? `RUN ${packageManager.setup}\n` : '';
+    const manifests = ['', ...target.packages.map(dir => `${dir}/`)]
+      .map(prefix => `COPY ${prefix}package.json ${prefix}${packageManager.lockfile}* ./${prefix}`)
+      .join('\n');
+    const install = [packageManager.install, ...target.packages.map(dir => `(cd ${dir} && ${packageManager.install})`)]
+      .join(' && ');
+
+    const build = `FROM node:20-alpine AS build
+WORKDIR /app
+${setup}${manifests}
+RUN ${install}
+COPY . .${target.build ? `\nRUN ${target.build}` : ''}`;
+
+    if (target.static) {
+      return `${build}
+
+FROM nginx:alpine
+COPY --from=build /app/${target.output} /usr/share/nginx/html
+EXPOSE 80
+CMD ["nginx", "-g", "daemon off;"]`;
+    }
+
+    return `${build}
+
+FROM node:20-alpine
+ENV NODE_ENV=production
+ENV PORT=${target.port}
+WORKDIR /app
+${setup}COPY --from=build --chown=node:node /app ./
+USER node
+EXPOSE ${target.port}
+CMD ${this.toExecForm(target.start)}`;
+  }
+
+  pythonDockerfile(target) {
+    return `FROM python:3.12-slim
+ENV PYTHONDONTWRITEBYTECODE=1
+ENV PYTHONUNBUFFERED=1
+WORKDIR /app
+COPY ${target.requirements} ${target.requirements}
+RUN pip install --no-cache-dir -r ${target.requirements}
+COPY . .
+RUN useradd --create-home appuser
+USER appuser
+EXPOSE ${target.port}
+CMD ${this.toExecForm(target.start)}`;
+  }
+
+  goDockerfile(target) {
+    return `FROM golang:1.22-alpine AS build
+WORKDIR /app
+COPY go.mod go.sum ./
+RUN go mod download
+COPY . .
+RUN CGO_ENABLED=0 ${target.build}
+
+FROM gcr.io/distroless/static-debian12
+WORKDIR /app
+COPY --from=build /app/bin ./bin
+USER nonroot:nonroot
+EXPOSE ${target.port}
+CMD ${this.toExecForm(target.start)}`;
+  }
+
+  rubyDockerfile(target) {
+    return `FROM ruby:3.3-slim
+ENV RAILS_ENV=production
+ENV BUNDLE_WITHOUT=development:test
+WORKDIR /app
+RUN apt-get update -qq && apt-get install -y --no-install-recommends build-essential libpq-dev && rm -rf /var/lib/apt/lists/*
+COPY Gemfile Gemfile.lock ./
+RUN bundle install
+COPY . .
+RUN SECRET_KEY_BASE_DUMMY=1 bin/rails assets:precompile
+RUN useradd rails --create-home && chown -R rails:rails db log storage tmp
+USER rails
+EXPOSE ${target.port}
+CMD ${this.toExecForm(target.start)}`;
+  }
+}
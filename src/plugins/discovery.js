@@ -0,0 +1,136 @@
+import { homedir } from 'os';
+import { basename, extname, join, resolve } from 'path';
+import fsExtra from 'fs-extra';
+import { PluginRegistry } from './registry.js';
+import { MANIFEST_EXTENSIONS } from './manifest.js';
+
+const { copy, ensureDir, pathExists, readdir, readJson, remove, stat } = fsExtra;
+
+export const PACKAGE_PREFIX = 'claude-kickstart-plugin-';
+export const USER_PLUGIN_DIR = join(homedir(), '.claude-kickstart', 'plugins');
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs', ...MANIFEST_EXTENSIONS];
+
+export function getProjectPluginDir(cwd = process.cwd()) {
+  return join(cwd, '.claude-kickstart', 'plugins');
+}
+
+export function getPluginDirs(cwd = process.cwd()) {
+  return [USER_PLUGIN_DIR, getProjectPluginDir(cwd)];
+}
+
+// claude-kickstart-plugin-* packages, including scoped ones such as @acme/claude-kickstart-plugin-api
+async function findPackagePlugins(cwd) {
+  const nodeModules = join(cwd, 'node_modules');
+  if (!(await pathExists(nodeModules))) return [];
+
+  const packages = [];
+  for (const entry of await readdir(nodeModules)) {
+    if (entry.startsWith('@')) {
+      const scoped = await readdir(join(nodeModules, entry));
+      packages.push(...scoped.filter(name => name.startsWith(PACKAGE_PREFIX)).map(name => join(nodeModules, entry, name)));
+    } else if (entry.startsWith(PACKAGE_PREFIX)) {
+      packages.push(join(nodeModules, entry));
+    }
+  }
+
+  return packages;
+}
+
+// Single-file plugins, manifests and plugin directories in one of the plugin folders
+async function findDirectoryPlugins(dir) {
+  if (!(await pathExists(dir))) return [];
+
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() || PLUGIN_EXTENSIONS.includes(extname(entry.name)))
+    .map(entry => join(dir, entry.name));
+}
+
+export async function findExternalPlugins(cwd = process.cwd()) {
+  const sources = await findPackagePlugins(cwd);
+
+  for (const dir of getPluginDirs(cwd)) {
+    sources.push(...await findDirectoryPlugins(dir));
+  }
+
+  return sources;
+}
+
+// Directories are loaded through their package.json "main", falling back to index.js
+export async function resolvePluginEntry(source) {
+  if (!(await stat(source)).isDirectory()) return source;
+
+  const pkgPath = join(source, 'package.json');
+  const pkg = await pathExists(pkgPath) ? await readJson(pkgPath) : {};
+  return join(source, pkg.main || 'index.js');
+}
+
+// Loads every external plugin into the registry; a plugin that fails is reported, not thrown
+export async function discoverPlugins(registry, { cwd = process.cwd() } = {}) {
+  const loaded = [];
+  const failed = [];
+
+  let sources = [];
+  try {
+    sources = await findExternalPlugins(cwd);
+  } catch (error) {
+    failed.push({ source: cwd, error: error.message });
+  }
+
+  for (const source of sources) {
+    try {
+      const name = await registry.loadExternalPlugin(await resolvePluginEntry(source));
+      loaded.push({ name, source });
+    } catch (error) {
+      failed.push({ source, error: (error.cause ?? error).message });
+    }
+  }
+
+  return { loaded, failed };
+}
+
+// Copies a plugin file or directory into a plugin folder after checking that it loads
+export async function addPlugin(source, registry, { project = false, cwd = process.cwd() } = {}) {
+  const sourcePath = resolve(cwd, source);
+  if (!(await pathExists(sourcePath))) {
+    throw new Error(`No plugin found at ${source}`);
+  }
+
+  const name = await new PluginRegistry().loadExternalPlugin(await resolvePluginEntry(sourcePath));
+  if (registry.get(name)) {
+    throw new Error(`Plugin ${name} is already registered`);
+  }
+
+  const dir = project ? getProjectPluginDir(cwd) : USER_PLUGIN_DIR;
+  const target = join(dir, basename(sourcePath));
+  if (await pathExists(target)) {
+    throw new Error(`${target} already exists`);
+  }
+
+  await ensureDir(dir);
+  await copy(sourcePath, target);
+  return { name, path: target };
+}
+
+// Deletes a plugin from the plugin folders by plugin name or file name
+export async function removePlugin(name, { cwd = process.cwd() } = {}) {
+  for (const dir of getPluginDirs(cwd)) {
+    for (const source of await findDirectoryPlugins(dir)) {
+      if (basename(source, extname(source)) === name || await getPluginName(source) === name) {
+        await remove(source);
+        return source;
+      }
+    }
+  }
+
+  throw new Error(`No plugin named ${name} in ${getPluginDirs(cwd).join(' or ')} (npm plugins are removed with npm uninstall)`);
+}
+
+async function getPluginName(source) {
+  try {
+    return await new PluginRegistry().loadExternalPlugin(await resolvePluginEntry(source));
+  } catch {
+    return null;
+  }
+}
@@ -23,14 +23,14 @@ export class DjangoPlugin extends BasePlugin {
   getDependencies() {
     const deps = ['Django>=4.2,<5.0', 'djangorestframework', 'django-cors-headers', 'python-dotenv'];
     
-    if (this.config.database === 'postgresql') {
-      deps.push('psycopg2-binary');
-    } else if (this.config.database === 'mysql') {
-      deps.push('mysqlclient');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('python').production);
     }
 
-    if (this.config.authentication === 'jwt') {
-      deps.push('djangorestframework-simplejwt');
+    const auth = this.getSelectedPlugin('authentication', { stack: 'django' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     }
 
     if (this.config.caching) {
@@ -679,6 +679,28 @@ pytest  # Run tests
     return labels[this.config.database] || this.config.database;
   }
 
+  getConfigSchema() {
+    return {
+      properties: {
+        caching: {
+          type: 'boolean',
+          description: 'Add Redis caching with django-redis'
+        }
+      }
+    };
+  }
+
+  getQuestions() {
+    return [
+      {
+        type: 'confirm',
+        name: 'caching',
+        message: 'Add Redis caching with django-redis?',
+        default: false
+      }
+    ];
+  }
+
   getSupportedFeatures() {
     return ['rest-api', 'orm', 'admin-interface', 'authentication', 'database', 'migrations', 'templating'];
   }
@@ -0,0 +1,43 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class DockerPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'docker-plugin',
+      displayName: 'Docker',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🐳',
+      description: 'Container image for self-hosting on any Docker host'
+    };
+  }
+
+  static get container() {
+    return true;
+  }
+
+  // dockerBuild and dockerRun use the local Docker install
+  static get requirements() {
+    return {
+      docker: '>=20.10.0'
+    };
+  }
+
+  getDeployCommands() {
+    const { port } = this.getTarget();
+    const image = this.getAppName();
+
+    return {
+      dockerBuild: `docker build -t ${image} .`,
+      dockerRun: `docker run --rm -p ${port}:${port} --env-file .env ${image}`
+    };
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Run the container as a non-root user and keep the final image free of build tools',
+      'Pass secrets at runtime with --env-file or a secrets manager - never bake them into the image',
+      'Pin base image versions and rebuild regularly to pick up security patches'
+    ];
+  }
+}
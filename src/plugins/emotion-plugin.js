@@ -0,0 +1,70 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+export class EmotionPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'emotion-plugin',
+      displayName: 'Emotion',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '👩‍🎤',
+      description: 'Performant CSS-in-JS with the css prop and styled API'
+    };
+  }
+
+  getDependencies() {
+    const framework = this.getFramework();
+    if (framework && framework !== 'react') {
+      return { production: ['@emotion/css'], development: [] };
+    }
+
+    return {
+      production: ['@emotion/react', '@emotion/styled'],
+      development: ['@emotion/babel-plugin']
+    };
+  }
+
+  getConfigFiles() {
+    const ext = this.getLanguageExtension();
+    return [{
+      name: `src/styles/theme.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `export const theme = {
+  colors: {
+    primary: '#2563eb',
+    text: '#111827',
+    background: '#ffffff'
+  },
+  breakpoints: {
+    sm: '@media (min-width: 640px)',
+    md: '@media (min-width: 768px)'
+  }
+};${ext === 'ts' ? '\n\nexport type Theme = typeof theme;' : ''}`
+    }];
+  }
+
+  getIntegrationNotes() {
+    const react = [
+      'Set `"jsxImportSource": "@emotion/react"` in tsconfig/jsconfig to enable the css prop',
+      'Wrap the app in `<ThemeProvider theme={theme}>` from @emotion/react'
+    ];
+
+    if (this.config.stack === 'nextjs-app') {
+      react.push('Emotion needs Client Components in the App Router - add \'use client\' to files that use it');
+    } else {
+      react.push('Add @emotion/babel-plugin to get labels and source maps in development');
+    }
+
+    return {
+      react,
+      default: ['Use the framework-agnostic `css` function from @emotion/css and apply the returned class names']
+    };
+  }
+
+  getUIGuidelines() {
+    return `- Use the css prop for one-off styles and styled() for reusable components
+- Read colors and breakpoints from the theme, never hard-code them
+- Keep style objects outside render functions so they are not recreated
+- Prefer object styles for type safety in TypeScript`;
+  }
+}
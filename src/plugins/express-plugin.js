@@ -16,16 +16,14 @@ export class ExpressPlugin extends BasePlugin {
   getDependencies() {
     const deps = ['express', 'cors', 'helmet', 'dotenv'];
     
-    if (this.config.database === 'postgresql') {
-      deps.push('pg');
-    } else if (this.config.database === 'mongodb') {
-      deps.push('mongoose');
-    } else if (this.config.database === 'mysql') {
-      deps.push('mysql2');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('node').production);
     }
 
-    if (this.config.authentication === 'jwt') {
-      deps.push('jsonwebtoken', 'bcryptjs');
+    const auth = this.getSelectedPlugin('authentication', { stack: 'express' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     }
 
     return {
@@ -39,10 +37,11 @@ export class ExpressPlugin extends BasePlugin {
     
     if (this.config.language === 'TypeScript') {
       deps.push('typescript', '@types/node', '@types/express', '@types/cors');
-      
-      if (this.config.authentication === 'jwt') {
-        deps.push('@types/jsonwebtoken', '@types/bcryptjs');
-      }
+    }
+
+    const auth = this.getSelectedPlugin('authentication', { stack: 'express' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().development);
     }
 
     return deps;
@@ -77,7 +76,7 @@ package.json`;
 
     // Main app file
     files.push({
-      name: `app.${ext}`,
+      name: `src/app.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.config.language === 'TypeScript' ? 
         this.getTypeScriptAppFile() : this.getJavaScriptAppFile()
@@ -85,7 +84,7 @@ package.json`;
 
     // Server file
     files.push({
-      name: `server.${ext}`,
+      name: `src/server.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.config.language === 'TypeScript' ? 
         this.getTypeScriptServerFile() : this.getJavaScriptServerFile()
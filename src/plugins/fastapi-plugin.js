@@ -23,18 +23,14 @@ export class FastAPIPlugin extends BasePlugin {
   getDependencies() {
     const deps = ['fastapi', 'uvicorn[standard]', 'python-multipart', 'python-dotenv'];
     
-    if (this.config.database === 'postgresql') {
-      deps.push('asyncpg', 'databases[postgresql]');
-    } else if (this.config.database === 'mongodb') {
-      deps.push('motor', 'beanie');
-    } else if (this.config.database === 'mysql') {
-      deps.push('aiomysql', 'databases[mysql]');
-    } else if (this.config.database === 'sqlite') {
-      deps.push('aiosqlite', 'databases[sqlite]');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('python', 'async').production);
     }
 
-    if (this.config.authentication === 'jwt') {
-      deps.push('python-jose[cryptography]', 'passlib[bcrypt]');
+    const auth = this.getSelectedPlugin('authentication', { stack: 'fastapi' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     } else if (this.config.authentication === 'oauth') {
       deps.push('authlib', 'python-jose[cryptography]', 'passlib[bcrypt]');
     }
@@ -789,6 +785,29 @@ black . && flake8 . && mypy .  # Lint and type check
     return labels[this.config.database] || this.config.database;
   }
 
+  getConfigSchema() {
+    return {
+      properties: {
+        orm: {
+          type: 'boolean',
+          description: 'Add SQLAlchemy and Alembic migrations'
+        }
+      }
+    };
+  }
+
+  getQuestions() {
+    return [
+      {
+        type: 'confirm',
+        name: 'orm',
+        message: 'Use SQLAlchemy with Alembic migrations?',
+        when: (answers) => answers.database && !['none', 'mongodb', 'firebase'].includes(answers.database),
+        default: true
+      }
+    ];
+  }
+
   getSupportedFeatures() {
     return ['rest-api', 'async', 'type-hints', 'validation', 'documentation', 'authentication', 'database', 'high-performance'];
   }
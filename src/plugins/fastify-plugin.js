@@ -16,16 +16,20 @@ export class FastifyPlugin extends BasePlugin {
   getDependencies() {
     const deps = ['fastify', '@fastify/cors', '@fastify/helmet', '@fastify/env', '@fastify/sensible'];
     
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('node').production);
+    }
+
     if (this.config.database === 'postgresql') {
-      deps.push('pg', '@fastify/postgres');
+      deps.push('@fastify/postgres');
     } else if (this.config.database === 'mongodb') {
-      deps.push('mongoose', '@fastify/mongodb');
-    } else if (this.config.database === 'mysql') {
-      deps.push('mysql2');
+      deps.push('@fastify/mongodb');
     }
 
-    if (this.config.authentication === 'jwt') {
-      deps.push('@fastify/jwt', 'bcryptjs');
+    const auth = this.getSelectedPlugin('authentication', { stack: 'fastify' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     }
 
     return {
@@ -39,10 +43,11 @@ export class FastifyPlugin extends BasePlugin {
     
     if (this.config.language === 'TypeScript') {
       deps.push('typescript', '@types/node', 'ts-node');
-      
-      if (this.config.authentication === 'jwt') {
-        deps.push('@types/bcryptjs');
-      }
+    }
+
+    const auth = this.getSelectedPlugin('authentication', { stack: 'fastify' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().development);
     }
 
     return deps;
@@ -80,7 +85,7 @@ package.json`;
 
     // Main app file
     files.push({
-      name: `app.${ext}`,
+      name: `src/app.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.config.language === 'TypeScript' ? 
         this.getTypeScriptAppFile() : this.getJavaScriptAppFile()
@@ -88,7 +93,7 @@ package.json`;
 
     // Server file
     files.push({
-      name: `server.${ext}`,
+      name: `src/server.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.config.language === 'TypeScript' ? 
         this.getTypeScriptServerFile() : this.getJavaScriptServerFile()
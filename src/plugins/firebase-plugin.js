@@ -0,0 +1,99 @@
+import { DatabasePlugin } from './database-plugin.js';
+
+export class FirebasePlugin extends DatabasePlugin {
+  static get metadata() {
+    return {
+      name: 'firebase-plugin',
+      displayName: 'Firebase',
+      category: 'database',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go'],
+      icon: '🔥',
+      description: 'Cloud Firestore document database with client SDKs'
+    };
+  }
+
+  getClients() {
+    return {
+      node: {
+        default: { production: ['firebase'] },
+        admin: { production: ['firebase-admin'] }
+      },
+      python: {
+        default: { production: ['firebase-admin'] }
+      },
+      go: {
+        default: { production: ['firebase.google.com/go/v4', 'cloud.google.com/go/firestore'] }
+      }
+    };
+  }
+
+  getEnvVars() {
+    return [
+      {
+        name: 'FIREBASE_PROJECT_ID',
+        example: 'your-project-id',
+        description: 'Firebase project identifier'
+      },
+      {
+        name: 'FIREBASE_API_KEY',
+        example: 'your-web-api-key',
+        description: 'Web API key used by the client SDK'
+      },
+      {
+        name: 'GOOGLE_APPLICATION_CREDENTIALS',
+        example: './service-account.json',
+        description: 'Service account file for the Admin SDK (server only)'
+      }
+    ];
+  }
+
+  getMigrationCommands() {
+    return {
+      dbDeployRules: 'npx firebase deploy --only firestore:rules,firestore:indexes',
+      dbEmulators: 'npx firebase emulators:start --only firestore'
+    };
+  }
+
+  getConnectionFile(runtime) {
+    if (runtime === 'node') {
+      const ext = this.getLanguageExtension();
+      return {
+        name: `src/lib/firebase.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import { initializeApp } from 'firebase/app';
+import { getFirestore } from 'firebase/firestore';
+
+const app = initializeApp({
+  apiKey: process.env.FIREBASE_API_KEY,
+  projectId: process.env.FIREBASE_PROJECT_ID
+});
+
+export const db = getFirestore(app);`
+      };
+    }
+
+    if (runtime === 'python') {
+      return {
+        name: 'app/db/firebase.py',
+        language: 'python',
+        content: `import firebase_admin
+from firebase_admin import firestore
+
+# Reads credentials from GOOGLE_APPLICATION_CREDENTIALS
+app = firebase_admin.initialize_app()
+db = firestore.client()`
+      };
+    }
+
+    return null;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Write Firestore security rules before launch - never leave test mode rules deployed',
+      'Validate document shape and ownership in security rules, not just the client',
+      'Keep service account credentials out of the repository and client bundles',
+      'Test security rules with the Firebase emulator suite'
+    ];
+  }
+}
@@ -0,0 +1,71 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class FlyPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'fly-plugin',
+      displayName: 'Fly.io',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🎈',
+      description: 'Run containers close to users on Fly Machines'
+    };
+  }
+
+  static get container() {
+    return true;
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+
+    let content = `app = "${this.getAppName()}"
+primary_region = "iad"
+
+[build]
+  dockerfile = "Dockerfile"
+
+[env]
+  PORT = "${target.port}"
+
+[http_service]
+  internal_port = ${target.port}
+  force_https = true
+  auto_stop_machines = "stop"
+  auto_start_machines = true
+  min_machines_running = 0`;
+
+    if (!target.static) {
+      content += `
+
+[[http_service.checks]]
+  grace_period = "10s"
+  interval = "30s"
+  method = "GET"
+  timeout = "5s"
+  path = "${target.healthCheck}"`;
+    }
+
+    return [{
+      name: 'fly.toml',
+      language: 'toml',
+      content
+    }];
+  }
+
+  getDeployCommands() {
+    return {
+      deploy: 'fly deploy',
+      deployLogs: 'fly logs',
+      setSecret: 'fly secrets set DATABASE_URL=...'
+    };
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Set credentials with `fly secrets set` - never put them in fly.toml [env]',
+      'Keep force_https enabled so traffic is never served over plain HTTP',
+      'Reach databases over the private 6PN network instead of exposing public ports'
+    ];
+  }
+}
@@ -0,0 +1,113 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class GCPPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'gcp-plugin',
+      displayName: 'Google Cloud',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🌩️',
+      description: 'Cloud Run service with a Terraform starter'
+    };
+  }
+
+  static get container() {
+    return true;
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+    const name = this.getAppName();
+
+    return [{
+      name: 'infra/gcp/main.tf',
+      language: 'hcl',
+      content: `terraform {
+  required_providers {
+    google = {
+      source  = "hashicorp/google"
+      version = "~> 5.0"
+    }
+  }
+}
+
+variable "project_id" {
+  type = string
+}
+
+variable "region" {
+  type    = string
+  default = "us-central1"
+}
+
+variable "image" {
+  type        = string
+  description = "Container image, for example us-central1-docker.pkg.dev/PROJECT/${name}/${name}:latest"
+}
+
+provider "google" {
+  project = var.project_id
+  region  = var.region
+}
+
+resource "google_service_account" "app" {
+  account_id   = "${name}-run"
+  display_name = "${name} Cloud Run service"
+}
+
+resource "google_cloud_run_v2_service" "app" {
+  name     = "${name}"
+  location = var.region
+
+  template {
+    service_account = google_service_account.app.email
+
+    containers {
+      image = var.image
+
+      ports {
+        container_port = ${target.port}
+      }
+${target.static ? '' : `
+      startup_probe {
+        http_get {
+          path = "${target.healthCheck}"
+        }
+      }
+`}    }
+  }
+}
+
+# Public access - remove for internal services
+resource "google_cloud_run_v2_service_iam_member" "public" {
+  name     = google_cloud_run_v2_service.app.name
+  location = google_cloud_run_v2_service.app.location
+  role     = "roles/run.invoker"
+  member   = "allUsers"
+}
+
+output "url" {
+  value = google_cloud_run_v2_service.app.uri
+}`
+    }];
+  }
+
+  getDeployCommands() {
+    const name = this.getAppName();
+
+    return {
+      deploy: `gcloud run deploy ${name} --source . --region us-central1`,
+      deployInfra: 'terraform -chdir=infra/gcp init && terraform -chdir=infra/gcp apply',
+      deployLogs: `gcloud run services logs read ${name} --region us-central1`
+    };
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Run the service as a dedicated service account with only the roles it needs',
+      'Mount secrets from Secret Manager instead of setting them as plain environment variables',
+      'Drop the allUsers invoker binding for services that should not be public'
+    ];
+  }
+}
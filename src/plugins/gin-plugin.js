@@ -27,18 +27,14 @@ export class GinPlugin extends BasePlugin {
       'github.com/joho/godotenv'
     ];
     
-    if (this.config.database === 'postgresql') {
-      deps.push('github.com/lib/pq', 'gorm.io/gorm', 'gorm.io/driver/postgres');
-    } else if (this.config.database === 'mysql') {
-      deps.push('gorm.io/gorm', 'gorm.io/driver/mysql');
-    } else if (this.config.database === 'sqlite') {
-      deps.push('gorm.io/gorm', 'gorm.io/driver/sqlite');
-    } else if (this.config.database === 'mongodb') {
-      deps.push('go.mongodb.org/mongo-driver/mongo');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('go').production);
     }
 
-    if (this.config.authentication === 'jwt') {
-      deps.push('github.com/golang-jwt/jwt/v5');
+    const auth = this.getSelectedPlugin('authentication', { stack: 'gin' });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     }
 
     return {
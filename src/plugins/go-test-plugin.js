@@ -0,0 +1,98 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class GoTestPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'go-test-plugin',
+      displayName: 'Go testing',
+      category: 'testing',
+      languages: ['Go'],
+      icon: '🐹',
+      description: 'Go\'s built-in testing package with testify assertions'
+    };
+  }
+
+  getDependencies() {
+    return { production: [], development: ['github.com/stretchr/testify'] };
+  }
+
+  getTestCommands() {
+    return {
+      test: 'go test ./...',
+      coverage: 'go test -coverprofile=coverage.out ./... && go tool cover -func=coverage.out',
+      ci: 'go test -race -coverprofile=coverage.out -covermode=atomic ./...'
+    };
+  }
+
+  getExampleTest() {
+    if (this.config.stack === 'gin') {
+      return {
+        name: 'internal/handlers/health_test.go',
+        language: 'go',
+        content: `package handlers
+
+import (
+	"net/http"
+	"net/http/httptest"
+	"testing"
+
+	"github.com/gin-gonic/gin"
+	"github.com/stretchr/testify/assert"
+)
+
+func TestHealthCheck(t *testing.T) {
+	gin.SetMode(gin.TestMode)
+	router := gin.New()
+	router.GET("/health", HealthCheck)
+
+	recorder := httptest.NewRecorder()
+	request := httptest.NewRequest(http.MethodGet, "/health", nil)
+	router.ServeHTTP(recorder, request)
+
+	assert.Equal(t, http.StatusOK, recorder.Code)
+}`
+      };
+    }
+
+    return {
+      name: 'internal/example/sum_test.go',
+      language: 'go',
+      content: `package example
+
+import (
+	"testing"
+
+	"github.com/stretchr/testify/assert"
+)
+
+func Sum(a, b int) int {
+	return a + b
+}
+
+func TestSum(t *testing.T) {
+	tests := []struct {
+		name     string
+		a, b     int
+		expected int
+	}{
+		{"positive", 1, 2, 3},
+		{"zero", 0, 0, 0},
+		{"negative", -1, 1, 0},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			assert.Equal(t, tt.expected, Sum(tt.a, tt.b))
+		})
+	}
+}`
+    };
+  }
+
+  getTestingStrategy() {
+    return `- Keep _test.go files next to the code they cover
+- Write table-driven tests with t.Run subtests
+- Use net/http/httptest for handler tests
+- Run with -race in CI to catch data races`;
+  }
+}
@@ -15,6 +15,42 @@ import { VuePlugin } from './vue-plugin.js';
 import { SveltePlugin } from './svelte-plugin.js';
 import { AngularPlugin } from './angular-plugin.js';
 import { VanillaPlugin } from './vanilla-plugin.js';
+import { PostgreSQLPlugin } from './postgresql-plugin.js';
+import { MySQLPlugin } from './mysql-plugin.js';
+import { MongoDBPlugin } from './mongodb-plugin.js';
+import { SQLitePlugin } from './sqlite-plugin.js';
+import { SupabasePlugin } from './supabase-plugin.js';
+import { FirebasePlugin } from './firebase-plugin.js';
+import { JestPlugin } from './jest-plugin.js';
+import { VitestPlugin } from './vitest-plugin.js';
+import { PlaywrightPlugin } from './playwright-plugin.js';
+import { CypressPlugin } from './cypress-plugin.js';
+import { PytestPlugin } from './pytest-plugin.js';
+import { UnittestPlugin } from './unittest-plugin.js';
+import { GoTestPlugin } from './go-test-plugin.js';
+import { TailwindPlugin } from './tailwind-plugin.js';
+import { CSSModulesPlugin } from './css-modules-plugin.js';
+import { StyledComponentsPlugin } from './styled-components-plugin.js';
+import { VanillaCSSPlugin } from './vanilla-css-plugin.js';
+import { SCSSPlugin } from './scss-plugin.js';
+import { EmotionPlugin } from './emotion-plugin.js';
+import { NextAuthPlugin } from './nextauth-plugin.js';
+import { ClerkPlugin } from './clerk-plugin.js';
+import { Auth0Plugin } from './auth0-plugin.js';
+import { SupabaseAuthPlugin } from './supabase-auth-plugin.js';
+import { JWTPlugin } from './jwt-plugin.js';
+import { ShadcnPlugin } from './shadcn-plugin.js';
+import { MantinePlugin } from './mantine-plugin.js';
+import { MUIPlugin } from './mui-plugin.js';
+import { AntdPlugin } from './antd-plugin.js';
+import { ChakraPlugin } from './chakra-plugin.js';
+import { VercelPlugin } from './vercel-plugin.js';
+import { NetlifyPlugin } from './netlify-plugin.js';
+import { AWSPlugin } from './aws-plugin.js';
+import { GCPPlugin } from './gcp-plugin.js';
+import { FlyPlugin } from './fly-plugin.js';
+import { RailwayPlugin } from './railway-plugin.js';
+import { DockerPlugin } from './docker-plugin.js';
 
 // Register all built-in plugins
 export function registerBuiltInPlugins() {
@@ -42,12 +78,62 @@ export function registerBuiltInPlugins() {
   registry.register(SveltePlugin);
   registry.register(AngularPlugin);
   registry.register(VanillaPlugin);
+
+  // Database plugins
+  registry.register(PostgreSQLPlugin);
+  registry.register(MySQLPlugin);
+  registry.register(MongoDBPlugin);
+  registry.register(SQLitePlugin);
+  registry.register(SupabasePlugin);
+  registry.register(FirebasePlugin);
+
+  // Testing framework plugins
+  registry.register(JestPlugin);
+  registry.register(VitestPlugin);
+  registry.register(PlaywrightPlugin);
+  registry.register(CypressPlugin);
+  registry.register(PytestPlugin);
+  registry.register(UnittestPlugin);
+  registry.register(GoTestPlugin);
+
+  // Styling plugins
+  registry.register(TailwindPlugin);
+  registry.register(CSSModulesPlugin);
+  registry.register(StyledComponentsPlugin);
+  registry.register(VanillaCSSPlugin);
+  registry.register(SCSSPlugin);
+  registry.register(EmotionPlugin);
+
+  // Authentication plugins
+  registry.register(NextAuthPlugin);
+  registry.register(ClerkPlugin);
+  registry.register(Auth0Plugin);
+  registry.register(SupabaseAuthPlugin);
+  registry.register(JWTPlugin);
+
+  // Component library plugins
+  registry.register(ShadcnPlugin);
+  registry.register(MantinePlugin);
+  registry.register(MUIPlugin);
+  registry.register(AntdPlugin);
+  registry.register(ChakraPlugin);
+
+  // Deployment plugins
+  registry.register(VercelPlugin);
+  registry.register(NetlifyPlugin);
+  registry.register(AWSPlugin);
+  registry.register(GCPPlugin);
+  registry.register(FlyPlugin);
+  registry.register(RailwayPlugin);
+  registry.register(DockerPlugin);
 }
 
 // Auto-register plugins when module is imported
 registerBuiltInPlugins();
 
 export { registry } from './registry.js';
+export { discoverPlugins, addPlugin, removePlugin, findExternalPlugins } from './discovery.js';
+export { createManifestPlugin, readManifest } from './manifest.js';
 export { BasePlugin } from './base-plugin.js';
 export { NextJSPlugin, NextJSPagesPlugin } from './nextjs-plugin.js';
 export { ExpressPlugin } from './express-plugin.js';
@@ -64,4 +150,47 @@ export { RailsPlugin } from './rails-plugin.js';
 export { VuePlugin } from './vue-plugin.js';
 export { SveltePlugin } from './svelte-plugin.js';
 export { AngularPlugin } from './angular-plugin.js';
-export { VanillaPlugin } from './vanilla-plugin.js';
\ No newline at end of file
+export { VanillaPlugin } from './vanilla-plugin.js';
+export { CategoryPlugin } from './category-plugin.js';
+export { DatabasePlugin } from './database-plugin.js';
+export { PostgreSQLPlugin } from './postgresql-plugin.js';
+export { MySQLPlugin } from './mysql-plugin.js';
+export { MongoDBPlugin } from './mongodb-plugin.js';
+export { SQLitePlugin } from './sqlite-plugin.js';
+export { SupabasePlugin } from './supabase-plugin.js';
+export { FirebasePlugin } from './firebase-plugin.js';
+export { TestingPlugin } from './testing-plugin.js';
+export { JestPlugin } from './jest-plugin.js';
+export { VitestPlugin } from './vitest-plugin.js';
+export { PlaywrightPlugin } from './playwright-plugin.js';
+export { CypressPlugin } from './cypress-plugin.js';
+export { PytestPlugin } from './pytest-plugin.js';
+export { UnittestPlugin } from './unittest-plugin.js';
+export { GoTestPlugin } from './go-test-plugin.js';
+export { StylingPlugin } from './styling-plugin.js';
+export { TailwindPlugin } from './tailwind-plugin.js';
+export { CSSModulesPlugin } from './css-modules-plugin.js';
+export { StyledComponentsPlugin } from './styled-components-plugin.js';
+export { VanillaCSSPlugin } from './vanilla-css-plugin.js';
+export { SCSSPlugin } from './scss-plugin.js';
+export { EmotionPlugin } from './emotion-plugin.js';
+export { AuthPlugin } from './auth-plugin.js';
+export { NextAuthPlugin } from './nextauth-plugin.js';
+export { ClerkPlugin } from './clerk-plugin.js';
+export { Auth0Plugin } from './auth0-plugin.js';
+export { SupabaseAuthPlugin } from './supabase-auth-plugin.js';
+export { JWTPlugin } from './jwt-plugin.js';
+export { ComponentLibraryPlugin } from './component-library-plugin.js';
+export { ShadcnPlugin } from './shadcn-plugin.js';
+export { MantinePlugin } from './mantine-plugin.js';
+export { MUIPlugin } from './mui-plugin.js';
+export { AntdPlugin } from './antd-plugin.js';
+export { ChakraPlugin } from './chakra-plugin.js';
+export { DeploymentPlugin } from './deployment-plugin.js';
+export { VercelPlugin } from './vercel-plugin.js';
+export { NetlifyPlugin } from './netlify-plugin.js';
+export { AWSPlugin } from './aws-plugin.js';
+export { GCPPlugin } from './gcp-plugin.js';
+export { FlyPlugin } from './fly-plugin.js';
+export { RailwayPlugin } from './railway-plugin.js';
+export { DockerPlugin } from './docker-plugin.js';
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class JestPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'jest-plugin',
+      displayName: 'Jest',
+      category: 'testing',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🃏',
+      description: 'Delightful JavaScript testing framework with built-in mocking and coverage'
+    };
+  }
+
+  getDependencies() {
+    const deps = ['jest'];
+
+    if (this.getLanguage() === 'TypeScript') {
+      deps.push('ts-jest', '@types/jest');
+    }
+
+    if (this.isReactStack()) {
+      deps.push('jest-environment-jsdom', '@testing-library/react', '@testing-library/jest-dom');
+    } else if (['express', 'fastify'].includes(this.config.stack)) {
+      deps.push('supertest');
+      if (this.getLanguage() === 'TypeScript') deps.push('@types/supertest');
+    }
+
+    return { production: [], development: deps };
+  }
+
+  getTestCommands() {
+    return {
+      test: this.exec('jest'),
+      watch: this.exec('jest --watch'),
+      coverage: this.exec('jest --coverage'),
+      ci: this.exec('jest --ci --coverage --maxWorkers=2')
+    };
+  }
+
+  getFrameworkConfigFiles() {
+    const ext = this.getLanguageExtension();
+    const options = [
+      ext === 'ts' ? `  preset: 'ts-jest',` : null,
+      `  testEnvironment: '${this.isReactStack() ? 'jsdom' : 'node'}',`,
+      this.isReactStack() ? `  setupFilesAfterEnv: ['<rootDir>/jest.setup.${ext}'],` : null,
+      `  collectCoverageFrom: ['src/**/*.{${ext},${ext}x}', '!src/**/*.d.ts'],`,
+      `  coverageThreshold: {
+    global: { branches: 80, functions: 80, lines: 80, statements: 80 }
+  }`
+    ].filter(Boolean).join('\n');
+
+    const files = [{
+      name: `jest.config.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `${ext === 'ts' ? `import type { Config } from 'jest';\n\nconst config: Config = {` : 'const config = {'}
+${options}
+};
+
+export default config;`
+    }];
+
+    if (this.isReactStack()) {
+      files.push({
+        name: `jest.setup.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import '@testing-library/jest-dom';`
+      });
+    }
+
+    return files;
+  }
+
+  getExampleTest() {
+    const ext = this.getLanguageExtension();
+    const language = ext === 'ts' ? 'typescript' : 'javascript';
+
+    if (this.isReactStack()) {
+      return {
+        name: `src/__tests__/Greeting.test.${ext}x`,
+        language,
+        content: `import { render, screen } from '@testing-library/react';
+
+function Greeting({ name }${ext === 'ts' ? ': { name: string }' : ''}) {
+  return <h1>Hello, {name}!</h1>;
+}
+
+describe('Greeting', () => {
+  it('renders the name', () => {
+    render(<Greeting name="Claude" />);
+    expect(screen.getByRole('heading')).toHaveTextContent('Hello, Claude!');
+  });
+});`
+      };
+    }
+
+    if (this.config.stack === 'express') {
+      return {
+        name: `tests/health.test.${ext}`,
+        language,
+        content: `import request from 'supertest';
+import app from '../src/app';
+
+describe('GET /health', () => {
+  it('responds with 200', async () => {
+    const response = await request(app).get('/health');
+    expect(response.status).toBe(200);
+  });
+});`
+      };
+    }
+
+    return {
+      name: `src/__tests__/example.test.${ext}`,
+      language,
+      content: `const sum = (a${ext === 'ts' ? ': number' : ''}, b${ext === 'ts' ? ': number' : ''}) => a + b;
+
+describe('sum', () => {
+  it('adds two numbers', () => {
+    expect(sum(1, 2)).toBe(3);
+  });
+});`
+    };
+  }
+
+  getTestingStrategy() {
+    let strategy = `- Co-locate unit tests in __tests__ folders next to the code they cover
+- Mock network and database access with jest.mock()
+- Keep coverage above the 80% threshold in jest.config`;
+
+    if (this.isReactStack()) {
+      strategy += '\n- Test components through React Testing Library queries, not implementation details';
+    } else if (['express', 'fastify'].includes(this.config.stack)) {
+      strategy += '\n- Use supertest for HTTP-level tests of routes';
+    }
+
+    return strategy;
+  }
+}
@@ -0,0 +1,160 @@
+import { AuthPlugin } from './auth-plugin.js';
+
+export class JWTPlugin extends AuthPlugin {
+  static get metadata() {
+    return {
+      name: 'jwt-plugin',
+      displayName: 'JWT',
+      category: 'auth',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🔑',
+      description: 'Self-managed JSON Web Tokens with hashed passwords'
+    };
+  }
+
+  getSDKs() {
+    return {
+      nextjs: { production: ['jose', 'bcryptjs'], types: ['@types/bcryptjs'] },
+      fastify: { production: ['@fastify/jwt', 'fastify-plugin', 'bcryptjs'], types: ['@types/bcryptjs'] },
+      node: { production: ['jsonwebtoken', 'bcryptjs'], types: ['@types/jsonwebtoken', '@types/bcryptjs'] },
+      django: { production: ['djangorestframework-simplejwt'] },
+      python: { production: ['python-jose[cryptography]', 'passlib[bcrypt]'] },
+      go: { production: ['github.com/golang-jwt/jwt/v5'] },
+      ruby: { production: ['jwt', 'bcrypt'] }
+    };
+  }
+
+  getEnvVars() {
+    return [
+      {
+        name: 'JWT_SECRET',
+        example: 'generate-with-openssl-rand-base64-32',
+        description: 'Signing key for access tokens - at least 32 random bytes'
+      },
+      {
+        name: 'JWT_EXPIRES_IN',
+        example: '15m',
+        description: 'Access token lifetime'
+      }
+    ];
+  }
+
+  getAuthFiles() {
+    const stack = this.config.stack;
+    const ext = this.getLanguageExtension();
+    const ts = ext === 'ts';
+
+    if (stack === 'express' || stack === 'mern') {
+      const dir = stack === 'mern' ? 'server/middleware' : 'src/middleware';
+      const user = ts ? '(req as Request & { user?: unknown }).user' : 'req.user';
+      return [{
+        name: `${dir}/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import jwt from 'jsonwebtoken';${ts ? `
+import type { NextFunction, Request, Response } from 'express';` : ''}
+
+export function requireAuth(req${ts ? ': Request' : ''}, res${ts ? ': Response' : ''}, next${ts ? ': NextFunction' : ''}) {
+  const header = req.headers.authorization;
+  if (!header?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Missing bearer token' });
+  }
+
+  try {
+    // Pin the algorithm so tokens signed with "none" or another key type are rejected
+    ${user} = jwt.verify(header.slice(7), process.env.JWT_SECRET${ts ? '!' : ''}, { algorithms: ['HS256'] });
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}`
+      }];
+    }
+
+    if (stack === 'fastify') {
+      return [{
+        name: `src/plugins/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import fp from 'fastify-plugin';
+import jwt from '@fastify/jwt';
+
+export default fp(async (app) => {
+  await app.register(jwt, {
+    secret: process.env.JWT_SECRET${ts ? '!' : ''},
+    sign: { algorithm: 'HS256', expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  });
+
+  app.decorate('authenticate', async (request, reply) => {
+    try {
+      await request.jwtVerify();
+    } catch {
+      reply.code(401).send({ error: 'Invalid or expired token' });
+    }
+  });
+});`
+      }];
+    }
+
+    if (stack === 'nextjs-app' || stack === 'nextjs-pages') {
+      return [{
+        name: 'src/middleware.ts',
+        language: 'typescript',
+        content: `import { jwtVerify } from 'jose';
+import { NextResponse, type NextRequest } from 'next/server';
+
+const secret = new TextEncoder().encode(process.env.JWT_SECRET);
+
+export async function middleware(request: NextRequest) {
+  const token = request.cookies.get('token')?.value;
+
+  try {
+    if (!token) throw new Error('Missing token');
+    await jwtVerify(token, secret, { algorithms: ['HS256'] });
+    return NextResponse.next();
+  } catch {
+    return NextResponse.redirect(new URL('/login', request.url));
+  }
+}
+
+export const config = {
+  matcher: ['/dashboard/:path*']
+};`
+      }];
+    }
+
+    if (stack === 'django') {
+      return [{
+        name: 'myproject/settings/jwt.py',
+        language: 'python',
+        content: `from datetime import timedelta
+
+SIMPLE_JWT = {
+    "ACCESS_TOKEN_LIFETIME": timedelta(minutes=15),
+    "REFRESH_TOKEN_LIFETIME": timedelta(days=7),
+    "ROTATE_REFRESH_TOKENS": True,
+    "BLACKLIST_AFTER_ROTATION": True,
+    "ALGORITHM": "HS256",
+    "AUTH_HEADER_TYPES": ("Bearer",),
+}`
+      }];
+    }
+
+    return [];
+  }
+
+  getSessionModel() {
+    return `Sessions are stateless: the API issues a short-lived access token signed with \`JWT_SECRET\` after checking a bcrypt password hash, and verifies the signature on every request. Nothing is stored server-side, so a token stays valid until it expires.
+
+- Keep access tokens short-lived (15 minutes) and issue a separate refresh token to get new ones
+- Store refresh tokens in an httpOnly cookie or a server-side table so they can be revoked
+- Put only the user id and roles in the payload - it is encoded, not encrypted`;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Pin the signing algorithm when verifying tokens and reject "none"',
+      'Use a random JWT_SECRET of at least 32 bytes and rotate it if it leaks',
+      'Hash passwords with bcrypt or argon2 - never store or log them in plain text',
+      'Keep tokens out of localStorage; send them in httpOnly, Secure, SameSite cookies or memory'
+    ];
+  }
+}
@@ -0,0 +1,128 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { BasePlugin } from './base-plugin.js';
+import { mergeDependencies, mergeFiles, mergeLists, mergeSections } from './composition.js';
+
+export const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const MANIFEST_FIELDS = [
+  'metadata',
+  'dependencies',
+  'fileStructure',
+  'configFiles',
+  'commands',
+  'requirements',
+  'securityGuidelines',
+  'markdownSections'
+];
+
+export function isManifestFile(path) {
+  return MANIFEST_EXTENSIONS.includes(extname(path));
+}
+
+export async function readManifest(path) {
+  const content = await readFile(path, 'utf8');
+  return extname(path) === '.json' ? JSON.parse(content) : YAML.parse(content);
+}
+
+// `when: { language: TypeScript }` - every field must match; a list of values matches any of them
+export function matchesWhen(when, config) {
+  if (!when) return true;
+
+  return Object.entries(when).every(([field, expected]) => {
+    const options = Array.isArray(expected) ? expected : [expected];
+    const actual = config[field];
+    return Array.isArray(actual)
+      ? actual.some(value => options.includes(value))
+      : options.includes(actual);
+  });
+}
+
+// List entries are plain values or { value, when }
+function selectValues(entries = [], config) {
+  return entries
+    .filter(entry => typeof entry !== 'object' || matchesWhen(entry.when, config))
+    .map(entry => (typeof entry === 'object' ? entry.value : entry));
+}
+
+// Object entries such as config files carry their own `when`, which is dropped from the output
+function selectObjects(entries = [], config) {
+  return entries
+    .filter(entry => matchesWhen(entry.when, config))
+    .map(({ when, ...entry }) => entry);
+}
+
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Plugin manifest must be an object');
+  }
+
+  const unknown = Object.keys(manifest).filter(field => !MANIFEST_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown manifest field: ${unknown.join(', ')}`);
+  }
+
+  const missing = ['name', 'displayName', 'category'].filter(field => !manifest.metadata?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Plugin manifest metadata is missing: ${missing.join(', ')}`);
+  }
+}
+
+// Wraps a data-only manifest in a BasePlugin subclass so it behaves like a built-in plugin
+export function createManifestPlugin(manifest) {
+  validateManifest(manifest);
+
+  return class ManifestPlugin extends BasePlugin {
+    static get metadata() {
+      return { ...manifest.metadata };
+    }
+
+    static get manifest() {
+      return manifest;
+    }
+
+    // Replaces the node/npm default, like `static requirements` on a class plugin
+    static get requirements() {
+      return manifest.requirements ? { ...manifest.requirements } : super.requirements;
+    }
+
+    // Lists are added to whatever metadata.extends/composes provide
+    getDependencies() {
+      const { production, development } = manifest.dependencies || {};
+      return mergeDependencies(super.getDependencies(), {
+        production: selectValues(production, this.config),
+        development: selectValues(development, this.config)
+      });
+    }
+
+    getDevDependencies() {
+      return this.getDependencies().development;
+    }
+
+    // A string, or a list of { when, content } where the first match wins
+    getFileStructure() {
+      const { fileStructure } = manifest;
+      if (!Array.isArray(fileStructure)) return fileStructure || '';
+
+      return fileStructure.find(variant => matchesWhen(variant.when, this.config))?.content || '';
+    }
+
+    getConfigFiles() {
+      return mergeFiles(super.getConfigFiles(), selectObjects(manifest.configFiles, this.config));
+    }
+
+    // Same-named commands replace the inherited ones
+    getCommands() {
+      return { ...super.getCommands(), ...manifest.commands };
+    }
+
+    getSecurityGuidelines() {
+      return mergeLists(super.getSecurityGuidelines(), selectValues(manifest.securityGuidelines, this.config));
+    }
+
+    getMarkdownSections() {
+      return mergeSections(super.getMarkdownSections(), selectObjects(manifest.markdownSections, this.config));
+    }
+  };
+}
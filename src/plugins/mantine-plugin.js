@@ -0,0 +1,89 @@
+import { ComponentLibraryPlugin } from './component-library-plugin.js';
+
+export class MantinePlugin extends ComponentLibraryPlugin {
+  static get metadata() {
+    return {
+      name: 'mantine-plugin',
+      displayName: 'Mantine',
+      category: 'ui',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '💠',
+      description: 'Full-featured React component library with hooks and a theming system'
+    };
+  }
+
+  getPackages() {
+    return {
+      react: {
+        production: ['@mantine/core', '@mantine/hooks'],
+        development: ['postcss', 'postcss-preset-mantine', 'postcss-simple-vars']
+      }
+    };
+  }
+
+  getSetupFiles() {
+    const ext = this.getLanguageExtension();
+    const src = this.getSourceDir();
+    const files = [
+      {
+        name: `${src}/theme.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { createTheme } from '@mantine/core';
+
+export const theme = createTheme({
+  primaryColor: 'blue',
+  defaultRadius: 'md'
+});`
+      },
+      this.providersFile(`import '@mantine/core/styles.css';
+import { MantineProvider } from '@mantine/core';
+import { theme } from '../theme';`, `    <MantineProvider theme={theme} defaultColorScheme="auto">
+      {children}
+    </MantineProvider>`)
+    ];
+
+    // Tailwind projects already have a PostCSS config; add the preset to it instead
+    if (this.config.styling !== 'tailwind') {
+      const root = this.config.stack === 'mern' ? 'client/' : '';
+      files.push({
+        name: `${root}postcss.config.cjs`,
+        language: 'javascript',
+        content: `module.exports = {
+  plugins: {
+    'postcss-preset-mantine': {},
+    'postcss-simple-vars': {
+      variables: {
+        'mantine-breakpoint-xs': '36em',
+        'mantine-breakpoint-sm': '48em',
+        'mantine-breakpoint-md': '62em',
+        'mantine-breakpoint-lg': '75em',
+        'mantine-breakpoint-xl': '88em',
+      },
+    },
+  },
+};`
+      });
+    }
+
+    return files;
+  }
+
+  getGuidelines() {
+    const guidelines = [
+      'Wrap the app in `<Providers>` once at the root so every component reads the theme',
+      'Customize colors, radius and fonts in `createTheme()` instead of overriding component CSS',
+      'Use style props (`mt`, `p`, `c`) for one-off spacing and `classNames`/`styles` for component parts',
+      'Reach for `@mantine/hooks` (`useDisclosure`, `useMediaQuery`) before writing custom hooks'
+    ];
+
+    if (['nextjs-app', 'nextjs-pages', 't3', 'remix'].includes(this.config.stack)) {
+      guidelines.push('Render `<ColorSchemeScript />` in the document head to avoid a color scheme flash on load');
+    }
+
+    if (this.config.styling === 'tailwind') {
+      guidelines.push('Add `postcss-preset-mantine` to the existing PostCSS config alongside Tailwind');
+    }
+
+    return guidelines;
+  }
+}
@@ -1,4 +1,7 @@
 import { BasePlugin } from './base-plugin.js';
+import { ExpressPlugin } from './express-plugin.js';
+import { AngularPlugin } from './angular-plugin.js';
+import { mergeDependencies, mergeFiles, mergeLists } from './composition.js';
 
 export class MEANStackPlugin extends BasePlugin {
   static get metadata() {
@@ -9,71 +12,29 @@ export class MEANStackPlugin extends BasePlugin {
       projectTypes: ['fullstack'],
       languages: ['TypeScript', 'JavaScript'],
       icon: '🅰️',
-      description: 'MongoDB, Express.js, Angular, Node.js full-stack application'
+      description: 'MongoDB, Express.js, Angular, Node.js full-stack application',
+      composes: [
+        { plugin: ExpressPlugin, path: 'server' },
+        { plugin: AngularPlugin, path: 'client' }
+      ],
+      // Deployment files stay at the root, where the Dockerfile builds both apps
+      categoryPaths: { database: 'server', testing: 'client', styling: 'client' }
     };
   }
 
+  // Express and Angular bring their own packages; these are what MEAN adds on top
   getDependencies() {
-    const deps = [
-      // Backend dependencies
-      'express',
-      'mongoose',
-      'cors',
-      'dotenv',
-      'helmet',
-      'bcryptjs',
-      'jsonwebtoken',
-      'express-validator',
-      
-      // Frontend dependencies (for client folder)
-      '@angular/animations',
-      '@angular/common',
-      '@angular/compiler',
-      '@angular/core',
-      '@angular/forms',
-      '@angular/platform-browser',
-      '@angular/platform-browser-dynamic',
-      '@angular/router',
-      'rxjs',
-      'tslib',
-      'zone.js'
-    ];
-
-    return {
-      production: deps,
+    return mergeDependencies(super.getDependencies(), {
+      production: ['mongoose', 'bcryptjs', 'jsonwebtoken', 'express-validator'],
       development: this.getDevDependencies()
-    };
+    });
   }
 
   getDevDependencies() {
-    const deps = [
-      // Backend dev dependencies
-      'nodemon',
-      'concurrently',
-      
-      // Frontend dev dependencies
-      '@angular-devkit/build-angular',
-      '@angular/cli',
-      '@angular/compiler-cli',
-      'typescript',
-      '@types/node'
-    ];
-    
-    if (this.config.language === 'TypeScript') {
-      deps.push(
-        '@types/express',
-        '@types/cors',
-        '@types/bcryptjs',
-        '@types/jsonwebtoken'
-      );
-    }
-
-    if (this.config.testing === 'jasmine') {
-      deps.push('jasmine-core', 'karma', 'karma-chrome-launcher', 'karma-coverage', 'karma-jasmine', 'karma-jasmine-html-reporter');
-    }
+    const deps = ['concurrently'];
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    if (this.config.language === 'TypeScript') {
+      deps.push('@types/bcryptjs', '@types/jsonwebtoken');
     }
 
     return deps;
@@ -397,7 +358,12 @@ JWT_EXPIRE=7d
 CLIENT_URL=http://localhost:4200`
     });
 
-    return files;
+    // The server is plain ESM JavaScript and the client uses pages/ instead of Angular's features/ modules,
+    // so only the rest of Angular's client scaffolding is reused
+    const composed = super.getConfigFiles().filter(file =>
+      file.name.startsWith('client/') && !/^client\/src\/app\/(features|shared|core)\//.test(file.name)
+    );
+    return mergeFiles(composed, files);
   }
 
   getCommands() {
@@ -453,7 +419,7 @@ npm run client   # Start only the frontend client (port 4200)
   }
 
   getSupportedFeatures() {
-    return ['mongodb', 'express', 'angular', 'jwt-auth', 'rest-api', 'spa', 'typescript'];
+    return mergeLists(super.getSupportedFeatures(), ['mongodb', 'express', 'angular', 'jwt-auth', 'rest-api', 'spa', 'typescript']);
   }
 
   getSecurityGuidelines() {
@@ -508,6 +474,7 @@ npm run client   # Start only the frontend client (port 4200)
 
   getTemplateVariables() {
     return {
+      ...super.getTemplateVariables(),
       isMEANStack: true,
       hasMongoDB: true,
       hasExpress: true,
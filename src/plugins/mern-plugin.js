@@ -1,4 +1,7 @@
 import { BasePlugin } from './base-plugin.js';
+import { ExpressPlugin } from './express-plugin.js';
+import { ReactPlugin } from './react-plugin.js';
+import { mergeDependencies, mergeFiles, mergeLists } from './composition.js';
 
 export class MERNStackPlugin extends BasePlugin {
   static get metadata() {
@@ -9,70 +12,33 @@ export class MERNStackPlugin extends BasePlugin {
       projectTypes: ['fullstack'],
       languages: ['TypeScript', 'JavaScript'],
       icon: '🍃',
-      description: 'MongoDB, Express.js, React, Node.js full-stack application'
+      description: 'MongoDB, Express.js, React, Node.js full-stack application',
+      composes: [
+        { plugin: ExpressPlugin, path: 'server' },
+        { plugin: ReactPlugin, path: 'client' }
+      ],
+      // Deployment files stay at the root, where the Dockerfile builds both apps
+      categoryPaths: { database: 'server', testing: 'client', styling: 'client' }
     };
   }
 
+  // Express and React bring their own packages; these are what MERN adds on top
   getDependencies() {
-    const deps = [
-      // Backend dependencies
-      'express',
-      'mongoose',
-      'cors',
-      'dotenv',
-      'helmet',
-      'bcryptjs',
-      'jsonwebtoken',
-      'express-validator',
-      
-      // Frontend dependencies (for client folder)
-      'react',
-      'react-dom',
-      'react-router-dom',
-      'axios'
-    ];
-
-    return {
-      production: deps,
+    return mergeDependencies(super.getDependencies(), {
+      production: ['mongoose', 'bcryptjs', 'jsonwebtoken', 'express-validator', 'axios'],
       development: this.getDevDependencies()
-    };
+    });
   }
 
   getDevDependencies() {
-    const deps = [
-      // Backend dev dependencies
-      'nodemon',
-      'concurrently',
-      
-      // Frontend dev dependencies
-      '@vitejs/plugin-react',
-      'vite',
-      'eslint',
-      'eslint-plugin-react',
-      'eslint-plugin-react-hooks'
-    ];
-    
+    const deps = ['concurrently'];
+
     if (this.config.language === 'TypeScript') {
-      deps.push(
-        'typescript',
-        '@types/node',
-        '@types/express',
-        '@types/cors',
-        '@types/bcryptjs',
-        '@types/jsonwebtoken',
-        '@types/react',
-        '@types/react-dom'
-      );
+      deps.push('@types/bcryptjs', '@types/jsonwebtoken');
     }
 
     if (this.config.testing === 'jest') {
-      deps.push('jest', 'supertest', '@testing-library/react', '@testing-library/jest-dom');
-    } else if (this.config.testing === 'vitest') {
-      deps.push('vitest', '@testing-library/react', 'jsdom');
-    }
-
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+      deps.push('supertest');
     }
 
     return deps;
@@ -235,13 +201,6 @@ package.json`;
       content: this.getAppComponent()
     });
 
-    // Client main entry
-    files.push({
-      name: `client/src/main.${ext}`,
-      language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
-      content: this.getMainFile()
-    });
-
     // TypeScript configs
     if (this.config.language === 'TypeScript') {
       files.push({
@@ -294,25 +253,6 @@ package.json`;
       });
     }
 
-    // Tailwind config
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'client/tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./index.html",
-    "./src/**/*.{js,ts,jsx,tsx}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`
-      });
-    }
-
     // Environment files
     files.push({
       name: '.env.example',
@@ -332,7 +272,12 @@ JWT_EXPIRE=7d
 CLIENT_URL=http://localhost:3000`
     });
 
-    return files;
+    // Files with the same name replace Express's and React's; the root .env.example replaces the server's,
+    // and server/app and server/server replace Express's src/ entry points
+    const composed = super.getConfigFiles().filter(file =>
+      file.name !== 'server/.env.example' && !/^server\/src\/(app|server)\./.test(file.name)
+    );
+    return mergeFiles(composed, files);
   }
 
   getServerAppFile() {
@@ -582,19 +527,6 @@ function App() {
 export default App`;
   }
 
-  getMainFile() {
-    return `import React from 'react'
-import ReactDOM from 'react-dom/client'
-import App from './App'
-import './styles/index.css'
-
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)`;
-  }
-
   getCommands() {
     return {
       dev: 'npm run dev',
@@ -648,7 +580,7 @@ npm run client   # Start only the frontend client
   }
 
   getSupportedFeatures() {
-    return ['mongodb', 'express', 'react', 'jwt-auth', 'rest-api', 'spa'];
+    return mergeLists(super.getSupportedFeatures(), ['mongodb', 'express', 'react', 'jwt-auth', 'rest-api', 'spa']);
   }
 
   getSecurityGuidelines() {
@@ -707,6 +639,7 @@ npm run client   # Start only the frontend client
 
   getTemplateVariables() {
     return {
+      ...super.getTemplateVariables(),
       isMERNStack: true,
       hasMongoDB: true,
       hasExpress: true,
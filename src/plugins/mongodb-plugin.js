@@ -0,0 +1,112 @@
+import { DatabasePlugin } from './database-plugin.js';
+
+export class MongoDBPlugin extends DatabasePlugin {
+  static get metadata() {
+    return {
+      name: 'mongodb-plugin',
+      displayName: 'MongoDB',
+      category: 'database',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🍃',
+      description: 'Document database with flexible JSON-like schemas'
+    };
+  }
+
+  getClients() {
+    return {
+      node: {
+        default: { production: ['mongoose'] },
+        driver: { production: ['mongodb'] },
+        prisma: { production: ['@prisma/client'], development: ['prisma'] }
+      },
+      python: {
+        default: { production: ['pymongo'] },
+        async: { production: ['motor', 'beanie'] }
+      },
+      go: {
+        default: { production: ['go.mongodb.org/mongo-driver/mongo'] }
+      },
+      ruby: {
+        default: { production: ['mongoid'] }
+      }
+    };
+  }
+
+  getEnvVars() {
+    return [
+      {
+        name: 'MONGODB_URI',
+        example: 'mongodb://localhost:27017/app',
+        description: 'Connection string for the MongoDB deployment'
+      }
+    ];
+  }
+
+  getMigrationCommands(runtime) {
+    if (runtime === 'node') {
+      return { dbMigrate: 'npx migrate-mongo up', dbRollback: 'npx migrate-mongo down' };
+    }
+    return {};
+  }
+
+  getConnectionFile(runtime) {
+    if (runtime === 'node') {
+      const ext = this.getLanguageExtension();
+      return {
+        name: `src/lib/db.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import mongoose from 'mongoose';
+
+export async function connectDatabase() {
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/app';
+  await mongoose.connect(uri);
+  return mongoose.connection;
+}`
+      };
+    }
+
+    if (runtime === 'python') {
+      return {
+        name: 'app/db/mongodb.py',
+        language: 'python',
+        content: `import os
+
+from pymongo import MongoClient
+
+client = MongoClient(os.environ.get("MONGODB_URI", "mongodb://localhost:27017/app"))
+db = client.get_default_database()`
+      };
+    }
+
+    if (runtime === 'go') {
+      return {
+        name: 'internal/database/database.go',
+        language: 'go',
+        content: `package database
+
+import (
+	"context"
+	"os"
+
+	"go.mongodb.org/mongo-driver/mongo"
+	"go.mongodb.org/mongo-driver/mongo/options"
+)
+
+func Connect(ctx context.Context) (*mongo.Client, error) {
+	return mongo.Connect(ctx, options.Client().ApplyURI(os.Getenv("MONGODB_URI")))
+}`
+      };
+    }
+
+    return null;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Sanitize query objects to prevent NoSQL operator injection ($where, $gt)',
+      'Enable authentication and never expose MongoDB without credentials',
+      'Define schema validation for collections holding user data',
+      'Restrict network access to the database with IP allowlists'
+    ];
+  }
+}
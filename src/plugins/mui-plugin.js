@@ -0,0 +1,80 @@
+import { ComponentLibraryPlugin } from './component-library-plugin.js';
+
+export class MUIPlugin extends ComponentLibraryPlugin {
+  static get metadata() {
+    return {
+      name: 'mui-plugin',
+      displayName: 'Material UI',
+      category: 'ui',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🟦',
+      description: "React components implementing Google's Material Design"
+    };
+  }
+
+  getPackages() {
+    return {
+      react: {
+        production: ['@mui/material', '@mui/icons-material', '@emotion/react', '@emotion/styled']
+      }
+    };
+  }
+
+  getStackPackages() {
+    return {
+      'nextjs-app': { production: ['@mui/material-nextjs', '@emotion/cache'] },
+      'nextjs-pages': { production: ['@mui/material-nextjs', '@emotion/cache', '@emotion/server'] }
+    };
+  }
+
+  getSetupFiles() {
+    const appRouter = this.config.stack === 'nextjs-app';
+
+    const theme = {
+      name: `${this.getSourceDir()}/theme.${this.getLanguageExtension()}`,
+      language: this.getSourceLanguage(),
+      content: `${this.getClientDirective()}import { createTheme } from '@mui/material/styles';
+
+export const theme = createTheme({
+  cssVariables: true,
+  colorSchemes: { light: true, dark: true },
+  shape: { borderRadius: 8 }
+});`
+    };
+
+    const tree = `    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      {children}
+    </ThemeProvider>`;
+
+    // The App Router streams HTML, so Emotion styles are collected by the cache provider
+    const providers = appRouter
+      ? this.providersFile(`import { AppRouterCacheProvider } from '@mui/material-nextjs/v15-appRouter';
+import CssBaseline from '@mui/material/CssBaseline';
+import { ThemeProvider } from '@mui/material/styles';
+import { theme } from '../theme';`, `    <AppRouterCacheProvider>
+  ${tree.split('\n').join('\n  ')}
+    </AppRouterCacheProvider>`)
+      : this.providersFile(`import CssBaseline from '@mui/material/CssBaseline';
+import { ThemeProvider } from '@mui/material/styles';
+import { theme } from '../theme';`, tree);
+
+    return [theme, providers];
+  }
+
+  getGuidelines() {
+    const guidelines = [
+      'Wrap the app in `<Providers>` once at the root so `CssBaseline` and the theme apply everywhere',
+      'Put palette, typography and component default props in `createTheme()` rather than per-component overrides',
+      'Use the `sx` prop for one-off styles and `styled()` for reusable styled components',
+      'Import components from their path (`@mui/material/Button`) to keep dev builds fast',
+      'Keep Material Design semantics: use `variant` and `color` props before custom colors'
+    ];
+
+    if (this.config.stack === 'nextjs-pages') {
+      guidelines.push('Wire `AppCacheProvider` and `DocumentHeadTags` from `@mui/material-nextjs/v15-pagesRouter` into `_app` and `_document` for SSR styles');
+    }
+
+    return guidelines;
+  }
+}
@@ -0,0 +1,102 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+// Adapters that let Netlify serve server-rendered frameworks
+const FRAMEWORK_PLUGINS = {
+  'nextjs': '@netlify/plugin-nextjs'
+};
+
+export class NetlifyPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'netlify-plugin',
+      displayName: 'Netlify',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🌐',
+      description: 'Static and Jamstack hosting with deploy previews and edge functions'
+    };
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+    const publish = target.output || 'dist';
+
+    let content = `[build]${target.build ? `
+  command = "${target.build}"` : ''}
+  publish = "${publish}"
+
+[build.environment]
+  NODE_VERSION = "20"`;
+
+    const frameworkPlugin = FRAMEWORK_PLUGINS[target.framework];
+    if (frameworkPlugin) {
+      content += `
+
+[[plugins]]
+  package = "${frameworkPlugin}"`;
+    }
+
+    if (target.static) {
+      content += `
+
+# Single-page apps handle routing in the browser
+[[redirects]]
+  from = "/*"
+  to = "/index.html"
+  status = 200`;
+    }
+
+    content += `
+
+[[headers]]
+  for = "/*"
+  [headers.values]
+${Object.entries(this.getSecurityHeaders()).map(([key, value]) => `    ${key} = "${value}"`).join('\n')}`;
+
+    return [{
+      name: 'netlify.toml',
+      language: 'toml',
+      content
+    }];
+  }
+
+  getDeployCommands() {
+    return {
+      deploy: this.exec('netlify deploy --build --prod'),
+      deployPreview: this.exec('netlify deploy --build')
+    };
+  }
+
+  // Netlify Functions run JavaScript, TypeScript and Go only
+  getConflicts() {
+    const stack = this.getStackMetadata();
+    if (!stack || !['python', 'ruby'].includes(this.getRuntime())) return [];
+
+    return [{
+      plugins: [stack.name],
+      reason: `Netlify can't run ${stack.displayName}: its functions support JavaScript, TypeScript and Go only`
+    }];
+  }
+
+  getPlatformNotes() {
+    const { framework } = this.getTarget();
+
+    if (framework === 'remix' || framework === 'sveltekit') {
+      return `> **Note:** Install the Netlify adapter for ${framework === 'remix' ? 'Remix' : 'SvelteKit'} so server routes run as Netlify Functions.`;
+    }
+
+    if (!framework) {
+      return `> **Note:** Netlify serves static sites and functions, not long-running ${this.getLanguage() || 'Node.js'} servers. Move API routes into \`netlify/functions/\` or pick a container platform for this backend.`;
+    }
+
+    return '';
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Store secrets in Netlify environment variables and scope them to the contexts that need them',
+      'Keep secrets out of the publish directory - everything in it is served publicly',
+      'Protect deploy previews with password or team-only access when they expose unreleased work'
+    ];
+  }
+}
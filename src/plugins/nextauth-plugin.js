@@ -0,0 +1,212 @@
+import { AuthPlugin } from './auth-plugin.js';
+
+export class NextAuthPlugin extends AuthPlugin {
+  static get metadata() {
+    return {
+      name: 'nextauth-plugin',
+      displayName: 'NextAuth.js',
+      category: 'auth',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🔐',
+      description: 'Open source authentication for Next.js with OAuth, email and credentials providers'
+    };
+  }
+
+  getSDKs() {
+    return {
+      t3: { production: ['next-auth', '@next-auth/prisma-adapter'] },
+      nextjs: { production: ['next-auth'] },
+      svelte: { production: ['@auth/sveltekit'] },
+      express: { production: ['@auth/express'] }
+    };
+  }
+
+  // NextAuth.js v4 on Next.js, Auth.js core everywhere else
+  usesAuthJs() {
+    return this.getStackFamily() !== 'nextjs';
+  }
+
+  getProvider() {
+    return this.config.stack === 't3'
+      ? { id: 'discord', name: 'Discord', env: 'DISCORD' }
+      : { id: 'github', name: 'GitHub', env: 'GITHUB' };
+  }
+
+  getEnvVars() {
+    const provider = this.getProvider();
+
+    if (this.usesAuthJs()) {
+      return [
+        { name: 'AUTH_SECRET', example: 'generate-with-openssl-rand-base64-32', description: 'Encrypts session cookies and tokens' },
+        { name: `AUTH_${provider.env}_ID`, example: 'your-oauth-client-id', description: `${provider.name} OAuth app client id` },
+        { name: `AUTH_${provider.env}_SECRET`, example: 'your-oauth-client-secret', description: `${provider.name} OAuth app client secret` }
+      ];
+    }
+
+    return [
+      { name: 'NEXTAUTH_URL', example: 'http://localhost:3000', description: 'Canonical URL used for OAuth callbacks' },
+      { name: 'NEXTAUTH_SECRET', example: 'generate-with-openssl-rand-base64-32', description: 'Encrypts session cookies and tokens' },
+      { name: `${provider.env}_CLIENT_ID`, example: 'your-oauth-client-id', description: `${provider.name} OAuth app client id` },
+      { name: `${provider.env}_CLIENT_SECRET`, example: 'your-oauth-client-secret', description: `${provider.name} OAuth app client secret` }
+    ];
+  }
+
+  getAuthFiles() {
+    const stack = this.config.stack;
+
+    if (stack === 't3') {
+      return [
+        this.authOptionsFile('src/server/auth.ts', true),
+        this.pagesRouteFile('src/pages/api/auth/[...nextauth].ts', '~/server/auth')
+      ];
+    }
+
+    if (stack === 'nextjs-app') {
+      return [
+        this.authOptionsFile('src/lib/auth.ts', false),
+        {
+          name: 'src/app/api/auth/[...nextauth]/route.ts',
+          language: 'typescript',
+          content: `import NextAuth from 'next-auth';
+import { authOptions } from '@/lib/auth';
+
+const handler = NextAuth(authOptions);
+
+export { handler as GET, handler as POST };`
+        },
+        this.middlewareFile()
+      ];
+    }
+
+    if (stack === 'nextjs-pages') {
+      return [
+        this.authOptionsFile('src/lib/auth.ts', false),
+        this.pagesRouteFile('src/pages/api/auth/[...nextauth].ts', '@/lib/auth'),
+        this.middlewareFile()
+      ];
+    }
+
+    if (stack === 'svelte') {
+      return [{
+        name: 'src/hooks.server.ts',
+        language: 'typescript',
+        content: `import { SvelteKitAuth } from '@auth/sveltekit';
+import GitHub from '@auth/sveltekit/providers/github';
+
+// Reads AUTH_SECRET, AUTH_GITHUB_ID and AUTH_GITHUB_SECRET from the environment
+export const { handle, signIn, signOut } = SvelteKitAuth({
+  providers: [GitHub]
+});`
+      }];
+    }
+
+    if (stack === 'express') {
+      const ext = this.getLanguageExtension();
+      const ts = ext === 'ts';
+
+      return [{
+        name: `src/middleware/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { ExpressAuth, getSession } from '@auth/express';
+import GitHub from '@auth/express/providers/github';${ts ? `
+import type { NextFunction, Request, Response } from 'express';` : ''}
+
+export const authConfig = {
+  providers: [GitHub]
+};
+
+// Mount with app.set('trust proxy', true) and app.use('/auth/*', authHandler)
+export const authHandler = ExpressAuth(authConfig);
+
+export async function requireAuth(req${ts ? ': Request' : ''}, res${ts ? ': Response' : ''}, next${ts ? ': NextFunction' : ''}) {
+  const session = await getSession(req, authConfig);
+  if (!session?.user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.locals.session = session;
+  next();
+}`
+      }];
+    }
+
+    return [];
+  }
+
+  authOptionsFile(name, withSessionHelper) {
+    const provider = this.getProvider();
+    const adapter = this.config.stack === 't3';
+
+    return {
+      name,
+      language: 'typescript',
+      content: `import { ${withSessionHelper ? 'getServerSession, ' : ''}type NextAuthOptions } from 'next-auth';
+import ${provider.name}Provider from 'next-auth/providers/${provider.id}';${adapter ? `
+import { PrismaAdapter } from '@next-auth/prisma-adapter';
+import { db } from '~/server/db';` : ''}
+
+export const authOptions: NextAuthOptions = {${adapter ? `
+  adapter: PrismaAdapter(db),` : ''}
+  session: { strategy: '${adapter ? 'database' : 'jwt'}' },
+  providers: [
+    ${provider.name}Provider({
+      clientId: process.env.${provider.env}_CLIENT_ID!,
+      clientSecret: process.env.${provider.env}_CLIENT_SECRET!
+    })
+  ],
+  callbacks: {
+    session: ({ session, ${adapter ? 'user' : 'token'} }) => ({
+      ...session,
+      user: { ...session.user, id: ${adapter ? 'user.id' : 'token.sub'} }
+    })
+  }
+};${withSessionHelper ? `
+
+export const getServerAuthSession = () => getServerSession(authOptions);` : ''}`
+    };
+  }
+
+  pagesRouteFile(name, authModule) {
+    return {
+      name,
+      language: 'typescript',
+      content: `import NextAuth from 'next-auth';
+import { authOptions } from '${authModule}';
+
+export default NextAuth(authOptions);`
+    };
+  }
+
+  middlewareFile() {
+    return {
+      name: 'src/middleware.ts',
+      language: 'typescript',
+      content: `export { default } from 'next-auth/middleware';
+
+// Redirects signed-out users to the sign-in page
+export const config = {
+  matcher: ['/dashboard/:path*']
+};`
+    };
+  }
+
+  getSessionModel() {
+    if (this.config.stack === 't3') {
+      return `NextAuth.js stores sessions in the database through the Prisma adapter. The browser holds only an opaque, httpOnly session cookie, so sessions can be revoked by deleting the row. Read the session with \`getServerAuthSession()\` on the server and \`useSession()\` on the client; tRPC's \`protectedProcedure\` rejects calls without one.`;
+    }
+
+    if (this.usesAuthJs()) {
+      return `Auth.js keeps the session in an encrypted JWT cookie signed with \`AUTH_SECRET\`. Nothing is stored server-side unless you add a database adapter. Read the session on the server on every protected request - never trust client-side state alone.`;
+    }
+
+    return `NextAuth.js keeps the session in an encrypted JWT cookie signed with \`NEXTAUTH_SECRET\`. Nothing is stored server-side unless you add a database adapter. Read the session with \`getServerSession(authOptions)\` in server code and \`useSession()\` in client components; the middleware redirects signed-out users away from protected routes.`;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Set a random NEXTAUTH_SECRET / AUTH_SECRET in every environment and never commit it',
+      'Check the session on the server in every protected route handler and server action',
+      'Register exact OAuth callback URLs with each provider',
+      'Switch to database sessions when you need to revoke sessions immediately'
+    ];
+  }
+}
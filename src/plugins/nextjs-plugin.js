@@ -32,8 +32,9 @@ export class NextJSPlugin extends BasePlugin {
       );
     }
 
-    if (this.config.styling === "tailwind") {
-      deps.push("tailwindcss", "postcss", "autoprefixer");
+    const styling = this.getSelectedPlugin("styling", { stack: "nextjs-app" });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     return deps;
@@ -50,14 +51,12 @@ export class NextJSPlugin extends BasePlugin {
 │           └── route.${this.getLanguageExtension()}
 ├── components/
 │   └── ui/
-├── lib/
-│   └── utils.${this.getLanguageExtension()}
-├── public/
-├── .env.local
-├── next.config.js
-${this.config.language === "TypeScript" ? "├── tsconfig.json" : ""}
-${this.config.styling === "tailwind" ? "├── tailwind.config.ts" : ""}
-└── package.json`;
+└── lib/
+    └── utils.${this.getLanguageExtension()}
+public/
+.env.local
+next.config.js
+${this.config.language === "TypeScript" ? "tsconfig.json\n" : ""}${this.config.styling === "tailwind" ? "tailwind.config.ts\n" : ""}package.json`;
   }
 
   getConfigFiles() {
@@ -108,43 +107,9 @@ module.exports = nextConfig;`,
       });
     }
 
-    // Tailwind config
-    if (this.config.styling === "tailwind") {
-      files.push({
-        name: "tailwind.config.ts",
-        language: "typescript",
-        content: `import type { Config } from 'tailwindcss'
-
-const config: Config = {
-  content: [
-    './src/pages/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/components/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/app/**/*.{js,ts,jsx,tsx,mdx}',
-  ],
-  theme: {
-    extend: {
-      backgroundImage: {
-        'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
-        'gradient-conic':
-          'conic-gradient(from 180deg at 50% 50%, var(--tw-gradient-stops))',
-      },
-    },
-  },
-  plugins: [],
-}
-export default config`,
-      });
-
-      files.push({
-        name: "postcss.config.js",
-        language: "javascript",
-        content: `module.exports = {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}`,
-      });
+    const styling = this.getSelectedPlugin("styling", { stack: "nextjs-app" });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
     }
 
     // Environment file
@@ -195,48 +160,9 @@ NEXTAUTH_SECRET="your-secret-key"
 - \`public/\` - Static assets`,
     });
 
-    if (this.config.styling === "tailwind") {
-      sections.push({
-        title: "🎨 Tailwind CSS Setup",
-        content: `Tailwind CSS is configured for this Next.js project:
-
-- Utility-first CSS framework
-- Configured for App Router file structure
-- PostCSS integration included
-- Responsive design utilities available
-
-### Usage:
-\`\`\`jsx
-<div className="bg-blue-500 text-white p-4 rounded-lg">
-  Hello Tailwind!
-</div>
-\`\`\``,
-      });
-    }
-
     return sections;
   }
 
-  getQuestions() {
-    return [
-      {
-        type: "list",
-        name: "nextjsFeatures",
-        message: "Which Next.js features do you want to include?",
-        choices: [
-          {
-            name: "App Router (recommended)",
-            value: "app-router",
-            checked: true,
-          },
-          { name: "TypeScript", value: "typescript" },
-          { name: "Tailwind CSS", value: "tailwind" },
-          { name: "ESLint", value: "eslint", checked: true },
-        ],
-      },
-    ];
-  }
-
   getSupportedFeatures() {
     return ["ssr", "ssg", "api-routes", "image-optimization", "routing"];
   }
@@ -335,13 +261,12 @@ export class NextJSPagesPlugin extends BasePlugin {
 │   └── api/
 │       └── hello.${this.getLanguageExtension()}
 ├── components/
-├── styles/
-│   └── globals.css
-├── public/
-├── .env.local
-├── next.config.js
-${this.config.language === "TypeScript" ? "├── tsconfig.json" : ""}
-└── package.json`;
+└── styles/
+    └── globals.css
+public/
+.env.local
+next.config.js
+${this.config.language === "TypeScript" ? "tsconfig.json\n" : ""}package.json`;
   }
 
   getLanguageExtension() {
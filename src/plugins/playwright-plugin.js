@@ -0,0 +1,131 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class PlaywrightPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'playwright-plugin',
+      displayName: 'Playwright',
+      category: 'testing',
+      languages: ['TypeScript', 'JavaScript', 'Python'],
+      icon: '🎭',
+      description: 'Cross-browser end-to-end testing with auto-waiting and tracing'
+    };
+  }
+
+  // Playwright Test for Node projects, pytest-playwright for Python ones. Other languages have no
+  // Playwright runner, which getConflicts() reports from the languages above.
+  isPython() {
+    return this.getRuntime() === 'python';
+  }
+
+  getDependencies() {
+    return { production: [], development: [this.isPython() ? 'pytest-playwright' : '@playwright/test'] };
+  }
+
+  getTestCommands() {
+    if (this.isPython()) {
+      return {
+        test: 'pytest e2e',
+        watch: 'pytest e2e --headed',
+        ci: 'pytest e2e --tracing=retain-on-failure'
+      };
+    }
+
+    return {
+      test: this.exec('playwright test'),
+      watch: this.exec('playwright test --ui'),
+      ci: this.exec('playwright test --reporter=github,html')
+    };
+  }
+
+  getFrameworkConfigFiles() {
+    if (this.isPython()) {
+      return [{
+        name: 'e2e/conftest.py',
+        language: 'python',
+        content: `import pytest
+
+
+@pytest.fixture(scope="session")
+def base_url():
+    return "${this.getDevServerUrl()}"`
+      }];
+    }
+
+    const ext = this.getLanguageExtension();
+    const devCommand = `${this.config.packageManager || 'npm'} run dev`;
+
+    return [{
+      name: `playwright.config.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `import { defineConfig, devices } from '@playwright/test';
+
+export default defineConfig({
+  testDir: './e2e',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  workers: process.env.CI ? 1 : undefined,
+  reporter: 'html',
+  use: {
+    baseURL: '${this.getDevServerUrl()}',
+    trace: 'on-first-retry'
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+    { name: 'firefox', use: { ...devices['Desktop Firefox'] } },
+    { name: 'webkit', use: { ...devices['Desktop Safari'] } }
+  ],
+  webServer: {
+    command: '${devCommand}',
+    url: '${this.getDevServerUrl()}',
+    reuseExistingServer: !process.env.CI
+  }
+});`
+    }];
+  }
+
+  getExampleTest() {
+    if (this.isPython()) {
+      return {
+        name: 'e2e/test_home.py',
+        language: 'python',
+        content: `import re
+
+from playwright.sync_api import Page, expect
+
+
+def test_home_page_loads(page: Page):
+    page.goto("/")
+    expect(page).to_have_title(re.compile(".+"))`
+      };
+    }
+
+    const ext = this.getLanguageExtension();
+
+    return {
+      name: `e2e/home.spec.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `import { test, expect } from '@playwright/test';
+
+test('home page loads', async ({ page }) => {
+  await page.goto('/');
+  await expect(page).toHaveTitle(/.+/);
+});`
+    };
+  }
+
+  getTestingStrategy() {
+    if (this.isPython()) {
+      return `- E2E tests for critical user flows in e2e/, run with the dev server already started
+- Install the browsers once with \`playwright install\`
+- Prefer role-based locators (get_by_role) over CSS selectors
+- Keep traces of failed runs with --tracing=retain-on-failure`;
+    }
+
+    return `- E2E tests for critical user flows in e2e/
+- Test across Chromium, Firefox and WebKit
+- Prefer role-based locators (getByRole) over CSS selectors
+- Record traces on retry and inspect failures with \`playwright show-trace\``;
+  }
+}
@@ -0,0 +1,140 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class PytestPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'pytest-plugin',
+      displayName: 'pytest',
+      category: 'testing',
+      languages: ['Python'],
+      icon: '🐍',
+      description: 'Python testing with fixtures, parametrization and a rich plugin ecosystem'
+    };
+  }
+
+  getDependencies() {
+    const deps = ['pytest', 'pytest-cov', 'pytest-watch'];
+
+    if (this.config.stack === 'django') {
+      deps.push('pytest-django');
+    } else if (this.config.stack === 'fastapi') {
+      deps.push('pytest-asyncio', 'httpx');
+    }
+
+    return { production: [], development: deps };
+  }
+
+  getTestCommands() {
+    return {
+      test: 'pytest',
+      watch: 'ptw',
+      coverage: 'pytest --cov --cov-report=term-missing --cov-report=html',
+      ci: 'pytest --cov --cov-report=xml --junitxml=test-results/junit.xml'
+    };
+  }
+
+  getFrameworkConfigFiles() {
+    const files = [];
+
+    // FastAPI keeps pytest options in pyproject.toml
+    if (this.config.stack !== 'fastapi') {
+      files.push({
+        name: 'pytest.ini',
+        language: 'ini',
+        content: `[pytest]
+testpaths = tests
+python_files = test_*.py
+addopts = -ra -q --strict-markers`
+      });
+    }
+
+    files.push({
+      name: 'tests/conftest.py',
+      language: 'python',
+      content: this.getConftest()
+    });
+
+    return files;
+  }
+
+  getConftest() {
+    if (this.config.stack === 'fastapi') {
+      return `import pytest
+from fastapi.testclient import TestClient
+
+from app.main import app
+
+
+@pytest.fixture
+def client():
+    with TestClient(app) as test_client:
+        yield test_client`;
+    }
+
+    if (this.config.stack === 'django') {
+      return `import pytest
+from rest_framework.test import APIClient
+
+
+@pytest.fixture
+def api_client():
+    return APIClient()`;
+    }
+
+    return `import pytest
+
+
+@pytest.fixture
+def sample_data():
+    return {"name": "example"}`;
+  }
+
+  getExampleTest() {
+    if (this.config.stack === 'fastapi') {
+      return {
+        name: 'tests/test_health.py',
+        language: 'python',
+        content: `def test_health_check(client):
+    response = client.get("/health")
+    assert response.status_code == 200`
+      };
+    }
+
+    if (this.config.stack === 'django') {
+      return {
+        name: 'tests/test_users.py',
+        language: 'python',
+        content: `import pytest
+from django.contrib.auth import get_user_model
+
+
+@pytest.mark.django_db
+def test_create_user():
+    user = get_user_model().objects.create_user(username="claude", password="s3cret-pass")
+    assert user.check_password("s3cret-pass")`
+      };
+    }
+
+    return {
+      name: 'tests/test_example.py',
+      language: 'python',
+      content: `import pytest
+
+
+@pytest.mark.parametrize("a, b, expected", [(1, 2, 3), (0, 0, 0), (-1, 1, 0)])
+def test_sum(a, b, expected):
+    assert a + b == expected
+
+
+def test_fixture(sample_data):
+    assert sample_data["name"] == "example"`
+    };
+  }
+
+  getTestingStrategy() {
+    return `- Share setup through fixtures in tests/conftest.py
+- Use @pytest.mark.parametrize instead of loops inside tests
+- ${this.config.stack === 'django' ? 'Mark database tests with @pytest.mark.django_db' : 'Isolate external services behind fixtures that can be swapped for fakes'}
+- Track coverage with pytest-cov and fail CI on regressions`;
+  }
+}
@@ -13,14 +13,17 @@ export class RailsPlugin extends BasePlugin {
     };
   }
 
+  static get requirements() {
+    return {
+      ruby: '>=3.2.0',
+      bundler: '>=2.0.0'
+    };
+  }
+
   getDependencies() {
-    const deps = ['rails', 'pg', 'puma', 'sass-rails', 'image_processing', 'jbuilder', 'bootsnap'];
-    
-    if (this.config.database === 'mysql') {
-      deps.push('mysql2');
-    } else if (this.config.database === 'sqlite') {
-      deps.push('sqlite3');
-    }
+    const database = this.getSelectedPlugin('database');
+    const databaseDeps = database ? database.getClientDependencies('ruby').production : ['pg'];
+    const deps = ['rails', ...databaseDeps, 'puma', 'sass-rails', 'image_processing', 'jbuilder', 'bootsnap'];
 
     if (this.config.authentication === 'devise') {
       deps.push('devise');
@@ -0,0 +1,60 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class RailwayPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'railway-plugin',
+      displayName: 'Railway',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🚆',
+      description: 'Deploy services and databases from a repository with Nixpacks builds'
+    };
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+    const build = { builder: 'NIXPACKS' };
+
+    if (target.build) {
+      build.buildCommand = target.build;
+    }
+
+    const deploy = {
+      // Static sites need a server; Railway routes traffic to $PORT
+      startCommand: target.static ? this.exec(`serve -s ${target.output} -l $PORT`) : target.start,
+      restartPolicyType: 'ON_FAILURE',
+      restartPolicyMaxRetries: 10
+    };
+
+    if (!target.static) {
+      deploy.healthcheckPath = target.healthCheck;
+    }
+
+    return [{
+      name: 'railway.json',
+      language: 'json',
+      content: JSON.stringify({
+        $schema: 'https://railway.com/railway.schema.json',
+        build,
+        deploy
+      }, null, 2)
+    }];
+  }
+
+  getDeployCommands() {
+    return {
+      deploy: 'railway up',
+      deployLogs: 'railway logs',
+      envList: 'railway variables'
+    };
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Store secrets as Railway service variables and reference shared ones instead of copying them',
+      'Connect to Railway databases over the private network rather than the public proxy URL',
+      'Use separate environments for staging and production so they never share credentials'
+    ];
+  }
+}
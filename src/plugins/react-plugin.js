@@ -27,8 +27,9 @@ export class ReactPlugin extends BasePlugin {
       deps.push('typescript', '@types/node', '@types/react', '@types/react-dom');
     }
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const styling = this.getSelectedPlugin('styling', { stack: 'react' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'jest') {
@@ -63,8 +64,8 @@ export class ReactPlugin extends BasePlugin {
 ├── main.${ext}
 └── vite-env.d.ts
 public/
-├── index.html
 └── favicon.ico
+index.html
 vite.config.${this.config.language === 'TypeScript' ? 'ts' : 'js'}
 ${this.config.language === 'TypeScript' ? 'tsconfig.json' : ''}
 ${this.config.styling === 'tailwind' ? 'tailwind.config.js' : ''}
@@ -84,14 +85,14 @@ package.json`;
 
     // Main App component
     files.push({
-      name: `App.${ext}`,
+      name: `src/App.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.getAppComponent()
     });
 
     // Main entry point
     files.push({
-      name: `main.${ext}`,
+      name: `src/main.${ext}`,
       language: this.config.language === 'TypeScript' ? 'typescript' : 'javascript',
       content: this.getMainFile()
     });
@@ -159,34 +160,9 @@ package.json`;
       });
     }
 
-    // Tailwind config
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./index.html",
-    "./src/**/*.{js,ts,jsx,tsx}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`
-      });
-
-      files.push({
-        name: 'postcss.config.js',
-        language: 'javascript',
-        content: `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}`
-      });
+    const styling = this.getSelectedPlugin('styling', { stack: 'react' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
     }
 
     return files;
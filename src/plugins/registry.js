@@ -1,10 +1,31 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
 import { BasePlugin } from './base-plugin.js';
+import { createManifestPlugin, isManifestFile, readManifest } from './manifest.js';
+
+const RELATIONS = ['extends', 'requires', 'composes'];
+
+// metadata.extends names one plugin, requires and composes list several; composes entries may be { plugin, path }.
+// Plugins are named by id, or by class so built-ins work before the registry is populated
+export function getPluginRelations(metadata) {
+  const toRelation = ({ plugin, path }) => (typeof plugin === 'string'
+    ? { id: plugin, path }
+    : { id: plugin.metadata.name, PluginClass: plugin, path });
+
+  return {
+    extends: metadata.extends ? [toRelation({ plugin: metadata.extends })] : [],
+    requires: (metadata.requires || []).map(plugin => toRelation({ plugin })),
+    composes: (metadata.composes || []).map(entry => toRelation(entry.plugin ? entry : { plugin: entry }))
+  };
+}
 
 export class PluginRegistry {
   constructor() {
     this.plugins = new Map();
     this.categories = new Map();
     this.loadedPlugins = new Set();
+    // Template helpers contributed by plugins, by helper name
+    this.helpers = new Map();
   }
 
   register(PluginClass) {
@@ -19,7 +40,15 @@ export class PluginRegistry {
       throw new Error(`Plugin ${pluginId} is already registered`);
     }
 
+    const helpers = Object.entries(PluginClass.helpers || {});
+    for (const [name] of helpers) {
+      this.checkHelperName(name);
+    }
+
     this.plugins.set(pluginId, PluginClass);
+    for (const [name, fn] of helpers) {
+      this.helpers.set(name, { fn, pluginId });
+    }
     
     // Organize by category
     const category = metadata.category || 'misc';
@@ -44,9 +73,30 @@ export class PluginRegistry {
     
     this.plugins.delete(pluginId);
     this.loadedPlugins.delete(pluginId);
+    for (const [name, helper] of this.helpers) {
+      if (helper.pluginId === pluginId) this.helpers.delete(name);
+    }
+    return this;
+  }
+
+  // Makes a template helper available to base.md, e.g. {{#if (isServerless deployment)}}
+  registerHelper(name, fn) {
+    this.checkHelperName(name);
+    this.helpers.set(name, { fn, pluginId: null });
     return this;
   }
 
+  checkHelperName(name) {
+    const existing = this.helpers.get(name);
+    if (existing) {
+      throw new Error(`Template helper ${name} is already registered${existing.pluginId ? ` by ${existing.pluginId}` : ''}`);
+    }
+  }
+
+  getHelpers() {
+    return new Map([...this.helpers].map(([name, { fn }]) => [name, fn]));
+  }
+
   get(pluginId) {
     return this.plugins.get(pluginId);
   }
@@ -123,20 +173,23 @@ export class PluginRegistry {
     });
   }
 
-  validatePluginCompatibility(pluginIds) {
+  // Checks every pair of plugins; accepts plugin ids or configured instances
+  validatePluginCompatibility(plugins) {
     const conflicts = [];
-    const instances = pluginIds.map(id => {
-      const PluginClass = this.plugins.get(id);
+    const instances = plugins.map(plugin => {
+      if (typeof plugin !== 'string') return plugin;
+      const PluginClass = this.plugins.get(plugin);
       return PluginClass ? new PluginClass() : null;
     }).filter(Boolean);
 
     for (let i = 0; i < instances.length; i++) {
       for (let j = i + 1; j < instances.length; j++) {
-        if (!instances[i].isCompatibleWith(instances[j])) {
+        const conflict = this.getConflict(instances[i], instances[j]);
+        if (conflict) {
           conflicts.push({
-            plugin1: pluginIds[i],
-            plugin2: pluginIds[j],
-            reason: 'Incompatible plugins'
+            plugin1: instances[i].constructor.metadata.name,
+            plugin2: instances[j].constructor.metadata.name,
+            ...conflict
           });
         }
       }
@@ -145,12 +198,35 @@ export class PluginRegistry {
     return conflicts;
   }
 
+  // Either side can object; `plugin` is the one that raised the conflict
+  getConflict(plugin, other) {
+    const pairs = [[plugin, other], [other, plugin]];
+
+    for (const [source, target] of pairs) {
+      const declared = source.getConflicts().find(conflict => conflict.plugins.includes(target.constructor.metadata.name));
+      if (declared) {
+        return { plugin: source.constructor.metadata.name, reason: declared.reason };
+      }
+    }
+
+    for (const [source, target] of pairs) {
+      if (!source.isCompatibleWith(target)) {
+        return {
+          plugin: source.constructor.metadata.name,
+          reason: `${source.constructor.metadata.displayName} can't be used with ${target.constructor.metadata.displayName}`
+        };
+      }
+    }
+
+    return null;
+  }
+
   isValidPlugin(PluginClass) {
     if (!PluginClass || typeof PluginClass !== 'function') {
       return false;
     }
 
-    if (!PluginClass.prototype instanceof BasePlugin) {
+    if (!(PluginClass.prototype instanceof BasePlugin)) {
       return false;
     }
 
@@ -164,14 +240,67 @@ export class PluginRegistry {
 
   async loadExternalPlugin(pluginPath) {
     try {
-      const { default: PluginClass } = await import(pluginPath);
+      if (isManifestFile(pluginPath)) {
+        return this.registerManifest(await readManifest(pluginPath));
+      }
+
+      const { default: exported } = await import(pathToFileURL(resolve(pluginPath)).href);
+      // Plugins outside node_modules can't import BasePlugin, so they may export a factory that receives it
+      const PluginClass = typeof exported === 'function' && !('metadata' in exported)
+        ? exported({ BasePlugin })
+        : exported;
       this.register(PluginClass);
       return PluginClass.metadata.name;
     } catch (error) {
-      throw new Error(`Failed to load plugin from ${pluginPath}: ${error.message}`);
+      throw new Error(`Failed to load plugin from ${pluginPath}: ${error.message}`, { cause: error });
     }
   }
 
+  registerManifest(manifest) {
+    const PluginClass = createManifestPlugin(manifest);
+    this.register(PluginClass);
+    return PluginClass.metadata.name;
+  }
+
+  // Plugin ids in dependency order (dependencies before dependents), following the given relations;
+  // accepts plugin ids or plugin classes
+  resolveDependencies(plugins, { relations = RELATIONS } = {}) {
+    const order = [];
+    const path = [];
+
+    const visit = (pluginId, dependent, DeclaredClass) => {
+      if (order.includes(pluginId)) return;
+      if (path.includes(pluginId)) {
+        throw new Error(`Circular plugin dependency: ${[...path.slice(path.indexOf(pluginId)), pluginId].join(' -> ')}`);
+      }
+
+      const PluginClass = DeclaredClass || this.plugins.get(pluginId);
+      if (!PluginClass) {
+        throw new Error(dependent ? `Plugin ${dependent} depends on unknown plugin ${pluginId}` : `Plugin ${pluginId} not found`);
+      }
+
+      path.push(pluginId);
+      const declared = getPluginRelations(PluginClass.metadata);
+      for (const relation of relations) {
+        for (const { id, PluginClass: RelatedClass } of declared[relation]) {
+          visit(id, pluginId, RelatedClass);
+        }
+      }
+      path.pop();
+      order.push(pluginId);
+    };
+
+    for (const plugin of plugins) {
+      if (typeof plugin === 'string') {
+        visit(plugin);
+      } else {
+        visit(plugin.metadata.name, null, plugin);
+      }
+    }
+
+    return order;
+  }
+
   getPluginDependencies(pluginId) {
     const PluginClass = this.plugins.get(pluginId);
     if (!PluginClass) return { production: [], development: [] };
@@ -16,12 +16,9 @@ export class RemixPlugin extends BasePlugin {
   getDependencies() {
     const deps = ['@remix-run/node', '@remix-run/react', '@remix-run/serve', 'isbot', 'react', 'react-dom'];
     
-    if (this.config.database === 'postgresql') {
-      deps.push('pg');
-    } else if (this.config.database === 'mongodb') {
-      deps.push('mongoose');
-    } else if (this.config.database === 'mysql') {
-      deps.push('mysql2');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('node').production);
     }
 
     if (this.config.authentication === 'remix-auth') {
@@ -39,14 +36,16 @@ export class RemixPlugin extends BasePlugin {
     
     if (this.config.language === 'TypeScript') {
       deps.push('typescript', '@types/react', '@types/react-dom');
-      
-      if (this.config.database === 'postgresql') {
-        deps.push('@types/pg');
-      }
     }
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const database = this.getSelectedPlugin('database');
+    if (database) {
+      deps.push(...database.getClientDependencies('node').development);
+    }
+
+    const styling = this.getSelectedPlugin('styling', { stack: 'remix' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'vitest') {
@@ -143,31 +142,9 @@ package.json`;
       });
     }
 
-    // Tailwind config
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: ["./app/**/*.{js,jsx,ts,tsx}"],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-};`
-      });
-
-      files.push({
-        name: 'postcss.config.js',
-        language: 'javascript',
-        content: `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-};`
-      });
+    const styling = this.getSelectedPlugin('styling', { stack: 'remix' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
     }
 
     // Package.json scripts
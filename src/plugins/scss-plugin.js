@@ -0,0 +1,84 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+export class SCSSPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'scss-plugin',
+      displayName: 'Sass/SCSS',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '💗',
+      description: 'CSS preprocessor with variables, mixins and nesting'
+    };
+  }
+
+  getDependencies() {
+    // The Angular CLI bundles Sass
+    const angular = this.getFramework() === 'angular';
+    return { production: [], development: angular ? [] : ['sass'] };
+  }
+
+  getConfigFiles() {
+    const files = [
+      {
+        name: 'src/styles/_variables.scss',
+        language: 'scss',
+        content: `$color-primary: #2563eb;
+$color-text: #111827;
+$breakpoints: (
+  sm: 640px,
+  md: 768px,
+  lg: 1024px
+);`
+      },
+      {
+        name: 'src/styles/_mixins.scss',
+        language: 'scss',
+        content: `@use 'sass:map';
+@use 'variables' as *;
+
+@mixin respond-to($breakpoint) {
+  @media (min-width: map.get($breakpoints, $breakpoint)) {
+    @content;
+  }
+}`
+      }
+    ];
+
+    // Angular already generates src/styles.scss
+    if (this.getFramework() !== 'angular') {
+      files.push({
+        name: 'src/styles/main.scss',
+        language: 'scss',
+        content: `@use 'variables' as *;
+
+body {
+  margin: 0;
+  color: $color-text;
+}`
+      });
+    }
+
+    return files;
+  }
+
+  getIntegrationNotes() {
+    return {
+      react: [
+        'Import src/styles/main.scss once from the root component',
+        'Combine with CSS Modules by naming files `*.module.scss`'
+      ],
+      vue: ['Use `<style lang="scss" scoped>` and `@use \'@/styles/variables\' as *;` in components'],
+      svelte: ['Use `<style lang="scss">` - vitePreprocess() compiles it once sass is installed'],
+      angular: ['Set `inlineStyleLanguage` to scss and add src/styles to `stylePreprocessorOptions.includePaths` in angular.json'],
+      default: ['Import src/styles/main.scss from your entry point']
+    };
+  }
+
+  getUIGuidelines() {
+    return `- Use the @use module system instead of the deprecated @import
+- Keep variables and mixins in partials (_variables.scss, _mixins.scss)
+- Limit nesting to three levels to keep selectors cheap
+- Use the respond-to mixin for consistent breakpoints`;
+  }
+}
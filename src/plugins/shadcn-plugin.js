@@ -0,0 +1,132 @@
+import { ComponentLibraryPlugin } from './component-library-plugin.js';
+
+// components.json settings for each stack: global stylesheet, Tailwind config and import alias
+const SHADCN_SETUPS = {
+  'nextjs-app': { css: 'src/app/globals.css', config: 'tailwind.config.ts', rsc: true },
+  'nextjs-pages': { css: 'src/styles/globals.css', config: 'tailwind.config.ts' },
+  't3': { css: 'src/styles/globals.css', config: 'tailwind.config.ts', alias: '~' },
+  'remix': { css: 'app/tailwind.css', alias: '~' },
+  'react': { css: 'src/styles/index.css' },
+  'mern': { root: 'client/', css: 'src/styles/index.css' },
+  'vue': { css: 'src/styles/main.css' },
+  'svelte': { css: 'src/app.css', alias: '$lib' }
+};
+
+const SCHEMAS = {
+  react: 'https://ui.shadcn.com/schema.json',
+  vue: 'https://shadcn-vue.com/schema.json',
+  svelte: 'https://shadcn-svelte.com/schema.json'
+};
+
+export class ShadcnPlugin extends ComponentLibraryPlugin {
+  static get metadata() {
+    return {
+      name: 'shadcn-plugin',
+      displayName: 'shadcn/ui',
+      category: 'ui',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🧩',
+      description: 'Accessible components copied into your project and styled with Tailwind CSS'
+    };
+  }
+
+  getPackages() {
+    const shared = ['class-variance-authority', 'clsx', 'tailwind-merge'];
+    const development = ['tailwindcss-animate'];
+
+    return {
+      react: { production: [...shared, 'lucide-react'], development },
+      vue: { production: [...shared, 'radix-vue', 'lucide-vue-next'], development },
+      svelte: { production: ['bits-ui', 'clsx', 'tailwind-merge', 'tailwind-variants', 'lucide-svelte'], development }
+    };
+  }
+
+  getConflicts() {
+    const conflicts = super.getConflicts();
+    if (this.config.styling && this.config.styling !== 'tailwind') {
+      conflicts.push({
+        plugins: [`${this.config.styling}-plugin`],
+        reason: 'shadcn/ui components are styled with Tailwind CSS - choose Tailwind for styling'
+      });
+    }
+    return conflicts;
+  }
+
+  getSetup() {
+    return SHADCN_SETUPS[this.config.stack] || { css: `${this.getSourceDir()}/index.css` };
+  }
+
+  getCLI() {
+    return {
+      react: 'shadcn@latest',
+      vue: 'shadcn-vue@latest',
+      svelte: 'shadcn-svelte@latest'
+    }[this.getFramework()];
+  }
+
+  getSetupFiles() {
+    const setup = this.getSetup();
+    const root = setup.root || '';
+    const alias = setup.alias || '@';
+    const framework = this.getFramework();
+    const ts = this.getLanguageExtension() === 'ts';
+    // SvelteKit keeps shared modules under src/lib, which $lib points at
+    const libDir = framework === 'svelte' ? 'src/lib' : `${this.getSourceDir()}/lib`;
+
+    const componentsJson = {
+      $schema: SCHEMAS[framework],
+      style: 'new-york',
+      ...(framework === 'react' && { rsc: Boolean(setup.rsc), tsx: ts }),
+      ...(framework !== 'react' && { typescript: ts }),
+      tailwind: {
+        config: setup.config || 'tailwind.config.js',
+        css: setup.css,
+        baseColor: 'neutral',
+        cssVariables: true
+      },
+      aliases: alias === '$lib'
+        ? { components: '$lib/components', utils: '$lib/utils' }
+        : {
+          components: `${alias}/components`,
+          utils: `${alias}/lib/utils`,
+          ui: `${alias}/components/ui`,
+          lib: `${alias}/lib`,
+          hooks: `${alias}/hooks`
+        }
+    };
+
+    const ext = framework === 'react' ? this.getLanguageExtension() : 'ts';
+
+    return [
+      {
+        name: `${root}components.json`,
+        language: 'json',
+        content: JSON.stringify(componentsJson, null, 2)
+      },
+      {
+        name: `${libDir}/utils.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import { clsx${ext === 'ts' ? ', type ClassValue' : ''} } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+// Merges conditional class names and resolves conflicting Tailwind utilities
+export function cn(...inputs${ext === 'ts' ? ': ClassValue[]' : ''}) {
+  return twMerge(clsx(inputs));
+}`
+      }
+    ];
+  }
+
+  getGuidelines() {
+    const setup = this.getSetup();
+    const cwd = setup.root ? ` from \`${setup.root}\`` : '';
+
+    return [
+      `Add components with \`npx ${this.getCLI()} add <component>\`${cwd} - they are copied into \`components/ui\` and owned by this project`,
+      'Edit copied components freely instead of wrapping them; keep variants in `cva()` definitions',
+      'Compose class names with `cn()` so conflicting Tailwind utilities resolve predictably',
+      `Theme through the CSS variables in \`${setup.css}\` rather than hard-coded colors`,
+      'Keep Radix accessibility props (labels, `asChild`, focus management) intact when customizing'
+    ];
+  }
+}
@@ -0,0 +1,90 @@
+import { DatabasePlugin } from './database-plugin.js';
+
+export class SQLitePlugin extends DatabasePlugin {
+  static get metadata() {
+    return {
+      name: 'sqlite-plugin',
+      displayName: 'SQLite',
+      category: 'database',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'Ruby'],
+      icon: '🪶',
+      description: 'Embedded, file-based SQL database with zero configuration'
+    };
+  }
+
+  getClients() {
+    return {
+      node: {
+        default: { production: ['better-sqlite3'], types: ['@types/better-sqlite3'] },
+        prisma: { production: ['@prisma/client'], development: ['prisma'] }
+      },
+      python: {
+        // sqlite3 ships with the standard library
+        default: { production: [] },
+        async: { production: ['aiosqlite', 'databases[sqlite]'] }
+      },
+      go: {
+        default: { production: ['gorm.io/gorm', 'gorm.io/driver/sqlite'] }
+      },
+      ruby: {
+        default: { production: ['sqlite3'] }
+      }
+    };
+  }
+
+  getEnvVars() {
+    return [
+      {
+        name: 'DATABASE_URL',
+        example: 'sqlite:///./data/app.db',
+        description: 'Path to the database file'
+      }
+    ];
+  }
+
+  getMigrationCommands(runtime) {
+    const commands = {
+      node: { dbMigrate: 'npx knex migrate:latest' },
+      python: { dbMigrate: 'alembic upgrade head' },
+      go: { dbMigrate: 'migrate -path migrations -database "sqlite3://data/app.db" up' },
+      ruby: { dbMigrate: 'bin/rails db:migrate' }
+    };
+    return commands[runtime] || {};
+  }
+
+  getConnectionFile(runtime) {
+    if (runtime === 'node') {
+      const ext = this.getLanguageExtension();
+      return {
+        name: `src/lib/db.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import Database from 'better-sqlite3';
+
+export const db = new Database(process.env.DATABASE_URL?.replace('sqlite:///', '') || 'data/app.db');
+
+// Write-ahead logging allows concurrent readers while writing
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');`
+      };
+    }
+
+    if (runtime === 'python') {
+      return this.sqlAlchemySession('sqlite:///./data/app.db');
+    }
+
+    if (runtime === 'go') {
+      return this.gormConnection('gorm.io/driver/sqlite', 'sqlite.Open');
+    }
+
+    return null;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Keep the database file outside the web root and out of version control',
+      'Use bound parameters for every query',
+      'Enable foreign_keys pragma - SQLite leaves it off by default',
+      'Back up the database file before running migrations'
+    ];
+  }
+}
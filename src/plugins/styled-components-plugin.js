@@ -0,0 +1,102 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+export class StyledComponentsPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'styled-components-plugin',
+      displayName: 'Styled Components',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '💅',
+      description: 'CSS-in-JS with tagged template literals for React'
+    };
+  }
+
+  getDependencies() {
+    return {
+      production: ['styled-components'],
+      development: this.getFramework() === 'react' && !this.config.stack?.startsWith('nextjs')
+        ? ['babel-plugin-styled-components']
+        : []
+    };
+  }
+
+  getConfigFiles() {
+    const ext = this.getLanguageExtension();
+    const language = ext === 'ts' ? 'typescript' : 'javascript';
+    const files = [{
+      name: `src/styles/theme.${ext}`,
+      language,
+      content: `export const theme = {
+  colors: {
+    primary: '#2563eb',
+    text: '#111827',
+    background: '#ffffff'
+  },
+  space: [0, 4, 8, 16, 32, 64],
+  radii: { sm: '4px', md: '8px' }
+};${ext === 'ts' ? '\n\nexport type Theme = typeof theme;' : ''}`
+    }];
+
+    if (this.config.stack === 'nextjs-app') {
+      files.push({
+        name: `src/lib/registry.${ext}x`,
+        language,
+        content: `'use client';
+
+import { useState } from 'react';
+import { useServerInsertedHTML } from 'next/navigation';
+import { ServerStyleSheet, StyleSheetManager } from 'styled-components';
+
+// Collects styles rendered on the server so they are streamed with the HTML
+export default function StyledComponentsRegistry({ children }${ext === 'ts' ? ': { children: React.ReactNode }' : ''}) {
+  const [sheet] = useState(() => new ServerStyleSheet());
+
+  useServerInsertedHTML(() => {
+    const styles = sheet.getStyleElement();
+    sheet.instance.clearTag();
+    return <>{styles}</>;
+  });
+
+  if (typeof window !== 'undefined') return <>{children}</>;
+
+  return <StyleSheetManager sheet={sheet.instance}>{children}</StyleSheetManager>;
+}`
+      });
+    }
+
+    return files;
+  }
+
+  getIntegrationNotes() {
+    if (this.config.stack === 'nextjs-app') {
+      return {
+        react: [
+          'Enable `compiler: { styledComponents: true }` in next.config',
+          'Wrap the root layout in `StyledComponentsRegistry` from src/lib/registry so styles are server-rendered',
+          'Styled components only work in Client Components - add \'use client\' to files that use them'
+        ]
+      };
+    }
+
+    return {
+      react: [
+        'Wrap the app in `<ThemeProvider theme={theme}>` and define a `createGlobalStyle` for resets',
+        'Use transient props (`$variant`) so styling props are not forwarded to the DOM',
+        this.config.stack === 'nextjs-pages'
+          ? 'Enable `compiler: { styledComponents: true }` in next.config and collect styles in `_document`'
+          : 'Add babel-plugin-styled-components for readable class names and SSR support'
+      ],
+      default: [
+        'Styled Components is a React library - consider Emotion\'s framework-agnostic @emotion/css or scoped styles for this stack'
+      ]
+    };
+  }
+
+  getUIGuidelines() {
+    return `- Create styled components for reusability
+- Use ThemeProvider for consistent colors, spacing and breakpoints
+- Keep styled components next to the component that uses them
+- Prefer transient props ($variant) for style variants`;
+  }
+}
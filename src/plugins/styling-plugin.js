@@ -0,0 +1,36 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+/**
+ * Shared behaviour for styling plugins.
+ *
+ * Stack plugins pull dependencies and config files from the selected styling
+ * plugin instead of hard-coding them:
+ *
+ *   this.getSelectedPlugin('styling')?.getConfigFiles()
+ */
+export class StylingPlugin extends CategoryPlugin {
+  // Framework-specific setup notes, keyed by getFramework() with a default entry
+  getIntegrationNotes() {
+    return {};
+  }
+
+  getFrameworkNotes() {
+    const notes = this.getIntegrationNotes();
+    return notes[this.getFramework()] || notes.default || [];
+  }
+
+  getMarkdownSections() {
+    const notes = this.getFrameworkNotes();
+    if (notes.length === 0) return [];
+
+    const { displayName } = this.constructor.metadata;
+    return [{
+      title: `🎨 Styling with ${displayName}`,
+      content: notes.map(note => `- ${note}`).join('\n')
+    }];
+  }
+
+  getSupportedFeatures() {
+    return ['styling'];
+  }
+}
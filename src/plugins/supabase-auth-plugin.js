@@ -0,0 +1,194 @@
+import { AuthPlugin } from './auth-plugin.js';
+
+export class SupabaseAuthPlugin extends AuthPlugin {
+  static get metadata() {
+    return {
+      name: 'supabase-auth-plugin',
+      displayName: 'Supabase Auth',
+      category: 'auth',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go'],
+      icon: '⚡',
+      description: 'Email, magic link and OAuth sign-in backed by Postgres row level security'
+    };
+  }
+
+  getSDKs() {
+    const ssr = { production: ['@supabase/supabase-js', '@supabase/ssr'] };
+
+    return {
+      nextjs: ssr,
+      remix: ssr,
+      svelte: ssr,
+      react: { production: ['@supabase/supabase-js'] },
+      vue: { production: ['@supabase/supabase-js'] },
+      angular: { production: ['@supabase/supabase-js'] },
+      vanilla: { production: ['@supabase/supabase-js'] },
+      node: { production: ['@supabase/supabase-js'] },
+      python: { production: ['supabase'] },
+      go: { production: ['github.com/supabase-community/supabase-go'] }
+    };
+  }
+
+  getEnvVars() {
+    const prefix = this.getPublicEnvPrefix();
+    const envVars = [
+      {
+        name: `${prefix}SUPABASE_URL`,
+        example: 'https://your-project.supabase.co',
+        description: 'Project API URL'
+      },
+      {
+        name: `${prefix}SUPABASE_ANON_KEY`,
+        example: 'your-anon-key',
+        description: 'Public key, safe for browsers when RLS is enabled'
+      }
+    ];
+
+    if (!this.isClientOnlyStack()) {
+      envVars.push({
+        name: 'SUPABASE_SERVICE_ROLE_KEY',
+        example: 'your-service-role-key',
+        description: 'Server-only key for admin tasks - bypasses RLS'
+      });
+    }
+
+    return envVars;
+  }
+
+  getAuthFiles() {
+    const stack = this.config.stack;
+    const ext = this.getLanguageExtension();
+
+    if (this.getStackFamily() === 'nextjs') {
+      return [
+        {
+          name: 'src/lib/supabase/server.ts',
+          language: 'typescript',
+          content: `import { createServerClient } from '@supabase/ssr';
+import { cookies } from 'next/headers';
+
+export async function createClient() {
+  const cookieStore = await cookies();
+
+  return createServerClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL!,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
+    {
+      cookies: {
+        getAll: () => cookieStore.getAll(),
+        setAll: (cookiesToSet) => {
+          try {
+            cookiesToSet.forEach(({ name, value, options }) => cookieStore.set(name, value, options));
+          } catch {
+            // Called from a Server Component - the middleware refreshes the session instead
+          }
+        }
+      }
+    }
+  );
+}`
+        },
+        {
+          name: 'src/middleware.ts',
+          language: 'typescript',
+          content: `import { createServerClient } from '@supabase/ssr';
+import { NextResponse, type NextRequest } from 'next/server';
+
+// Refreshes the auth cookies on every request so Server Components see a valid session
+export async function middleware(request: NextRequest) {
+  let response = NextResponse.next({ request });
+
+  const supabase = createServerClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL!,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
+    {
+      cookies: {
+        getAll: () => request.cookies.getAll(),
+        setAll: (cookiesToSet) => {
+          cookiesToSet.forEach(({ name, value }) => request.cookies.set(name, value));
+          response = NextResponse.next({ request });
+          cookiesToSet.forEach(({ name, value, options }) => response.cookies.set(name, value, options));
+        }
+      }
+    }
+  );
+
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user && request.nextUrl.pathname.startsWith('/dashboard')) {
+    return NextResponse.redirect(new URL('/login', request.url));
+  }
+
+  return response;
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)']
+};`
+        }
+      ];
+    }
+
+    // Vite apps read public env vars from import.meta.env
+    if (this.isClientOnlyStack() && this.getPublicEnvPrefix() === 'VITE_') {
+      return [{
+        name: `src/lib/supabase.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { createClient } from '@supabase/supabase-js';
+
+export const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);`
+      }];
+    }
+
+    if (stack === 'express') {
+      const ts = ext === 'ts';
+      const user = ts ? '(req as Request & { user?: unknown }).user' : 'req.user';
+
+      return [{
+        name: `src/middleware/auth.${ext}`,
+        language: this.getSourceLanguage(),
+        content: `import { createClient } from '@supabase/supabase-js';${ts ? `
+import type { NextFunction, Request, Response } from 'express';` : ''}
+
+const supabase = createClient(process.env.SUPABASE_URL${ts ? '!' : ''}, process.env.SUPABASE_ANON_KEY${ts ? '!' : ''});
+
+// Validates the user's access token with Supabase Auth
+export async function requireAuth(req${ts ? ': Request' : ''}, res${ts ? ': Response' : ''}, next${ts ? ': NextFunction' : ''}) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return res.status(401).json({ error: 'Missing bearer token' });
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data.user) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  ${user} = data.user;
+  next();
+}`
+      }];
+    }
+
+    return [];
+  }
+
+  getSessionModel() {
+    return `Supabase Auth issues a short-lived JWT access token (1 hour by default) and a single-use refresh token. ${this.getStackFamily() === 'nextjs' ? 'The `@supabase/ssr` client keeps both in cookies and the middleware refreshes them on each request.' : 'The client SDK stores and refreshes the session automatically.'} Postgres reads the same JWT, so row level security policies can use \`auth.uid()\`.
+
+- Call \`supabase.auth.getUser()\` on the server - \`getSession()\` does not revalidate the token
+- Enable RLS on every table exposed through the API and write policies against \`auth.uid()\`
+- Use the service role key only in trusted server code for admin tasks`;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Enable row level security on every table - the anon key can reach any table without it',
+      'Never ship SUPABASE_SERVICE_ROLE_KEY to the browser or a public env prefix',
+      'Trust supabase.auth.getUser() on the server, not the unverified session from getSession()',
+      'Restrict redirect URLs and enable email confirmation in the Supabase Auth settings'
+    ];
+  }
+}
@@ -0,0 +1,95 @@
+import { DatabasePlugin } from './database-plugin.js';
+
+export class SupabasePlugin extends DatabasePlugin {
+  static get metadata() {
+    return {
+      name: 'supabase-plugin',
+      displayName: 'Supabase',
+      category: 'database',
+      languages: ['TypeScript', 'JavaScript', 'Python', 'Go'],
+      icon: '⚡',
+      description: 'Hosted PostgreSQL with auth, storage and realtime APIs'
+    };
+  }
+
+  getClients() {
+    return {
+      node: {
+        default: { production: ['@supabase/supabase-js'] }
+      },
+      python: {
+        default: { production: ['supabase'] }
+      },
+      go: {
+        default: { production: ['github.com/supabase-community/supabase-go'] }
+      }
+    };
+  }
+
+  getEnvVars() {
+    return [
+      {
+        name: 'SUPABASE_URL',
+        example: 'https://your-project.supabase.co',
+        description: 'Project API URL'
+      },
+      {
+        name: 'SUPABASE_ANON_KEY',
+        example: 'your-anon-key',
+        description: 'Public key, safe for browsers when RLS is enabled'
+      },
+      {
+        name: 'SUPABASE_SERVICE_ROLE_KEY',
+        example: 'your-service-role-key',
+        description: 'Server-only key that bypasses RLS'
+      }
+    ];
+  }
+
+  getMigrationCommands() {
+    return {
+      dbMigrate: 'npx supabase db push',
+      dbNewMigration: 'npx supabase migration new <name>',
+      dbTypes: 'npx supabase gen types typescript --local > src/types/supabase.ts'
+    };
+  }
+
+  getConnectionFile(runtime) {
+    if (runtime === 'node') {
+      const ext = this.getLanguageExtension();
+      return {
+        name: `src/lib/supabase.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import { createClient } from '@supabase/supabase-js';
+
+export const supabase = createClient(
+  process.env.SUPABASE_URL${ext === 'ts' ? '!' : ''},
+  process.env.SUPABASE_ANON_KEY${ext === 'ts' ? '!' : ''}
+);`
+      };
+    }
+
+    if (runtime === 'python') {
+      return {
+        name: 'app/db/supabase.py',
+        language: 'python',
+        content: `import os
+
+from supabase import Client, create_client
+
+supabase: Client = create_client(os.environ["SUPABASE_URL"], os.environ["SUPABASE_ANON_KEY"])`
+      };
+    }
+
+    return null;
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Enable Row Level Security on every table exposed through the API',
+      'Never ship the service role key to the browser or commit it',
+      'Write RLS policies against auth.uid() rather than client-supplied ids',
+      'Regenerate database types after each migration'
+    ];
+  }
+}
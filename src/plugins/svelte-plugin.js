@@ -36,8 +36,9 @@ export class SveltePlugin extends BasePlugin {
       deps.push('typescript', 'tslib', '@types/node', 'svelte-check');
     }
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const styling = this.getSelectedPlugin('styling', { stack: 'svelte' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'vitest') {
@@ -195,32 +196,12 @@ export {};`
       });
     }
 
-    // Tailwind configuration
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: ['./src/**/*.{html,js,svelte,ts}'],
-  theme: {
-    extend: {}
-  },
-  plugins: []
-};`
-      });
-
-      files.push({
-        name: 'postcss.config.js',
-        language: 'javascript',
-        content: `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {}
-  }
-};`
-      });
+    const styling = this.getSelectedPlugin('styling', { stack: 'svelte' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
+    }
 
+    if (this.config.styling === 'tailwind') {
       files.push({
         name: 'src/app.css',
         language: 'css',
@@ -27,18 +27,16 @@ export class T3StackPlugin extends BasePlugin {
       'zod'
     ];
 
-    // Database dependencies
-    if (this.config.database === 'postgresql' || !this.config.database) {
-      deps.push('@prisma/client');
-    } else if (this.config.database === 'mysql') {
-      deps.push('@prisma/client');
-    } else if (this.config.database === 'mongodb') {
-      deps.push('@prisma/client');
-    }
+    // Database dependencies (Prisma client unless the database ships its own SDK)
+    deps.push(...this.getDatabaseDependencies().production);
 
-    // Authentication
-    if (this.config.authentication === 'nextauth' || !this.config.authentication) {
-      deps.push('next-auth');
+    // Authentication (NextAuth.js unless another provider was picked)
+    const auth = this.getSelectedPlugin('authentication', {
+      stack: 't3',
+      config: { ...this.config, authentication: this.config.authentication || 'nextauth' }
+    });
+    if (auth) {
+      deps.push(...auth.getSDKDependencies().production);
     }
 
     return {
@@ -47,6 +45,15 @@ export class T3StackPlugin extends BasePlugin {
     };
   }
 
+  getDatabaseDependencies() {
+    const database = this.getSelectedPlugin('database', {
+      config: { ...this.config, database: this.config.database || 'postgresql' }
+    });
+    return database
+      ? database.getClientDependencies('node', 'prisma')
+      : { production: [], development: [] };
+  }
+
   getDevDependencies() {
     const deps = [
       'typescript',
@@ -60,9 +67,7 @@ export class T3StackPlugin extends BasePlugin {
     ];
 
     // Prisma for database
-    if (['postgresql', 'mysql', 'mongodb', undefined].includes(this.config.database)) {
-      deps.push('prisma');
-    }
+    deps.push(...this.getDatabaseDependencies().development);
 
     // Tailwind CSS (default for T3)
     deps.push('tailwindcss', 'postcss', 'autoprefixer');
@@ -103,10 +108,10 @@ export class T3StackPlugin extends BasePlugin {
 │   └── globals.css
 ├── components/
 │   └── ui/
-├── types/
-│   └── next-auth.d.ts
-└── prisma/
-    └── schema.prisma
+└── types/
+    └── next-auth.d.ts
+prisma/
+└── schema.prisma
 .env
 .env.example
 next.config.mjs
@@ -0,0 +1,145 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+const VITE_CONTENT = ['./index.html', './src/**/*.{js,ts,jsx,tsx}'];
+
+// Where each stack keeps its markup, and how it loads Tailwind's config
+const TAILWIND_SETUPS = {
+  'nextjs-app': {
+    configFile: 'tailwind.config.ts',
+    content: ['./src/pages/**/*.{js,ts,jsx,tsx,mdx}', './src/components/**/*.{js,ts,jsx,tsx,mdx}', './src/app/**/*.{js,ts,jsx,tsx,mdx}'],
+    postcss: 'commonjs'
+  },
+  'nextjs-pages': {
+    configFile: 'tailwind.config.ts',
+    content: ['./src/pages/**/*.{js,ts,jsx,tsx,mdx}', './src/components/**/*.{js,ts,jsx,tsx,mdx}'],
+    postcss: 'commonjs'
+  },
+  'react': { content: VITE_CONTENT },
+  'vanilla': { content: VITE_CONTENT },
+  'mern': { content: VITE_CONTENT },
+  'vue': { content: ['./index.html', './src/**/*.{vue,js,ts,jsx,tsx}'] },
+  'svelte': { content: ['./src/**/*.{html,js,svelte,ts}'] },
+  'remix': { content: ['./app/**/*.{js,jsx,ts,tsx}'] },
+  // The Angular CLI runs PostCSS with Tailwind itself
+  'angular': { content: ['./src/**/*.{html,ts}'], module: 'commonjs', postcss: false },
+  'mean': { content: ['./src/**/*.{html,ts}'], module: 'commonjs', postcss: false },
+  // T3 ships its own Tailwind setup
+  't3': null
+};
+
+export class TailwindPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'tailwind-plugin',
+      displayName: 'Tailwind CSS',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🌊',
+      description: 'Utility-first CSS framework'
+    };
+  }
+
+  getDependencies() {
+    return {
+      production: [],
+      development: ['tailwindcss', 'postcss', 'autoprefixer']
+    };
+  }
+
+  getSetup() {
+    if (this.config.stack in TAILWIND_SETUPS) {
+      return TAILWIND_SETUPS[this.config.stack];
+    }
+    return { content: ['./src/**/*.{html,js,ts,jsx,tsx}'] };
+  }
+
+  getConfigFiles() {
+    const setup = this.getSetup();
+    if (!setup) return [];
+
+    const configFile = setup.configFile || 'tailwind.config.js';
+    const content = setup.content.map(glob => `    '${glob}',`).join('\n');
+    const body = `{
+  content: [
+${content}
+  ],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}`;
+
+    let config;
+    if (configFile.endsWith('.ts')) {
+      config = `import type { Config } from 'tailwindcss';
+
+const config: Config = ${body};
+
+export default config;`;
+    } else if (setup.module === 'commonjs') {
+      config = `/** @type {import('tailwindcss').Config} */
+module.exports = ${body};`;
+    } else {
+      config = `/** @type {import('tailwindcss').Config} */
+export default ${body};`;
+    }
+
+    const files = [{
+      name: configFile,
+      language: configFile.endsWith('.ts') ? 'typescript' : 'javascript',
+      content: config
+    }];
+
+    if (setup.postcss !== false) {
+      files.push({
+        name: 'postcss.config.js',
+        language: 'javascript',
+        content: `${setup.postcss === 'commonjs' ? 'module.exports =' : 'export default'} {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+};`
+      });
+    }
+
+    return files;
+  }
+
+  getIntegrationNotes() {
+    return {
+      react: [
+        'Add the @tailwind base/components/utilities directives to the global stylesheet imported by the root component',
+        'Use `className` and a helper such as clsx to compose conditional classes',
+        'Install prettier-plugin-tailwindcss to keep class order consistent'
+      ],
+      vue: [
+        'Import the stylesheet with the @tailwind directives in src/main',
+        'Use `:class` bindings with objects or arrays for conditional classes',
+        'Keep `<style scoped>` blocks for the rare cases utilities cannot express'
+      ],
+      svelte: [
+        'Import src/app.css (with the @tailwind directives) from the root layout',
+        'Use `class:name={condition}` directives for conditional classes',
+        'Run `vitePreprocess()` so `<style>` blocks can use @apply'
+      ],
+      angular: [
+        'Put the @tailwind directives at the top of src/styles.scss',
+        'Use `[ngClass]` or `[class.name]` bindings for conditional classes',
+        'Keep component stylesheets for host styles; prefer utilities in templates'
+      ],
+      default: [
+        'Add the @tailwind base/components/utilities directives to your main stylesheet',
+        'Make sure every file containing class names is matched by `content` in the Tailwind config'
+      ]
+    };
+  }
+
+  getUIGuidelines() {
+    return `- Use Tailwind utility classes
+- Create reusable component classes with @apply sparingly
+- Mobile-first responsive design (sm:, md:, lg: prefixes)
+- Extend the theme in the Tailwind config instead of using arbitrary values
+- Use CSS variables for theming and dark mode`;
+  }
+}
@@ -0,0 +1,103 @@
+import { CategoryPlugin } from './category-plugin.js';
+
+// Where each stack's dev server listens, used by browser test runners
+const DEV_SERVER_URLS = {
+  'nextjs-app': 'http://localhost:3000',
+  'nextjs-pages': 'http://localhost:3000',
+  'remix': 'http://localhost:3000',
+  't3': 'http://localhost:3000',
+  'mern': 'http://localhost:3000',
+  'express': 'http://localhost:3000',
+  'fastify': 'http://localhost:3000',
+  'rails': 'http://localhost:3000',
+  'react': 'http://localhost:5173',
+  'vue': 'http://localhost:5173',
+  'svelte': 'http://localhost:5173',
+  'vanilla': 'http://localhost:5173',
+  'angular': 'http://localhost:4200',
+  'mean': 'http://localhost:4200',
+  'django': 'http://localhost:8000',
+  'fastapi': 'http://localhost:8000',
+  'gin': 'http://localhost:8080'
+};
+
+/**
+ * Shared behaviour for testing framework plugins.
+ *
+ * Subclasses return their runner commands from getTestCommands() and may add
+ * framework config via getFrameworkConfigFiles() and an example test for the
+ * selected stack via getExampleTest().
+ */
+export class TestingPlugin extends CategoryPlugin {
+  // { test, watch, coverage, ci }
+  getTestCommands() {
+    return {};
+  }
+
+  getFrameworkConfigFiles() {
+    return [];
+  }
+
+  getExampleTest() {
+    return null;
+  }
+
+  // Test runners only run tests written in their own language
+  getConflicts() {
+    const stack = this.getStackMetadata();
+    const { displayName, languages = [] } = this.constructor.metadata;
+    if (!stack || !this.getRuntime() || languages.includes(this.getLanguage())) return [];
+
+    const names = languages.length > 1 ? `${languages.slice(0, -1).join(', ')} and ${languages.at(-1)}` : languages[0];
+    return [{
+      plugins: [stack.name],
+      reason: `${displayName} runs ${names} tests, but ${stack.displayName} uses ${this.getLanguage()}`
+    }];
+  }
+
+  getDevServerUrl() {
+    return DEV_SERVER_URLS[this.config.stack] || 'http://localhost:3000';
+  }
+
+  getConfigFiles() {
+    const example = this.getExampleTest();
+    return example ? [...this.getFrameworkConfigFiles(), example] : this.getFrameworkConfigFiles();
+  }
+
+  // Replaces the whole test command set so stack defaults for other runners don't linger
+  getCommands() {
+    const { test, watch, coverage, ci } = this.getTestCommands();
+    return {
+      test: test || null,
+      testWatch: watch || null,
+      testCoverage: coverage || null,
+      testCI: ci || null
+    };
+  }
+
+  getMarkdownSections() {
+    const { displayName } = this.constructor.metadata;
+    const labels = {
+      test: 'Run the test suite',
+      testWatch: 'Re-run tests on change',
+      testCoverage: 'Generate a coverage report',
+      testCI: 'Non-interactive run for CI'
+    };
+
+    const commands = Object.entries(this.getCommands())
+      .filter(([, command]) => command)
+      .map(([name, command]) => `# ${labels[name]}\n${command}`)
+      .join('\n\n');
+
+    return [{
+      title: `🧪 Running Tests with ${displayName}`,
+      content: `\`\`\`bash
+${commands}
+\`\`\``
+    }];
+  }
+
+  getSupportedFeatures() {
+    return ['testing'];
+  }
+}
@@ -0,0 +1,120 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class UnittestPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'unittest-plugin',
+      displayName: 'unittest',
+      category: 'testing',
+      languages: ['Python'],
+      icon: '🧪',
+      description: 'Python standard library testing framework'
+    };
+  }
+
+  getDependencies() {
+    return { production: [], development: ['coverage'] };
+  }
+
+  getTestCommands() {
+    if (this.config.stack === 'django') {
+      return {
+        test: 'python manage.py test',
+        coverage: 'coverage run manage.py test && coverage report -m',
+        ci: 'coverage run manage.py test --noinput && coverage xml'
+      };
+    }
+
+    return {
+      test: 'python -m unittest discover -s tests',
+      coverage: 'coverage run -m unittest discover -s tests && coverage report -m',
+      ci: 'coverage run -m unittest discover -s tests && coverage xml'
+    };
+  }
+
+  getFrameworkConfigFiles() {
+    return [
+      {
+        name: '.coveragerc',
+        language: 'ini',
+        content: `[run]
+branch = True
+source = .
+omit =
+    tests/*
+    */migrations/*
+
+[report]
+show_missing = True
+fail_under = 80`
+      },
+      {
+        name: 'tests/__init__.py',
+        language: 'python',
+        content: ''
+      }
+    ];
+  }
+
+  getExampleTest() {
+    if (this.config.stack === 'django') {
+      return {
+        name: 'tests/test_users.py',
+        language: 'python',
+        content: `from django.contrib.auth import get_user_model
+from django.test import TestCase
+
+
+class UserModelTests(TestCase):
+    def test_create_user(self):
+        user = get_user_model().objects.create_user(username="claude", password="s3cret-pass")
+        self.assertTrue(user.check_password("s3cret-pass"))`
+      };
+    }
+
+    if (this.config.stack === 'fastapi') {
+      return {
+        name: 'tests/test_health.py',
+        language: 'python',
+        content: `import unittest
+
+from fastapi.testclient import TestClient
+
+from app.main import app
+
+
+class HealthCheckTests(unittest.TestCase):
+    def setUp(self):
+        self.client = TestClient(app)
+
+    def test_health_check(self):
+        response = self.client.get("/health")
+        self.assertEqual(response.status_code, 200)`
+      };
+    }
+
+    return {
+      name: 'tests/test_example.py',
+      language: 'python',
+      content: `import unittest
+
+
+class SumTests(unittest.TestCase):
+    def test_sum(self):
+        for a, b, expected in [(1, 2, 3), (0, 0, 0), (-1, 1, 0)]:
+            with self.subTest(a=a, b=b):
+                self.assertEqual(a + b, expected)
+
+
+if __name__ == "__main__":
+    unittest.main()`
+    };
+  }
+
+  getTestingStrategy() {
+    return `- Group related tests in unittest.TestCase classes under tests/
+- Use setUp/tearDown for per-test fixtures and subTest for table-driven cases
+- Patch external dependencies with unittest.mock
+- Measure coverage with coverage.py (fail_under = 80 in .coveragerc)`;
+  }
+}
@@ -0,0 +1,62 @@
+import { StylingPlugin } from './styling-plugin.js';
+
+export class VanillaCSSPlugin extends StylingPlugin {
+  static get metadata() {
+    return {
+      name: 'vanilla-css-plugin',
+      displayName: 'Vanilla CSS',
+      category: 'styling',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '🎨',
+      description: 'Plain CSS with custom properties and cascade layers'
+    };
+  }
+
+  getDependencies() {
+    return { production: [], development: [] };
+  }
+
+  getConfigFiles() {
+    return [{
+      name: 'src/styles/tokens.css',
+      language: 'css',
+      content: `@layer reset, tokens, components, utilities;
+
+@layer tokens {
+  :root {
+    --color-primary: #2563eb;
+    --color-text: #111827;
+    --color-background: #ffffff;
+    --space-1: 0.25rem;
+    --space-2: 0.5rem;
+    --space-4: 1rem;
+    --radius: 0.375rem;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --color-text: #f9fafb;
+      --color-background: #111827;
+    }
+  }
+}`
+    }];
+  }
+
+  getIntegrationNotes() {
+    return {
+      react: ['Import global stylesheets once from the root component; use BEM class names in components'],
+      vue: ['Import src/styles/tokens.css in src/main and use `<style scoped>` in components'],
+      svelte: ['Import src/styles/tokens.css from the root layout; component `<style>` blocks are scoped automatically'],
+      angular: ['Add src/styles/tokens.css to the `styles` array in angular.json; component styles are encapsulated by default'],
+      default: ['Link src/styles/tokens.css before any component stylesheet']
+    };
+  }
+
+  getUIGuidelines() {
+    return `- Define design tokens as CSS custom properties in one place
+- Order the cascade explicitly with @layer
+- Use BEM (block__element--modifier) naming for global classes
+- Prefer logical properties (margin-inline, padding-block) for RTL support`;
+  }
+}
@@ -27,8 +27,9 @@ export class VanillaPlugin extends BasePlugin {
       deps.push('typescript', '@types/node');
     }
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const styling = this.getSelectedPlugin('styling', { stack: 'vanilla' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'vitest') {
@@ -83,8 +84,8 @@ export class VanillaPlugin extends BasePlugin {
 ├── app.${ext}
 └── main.${ext}
 public/
-├── index.html
 └── favicon.ico
+index.html
 vite.config.${ext}
 ${this.config.language === 'TypeScript' ? 'tsconfig.json' : ''}
 ${this.config.styling === 'tailwind' ? 'tailwind.config.js' : ''}
@@ -440,34 +441,9 @@ body {
       });
     }
 
-    // Tailwind configuration
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./index.html",
-    "./src/**/*.{js,ts,jsx,tsx}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`
-      });
-
-      files.push({
-        name: 'postcss.config.js',
-        language: 'javascript',
-        content: `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}`
-      });
+    const styling = this.getSelectedPlugin('styling', { stack: 'vanilla' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
     }
 
     return files;
@@ -1360,6 +1336,32 @@ export class Button {
     return sections;
   }
 
+  getConfigSchema() {
+    return {
+      properties: {
+        utilities: {
+          type: 'array',
+          items: { type: 'string', enum: ['lodash', 'axios'] },
+          description: 'Utility libraries to include'
+        }
+      }
+    };
+  }
+
+  getQuestions() {
+    return [
+      {
+        type: 'checkbox',
+        name: 'utilities',
+        message: 'Utility libraries to include:',
+        choices: [
+          { name: 'Lodash', value: 'lodash' },
+          { name: 'Axios', value: 'axios' }
+        ]
+      }
+    ];
+  }
+
   getSupportedFeatures() {
     return ['spa', 'components', 'routing', 'utilities', 'dom-manipulation'];
   }
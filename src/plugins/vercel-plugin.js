@@ -0,0 +1,87 @@
+import { DeploymentPlugin } from './deployment-plugin.js';
+
+export class VercelPlugin extends DeploymentPlugin {
+  static get metadata() {
+    return {
+      name: 'vercel-plugin',
+      displayName: 'Vercel',
+      category: 'deployment',
+      languages: ['TypeScript', 'JavaScript', 'Python'],
+      icon: '▲',
+      description: 'Git-based deploys with preview URLs for every branch'
+    };
+  }
+
+  getPlatformFiles() {
+    const target = this.getTarget();
+    const config = {
+      $schema: 'https://openapi.vercel.sh/vercel.json'
+    };
+
+    if (target.framework) {
+      config.framework = target.framework;
+    }
+
+    if (target.build && target.runtime === 'node') {
+      config.buildCommand = target.build;
+    }
+
+    if (target.static) {
+      config.outputDirectory = target.output;
+      // Single-page apps handle routing in the browser
+      config.rewrites = [{ source: '/(.*)', destination: '/index.html' }];
+    }
+
+    config.headers = [{
+      source: '/(.*)',
+      headers: Object.entries(this.getSecurityHeaders()).map(([key, value]) => ({ key, value }))
+    }];
+
+    return [{
+      name: 'vercel.json',
+      language: 'json',
+      content: JSON.stringify(config, null, 2)
+    }];
+  }
+
+  getDeployCommands() {
+    return {
+      deploy: this.exec('vercel deploy --prod'),
+      deployPreview: this.exec('vercel deploy'),
+      envPull: this.exec('vercel env pull .env.local')
+    };
+  }
+
+  // Rails needs a long-running Ruby server, which Vercel doesn't offer
+  getConflicts() {
+    const stack = this.getStackMetadata();
+    if (!stack || this.getRuntime() !== 'ruby') return [];
+
+    return [{
+      plugins: [stack.name],
+      reason: `Vercel has no Ruby runtime for ${stack.displayName} - pick a container platform instead`
+    }];
+  }
+
+  getPlatformNotes() {
+    const { runtime, framework } = this.getTarget();
+
+    if (runtime === 'go' || runtime === 'ruby') {
+      return `> **Note:** Vercel runs backends as short-lived functions and has no long-running ${runtime === 'go' ? 'Go' : 'Ruby'} server. Prefer a container platform such as Fly.io, Railway or Google Cloud Run for this stack.`;
+    }
+
+    if (!framework) {
+      return '> **Note:** Vercel runs this backend as Vercel Functions. Export the app instance instead of calling `listen()`, and keep requests under the function timeout.';
+    }
+
+    return '';
+  }
+
+  getSecurityGuidelines() {
+    return [
+      'Store secrets in Vercel environment variables and never commit .env.local',
+      'Scope production secrets to the Production environment so preview deployments cannot read them',
+      'Enable Deployment Protection for preview URLs that expose unreleased features'
+    ];
+  }
+}
@@ -0,0 +1,149 @@
+import { TestingPlugin } from './testing-plugin.js';
+
+export class VitestPlugin extends TestingPlugin {
+  static get metadata() {
+    return {
+      name: 'vitest-plugin',
+      displayName: 'Vitest',
+      category: 'testing',
+      languages: ['TypeScript', 'JavaScript'],
+      icon: '⚡',
+      description: 'Vite-native unit test framework with a Jest-compatible API'
+    };
+  }
+
+  getDependencies() {
+    const deps = ['vitest', '@vitest/coverage-v8'];
+
+    if (this.isReactStack()) {
+      deps.push('@testing-library/react', '@testing-library/jest-dom', 'jsdom', '@vitejs/plugin-react');
+    } else if (this.config.stack === 'vue') {
+      deps.push('@vue/test-utils', 'jsdom');
+    } else if (this.config.stack === 'svelte') {
+      deps.push('@testing-library/svelte', 'jsdom');
+    }
+
+    return { production: [], development: deps };
+  }
+
+  getTestCommands() {
+    return {
+      test: this.exec('vitest run'),
+      watch: this.exec('vitest'),
+      coverage: this.exec('vitest run --coverage'),
+      ci: this.exec('vitest run --coverage --reporter=junit --outputFile=test-results/junit.xml')
+    };
+  }
+
+  usesDom() {
+    return this.isReactStack() || ['vue', 'svelte'].includes(this.config.stack);
+  }
+
+  getFrameworkConfigFiles() {
+    const ext = this.getLanguageExtension();
+    const imports = [`import { defineConfig } from 'vitest/config';`];
+    const plugins = [];
+
+    if (this.isReactStack()) {
+      imports.push(`import react from '@vitejs/plugin-react';`);
+      plugins.push('react()');
+    } else if (this.config.stack === 'vue') {
+      imports.push(`import vue from '@vitejs/plugin-vue';`);
+      plugins.push('vue()');
+    } else if (this.config.stack === 'svelte') {
+      imports.push(`import { svelte } from '@sveltejs/vite-plugin-svelte';`);
+      plugins.push('svelte()');
+    }
+
+    const files = [{
+      name: `vitest.config.${ext}`,
+      language: ext === 'ts' ? 'typescript' : 'javascript',
+      content: `${imports.join('\n')}
+
+export default defineConfig({
+${plugins.length > 0 ? `  plugins: [${plugins.join(', ')}],\n` : ''}  test: {
+    environment: '${this.usesDom() ? 'jsdom' : 'node'}',
+    globals: true,${this.isReactStack() ? `\n    setupFiles: ['./vitest.setup.${ext}'],` : ''}
+    coverage: {
+      provider: 'v8',
+      reporter: ['text', 'html', 'lcov'],
+      thresholds: { lines: 80, functions: 80, branches: 80, statements: 80 }
+    }
+  }
+});`
+    }];
+
+    if (this.isReactStack()) {
+      files.push({
+        name: `vitest.setup.${ext}`,
+        language: ext === 'ts' ? 'typescript' : 'javascript',
+        content: `import '@testing-library/jest-dom/vitest';`
+      });
+    }
+
+    return files;
+  }
+
+  getExampleTest() {
+    const ext = this.getLanguageExtension();
+    const language = ext === 'ts' ? 'typescript' : 'javascript';
+
+    if (this.isReactStack()) {
+      return {
+        name: `src/__tests__/Greeting.test.${ext}x`,
+        language,
+        content: `import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+
+function Greeting({ name }${ext === 'ts' ? ': { name: string }' : ''}) {
+  return <h1>Hello, {name}!</h1>;
+}
+
+describe('Greeting', () => {
+  it('renders the name', () => {
+    render(<Greeting name="Claude" />);
+    expect(screen.getByRole('heading')).toHaveTextContent('Hello, Claude!');
+  });
+});`
+      };
+    }
+
+    if (this.config.stack === 'vue') {
+      return {
+        name: `src/__tests__/BaseButton.spec.${ext}`,
+        language,
+        content: `import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import BaseButton from '../components/ui/BaseButton.vue';
+
+describe('BaseButton', () => {
+  it('renders slot content', () => {
+    const wrapper = mount(BaseButton, { slots: { default: 'Save' } });
+    expect(wrapper.text()).toContain('Save');
+  });
+});`
+      };
+    }
+
+    return {
+      name: `src/__tests__/example.test.${ext}`,
+      language,
+      content: `import { describe, it, expect } from 'vitest';
+
+const sum = (a${ext === 'ts' ? ': number' : ''}, b${ext === 'ts' ? ': number' : ''}) => a + b;
+
+describe('sum', () => {
+  it('adds two numbers', () => {
+    expect(sum(1, 2)).toBe(3);
+  });
+});`
+    };
+  }
+
+  getTestingStrategy() {
+    return `- Use Vitest for fast unit testing that shares the Vite config
+- ${this.usesDom() ? 'Component tests in jsdom with Testing Library' : 'Unit test modules in the node environment'}
+- Mock modules with vi.mock() and timers with vi.useFakeTimers()
+- Run \`vitest\` in watch mode during development`;
+  }
+}
@@ -27,8 +27,9 @@ export class VuePlugin extends BasePlugin {
       deps.push('typescript', 'vue-tsc', '@types/node');
     }
 
-    if (this.config.styling === 'tailwind') {
-      deps.push('tailwindcss', 'postcss', 'autoprefixer');
+    const styling = this.getSelectedPlugin('styling', { stack: 'vue' });
+    if (styling) {
+      deps.push(...styling.getDependencies().development);
     }
 
     if (this.config.testing === 'vitest') {
@@ -67,8 +68,8 @@ export class VuePlugin extends BasePlugin {
 ├── App.vue
 └── main.${scriptExt}
 public/
-├── index.html
 └── favicon.ico
+index.html
 vite.config.${scriptExt}
 ${this.config.language === 'TypeScript' ? 'tsconfig.json' : ''}
 ${this.config.language === 'TypeScript' ? 'tsconfig.app.json' : ''}
@@ -91,28 +92,28 @@ package.json`;
 
     // Main App component
     files.push({
-      name: 'App.vue',
+      name: 'src/App.vue',
       language: 'vue',
       content: this.getAppComponent()
     });
 
     // Main entry point
     files.push({
-      name: `main.${scriptExt}`,
+      name: `src/main.${scriptExt}`,
       language: isTypeScript ? 'typescript' : 'javascript',
       content: this.getMainFile()
     });
 
     // Router configuration
     files.push({
-      name: `router/index.${scriptExt}`,
+      name: `src/router/index.${scriptExt}`,
       language: isTypeScript ? 'typescript' : 'javascript',
       content: this.getRouterConfig()
     });
 
     // Pinia store
     files.push({
-      name: `stores/counter.${scriptExt}`,
+      name: `src/stores/counter.${scriptExt}`,
       language: isTypeScript ? 'typescript' : 'javascript',
       content: this.getStoreConfig()
     });
@@ -198,34 +199,9 @@ declare module '*.vue' {
       });
     }
 
-    // Tailwind configuration
-    if (this.config.styling === 'tailwind') {
-      files.push({
-        name: 'tailwind.config.js',
-        language: 'javascript',
-        content: `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./index.html",
-    "./src/**/*.{vue,js,ts,jsx,tsx}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`
-      });
-
-      files.push({
-        name: 'postcss.config.js',
-        language: 'javascript',
-        content: `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}`
-      });
+    const styling = this.getSelectedPlugin('styling', { stack: 'vue' });
+    if (styling) {
+      files.push(...styling.getConfigFiles());
     }
 
     return files;
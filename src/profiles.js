@@ -4,7 +4,8 @@ import fsExtra from 'fs-extra';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { generator } from './generator.js';
-import { writeFile } from 'fs/promises';
+import { PROFILE_NAME_SCHEMA, validator } from './config/schema.js';
+import { writeOutput, writeProjectFiles, printManifest, getWrittenPaths } from './output.js';
 
 const { ensureDir, readJson, writeJson, pathExists, readdir } = fsExtra;
 
@@ -17,6 +18,12 @@ export async function getProfileHome() {
 }
 
 export async function saveProfile(name, config) {
+  // The name becomes a file name, so it must not reach outside the profiles folder
+  const [nameError] = validator.validateProperty('profileName', name, PROFILE_NAME_SCHEMA);
+  if (nameError) {
+    throw new Error(`Invalid profile name: ${nameError}`);
+  }
+
   try {
     await ensureDir(PROFILE_DIR);
     const profilePath = join(PROFILE_DIR, `${name}.json`);
@@ -33,7 +40,17 @@ export async function saveProfile(name, config) {
   }
 }
 
-export async function loadProfile(profileName) {
+export async function readProfile(profileName) {
+  const profilePath = join(PROFILE_DIR, `${profileName}.json`);
+
+  if (!(await pathExists(profilePath))) {
+    throw new Error(`Profile "${profileName}" not found`);
+  }
+
+  return readJson(profilePath);
+}
+
+export async function loadProfile(profileName, options = {}) {
   try {
     await ensureDir(PROFILE_DIR);
     
@@ -42,12 +59,14 @@ export async function loadProfile(profileName) {
       const profiles = await listProfiles();
       
       if (profiles.length === 0) {
-        console.log(chalk.yellow('No saved profiles found.'));
-        console.log(chalk.gray('Create one by running claude-kickstart without options.'));
+        log(options, chalk.yellow('No saved profiles found.'));
+        log(options, chalk.gray('Create one by running claude-kickstart without options.'));
         process.exit(0);
       }
       
-      const { selectedProfile } = await inquirer.prompt([
+      // Keep the menu off stdout when the markdown is piped
+      const prompt = options.stdout ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+      const { selectedProfile } = await prompt([
         {
           type: 'list',
           name: 'selectedProfile',
@@ -72,19 +91,11 @@ export async function loadProfile(profileName) {
     
     const config = await readJson(profilePath);
     
-    console.log(chalk.green(`✓ Loaded profile: ${profileName}`));
-    console.log();
+    log(options, chalk.green(`✓ Loaded profile: ${profileName}`));
+    log(options);
     
     // Generate and write the markdown
-    const markdown = await generator.generateMarkdown(config);
-    await writeFile('claude-kickstart.md', markdown);
-    
-    console.log(chalk.green('✅ Success! Created claude-kickstart.md'));
-    console.log();
-    console.log(chalk.cyan('Next steps:'));
-    console.log(chalk.gray('  1. ') + 'Open your project in Claude Code');
-    console.log(chalk.gray('  2. ') + 'Run: ' + chalk.yellow('claude /init'));
-    console.log(chalk.gray('  3. ') + 'Watch Claude set up your project perfectly!');
+    await generateFromConfig(config, options);
     
   } catch (error) {
     console.error(chalk.red('Error loading profile:', error.message));
@@ -92,7 +103,7 @@ export async function loadProfile(profileName) {
   }
 }
 
-export async function quickSetup() {
+export async function quickSetup(options = {}) {
   try {
     if (!(await pathExists(LAST_CONFIG_FILE))) {
       console.log(chalk.yellow('No previous configuration found.'));
@@ -102,19 +113,11 @@ export async function quickSetup() {
     
     const config = await readJson(LAST_CONFIG_FILE);
     
-    console.log(chalk.green('✓ Using last configuration'));
-    console.log();
+    log(options, chalk.green('✓ Using last configuration'));
+    log(options);
     
     // Generate and write the markdown
-    const markdown = await generator.generateMarkdown(config);
-    await writeFile('claude-kickstart.md', markdown);
-    
-    console.log(chalk.green('✅ Success! Created claude-kickstart.md'));
-    console.log();
-    console.log(chalk.cyan('Next steps:'));
-    console.log(chalk.gray('  1. ') + 'Open your project in Claude Code');
-    console.log(chalk.gray('  2. ') + 'Run: ' + chalk.yellow('claude /init'));
-    console.log(chalk.gray('  3. ') + 'Watch Claude set up your project perfectly!');
+    await generateFromConfig(config, options);
     
   } catch (error) {
     console.error(chalk.red('Error in quick setup:', error.message));
@@ -122,6 +125,43 @@ export async function quickSetup() {
   }
 }
 
+async function generateFromConfig(config, options) {
+  if (options.projectFiles) {
+    const files = await generator.generateProjectFiles(config);
+    const manifest = await writeProjectFiles(files, options);
+    printManifest(manifest);
+    await generator.completeGeneration(config, files[0].content, getWrittenPaths(manifest));
+    return;
+  }
+
+  const markdown = await generator.generateMarkdown(config, { output: options.output });
+  const result = await writeOutput(markdown, options);
+  await generator.completeGeneration(config, markdown, result.written && result.path ? [result.path] : []);
+
+  if (!result.path) return;
+
+  if (!result.written) {
+    console.log(chalk.yellow(result.unchanged ? `${result.path} is already up to date` : `Kept existing ${result.path}`));
+    return;
+  }
+
+  console.log(chalk.green(`✅ Success! Created ${result.path}`));
+  console.log();
+  console.log(chalk.cyan('Next steps:'));
+  console.log(chalk.gray('  1. ') + 'Open your project in Claude Code');
+  console.log(chalk.gray('  2. ') + 'Run: ' + chalk.yellow('claude /init'));
+  console.log(chalk.gray('  3. ') + 'Watch Claude set up your project perfectly!');
+}
+
+// Status messages go to stderr when the markdown itself is piped to stdout
+function log(options, ...args) {
+  if (options.stdout) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
 export async function listProfiles() {
   try {
     await ensureDir(PROFILE_DIR);
@@ -1,4 +1,7 @@
 import { registry } from './plugins/index.js';
+import { generator } from './generator.js';
+import { toolchain } from './toolchain.js';
+import { PROFILE_NAME_SCHEMA, validator } from './config/schema.js';
 
 export class DynamicQuestionGenerator {
   constructor() {
@@ -378,6 +381,10 @@ export class DynamicQuestionGenerator {
           const stack = answers.stack || answers.projectType;
           const language = answers.language || this.getImpliedLanguage(answers.stack);
           return `${stack}-${language}`.toLowerCase().replace(/\s+/g, '-');
+        },
+        validate: (name) => {
+          const errors = validator.validateProperty('profileName', name, PROFILE_NAME_SCHEMA);
+          return errors.length === 0 || errors.join(', ');
         }
       }
     ];
@@ -439,13 +446,27 @@ export class DynamicQuestionGenerator {
     return ['fullstack', 'frontend'].includes(answers.projectType);
   }
 
-  // Get all questions including plugin-specific ones
+  // Get the base questions; plugin questions follow once the stack is known
   async getAllQuestions() {
-    const baseQuestions = await this.getQuestions();
-    
-    // This could be extended to dynamically add plugin questions
-    // based on answers, but for now we'll use the base questions
-    return baseQuestions;
+    return this.getQuestions();
+  }
+
+  // Second phase: questions from the stack and the other plugins the base answers selected
+  async getPluginPhaseQuestions(answers) {
+    const asked = new Set(Object.keys(answers));
+    const questions = [];
+
+    for (const plugin of generator.selectPlugins(answers)) {
+      const pluginQuestions = await this.getPluginQuestions(plugin.constructor.metadata.name, answers);
+
+      for (const question of pluginQuestions) {
+        if (asked.has(question.name)) continue;
+        asked.add(question.name);
+        questions.push(question);
+      }
+    }
+
+    return questions;
   }
 
   // Validate answers against plugin requirements
@@ -462,15 +483,16 @@ export class DynamicQuestionGenerator {
       errors.push('Custom language is required');
     }
 
-    // Plugin compatibility validation
-    if (answers.stack && answers.stack !== 'custom') {
-      const conflicts = this.registry.validatePluginCompatibility([answers.stack]);
-      if (conflicts.length > 0) {
-        warnings.push(...conflicts.map(c => c.reason));
-      }
-    }
+    // Pairwise compatibility of everything the answers select
+    const conflicts = generator.findConflicts(answers);
+    warnings.push(...conflicts.map(({ reason, alternatives }) =>
+      alternatives.length > 0 ? `${reason} (alternatives: ${alternatives.join(', ')})` : reason
+    ));
+
+    // Tools the selected plugins need that aren't installed or are too old
+    warnings.push(...toolchain.getWarnings(generator.selectPlugins(answers)));
 
-    return { errors, warnings };
+    return { errors, warnings, conflicts };
   }
 }
 
@@ -0,0 +1,205 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import fsExtra from 'fs-extra';
+import { dirname, isAbsolute, join, normalize, resolve, sep } from 'path';
+import { generator } from './generator.js';
+import { validator } from './config/schema.js';
+import { resolveConfig, validateConfig } from './generate.js';
+import { readProfile } from './profiles.js';
+import { diffLines, formatDiff, getDisplayPath } from './output.js';
+
+const { ensureDir, pathExists, readFile, writeFile } = fsExtra;
+
+const TREE_PREFIX = /^[│├└─\s]*/;
+
+// Turns the box-drawing trees returned by getFileStructure() into paths
+export function parseFileStructure(tree) {
+  const directories = [];
+  const files = [];
+  const stack = [];
+
+  for (const line of tree.split('\n')) {
+    if (!line.trim()) continue;
+
+    const prefix = line.match(TREE_PREFIX)[0];
+    const depth = Math.floor(prefix.length / 4);
+    const name = line.slice(prefix.length).split(/\s+\(|\s+#/)[0].trim();
+    if (!name) continue;
+
+    stack.length = Math.min(stack.length, depth);
+    const path = [...stack, name.replace(/\/$/, '')].join('/');
+
+    if (name.endsWith('/')) {
+      directories.push(path);
+      stack.push(name.slice(0, -1));
+    } else {
+      files.push(path);
+    }
+  }
+
+  return { directories, files };
+}
+
+// Trees like Django's draw the project inside one folder named after it; when that folder holds
+// files the plugins write at the root, its contents are the target directory itself
+export function unwrapProjectRoot(structure, fileNames) {
+  const topDirectories = structure.directories.filter(directory => !directory.includes('/'));
+  if (topDirectories.length !== 1 || structure.files.some(file => !file.includes('/'))) return structure;
+
+  const prefix = `${topDirectories[0]}/`;
+  if (!fileNames.some(name => !name.includes('/') && structure.files.includes(prefix + name))) return structure;
+
+  return {
+    directories: structure.directories.filter(directory => directory !== topDirectories[0]).map(directory => directory.slice(prefix.length)),
+    files: structure.files.map(file => file.slice(prefix.length))
+  };
+}
+
+export function planScaffold(config) {
+  const sanitized = validator.sanitize(config);
+  const plugins = generator.selectPlugins(sanitized);
+  const configFiles = plugins.flatMap(plugin => generator.getPluginConfigFiles(plugin));
+  const structure = unwrapProjectRoot(
+    parseFileStructure(generator.generateFileStructure(sanitized, plugins)),
+    configFiles.map(file => file.name)
+  );
+  const files = new Map();
+
+  for (const file of configFiles) {
+    const path = normalizeScaffoldPath(file.name);
+    if (!files.has(path)) files.set(path, file.content);
+  }
+
+  const directories = new Set(structure.directories.map(normalizeScaffoldPath));
+  for (const path of files.keys()) {
+    let parent = dirname(path);
+    while (parent !== '.') {
+      directories.add(parent);
+      parent = dirname(parent);
+    }
+  }
+
+  return {
+    directories: [...directories].sort(),
+    files: [...files.entries()].map(([path, content]) => ({ path, content }))
+  };
+}
+
+function normalizeScaffoldPath(path) {
+  const normalized = normalize(path);
+  if (isAbsolute(normalized) || normalized === '..' || normalized.startsWith(`..${sep}`)) {
+    throw new Error(`Refusing to scaffold outside the target directory: ${path}`);
+  }
+  return normalized;
+}
+
+export async function applyScaffold(plan, targetDir, options = {}) {
+  const root = resolve(targetDir);
+  const entries = [];
+
+  for (const directory of plan.directories) {
+    const target = join(root, directory);
+    const exists = await pathExists(target);
+
+    if (!exists && !options.dryRun) {
+      await ensureDir(target);
+    }
+
+    entries.push({ path: getDisplayPath(target) + '/', type: 'directory', status: exists ? 'exists' : 'created' });
+  }
+
+  for (const file of plan.files) {
+    const target = join(root, file.path);
+    const displayPath = getDisplayPath(target);
+    let status = 'created';
+
+    if (await pathExists(target)) {
+      const existing = await readFile(target, 'utf8');
+      if (existing === file.content) {
+        status = 'unchanged';
+      } else {
+        status = await resolveConflict(displayPath, existing, file.content, options);
+      }
+    }
+
+    if (['created', 'overwritten'].includes(status) && !options.dryRun) {
+      await ensureDir(dirname(target));
+      await writeFile(target, file.content);
+    }
+
+    entries.push({ path: displayPath, type: 'file', status });
+  }
+
+  return entries;
+}
+
+async function resolveConflict(displayPath, existing, content, options) {
+  if (options.force) return 'overwritten';
+  if (options.dryRun || options.skipExisting || !process.stdin.isTTY) return 'conflict';
+
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: `${displayPath} already exists:`,
+      choices: [
+        { name: 'Skip', value: 'skip' },
+        { name: 'Overwrite', value: 'overwrite' },
+        { name: 'Show diff', value: 'diff' }
+      ]
+    }
+  ]);
+
+  if (action === 'diff') {
+    console.log(formatDiff(diffLines(existing, content)));
+    return resolveConflict(displayPath, existing, content, options);
+  }
+
+  return action === 'overwrite' ? 'overwritten' : 'conflict';
+}
+
+export function printScaffold(entries, dryRun = false) {
+  const labels = dryRun
+    ? { created: 'would create', overwritten: 'would overwrite', conflict: 'conflict', exists: 'exists', unchanged: 'unchanged' }
+    : { created: 'created', overwritten: 'overwritten', conflict: 'skipped', exists: 'exists', unchanged: 'unchanged' };
+  const colors = { created: chalk.green, overwritten: chalk.yellow, conflict: chalk.red, exists: chalk.gray, unchanged: chalk.gray };
+
+  console.log(chalk.cyan(dryRun ? '\n🔍 Scaffold plan (dry run):\n' : '\n🏗️  Scaffolded files:\n'));
+  entries.forEach(entry => {
+    console.log(`  ${colors[entry.status](labels[entry.status].padEnd(15))} ${entry.path}`);
+  });
+
+  const conflicts = entries.filter(entry => entry.status === 'conflict').length;
+  if (conflicts > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${conflicts} existing file(s) ${dryRun ? 'would be skipped' : 'were skipped'}. Use --force to overwrite them.`));
+  }
+}
+
+export async function runScaffold(targetDir = '.', options = {}) {
+  try {
+    const config = options.profile ? await readProfile(options.profile) : (await resolveConfig(options)).config;
+    const validation = validateConfig(config);
+
+    if (!validation.isValid) {
+      console.error(chalk.red('❌ Configuration validation failed:'));
+      validation.errors.forEach(error => console.error(chalk.red(`  • ${error}`)));
+      process.exit(1);
+    }
+
+    const plan = planScaffold(config);
+    if (plan.files.length === 0 && plan.directories.length === 0) {
+      console.log(chalk.yellow('Nothing to scaffold: the selected plugins provide no files.'));
+      return;
+    }
+
+    const entries = await applyScaffold(plan, targetDir, options);
+    printScaffold(entries, options.dryRun);
+
+    if (!options.dryRun) {
+      console.log(chalk.green('\n✅ Scaffold ready. Run claude /init to continue from this skeleton.'));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error scaffolding project:', error.message));
+    process.exit(1);
+  }
+}
@@ -0,0 +1,41 @@
+// Escaping modes for values inserted into markdown: {{value}} is markdown-inline, {{code value}} is a
+// code span, {{comment value}} is safe inside an HTML comment, {{fence value}} is safe inside a ``` block,
+// {{json value}} is a JSON value and {{{value}}} is inserted as it is.
+
+// Backslash-escapes emphasis, code, links, HTML and table pipes, and joins lines. # and > only start a
+// heading or quote at the beginning of a line, so they are escaped there and nowhere else.
+export function escapeMarkdownInline(text) {
+  return text
+    .replace(/\r?\n/g, ' ')
+    .replace(/[\\`*_[\]<|]/g, '\\$&')
+    .replace(/^[#>]/, '\\$&');
+}
+
+// A code span shows its text literally. The delimiter is one backtick longer than any run inside, and
+// a space pads text that starts or ends with a backtick, as CommonMark requires.
+export function toCodeSpan(text) {
+  const line = text.replace(/\r?\n/g, ' ');
+  const longest = Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length));
+  const delimiter = '`'.repeat(longest + 1);
+  const padding = /^`|`$/.test(line) ? ' ' : '';
+  return `${delimiter}${padding}${line}${padding}${delimiter}`;
+}
+
+// An HTML comment ends at --> or --!>, so runs of dashes are split with zero-width spaces and > becomes
+// &gt;. Lines are joined, since comments in the output header take one line each.
+export function escapeHtmlComment(text) {
+  return text
+    .replace(/\r?\n/g, ' ')
+    .replace(/-(?=-)/g, '-\u200b')
+    .replace(/>/g, '&gt;');
+}
+
+// Three backticks would close the surrounding code block, so longer runs are split with zero-width spaces
+export function escapeCodeFence(text) {
+  return text.replace(/`{3,}/g, run => run.split('').join('\u200b'));
+}
+
+// Strings become quoted JSON strings, with quotes, backslashes and newlines escaped
+export function toJson(value) {
+  return JSON.stringify(value === undefined ? null : value, null, 2);
+}
@@ -0,0 +1,38 @@
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import fsExtra from 'fs-extra';
+
+const { pathExists } = fsExtra;
+
+export const PACKAGE_TEMPLATE_DIR = dirname(fileURLToPath(import.meta.url));
+export const USER_TEMPLATE_DIR = join(homedir(), '.claude-kickstart', 'templates');
+
+export function getProjectTemplateDir(cwd = process.cwd()) {
+  return join(cwd, '.claude-kickstart', 'templates');
+}
+
+// Lowest precedence first: the packaged templates, then the user's, then the project's
+export function getTemplateDirs(cwd = process.cwd()) {
+  return [PACKAGE_TEMPLATE_DIR, USER_TEMPLATE_DIR, getProjectTemplateDir(cwd)];
+}
+
+// Path of the highest-precedence copy of a template such as base.md
+export async function resolveTemplate(name, cwd = process.cwd()) {
+  for (const dir of getTemplateDirs(cwd).reverse()) {
+    if (await pathExists(join(dir, name))) return join(dir, name);
+  }
+  throw new Error(`Template ${name} not found in ${getTemplateDirs(cwd).join(', ')}`);
+}
+
+// Loads partials/*.md and blocks/*.md from every template folder, so a project's file wins over the
+// user's and the user's over the packaged one. Files loaded for an earlier project are dropped first and
+// templates are read again; partials and blocks registered in code are kept.
+export async function loadTemplateOverrides(engine, cwd = process.cwd()) {
+  engine.clearLoadedTemplates();
+
+  for (const dir of getTemplateDirs(cwd)) {
+    await engine.loadPartials(join(dir, 'partials'));
+    await engine.loadBlocks(join(dir, 'blocks'));
+  }
+}
@@ -0,0 +1,206 @@
+// Turns template source into an AST:
+//   { type: 'text', value }
+//   { type: 'mustache', name, params, raw, source, loc }        {{name}} or {{helper arg ...}}; raw for {{{ }}}
+//   { type: 'block', name, params, body, inverse, source, loc } {{#name arg}} ... {{else}} ... {{/name}}
+//   { type: 'partial', name, source, loc }                      {{> name}}
+// Params are { type: 'path', path }, { type: 'literal', value } or { type: 'subexpression', name, params }
+// for (helper arg ...); loc is { line, column }, both 1-based.
+
+export class TemplateSyntaxError extends Error {
+  constructor(message, loc, templateName) {
+    const where = `${templateName ? `${templateName}:` : ''}${loc.line}:${loc.column}`;
+    super(`${message} (${where})`);
+    this.name = 'TemplateSyntaxError';
+    this.line = loc.line;
+    this.column = loc.column;
+    this.templateName = templateName;
+  }
+}
+
+const PATH = /^(?:@?[A-Za-z_$][\w$-]*)(?:\.[\w$-]+)*$/;
+const NUMBER = /^-?\d+(?:\.\d+)?$/;
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+function getLocation(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+// Index of the `}}` that closes a tag opened at `start`, skipping quoted strings
+function findTagEnd(source, start) {
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '}' && source[i + 1] === '}') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+export function tokenize(source, templateName) {
+  const tokens = [];
+  let offset = 0;
+
+  while (offset < source.length) {
+    const open = source.indexOf('{{', offset);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(offset) });
+      break;
+    }
+    if (open > offset) {
+      tokens.push({ type: 'text', value: source.slice(offset, open) });
+    }
+
+    const loc = getLocation(source, open);
+
+    // {{!-- ... --}} comments may contain }}
+    if (source.startsWith('{{!--', open)) {
+      const close = source.indexOf('--}}', open + 5);
+      if (close === -1) throw new TemplateSyntaxError('Unclosed comment', loc, templateName);
+      offset = close + 4;
+      continue;
+    }
+
+    // {{{ value }}} inserts the value without escaping
+    if (source.startsWith('{{{', open)) {
+      const close = findTagEnd(source, open + 3);
+      if (close === -1 || source[close + 2] !== '}') {
+        throw new TemplateSyntaxError('Unclosed tag, expected }}}', loc, templateName);
+      }
+      tokens.push({ type: 'tag', content: source.slice(open + 3, close), raw: true, source: source.slice(open, close + 3), loc });
+      offset = close + 3;
+      continue;
+    }
+
+    const close = findTagEnd(source, open + 2);
+    if (close === -1) throw new TemplateSyntaxError('Unclosed tag, expected }}', loc, templateName);
+
+    tokens.push({ type: 'tag', content: source.slice(open + 2, close), raw: false, source: source.slice(open, close + 2), loc });
+    offset = close + 2;
+  }
+
+  return tokens;
+}
+
+// Splits a tag's content into quoted strings, parentheses and words
+function lexExpression(content, loc, templateName) {
+  const words = [];
+  const pattern = /\s*("[^"]*"|'[^']*'|[()]|[^\s"'()]+)/y;
+  let end = 0;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    words.push(match[1]);
+    end = pattern.lastIndex;
+  }
+  if (content.slice(end).trim()) {
+    throw new TemplateSyntaxError(`Unterminated string in {{${content}}}`, loc, templateName);
+  }
+
+  return words;
+}
+
+function parseValue(word, loc, templateName) {
+  if (/^["']/.test(word)) return { type: 'literal', value: word.slice(1, -1) };
+  if (NUMBER.test(word)) return { type: 'literal', value: Number(word) };
+  if (word in LITERALS) return { type: 'literal', value: LITERALS[word] };
+  if (PATH.test(word)) return { type: 'path', path: word };
+  throw new TemplateSyntaxError(`Unexpected "${word}"`, loc, templateName);
+}
+
+// name param* where a param is a value or a parenthesized (name param*)
+function parseExpression(content, loc, templateName) {
+  const words = lexExpression(content, loc, templateName);
+  let pos = 0;
+
+  const parseCall = () => {
+    const name = words[pos++];
+    if (name === undefined) throw new TemplateSyntaxError('Missing helper name', loc, templateName);
+    if (!PATH.test(name)) throw new TemplateSyntaxError(`Unexpected "${name}"`, loc, templateName);
+
+    const params = [];
+    while (pos < words.length && words[pos] !== ')') {
+      params.push(parseParam());
+    }
+    return { name, params };
+  };
+
+  const parseParam = () => {
+    const word = words[pos++];
+    if (word !== '(') return parseValue(word, loc, templateName);
+
+    const call = parseCall();
+    if (words[pos++] !== ')') throw new TemplateSyntaxError('Missing )', loc, templateName);
+    return { type: 'subexpression', ...call };
+  };
+
+  const call = parseCall();
+  if (pos < words.length) throw new TemplateSyntaxError(`Unexpected "${words[pos]}"`, loc, templateName);
+  return call;
+}
+
+export function parse(source, templateName) {
+  const body = [];
+  // Open blocks, innermost last, with the list each one was added to; `current` receives new nodes
+  const stack = [];
+  let current = body;
+
+  for (const token of tokenize(source, templateName)) {
+    if (token.type === 'text') {
+      current.push(token);
+      continue;
+    }
+
+    const { content, raw, loc } = token;
+    const trimmed = content.trim();
+
+    if (raw && /^[!#/>]|^else$/.test(trimmed)) {
+      throw new TemplateSyntaxError(`{{{${trimmed}}}} can only insert a value`, loc, templateName);
+    }
+
+    if (trimmed.startsWith('!')) continue;
+
+    if (trimmed.startsWith('#')) {
+      const block = { type: 'block', ...parseExpression(trimmed.slice(1), loc, templateName), body: [], inverse: [], source: token.source, loc };
+      current.push(block);
+      stack.push({ block, parent: current });
+      current = block.body;
+    } else if (trimmed === 'else') {
+      const { block } = stack[stack.length - 1] || {};
+      if (!block) throw new TemplateSyntaxError('{{else}} outside of a block', loc, templateName);
+      if (current === block.inverse) throw new TemplateSyntaxError(`Second {{else}} in {{#${block.name}}}`, loc, templateName);
+      current = block.inverse;
+    } else if (trimmed.startsWith('/')) {
+      const name = trimmed.slice(1).trim();
+      const { block, parent } = stack.pop() || {};
+      if (!block) throw new TemplateSyntaxError(`{{/${name}}} doesn't close any block`, loc, templateName);
+      if (block.name !== name) {
+        throw new TemplateSyntaxError(
+          `{{/${name}}} doesn't match {{#${block.name}}} opened at ${block.loc.line}:${block.loc.column}`,
+          loc,
+          templateName
+        );
+      }
+      current = parent;
+    } else if (trimmed.startsWith('>')) {
+      const name = trimmed.slice(1).trim();
+      if (!PATH.test(name)) throw new TemplateSyntaxError(`Invalid partial name "${name}"`, loc, templateName);
+      current.push({ type: 'partial', name, source: token.source, loc });
+    } else {
+      current.push({ type: 'mustache', ...parseExpression(trimmed, loc, templateName), raw, source: token.source, loc });
+    }
+  }
+
+  if (stack.length) {
+    const { block } = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`{{#${block.name}}} is never closed`, block.loc, templateName);
+  }
+
+  return body;
+}
@@ -1,11 +1,48 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { parse } from './parser.js';
+import { escapeCodeFence, escapeHtmlComment, escapeMarkdownInline, toCodeSpan, toJson } from './escaping.js';
+
+// Helper output that is already escaped for where it goes, so {{helper}} inserts it unchanged
+export class SafeString {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Thrown by a strict-mode render with every reference that could not be resolved
+export class UnresolvedTemplateError extends Error {
+  constructor(references) {
+    const lines = references.map(({ kind, name, templateName, line, column }) =>
+      `  - ${kind} ${name} (${templateName ? `${templateName}:` : ''}${line}:${column})`);
+    super(`${references.length} unresolved template reference${references.length === 1 ? '' : 's'}:\n${lines.join('\n')}`);
+    this.name = 'UnresolvedTemplateError';
+    this.references = references;
+  }
+}
 
 export class TemplateEngine {
-  constructor() {
+  constructor({ strict = false } = {}) {
+    // Strict rendering fails on unknown variables, helpers and partials instead of printing nothing or the tag
+    this.strict = strict;
+    // Unresolved references of the strict render in progress, and the names of the templates being rendered
+    this.unresolved = null;
+    this.templateNames = [];
     this.templateCache = new Map();
+    this.compiledCache = new Map();
     this.helpers = new Map();
+    this.blockHelpers = new Map();
     this.partials = new Map();
+    // Replacements for {{#block "name"}} regions, by name
+    this.blocks = new Map();
+    // Partials and blocks read from template folders. clearLoadedTemplates() drops them between projects,
+    // while registered ones stay and take precedence.
+    this.loadedPartials = new Map();
+    this.loadedBlocks = new Map();
     
     // Register built-in helpers
     this.registerHelper('if', this.ifHelper.bind(this));
@@ -14,6 +51,28 @@ export class TemplateEngine {
     this.registerHelper('join', this.joinHelper.bind(this));
     this.registerHelper('uppercase', this.uppercaseHelper.bind(this));
     this.registerHelper('lowercase', this.lowercaseHelper.bind(this));
+    this.registerHelper('eq', this.eqHelper.bind(this));
+    this.registerHelper('ne', this.neHelper.bind(this));
+    this.registerHelper('includes', this.includesHelper.bind(this));
+    this.registerHelper('and', this.andHelper.bind(this));
+    this.registerHelper('or', this.orHelper.bind(this));
+    this.registerHelper('not', this.notHelper.bind(this));
+    this.registerHelper('default', this.defaultHelper.bind(this));
+    this.registerHelper('len', this.lenHelper.bind(this));
+    this.registerHelper('code', this.codeHelper.bind(this));
+    this.registerHelper('comment', this.commentHelper.bind(this));
+    this.registerHelper('fence', this.fenceHelper.bind(this));
+    this.registerHelper('json', this.jsonHelper.bind(this));
+
+    // Block helpers get their evaluated params and { context, fn, inverse } to render the body or the {{else}} branch
+    this.blockHelpers.set('if', ([condition], { fn, inverse }) => (this.isTruthy(condition) ? fn() : inverse()));
+    this.blockHelpers.set('unless', ([condition], { fn, inverse }) => (this.isTruthy(condition) ? inverse() : fn()));
+    this.blockHelpers.set('each', this.eachBlock.bind(this));
+    this.blockHelpers.set('block', ([name], { context, fn }) =>
+      (this.getBlock(name) !== undefined ? this.render(this.getBlock(name), context, `block ${name}`) : fn()));
+
+    // Missing values are allowed in the arguments of these, since they test for them
+    this.guardHelpers = new Set(['if', 'unless', 'not', 'and', 'or', 'default']);
   }
 
   registerHelper(name, fn) {
@@ -24,6 +83,50 @@ export class TemplateEngine {
     this.partials.set(name, template);
   }
 
+  registerBlock(name, template) {
+    this.blocks.set(name, template);
+  }
+
+  getPartial(name) {
+    return this.partials.get(name) ?? this.loadedPartials.get(name);
+  }
+
+  getBlock(name) {
+    return this.blocks.get(name) ?? this.loadedBlocks.get(name);
+  }
+
+  // Loads every .md file in dir as a partial named after the file
+  async loadPartials(dir) {
+    for (const [name, template] of await this.readTemplateDir(dir)) {
+      this.loadedPartials.set(name, template);
+    }
+  }
+
+  // Loads every .md file in dir as the replacement for the block named after the file
+  async loadBlocks(dir) {
+    for (const [name, template] of await this.readTemplateDir(dir)) {
+      this.loadedBlocks.set(name, template);
+    }
+  }
+
+  // Forgets everything read from disk, so the next load sees edited, added and removed files
+  clearLoadedTemplates() {
+    this.loadedPartials.clear();
+    this.loadedBlocks.clear();
+    this.templateCache.clear();
+  }
+
+  async readTemplateDir(dir) {
+    if (!(await fs.pathExists(dir))) return [];
+
+    const files = (await fs.readdir(dir)).filter(file => path.extname(file) === '.md').sort();
+    return Promise.all(files.map(async file => {
+      // Editors add a final newline; dropping it lets a file stand in for an inline region
+      const template = (await fs.readFile(path.join(dir, file), 'utf8')).replace(/\r?\n$/, '');
+      return [path.basename(file, '.md'), template];
+    }));
+  }
+
   async loadTemplate(templatePath) {
     if (this.templateCache.has(templatePath)) {
       return this.templateCache.get(templatePath);
@@ -38,170 +141,156 @@ export class TemplateEngine {
     }
   }
 
-  render(template, context = {}) {
-    let result = template;
-
-    // Handle partials first {{> partialName}}
-    result = this.renderPartials(result, context);
-
-    // Handle conditional blocks {{#if condition}} ... {{/if}}
-    result = this.renderConditionals(result, context);
+  // Parsed templates are cached by source, so a template is only parsed once
+  compile(template, templateName) {
+    if (!this.compiledCache.has(template)) {
+      this.compiledCache.set(template, parse(template, templateName));
+    }
+    return this.compiledCache.get(template);
+  }
 
-    // Handle loops {{#each items}} ... {{/each}}
-    result = this.renderLoops(result, context);
+  // Partials and blocks render through here too; the outermost strict render collects and reports
+  render(template, context = {}, templateName) {
+    const nodes = this.compile(template, templateName);
+    const outermost = this.strict && !this.unresolved;
+    if (outermost) this.unresolved = new Map();
+    this.templateNames.push(templateName);
 
-    // Handle simple variable substitution {{variable}}
-    result = this.renderVariables(result, context);
+    try {
+      const output = this.renderNodes(nodes, context);
+      if (outermost && this.unresolved.size) {
+        throw new UnresolvedTemplateError([...this.unresolved.values()]);
+      }
+      return output;
+    } finally {
+      this.templateNames.pop();
+      if (outermost) this.unresolved = null;
+    }
+  }
 
-    // Handle helper functions {{helper arg1 arg2}}
-    result = this.renderHelpers(result, context);
+  // Records a reference once per template location; outside strict mode there is nothing to record
+  reportUnresolved(kind, name, loc) {
+    if (!this.unresolved) return;
 
-    return result;
+    const templateName = this.templateNames[this.templateNames.length - 1];
+    const key = `${kind} ${name} ${templateName}:${loc.line}:${loc.column}`;
+    if (!this.unresolved.has(key)) {
+      this.unresolved.set(key, { kind, name, templateName, line: loc.line, column: loc.column });
+    }
   }
 
   async renderFile(templatePath, context = {}) {
     const template = await this.loadTemplate(templatePath);
-    return this.render(template, context);
+    return this.render(template, context, templatePath);
   }
 
-  renderPartials(template, context) {
-    const partialRegex = /\{\{>\s*(\w+)\s*\}\}/g;
-    return template.replace(partialRegex, (match, partialName) => {
-      const partial = this.partials.get(partialName);
-      return partial ? this.render(partial, context) : match;
-    });
+  renderNodes(nodes, context) {
+    return nodes.map(node => this.renderNode(node, context)).join('');
   }
 
-  renderConditionals(template, context) {
-    // Handle {{#if condition}} ... {{else}} ... {{/if}} with proper nesting
-    let result = template;
-    
-    // Process from innermost to outermost by finding the first {{#if}} that has a matching {{/if}}
-    while (true) {
-      let foundMatch = false;
-      
-      // Find all {{#if}} positions
-      const ifMatches = [];
-      const ifRegex = /\{\{#if\s+([^}]+)\}\}/g;
-      let match;
-      
-      while ((match = ifRegex.exec(result)) !== null) {
-        ifMatches.push({
-          start: match.index,
-          end: match.index + match[0].length,
-          condition: match[1].trim(),
-          fullMatch: match[0]
-        });
-      }
-      
-      if (ifMatches.length === 0) break;
-      
-      // For each {{#if}}, find its matching {{/if}}
-      for (const ifMatch of ifMatches) {
-        let depth = 1;
-        let pos = ifMatch.end;
-        let elsePos = null;
-        
-        while (pos < result.length && depth > 0) {
-          const nextIf = result.indexOf('{{#if', pos);
-          const nextElse = result.indexOf('{{else}}', pos);
-          const nextEndIf = result.indexOf('{{/if}}', pos);
-          
-          // Find the next significant position
-          const positions = [nextIf, nextElse, nextEndIf].filter(p => p !== -1);
-          if (positions.length === 0) break;
-          
-          const nextPos = Math.min(...positions);
-          
-          if (nextPos === nextIf) {
-            depth++;
-            pos = nextPos + 5; // Move past {{#if
-          } else if (nextPos === nextElse && depth === 1 && elsePos === null) {
-            elsePos = nextPos;
-            pos = nextPos + 8; // Move past {{else}}
-          } else if (nextPos === nextEndIf) {
-            depth--;
-            if (depth === 0) {
-              // Found matching {{/if}}
-              const ifContent = result.substring(ifMatch.end, elsePos || nextPos);
-              const elseContent = elsePos ? result.substring(elsePos + 8, nextPos) : '';
-              
-              const value = this.getValue(ifMatch.condition, context);
-              const isTruthy = Array.isArray(value) ? value.length > 0 : !!value;
-              const replacement = isTruthy ? ifContent : elseContent;
-              
-              result = result.substring(0, ifMatch.start) + replacement + result.substring(nextPos + 7);
-              foundMatch = true;
-              break;
-            }
-            pos = nextPos + 7; // Move past {{/if}}
-          }
-        }
-        
-        if (foundMatch) break;
-      }
-      
-      if (!foundMatch) break;
+  renderNode(node, context) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'mustache':
+        return this.renderMustache(node, context);
+      case 'block':
+        return this.renderBlock(node, context);
+      case 'partial':
+        return this.renderPartial(node, context);
+      default:
+        throw new Error(`Unknown template node ${node.type}`);
     }
-    
-    return result;
   }
 
-  renderLoops(template, context) {
-    // Handle {{#each items}} ... {{/each}}
-    const eachRegex = /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
-    
-    return template.replace(eachRegex, (match, arrayPath, itemTemplate) => {
-      const array = this.getValue(arrayPath.trim(), context);
-      if (!Array.isArray(array)) return '';
-
-      return array.map((item, index) => {
-        const itemContext = {
-          ...context,
-          this: item,
-          '@index': index,
-          '@first': index === 0,
-          '@last': index === array.length - 1,
-          '@length': array.length
-        };
-        
-        // If item is an object, merge its properties into the context
-        if (typeof item === 'object' && item !== null) {
-          Object.assign(itemContext, item);
-        }
-        
-        return this.render(itemTemplate, itemContext);
-      }).join('');
-    });
+  // {{variable}} looks up a value; {{helper arg ...}} calls a helper
+  renderMustache(node, context) {
+    if (node.params.length === 0) {
+      return this.escapeValue(this.lookup(node.name, context, node.loc), node.raw);
+    }
+
+    if (!this.helpers.has(node.name)) {
+      this.reportUnresolved('helper', node.name, node.loc);
+      return node.source;
+    }
+
+    return this.escapeValue(this.callHelper(node, context, node.loc), node.raw);
   }
 
-  renderVariables(template, context) {
-    // Handle {{variable}} and {{variable.property}} - but NOT helpers with spaces
-    const variableRegex = /\{\{([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z0-9_]+)*)\}\}/g;
-    
-    return template.replace(variableRegex, (match, varPath) => {
-      const value = this.getValue(varPath.trim(), context);
-      return value !== undefined && value !== null ? String(value) : '';
+  // {{ }} output is escaped as inline markdown unless it is a SafeString; {{{ }}} output never is
+  escapeValue(value, raw = false) {
+    if (raw || value instanceof SafeString) return this.stringify(value);
+    return escapeMarkdownInline(this.stringify(value));
+  }
+
+  // Helpers get their evaluated arguments followed by the context; subexpressions report at their tag's loc
+  callHelper(node, context, loc) {
+    const helper = this.helpers.get(node.name);
+    if (!helper) {
+      this.reportUnresolved('helper', node.name, loc);
+      return undefined;
+    }
+
+    const params = this.evaluateParams(node.params, context, loc, this.guardHelpers.has(node.name));
+    return helper(...params, context);
+  }
+
+  renderBlock(node, context) {
+    const blockHelper = this.blockHelpers.get(node.name);
+    if (!blockHelper) {
+      throw new Error(`Unknown block helper {{#${node.name}}} at ${node.loc.line}:${node.loc.column}`);
+    }
+
+    return blockHelper(this.evaluateParams(node.params, context, node.loc, this.guardHelpers.has(node.name)), {
+      context,
+      fn: (blockContext = context) => this.renderNodes(node.body, blockContext),
+      inverse: (blockContext = context) => this.renderNodes(node.inverse, blockContext)
     });
   }
 
-  renderHelpers(template, context) {
-    // Handle {{helper arg1 arg2}}
-    const helperRegex = /\{\{(\w+)\s+([^}]+)\}\}/g;
-    
-    return template.replace(helperRegex, (match, helperName, args) => {
-      const helper = this.helpers.get(helperName);
-      if (!helper) return match;
+  renderPartial(node, context) {
+    const partial = this.getPartial(node.name);
+    if (partial === undefined) {
+      this.reportUnresolved('partial', node.name, node.loc);
+      return node.source;
+    }
+
+    return this.render(partial, context, node.name);
+  }
 
-      const argValues = this.parseHelperArgs(args, context);
-      const result = helper(...argValues, context);
-      return result || '';
+  // optional skips the strict check for missing paths, for the arguments of guard helpers
+  evaluateParams(params, context, loc, optional = false) {
+    return params.map(param => {
+      if (param.type === 'literal') return param.value;
+      if (param.type === 'subexpression') return this.callHelper(param, context, loc);
+      return optional ? this.getValue(param.path, context) : this.lookup(param.path, context, loc);
     });
   }
 
+  // getValue() that reports paths missing from the context in strict mode
+  lookup(path, context, loc) {
+    const { found, value } = this.findValue(path, context);
+    if (!found) this.reportUnresolved('variable', path, loc);
+    return value;
+  }
+
+  stringify(value) {
+    return value !== undefined && value !== null ? String(value) : '';
+  }
+
+  isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
   getValue(path, context) {
-    if (path === 'this') return context.this || context;
-    if (path.startsWith('@')) return context[path];
+    return this.findValue(path, context).value;
+  }
+
+  // found tells a missing path apart from one whose value is undefined
+  findValue(path, context) {
+    // Inside {{#each}} this is the item, even a falsy one; elsewhere it is the whole context
+    if (path === 'this') return { found: true, value: 'this' in context ? context.this : context };
+    if (path.startsWith('@')) return { found: path in context, value: context[path] };
 
     const keys = path.split('.');
     let value = context;
@@ -210,63 +299,26 @@ export class TemplateEngine {
       if (value && typeof value === 'object' && key in value) {
         value = value[key];
       } else {
-        return undefined;
+        return { found: false, value: undefined };
       }
     }
 
-    return value;
+    return { found: true, value };
   }
 
-  parseHelperArgs(argsString, context) {
-    const args = [];
-    let current = '';
-    let inQuotes = false;
-    let quoteChar = null;
-    
-    for (let i = 0; i < argsString.length; i++) {
-      const char = argsString[i];
-      
-      if (!inQuotes && (char === '"' || char === "'")) {
-        inQuotes = true;
-        quoteChar = char;
-        continue;
-      }
-      
-      if (inQuotes && char === quoteChar) {
-        inQuotes = false;
-        quoteChar = null;
-        // Add the quoted content as an argument
-        args.push(current);
-        current = '';
-        continue;
-      }
-      
-      if (!inQuotes && /\s/.test(char)) {
-        if (current.trim()) {
-          args.push(current.trim());
-          current = '';
-        }
-        continue;
-      }
-      
-      current += char;
-    }
-    
-    if (current.trim()) {
-      args.push(current.trim());
-    }
-    
-    return args.map(arg => {
-      // If it looks like a variable path, resolve it
-      if (/^[a-zA-Z@]/.test(arg)) {
-        return this.getValue(arg, context);
-      }
-      // If it's a number, parse it
-      if (/^\d+$/.test(arg)) {
-        return parseInt(arg, 10);
-      }
-      return arg;
-    });
+  // Objects in the list are merged into the context, so {{name}} reads the item's name
+  eachBlock([items], { context, fn, inverse }) {
+    if (!Array.isArray(items) || items.length === 0) return inverse();
+
+    return items.map((item, index) => fn({
+      ...context,
+      this: item,
+      '@index': index,
+      '@first': index === 0,
+      '@last': index === items.length - 1,
+      '@length': items.length,
+      ...(typeof item === 'object' && item !== null ? item : {})
+    })).join('');
   }
 
   // Built-in helpers
@@ -296,15 +348,71 @@ export class TemplateEngine {
     return String(str).toLowerCase();
   }
 
+  eqHelper(a, b, context) {
+    return a === b;
+  }
+
+  neHelper(a, b, context) {
+    return a !== b;
+  }
+
+  includesHelper(list, value, context) {
+    return (Array.isArray(list) || typeof list === 'string') && list.includes(value);
+  }
+
+  // and/or take any number of values; the context is always the last argument
+  andHelper(...args) {
+    return args.slice(0, -1).every(value => this.isTruthy(value));
+  }
+
+  orHelper(...args) {
+    return args.slice(0, -1).some(value => this.isTruthy(value));
+  }
+
+  notHelper(value, context) {
+    return !this.isTruthy(value);
+  }
+
+  defaultHelper(value, fallback, context) {
+    return value === undefined || value === null || value === '' ? fallback : value;
+  }
+
+  lenHelper(value, context) {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+  }
+
+  // For file names and other literal values in running text
+  codeHelper(value, context) {
+    return new SafeString(toCodeSpan(this.stringify(value)));
+  }
+
+  // For values inside an <!-- --> comment
+  commentHelper(value, context) {
+    return new SafeString(escapeHtmlComment(this.stringify(value)));
+  }
+
+  // For values inside a ``` code block
+  fenceHelper(value, context) {
+    return new SafeString(escapeCodeFence(this.stringify(value)));
+  }
+
+  jsonHelper(value, context) {
+    return new SafeString(toJson(value));
+  }
+
   clearCache() {
     this.templateCache.clear();
+    this.compiledCache.clear();
   }
 
   getCacheStats() {
     return {
       templatesCached: this.templateCache.size,
+      templatesCompiled: this.compiledCache.size,
       helperCount: this.helpers.size,
-      partialCount: this.partials.size
+      partialCount: new Set([...this.partials.keys(), ...this.loadedPartials.keys()]).size,
+      blockCount: new Set([...this.blocks.keys(), ...this.loadedBlocks.keys()]).size
     };
   }
 }
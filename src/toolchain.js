@@ -0,0 +1,162 @@
+import { execSync } from 'child_process';
+import semver from 'semver';
+
+// How to read each tool's version, and what to tell the user when it's missing or too old
+export const TOOLS = {
+  node: {
+    name: 'Node.js',
+    commands: ['node --version'],
+    install: 'Install the LTS release from https://nodejs.org or with nvm: `nvm install --lts`'
+  },
+  npm: {
+    name: 'npm',
+    commands: ['npm --version'],
+    install: 'npm ships with Node.js; upgrade it with `npm install -g npm@latest`'
+  },
+  yarn: {
+    name: 'Yarn',
+    commands: ['yarn --version'],
+    install: 'Enable it through Corepack: `corepack enable yarn`'
+  },
+  pnpm: {
+    name: 'pnpm',
+    commands: ['pnpm --version'],
+    install: 'Enable it through Corepack: `corepack enable pnpm`'
+  },
+  bun: {
+    name: 'Bun',
+    commands: ['bun --version'],
+    install: 'Install it with `curl -fsSL https://bun.sh/install | bash`'
+  },
+  python: {
+    name: 'Python',
+    commands: ['python3 --version', 'python --version'],
+    install: 'Install it from https://www.python.org/downloads/ or with pyenv: `pyenv install 3.12`'
+  },
+  pip: {
+    name: 'pip',
+    commands: ['pip3 --version', 'pip --version'],
+    install: 'Run `python3 -m ensurepip --upgrade`, then `python3 -m pip install --upgrade pip`'
+  },
+  go: {
+    name: 'Go',
+    commands: ['go version'],
+    install: 'Download it from https://go.dev/dl/'
+  },
+  ruby: {
+    name: 'Ruby',
+    commands: ['ruby --version'],
+    install: 'Install it with rbenv (`rbenv install 3.2.0`) or see https://www.ruby-lang.org/en/documentation/installation/'
+  },
+  bundler: {
+    name: 'Bundler',
+    commands: ['bundle --version'],
+    install: 'Run `gem install bundler`'
+  },
+  php: {
+    name: 'PHP',
+    commands: ['php --version'],
+    install: 'See https://www.php.net/manual/en/install.php'
+  },
+  composer: {
+    name: 'Composer',
+    commands: ['composer --version'],
+    install: 'See https://getcomposer.org/download/'
+  },
+  java: {
+    name: 'Java',
+    commands: ['java --version'],
+    install: 'Install a JDK from https://adoptium.net or with SDKMAN: `sdk install java`'
+  },
+  rust: {
+    name: 'Rust',
+    commands: ['rustc --version'],
+    install: 'Install it with rustup: https://rustup.rs'
+  },
+  docker: {
+    name: 'Docker',
+    commands: ['docker --version'],
+    install: 'Install Docker Desktop or Docker Engine from https://docs.docker.com/get-docker/'
+  }
+};
+
+// Every range must hold. Spaces AND comparators but bind tighter than ||, so each range's
+// alternatives are crossed with the others': ^18 || ^20 and >=18.17 is ^18 >=18.17 || ^20 >=18.17
+function intersectRanges(ranges) {
+  return ranges
+    .map(range => range.split('||').map(alternative => alternative.trim()))
+    .reduce((combined, alternatives) =>
+      combined.flatMap(left => alternatives.map(right => `${left} ${right}`.trim())), [''])
+    .join(' || ');
+}
+
+export class ToolchainChecker {
+  constructor() {
+    // Probing spawns a process, so each tool is only asked once
+    this.versions = new Map();
+  }
+
+  // Installed version of a tool, or null when it isn't on the PATH
+  getVersion(tool) {
+    if (!this.versions.has(tool)) {
+      this.versions.set(tool, this.probe(tool));
+    }
+    return this.versions.get(tool);
+  }
+
+  probe(tool) {
+    for (const command of TOOLS[tool]?.commands || [`${tool} --version`]) {
+      try {
+        const output = execSync(command, { stdio: 'pipe', encoding: 'utf8', timeout: 5000 });
+        const version = semver.coerce(output);
+        if (version) return version.version;
+      } catch {
+        // Not installed under this name, try the next one
+      }
+    }
+    return null;
+  }
+
+  // The selected plugins' `static requirements`, merged per tool
+  getRequirements(plugins) {
+    const requirements = new Map();
+
+    for (const plugin of plugins) {
+      const { metadata, requirements: pluginRequirements = {} } = plugin.constructor;
+
+      for (const [tool, range] of Object.entries(pluginRequirements)) {
+        if (!requirements.has(tool)) {
+          requirements.set(tool, { tool, ranges: [], plugins: [] });
+        }
+        const requirement = requirements.get(tool);
+        if (!requirement.ranges.includes(range)) requirement.ranges.push(range);
+        if (!requirement.plugins.includes(metadata.displayName)) requirement.plugins.push(metadata.displayName);
+      }
+    }
+
+    return [...requirements.values()].map(({ ranges, ...requirement }) => ({
+      ...requirement,
+      range: intersectRanges(ranges)
+    }));
+  }
+
+  // Requirements the local toolchain doesn't meet, with install guidance
+  check(plugins) {
+    return this.getRequirements(plugins)
+      .map(requirement => ({
+        ...requirement,
+        name: TOOLS[requirement.tool]?.name || requirement.tool,
+        version: this.getVersion(requirement.tool),
+        install: TOOLS[requirement.tool]?.install || `Install ${requirement.tool} and make sure it is on your PATH`
+      }))
+      .filter(({ version, range }) => !version || !semver.satisfies(version, range));
+  }
+
+  getWarnings(plugins) {
+    return this.check(plugins).map(({ name, range, version, plugins: required }) =>
+      `${required.join(', ')} ${required.length > 1 ? 'need' : 'needs'} ${name} ${range} (${version ? `found ${version}` : 'not installed'})`
+    );
+  }
+}
+
+export const toolchain = new ToolchainChecker();
@@ -1,4 +1,5 @@
 import { describe, test, expect } from '@jest/globals';
+import '../src/plugins/index.js'; // Auto-register plugins
 import { NextJSPlugin } from '../src/plugins/nextjs-plugin.js';
 import { ExpressPlugin } from '../src/plugins/express-plugin.js';
 import { ReactPlugin } from '../src/plugins/react-plugin.js';
@@ -1,4 +1,20 @@
-import { jest } from '@jest/globals';
+import { jest, afterEach, beforeEach } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+
+const CLI = resolve('bin/cli.js');
+
+function runCli(args, cwd) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    env: { ...process.env, HOME: cwd },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    timeout: 30000
+  });
+}
 
 describe('CLI Integration', () => {
   describe('CLI Structure', () => {
@@ -38,4 +54,68 @@ describe('CLI Integration', () => {
       expect(stats.isFile()).toBe(true);
     });
   });
+
+  describe('Running the CLI', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'ck-cli-'));
+      await writeFile(join(dir, '.claude-kickstartrc'), 'projectType: cli\nstack: custom\ncustomStack: Rust CLI\n');
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should generate from the config file only when -c is given', () => {
+      const result = runCli(['-c', '.claude-kickstartrc'], dir);
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('Using configuration from');
+    });
+
+    it('should report skipped plugins when generating from -c', async () => {
+      await mkdir(join(dir, '.claude-kickstart', 'plugins'), { recursive: true });
+      await writeFile(join(dir, '.claude-kickstart', 'plugins', 'broken.js'), 'export default {');
+
+      const result = runCli(['-c', '.claude-kickstartrc'], dir);
+
+      expect(result.status).toBe(0);
+      expect(result.stderr).toContain('Skipped plugin');
+      expect(result.stderr).toContain('broken.js');
+    });
+
+    it('should start the wizard on a repeat run instead of failing on the existing file', async () => {
+      expect(runCli(['generate'], dir).status).toBe(0);
+      const generated = await readFile(join(dir, 'claude-kickstart.md'), 'utf8');
+
+      const result = runCli([], dir);
+
+      expect(result.stdout).toContain('Found .claude-kickstartrc');
+      expect(result.stdout).toContain('What would you like to do?');
+      expect(result.stderr).not.toContain('already exists');
+      expect(await readFile(join(dir, 'claude-kickstart.md'), 'utf8')).toBe(generated);
+    });
+
+    it('should reject in validate what generate rejects', async () => {
+      await writeFile(join(dir, 'conflict.yaml'), 'projectType: frontend\nstack: svelte\ncomponentLibrary: mui\n');
+      await writeFile(join(dir, 'unknown.yaml'), 'projectType: backend\nstack: laravel\n');
+
+      for (const file of ['conflict.yaml', 'unknown.yaml']) {
+        const validate = runCli(['validate', file], dir);
+        expect(validate.status).toBe(1);
+        expect(runCli(['generate', '-c', file, '--stdout'], dir).status).toBe(1);
+      }
+      expect(runCli(['validate', 'unknown.yaml'], dir).stdout).toContain('stack must be one of');
+      expect(runCli(['validate'], dir).status).toBe(0);
+    });
+
+    it('should keep wizard output off stdout with --stdout', () => {
+      const result = runCli(['--stdout'], dir);
+
+      expect(result.stdout).toBe('');
+      expect(result.stderr).toContain('Initializing plugin system');
+      expect(result.stderr).toContain('What would you like to do?');
+    });
+  });
 });
\ No newline at end of file
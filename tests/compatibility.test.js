@@ -184,6 +184,20 @@ describe('Plugin System Compatibility', () => {
       expect(invalidResult.isValid).toBe(false);
     });
 
+    test('should validate the selected plugins\' options', async () => {
+      await import('../src/plugins/index.js');
+      const { validator } = await import('../src/config/schema.js');
+
+      const typo = validator.validate({ projectType: 'frontend', stack: 'vanilla', utilities: ['lodsh'] });
+      expect(typo.errors).toContain('vanilla: utilities contains invalid value: lodsh');
+
+      const wrongType = validator.validate({ projectType: 'backend', stack: 'fastapi', orm: 'yes' });
+      expect(wrongType.errors).toContain('fastapi: orm must be a boolean, got string');
+
+      // Options only apply to the plugin that declares them
+      expect(validator.validate({ projectType: 'backend', stack: 'express', orm: 'yes' }).isValid).toBe(true);
+    });
+
     test('should have good performance', async () => {
       await import('../src/plugins/index.js');
       const { generator } = await import('../src/generator.js');
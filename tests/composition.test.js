@@ -0,0 +1,192 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { BasePlugin } from '../src/plugins/base-plugin.js';
+import { PluginRegistry, registry as globalRegistry } from '../src/plugins/registry.js';
+import { mergeDependencies, mergeEnvFile, mergeFiles, mountFiles } from '../src/plugins/composition.js';
+import { MERNStackPlugin } from '../src/plugins/mern-plugin.js';
+import { MEANStackPlugin } from '../src/plugins/mean-plugin.js';
+import { ModularGenerator } from '../src/generator.js';
+import '../src/plugins/index.js';
+
+function definePlugin(metadata, methods = {}) {
+  const PluginClass = class extends BasePlugin {
+    static get metadata() {
+      return { displayName: metadata.name, category: 'misc', ...metadata };
+    }
+  };
+  Object.assign(PluginClass.prototype, methods);
+  return PluginClass;
+}
+
+describe('Plugin Composition', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new PluginRegistry();
+  });
+
+  describe('Merging', () => {
+    test('should merge dependencies in order without duplicates', () => {
+      const merged = mergeDependencies(
+        { production: ['express', 'cors'], development: ['nodemon'] },
+        { production: ['cors', 'mongoose'] }
+      );
+
+      expect(merged).toEqual({ production: ['express', 'cors', 'mongoose'], development: ['nodemon'] });
+    });
+
+    test('should let later files replace earlier ones in place', () => {
+      const merged = mergeFiles(
+        [{ name: 'app.js', content: 'child' }, { name: 'server.js', content: 'child' }],
+        [{ name: 'app.js', content: 'parent' }, { name: '.env', content: 'parent' }]
+      );
+
+      expect(merged).toEqual([
+        { name: 'app.js', content: 'parent' },
+        { name: 'server.js', content: 'child' },
+        { name: '.env', content: 'parent' }
+      ]);
+    });
+
+    test('should mount files under a path', () => {
+      expect(mountFiles([{ name: 'app.js' }], 'server')).toEqual([{ name: 'server/app.js' }]);
+      expect(mountFiles([{ name: 'app.js' }])).toEqual([{ name: 'app.js' }]);
+    });
+
+    test('should replace .env blocks that set a replaced variable in place', () => {
+      const content = 'PORT=3000\n\n# JWT\nJWT_SECRET="secret"\nJWT_EXPIRE="7d"\n\n# API Keys';
+
+      expect(mergeEnvFile(content, ['JWT_SECRET'], '# Clerk\nCLERK_SECRET_KEY="sk"'))
+        .toBe('PORT=3000\n\n# Clerk\nCLERK_SECRET_KEY="sk"\n\n# API Keys');
+      expect(mergeEnvFile('PORT=3000', ['JWT_SECRET'], '# Clerk')).toBe('PORT=3000\n\n# Clerk');
+    });
+  });
+
+  describe('Dependency Resolution', () => {
+    test('should order dependencies before dependents', () => {
+      registry.register(definePlugin({ name: 'base' }));
+      registry.register(definePlugin({ name: 'api', extends: 'base' }));
+      registry.register(definePlugin({ name: 'web', requires: ['base'] }));
+      registry.register(definePlugin({ name: 'app', composes: ['api', { plugin: 'web', path: 'client' }] }));
+
+      expect(registry.resolveDependencies(['app'])).toEqual(['base', 'api', 'web', 'app']);
+    });
+
+    test('should keep the given order for unrelated plugins', () => {
+      registry.register(definePlugin({ name: 'one' }));
+      registry.register(definePlugin({ name: 'two' }));
+
+      expect(registry.resolveDependencies(['two', 'one'])).toEqual(['two', 'one']);
+    });
+
+    test('should only follow the requested relations', () => {
+      registry.register(definePlugin({ name: 'base' }));
+      registry.register(definePlugin({ name: 'db' }));
+      registry.register(definePlugin({ name: 'app', extends: 'base', requires: ['db'] }));
+
+      expect(registry.resolveDependencies(['app'], { relations: ['requires'] })).toEqual(['db', 'app']);
+    });
+
+    test('should detect cycles', () => {
+      registry.register(definePlugin({ name: 'a', requires: ['b'] }));
+      registry.register(definePlugin({ name: 'b', composes: ['c'] }));
+      registry.register(definePlugin({ name: 'c', extends: 'a' }));
+
+      expect(() => registry.resolveDependencies(['a'])).toThrow('Circular plugin dependency: a -> b -> c -> a');
+    });
+
+    test('should report unknown plugins', () => {
+      registry.register(definePlugin({ name: 'app', requires: ['missing'] }));
+
+      expect(() => registry.resolveDependencies(['app'])).toThrow('Plugin app depends on unknown plugin missing');
+    });
+  });
+
+  describe('Composite Plugins', () => {
+    test('should merge composed plugins and let the composite override them', () => {
+      const Server = definePlugin({ name: 'server-part' }, {
+        getDependencies: () => ({ production: ['express'], development: [] }),
+        getConfigFiles: () => [{ name: 'app.js', content: 'server' }, { name: 'server.js', content: 'server' }]
+      });
+      const Client = definePlugin({ name: 'client-part' }, {
+        getDependencies: () => ({ production: ['react'], development: ['vite'] }),
+        getConfigFiles: () => [{ name: 'main.js', content: 'client' }]
+      });
+      const Composite = class extends BasePlugin {
+        static get metadata() {
+          return {
+            name: 'composite',
+            displayName: 'Composite',
+            category: 'misc',
+            composes: [{ plugin: Server, path: 'server' }, { plugin: Client, path: 'client' }]
+          };
+        }
+
+        getConfigFiles() {
+          return mergeFiles(super.getConfigFiles(), [{ name: 'server/app.js', content: 'composite' }]);
+        }
+      };
+
+      const plugin = new Composite();
+
+      expect(plugin.getDependencies()).toEqual({ production: ['express', 'react'], development: ['vite'] });
+      expect(plugin.getConfigFiles()).toEqual([
+        { name: 'server/app.js', content: 'composite' },
+        { name: 'server/server.js', content: 'server' },
+        { name: 'client/main.js', content: 'client' }
+      ]);
+    });
+
+    test('should reject composites that contain themselves', () => {
+      const Loop = definePlugin({ name: 'loop', extends: 'loop' });
+
+      expect(() => new Loop().getDependencies()).toThrow('Circular plugin dependency: loop -> loop');
+    });
+
+    test('should reuse Express and React in the MERN stack', () => {
+      const plugin = new MERNStackPlugin({ stack: 'mern', language: 'TypeScript', styling: 'tailwind' });
+      const files = plugin.getConfigFiles().map(file => file.name);
+
+      expect(plugin.getComposedPlugins().map(({ plugin: child, path }) => [child.constructor.metadata.name, path]))
+        .toEqual([['express', 'server'], ['react', 'client']]);
+      expect(plugin.getDependencies().production).toEqual(expect.arrayContaining(['helmet', 'react-router-dom', 'mongoose']));
+      // React's entry point and HTML shell are reused, MERN's proxying Vite config replaces React's
+      expect(files).toEqual(expect.arrayContaining(['client/src/main.tsx', 'client/index.html', 'client/tailwind.config.js']));
+      expect(plugin.getConfigFiles().find(file => file.name === 'client/vite.config.ts').content).toContain("'/api'");
+      expect(files).not.toContain('server/.env.example');
+      expect(plugin.getTemplateVariables()).toMatchObject({ isExpress: true, isReact: true, isMERNStack: true });
+    });
+
+    test('should reuse the Angular client scaffolding in the MEAN stack', () => {
+      const files = new MEANStackPlugin({ stack: 'mean', language: 'TypeScript' }).getConfigFiles().map(file => file.name);
+
+      expect(files).toEqual(expect.arrayContaining(['client/src/main.ts', 'client/src/app/app.component.ts', 'server/app.js']));
+      expect(files.filter(file => file.startsWith('client/src/app/features/'))).toEqual([]);
+    });
+  });
+
+  describe('Generator', () => {
+    const Api = definePlugin({ name: 'acme-api', category: 'stack', projectTypes: ['backend'], requires: ['vitest-plugin'] });
+
+    afterEach(() => {
+      globalRegistry.unregister('acme-api');
+    });
+
+    test('should add required plugins before the plugins that need them', () => {
+      globalRegistry.register(Api);
+      const generator = new ModularGenerator();
+
+      const plugins = generator.selectPlugins({ stack: 'acme-api', language: 'TypeScript', testing: 'none' });
+
+      expect(plugins.map(plugin => plugin.constructor.metadata.name)).toEqual(['vitest-plugin', 'acme-api']);
+    });
+
+    test('should not add a required plugin twice', () => {
+      globalRegistry.register(Api);
+      const generator = new ModularGenerator();
+
+      const plugins = generator.selectPlugins({ stack: 'acme-api', language: 'TypeScript', testing: 'vitest' });
+
+      expect(plugins.map(plugin => plugin.constructor.metadata.name)).toEqual(['vitest-plugin', 'acme-api']);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectFormat, findConfigFile, loadConfigFile, readConfigFile } from '../src/config/config-file.js';
+import { resolveConfig } from '../src/generate.js';
+
+const CONFIG = { projectType: 'backend', stack: 'express', mcpServers: ['git', 'sentry'] };
+
+describe('Config Files', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ck-config-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should detect the format from the extension or the content', () => {
+    expect(detectFormat('claude-kickstart.config.yml')).toBe('yaml');
+    expect(detectFormat('claude-kickstart.config.toml')).toBe('toml');
+    expect(detectFormat('claude-kickstart.config.js')).toBe('js');
+    expect(detectFormat('/app/package.json')).toBe('package.json');
+    expect(detectFormat('.claude-kickstartrc', '\n{ "stack": "express" }')).toBe('json');
+    expect(detectFormat('.claude-kickstartrc', '# team defaults\nstack = "express"')).toBe('toml');
+    expect(detectFormat('.claude-kickstartrc', '[mcp]\nservers = []')).toBe('toml');
+    expect(detectFormat('.claude-kickstartrc', 'stack: express')).toBe('yaml');
+  });
+
+  test.each([
+    ['claude-kickstart.config.json', JSON.stringify({ $schema: './claude-kickstart.schema.json', ...CONFIG })],
+    ['claude-kickstart.config.yaml', 'projectType: backend\nstack: express\nmcpServers:\n  - git\n  - sentry\n'],
+    ['claude-kickstart.config.toml', 'projectType = "backend"\nstack = "express"\nmcpServers = ["git", "sentry"]\n'],
+    ['claude-kickstart.config.js', `module.exports = ${JSON.stringify(CONFIG)};\n`],
+    ['.claude-kickstartrc', 'projectType = "backend"\nstack = "express"\nmcpServers = ["git", "sentry"]\n'],
+    ['package.json', JSON.stringify({ name: 'api', 'claude-kickstart': CONFIG })]
+  ])('should read %s', async (name, content) => {
+    await writeFile(join(dir, name), content);
+
+    const file = await loadConfigFile(undefined, { cwd: dir });
+
+    expect(file.path).toBe(join(dir, name));
+    expect(file.config).toEqual(CONFIG);
+  });
+
+  test('should prefer config files over package.json and find nothing without them', async () => {
+    expect(await findConfigFile(dir)).toBeNull();
+    expect(await loadConfigFile(undefined, { cwd: dir })).toBeNull();
+
+    await writeFile(join(dir, 'package.json'), JSON.stringify({ name: 'api' }));
+    expect(await findConfigFile(dir)).toBeNull();
+
+    await writeFile(join(dir, 'package.json'), JSON.stringify({ name: 'api', 'claude-kickstart': CONFIG }));
+    await writeFile(join(dir, 'claude-kickstart.config.yml'), 'projectType: cli\n');
+    expect(await findConfigFile(dir)).toBe(join(dir, 'claude-kickstart.config.yml'));
+  });
+
+  test('should report files that cannot be parsed or hold no configuration', async () => {
+    await writeFile(join(dir, 'broken.toml'), 'stack = "express\n');
+    await writeFile(join(dir, 'list.yaml'), '- express\n');
+    await writeFile(join(dir, 'package.json'), JSON.stringify({ name: 'api' }));
+
+    await expect(readConfigFile(join(dir, 'broken.toml'))).rejects.toThrow(`Could not parse ${join(dir, 'broken.toml')} as TOML`);
+    await expect(readConfigFile(join(dir, 'list.yaml'))).rejects.toThrow('must contain a configuration object');
+    await expect(readConfigFile(join(dir, 'package.json'))).rejects.toThrow('has no "claude-kickstart" configuration object');
+  });
+
+  test('should let flags override the config file', async () => {
+    await writeFile(join(dir, '.claude-kickstartrc'), 'projectType: backend\nstack: express\nlanguage: TypeScript\n');
+
+    const { config, source } = await resolveConfig({ language: 'JavaScript', mcpServers: 'git' }, { cwd: dir });
+
+    expect(source).toBe(join(dir, '.claude-kickstartrc'));
+    expect(config).toEqual({ projectType: 'backend', stack: 'express', language: 'JavaScript', mcpServers: ['git'] });
+  });
+
+  test('should read an explicit config path relative to the working directory', async () => {
+    await writeFile(join(dir, 'team.toml'), 'projectType = "cli"\nstack = "custom"\ncustomStack = "Rust CLI"\n');
+
+    const { config } = await resolveConfig({ config: 'team.toml' }, { cwd: dir });
+
+    expect(config).toEqual({ projectType: 'cli', stack: 'custom', customStack: 'Rust CLI' });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PluginRegistry } from '../src/plugins/registry.js';
+import { BasePlugin } from '../src/plugins/base-plugin.js';
+import { discoverPlugins, addPlugin, removePlugin } from '../src/plugins/discovery.js';
+
+function pluginSource(name, category = 'stack') {
+  return `export default ({ BasePlugin }) => class extends BasePlugin {
+  static get metadata() {
+    return { name: '${name}', displayName: '${name}', category: '${category}', projectTypes: ['backend'] };
+  }
+};
+`;
+}
+
+describe('External Plugin Discovery', () => {
+  let dir;
+  let registry;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ck-plugins-'));
+    registry = new PluginRegistry();
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should load npm packages and project plugin files', async () => {
+    const pkgDir = join(dir, 'node_modules', '@acme', 'claude-kickstart-plugin-api');
+    await mkdir(pkgDir, { recursive: true });
+    await writeFile(join(pkgDir, 'package.json'), JSON.stringify({ name: '@acme/claude-kickstart-plugin-api', type: 'module', main: 'plugin.js' }));
+    await writeFile(join(pkgDir, 'plugin.js'), pluginSource('acme-api'));
+
+    const pluginDir = join(dir, '.claude-kickstart', 'plugins');
+    await mkdir(pluginDir, { recursive: true });
+    await writeFile(join(pluginDir, 'hono.mjs'), pluginSource('hono'));
+    await writeFile(join(pluginDir, 'README.md'), '# Not a plugin');
+
+    const { loaded, failed } = await discoverPlugins(registry, { cwd: dir });
+
+    expect(failed).toEqual([]);
+    expect(loaded.map(plugin => plugin.name)).toEqual(expect.arrayContaining(['acme-api', 'hono']));
+    expect(registry.get('hono').metadata.projectTypes).toEqual(['backend']);
+  });
+
+  test('should skip plugins that fail to load', async () => {
+    const pluginDir = join(dir, '.claude-kickstart', 'plugins');
+    await mkdir(pluginDir, { recursive: true });
+    await writeFile(join(pluginDir, 'broken.mjs'), 'export default 42;\n');
+    await writeFile(join(pluginDir, 'throws.mjs'), "throw new Error('missing dependency');\n");
+    await writeFile(join(pluginDir, 'good.mjs'), pluginSource('good'));
+
+    const { loaded, failed } = await discoverPlugins(registry, { cwd: dir });
+
+    expect(loaded.map(plugin => plugin.name)).toContain('good');
+    expect(failed.map(plugin => plugin.source)).toEqual([join(pluginDir, 'broken.mjs'), join(pluginDir, 'throws.mjs')]);
+    expect(failed.map(plugin => plugin.error)).toEqual(['Invalid plugin class: unknown', 'missing dependency']);
+  });
+
+  test('should add and remove project plugins', async () => {
+    const source = join(dir, 'team-stack.mjs');
+    await writeFile(source, pluginSource('team-stack'));
+
+    const added = await addPlugin(source, registry, { project: true, cwd: dir });
+    expect(added).toEqual({ name: 'team-stack', path: join(dir, '.claude-kickstart', 'plugins', 'team-stack.mjs') });
+    expect(existsSync(added.path)).toBe(true);
+
+    await expect(removePlugin('team-stack', { cwd: dir })).resolves.toBe(added.path);
+    expect(existsSync(added.path)).toBe(false);
+    await expect(removePlugin('team-stack', { cwd: dir })).rejects.toThrow('No plugin named team-stack');
+  });
+
+  test('should refuse to add plugins that do not load or clash with registered ones', async () => {
+    const broken = join(dir, 'broken.mjs');
+    await writeFile(broken, 'export default 42;\n');
+    await expect(addPlugin(broken, registry, { project: true, cwd: dir })).rejects.toThrow('Failed to load plugin');
+
+    const clash = join(dir, 'clash.mjs');
+    await writeFile(clash, pluginSource('express'));
+    registry.register(class extends BasePlugin {
+      static get metadata() {
+        return { name: 'express', displayName: 'Express', category: 'stack' };
+      }
+    });
+    await expect(addPlugin(clash, registry, { project: true, cwd: dir })).rejects.toThrow('Plugin express is already registered');
+    expect(existsSync(join(dir, '.claude-kickstart'))).toBe(false);
+  });
+});
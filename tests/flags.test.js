@@ -0,0 +1,82 @@
+import { describe, test, expect } from '@jest/globals';
+import { Command } from 'commander';
+import { toFlagName, getConfigFlags, addConfigFlags, configFromFlags } from '../src/config/flags.js';
+import { buildConfig, validateConfig } from '../src/generate.js';
+import { configSchema } from '../src/config/schema.js';
+
+describe('Config Flags', () => {
+  test('should convert schema fields to kebab-case flags', () => {
+    expect(toFlagName('projectType')).toBe('project-type');
+    expect(toFlagName('mcpServers')).toBe('mcp-servers');
+    expect(toFlagName('stack')).toBe('stack');
+  });
+
+  test('should expose a flag for every schema field', () => {
+    const flags = getConfigFlags();
+    expect(flags.map(f => f.field)).toEqual(Object.keys(configSchema.properties));
+  });
+
+  test('should describe boolean fields as switches', () => {
+    const flag = getConfigFlags().find(f => f.field === 'wantAdvancedOptions');
+    expect(flag.flags).toBe('--want-advanced-options');
+  });
+
+  test('should parse flags through commander', () => {
+    const command = addConfigFlags(new Command()).exitOverride();
+    command.parse([
+      '--project-type', 'backend',
+      '--stack', 'fastapi',
+      '--mcp-servers', 'puppeteer, sentry',
+      '--save-profile'
+    ], { from: 'user' });
+
+    const config = configFromFlags(command.opts());
+    expect(config).toEqual({
+      projectType: 'backend',
+      stack: 'fastapi',
+      mcpServers: ['puppeteer', 'sentry'],
+      saveProfile: true
+    });
+  });
+
+  test('should ignore unknown options', () => {
+    const config = configFromFlags({ projectType: 'cli', output: 'out.md' });
+    expect(config).toEqual({ projectType: 'cli' });
+  });
+});
+
+describe('Non-interactive Generation', () => {
+  test('should accept a complete configuration', () => {
+    const config = buildConfig({ projectType: 'backend', stack: 'express', language: 'TypeScript' });
+    const validation = validateConfig(config);
+
+    expect(validation.isValid).toBe(true);
+  });
+
+  test('should report missing required fields', () => {
+    const validation = validateConfig(buildConfig({ stack: 'express' }));
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toContain('Required field missing: projectType');
+  });
+
+  test('should reject unknown stacks', () => {
+    const validation = validateConfig(buildConfig({ projectType: 'backend', stack: 'laravel' }));
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors.some(e => e.startsWith('stack must be one of:'))).toBe(true);
+  });
+
+  test('should enforce conditional fields', () => {
+    const validation = validateConfig(buildConfig({ projectType: 'cli', stack: 'custom' }));
+
+    expect(validation.errors).toContain('customStack is required when stack is "custom"');
+  });
+
+  test('should reject plugins that conflict with the selection', () => {
+    const validation = validateConfig(buildConfig({ projectType: 'fullstack', stack: 'rails', authentication: 'supabase-auth' }));
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual(['Supabase Auth has no SDK for Ruby on Rails (compatible authentication: clerk, auth0, jwt)']);
+  });
+});
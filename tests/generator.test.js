@@ -1,6 +1,10 @@
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { ModularGenerator } from '../src/generator.js';
 import { validator } from '../src/config/schema.js';
+import { BasePlugin } from '../src/plugins/base-plugin.js';
 import '../src/plugins/index.js'; // Auto-register plugins
 
 describe('Modular Generator', () => {
@@ -96,6 +100,53 @@ describe('Modular Generator', () => {
     });
   });
 
+  describe('Conflict Resolution', () => {
+    test('should check every pair of selected plugins', () => {
+      const conflicts = generator.findConflicts({
+        projectType: 'backend',
+        stack: 'django',
+        authentication: 'nextauth',
+        testing: 'jest',
+        deployment: 'netlify'
+      });
+
+      expect(conflicts.map(({ plugin, field }) => [plugin, field])).toEqual([
+        ['nextauth-plugin', 'authentication'],
+        ['jest-plugin', 'testing'],
+        ['netlify-plugin', 'deployment']
+      ]);
+      expect(conflicts[1].reason).toBe('Jest runs TypeScript and JavaScript tests, but Python + Django uses Python');
+    });
+
+    test('should suggest alternatives that fit the rest of the selection', () => {
+      const [conflict] = generator.findConflicts({
+        projectType: 'fullstack',
+        stack: 'rails',
+        authentication: 'supabase-auth'
+      });
+
+      expect(conflict.reason).toBe('Supabase Auth has no SDK for Ruby on Rails');
+      expect(conflict.alternatives).toEqual(['clerk', 'auth0', 'jwt']);
+
+      const [styling] = generator.findConflicts({ stack: 'react', styling: 'scss', componentLibrary: 'shadcn' });
+      expect(styling).toMatchObject({ plugin1: 'scss-plugin', plugin2: 'shadcn-plugin', field: 'componentLibrary' });
+      expect(styling.alternatives).not.toContain('shadcn');
+    });
+
+    test('should find no conflicts in a consistent selection', () => {
+      expect(generator.findConflicts({
+        projectType: 'fullstack',
+        stack: 'nextjs-app',
+        database: 'postgresql',
+        authentication: 'nextauth',
+        testing: 'playwright',
+        styling: 'tailwind',
+        componentLibrary: 'shadcn',
+        deployment: 'vercel'
+      })).toEqual([]);
+    });
+  });
+
   describe('Template Data Generation', () => {
     test('should gather template data from plugins', async () => {
       const config = {
@@ -151,6 +202,26 @@ describe('Modular Generator', () => {
       expect(templateData.configFiles.some(f => f.name === 'tsconfig.json')).toBe(true);
       expect(templateData.configFiles.some(f => f.name === 'tailwind.config.ts')).toBe(true);
     });
+
+    test('should take .env.example variables from the selected database and auth plugins', async () => {
+      const config = {
+        projectType: 'fullstack',
+        stack: 'nextjs-app',
+        language: 'TypeScript',
+        database: 'mongodb',
+        authentication: 'clerk'
+      };
+
+      const plugins = generator.selectPlugins(config);
+      const templateData = await generator.gatherTemplateData(config, plugins);
+      const envFile = templateData.configFiles.find(f => f.name === '.env.example');
+
+      expect(envFile.content).toContain('CLERK_SECRET_KEY=');
+      expect(envFile.content).toContain('MONGODB_URI=');
+      expect(envFile.content).not.toContain('NEXTAUTH_');
+      expect(envFile.content).not.toContain('DATABASE_URL=');
+      expect(envFile.content).toContain('# API Keys');
+    });
   });
 
   describe('Markdown Generation', () => {
@@ -217,6 +288,53 @@ describe('Modular Generator', () => {
       expect(markdown).toContain('Go');
     });
 
+    test('should escape user input so it cannot break the markdown', async () => {
+      const markdown = await generator.generateMarkdown({
+        projectType: 'cli',
+        stack: 'custom',
+        customStack: '**Rust** ```\n## {{stack}}',
+        database: 'other',
+        customDatabase: 'sled_db'
+      });
+
+      expect(markdown).toContain('- **Stack**: \\*\\*Rust\\*\\* \\`\\`\\` ## {{stack}}\n');
+      expect(markdown).toContain('- **Database**: sled\\_db\n');
+    });
+
+    test('should keep profile names and file names literal', async () => {
+      const markdown = await generator.generateMarkdown({
+        projectType: 'frontend',
+        stack: 'react',
+        language: 'TypeScript',
+        testing: 'jest',
+        profileName: 'my_proj'
+      });
+
+      expect(markdown).toContain('<!-- Profile: my_proj -->');
+      expect(markdown).toContain('### `src/__tests__/Greeting.test.tsx`\n');
+    });
+
+    test('should keep the profile name inside its HTML comment', async () => {
+      const markdown = await generator.generateMarkdown({
+        projectType: 'cli',
+        profileName: 'x --> <script>alert(1)</script> <!--'
+      });
+      const header = markdown.split('\n').find(line => line.startsWith('<!-- Profile:'));
+
+      expect(header).toMatch(/^<!-- Profile: [^]* -->$/);
+      expect(header.indexOf('-->')).toBe(header.length - 3);
+      expect(header).not.toContain('<script>');
+    });
+
+    test('should keep the MCP and tool allowlist JSON valid inside their code blocks', () => {
+      const config = { language: 'TypeScript', testing: 'jest', mcpServers: ['puppeteer'] };
+      const json = section => section.match(/```json\n([\s\S]*?)\n```/)[1];
+
+      expect(JSON.parse(json(generator.generateMCPSection(config))).mcpServers).toHaveProperty('puppeteer');
+      expect(generator.generateToolAllowlistSection(config)).toContain('- mcp__puppeteer__*\n```');
+      expect(JSON.parse(json(generator.generateToolAllowlistSection(config)))).toEqual(generator.getClaudeSettings(config));
+    });
+
     test('should include advanced features when configured', async () => {
       const config = {
         projectType: 'fullstack',
@@ -236,6 +354,238 @@ describe('Modular Generator', () => {
     });
   });
 
+  describe('Project Files', () => {
+    const config = {
+      projectType: 'backend',
+      stack: 'express',
+      language: 'TypeScript',
+      testing: 'jest',
+      mcpServers: ['puppeteer', 'sentry'],
+      teamFeatures: ['team-commands']
+    };
+
+    test('should emit Claude Code project files', async () => {
+      const files = await generator.generateProjectFiles(config);
+      const paths = files.map(f => f.path);
+
+      expect(paths).toContain('CLAUDE.md');
+      expect(paths).toContain('.mcp.json');
+      expect(paths).toContain('.claude/settings.json');
+      expect(paths).toContain('.claude/commands/fix-github-issue.md');
+    });
+
+    test('should write valid MCP and settings JSON', async () => {
+      const files = await generator.generateProjectFiles(config);
+      const mcp = JSON.parse(files.find(f => f.path === '.mcp.json').content);
+      const settings = JSON.parse(files.find(f => f.path === '.claude/settings.json').content);
+
+      expect(Object.keys(mcp.mcpServers)).toEqual(['puppeteer', 'sentry']);
+      expect(mcp.mcpServers.sentry.env.SENTRY_AUTH_TOKEN).toBeDefined();
+      expect(settings.permissions.allow).toContain('Bash(git:*)');
+      expect(settings.permissions.allow).toContain('mcp__puppeteer__*');
+    });
+
+    test('should skip optional files when features are not selected', async () => {
+      const files = await generator.generateProjectFiles({
+        projectType: 'backend',
+        stack: 'express'
+      });
+      const paths = files.map(f => f.path);
+
+      expect(paths).not.toContain('.mcp.json');
+      expect(paths.some(p => p.startsWith('.claude/commands/'))).toBe(false);
+      expect(paths).toContain('.claude/settings.json');
+    });
+
+    test('should not ask for the files it writes in CLAUDE.md', async () => {
+      const [claudeMd] = await generator.generateProjectFiles(config);
+
+      expect(claudeMd.content).not.toContain('Create `.mcp.json` in your project root');
+      expect(claudeMd.content).not.toContain('Or add to your `.claude/settings.json`');
+      expect(claudeMd.content).not.toContain('Create shared commands in');
+      expect(claudeMd.content).not.toContain('@claude-kickstart.md');
+      expect(claudeMd.content).toContain('Claude Code loads CLAUDE.md at the start of every session');
+    });
+
+    test('should keep the setup instructions in a single setup file', async () => {
+      const markdown = await generator.generateMarkdown(config);
+
+      expect(markdown).toContain('Create `.mcp.json` in your project root');
+      expect(markdown).toContain('Or add to your `.claude/settings.json`');
+      expect(markdown).toContain('Use `@claude-kickstart.md` anytime');
+    });
+
+    test('should reference the setup file at its output path', async () => {
+      const markdown = await generator.generateMarkdown(config, { output: 'docs/claude-setup.md' });
+
+      expect(markdown).toContain('Use `@docs/claude-setup.md` anytime');
+      expect(markdown).not.toContain('@claude-kickstart.md');
+    });
+  });
+
+  describe('Lifecycle Hooks', () => {
+    class LifecyclePlugin extends BasePlugin {
+      static get metadata() {
+        return { name: 'lifecycle-test', displayName: 'Lifecycle Test', category: 'misc' };
+      }
+
+      constructor(config) {
+        super(config);
+        this.calls = [];
+      }
+
+      async beforeGeneration() {
+        this.calls.push('beforeGeneration');
+      }
+
+      getDependencies() {
+        this.calls.push('getDependencies');
+        return super.getDependencies();
+      }
+
+      async transformOutput(markdown, context) {
+        this.calls.push('transformOutput');
+        return `${markdown}\n<!-- stack: ${context.config.stack} -->`;
+      }
+
+      async afterGeneration(config, result) {
+        this.calls.push('afterGeneration');
+        this.result = result;
+      }
+    }
+
+    const config = { projectType: 'backend', stack: 'express' };
+
+    test('should call hooks in lifecycle order', async () => {
+      const plugin = new LifecyclePlugin();
+      generator.selectPlugins = () => [plugin];
+
+      const markdown = await generator.generateMarkdown(config);
+      await generator.completeGeneration(config, markdown, ['CLAUDE.md']);
+
+      expect(plugin.calls).toEqual(['beforeGeneration', 'getDependencies', 'transformOutput', 'afterGeneration']);
+      expect(markdown).toMatch(/<!-- stack: express -->$/);
+      expect(plugin.result).toEqual({ output: markdown, files: ['CLAUDE.md'] });
+    });
+
+    test('should pass the transformed markdown into project files', async () => {
+      const plugin = new LifecyclePlugin();
+      generator.selectPlugins = () => [plugin];
+
+      const files = await generator.generateProjectFiles(config);
+      expect(files[0].content).toContain('<!-- stack: express -->');
+
+      await generator.completeGeneration(config, files[0].content, []);
+      await generator.completeGeneration(config, files[0].content, []);
+      expect(plugin.calls.filter(call => call === 'afterGeneration')).toHaveLength(1);
+    });
+  });
+
+  describe('Template Helpers', () => {
+    test('should make plugin helpers available to templates', async () => {
+      generator.registry.registerHelper('workflowTitle', workflow => `Workflow: ${workflow}`);
+
+      try {
+        await generator.generateMarkdown({ projectType: 'backend', stack: 'express' });
+        expect(generator.templateEngine.render('{{workflowTitle preferredWorkflow}}', { preferredWorkflow: 'tdd' }))
+          .toBe('Workflow: tdd');
+      } finally {
+        generator.registry.helpers.delete('workflowTitle');
+      }
+    });
+
+    test('should pick the workflow section by value', async () => {
+      const markdown = await generator.generateMarkdown({ projectType: 'backend', stack: 'express', preferredWorkflow: 'explore-plan-code' });
+
+      expect(markdown).toContain('## 🔄 Recommended Workflow: Explore → Plan → Code');
+      expect(markdown).not.toContain('## 🧪 Test-Driven Development Workflow');
+    });
+  });
+
+  describe('Template Overrides', () => {
+    const config = { projectType: 'backend', stack: 'express', preferredWorkflow: 'tdd' };
+    let cwd;
+
+    beforeEach(async () => {
+      cwd = await mkdtemp(join(tmpdir(), 'ck-templates-'));
+    });
+
+    afterEach(async () => {
+      await rm(cwd, { recursive: true, force: true });
+    });
+
+    async function writeTemplate(name, content) {
+      const file = join(cwd, '.claude-kickstart', 'templates', name);
+      await mkdir(join(file, '..'), { recursive: true });
+      await writeFile(file, content);
+    }
+
+    test('should replace a single block from the project folder', async () => {
+      await writeTemplate('blocks/pro-tips.md', '## 💡 Team Tips\n\n- Run {{commands.test}} before pushing\n');
+
+      const markdown = await generator.generateMarkdown(config, { cwd });
+
+      expect(markdown).toContain('## 💡 Team Tips\n\n- Run npm test before pushing\n\n## ✅ Success Criteria');
+      expect(markdown).not.toContain('Pro Tips for Claude');
+      expect(markdown).toContain('## 🔐 Security Checklist');
+    });
+
+    test('should let project partials replace packaged ones', async () => {
+      await writeTemplate('partials/workflow-tdd.md', '## 🧪 Our TDD Workflow');
+
+      const markdown = await generator.generateMarkdown(config, { cwd });
+
+      expect(markdown).toContain('## 🧪 Our TDD Workflow');
+      expect(markdown).not.toContain('Test-Driven Development Workflow');
+    });
+
+    test('should use a project base.md and drop blocks from earlier projects', async () => {
+      await writeTemplate('blocks/pro-tips.md', 'Team tips');
+      await generator.generateMarkdown(config, { cwd });
+      await rm(join(cwd, '.claude-kickstart'), { recursive: true });
+      await writeTemplate('base.md', '# {{projectTypeLabel}}\n{{#block "pro-tips"}}Default tips{{/block}}');
+
+      expect(await generator.generateMarkdown(config, { cwd })).toBe('# Backend API\nDefault tips');
+    });
+
+    test('should drop partials from earlier runs and re-read edited templates', async () => {
+      await writeTemplate('partials/team-tips.md', 'Team tips');
+      await writeTemplate('base.md', '# {{projectTypeLabel}}\n{{> team-tips}}');
+      expect(await generator.generateMarkdown(config, { cwd })).toBe('# Backend API\nTeam tips');
+
+      await rm(join(cwd, '.claude-kickstart', 'templates', 'partials'), { recursive: true });
+      await expect(generator.generateMarkdown(config, { cwd })).rejects.toThrow('partial team-tips');
+
+      await writeTemplate('base.md', '# {{projectTypeLabel}} v2');
+      expect(await generator.generateMarkdown(config, { cwd })).toBe('# Backend API v2');
+    });
+
+    test('should keep partials and blocks registered in code', async () => {
+      const engine = generator.templateEngine;
+      engine.registerBlock('pro-tips', '## CUSTOM TIPS');
+      engine.registerPartial('workflow-tdd', '## 🧪 Registered TDD Workflow');
+
+      try {
+        const markdown = await generator.generateMarkdown(config, { cwd });
+
+        expect(markdown).toContain('## CUSTOM TIPS');
+        expect(markdown).not.toContain('Pro Tips for Claude');
+        expect(markdown).toContain('## 🧪 Registered TDD Workflow');
+      } finally {
+        engine.blocks.delete('pro-tips');
+        engine.partials.delete('workflow-tdd');
+      }
+    });
+
+    test('should fail generation on unresolved references in strict mode', async () => {
+      await writeTemplate('blocks/pro-tips.md', '{{teamName}} uses {{> team-tips}}');
+
+      await expect(generator.generateMarkdown(config, { cwd })).rejects.toThrow(
+        '2 unresolved template references:\n  - variable teamName (block pro-tips:1:1)\n  - partial team-tips (block pro-tips:1:19)'
+      );
+    });
+  });
+
   describe('Label Generation', () => {
     test('should generate correct project type labels', () => {
       expect(generator.getProjectTypeLabel('fullstack')).toBe('Full-Stack Web App');
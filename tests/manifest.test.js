@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PluginRegistry } from '../src/plugins/registry.js';
+import { BasePlugin } from '../src/plugins/base-plugin.js';
+import { ExpressPlugin } from '../src/plugins/express-plugin.js';
+import { createManifestPlugin, matchesWhen } from '../src/plugins/manifest.js';
+import { discoverPlugins } from '../src/plugins/discovery.js';
+import { generator } from '../src/generator.js';
+import '../src/plugins/index.js';
+
+const HONO_YAML = `metadata:
+  name: hono
+  displayName: Hono
+  category: stack
+  projectTypes: [backend]
+  languages: [TypeScript, JavaScript]
+dependencies:
+  production:
+    - hono
+    - value: zod
+      when: { language: TypeScript }
+  development:
+    - value: typescript
+      when: { language: TypeScript }
+fileStructure:
+  - when: { language: TypeScript }
+    content: |
+      src/
+      └── index.ts
+  - content: |
+      src/
+      └── index.js
+configFiles:
+  - name: tsconfig.json
+    when: { language: TypeScript }
+    content: '{ "compilerOptions": { "strict": true } }'
+commands:
+  dev: npm run dev
+  build: npm run build
+requirements:
+  node: '>=18.0.0'
+securityGuidelines:
+  - Validate request bodies
+  - value: Use hono/secure-headers
+    when: { deployment: [vercel, cloudflare] }
+markdownSections:
+  - title: Hono Routing
+    content: Group routes with app.route()
+`;
+
+describe('Plugin Manifests', () => {
+  let dir;
+  let registry;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ck-manifests-'));
+    registry = new PluginRegistry();
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should match when conditions against config values', () => {
+    expect(matchesWhen(undefined, {})).toBe(true);
+    expect(matchesWhen({ language: 'TypeScript' }, { language: 'TypeScript' })).toBe(true);
+    expect(matchesWhen({ language: 'TypeScript' }, { language: 'JavaScript' })).toBe(false);
+    expect(matchesWhen({ deployment: ['vercel', 'netlify'] }, { deployment: 'netlify' })).toBe(true);
+    expect(matchesWhen({ mcpServers: 'github' }, { mcpServers: ['filesystem', 'github'] })).toBe(true);
+    expect(matchesWhen({ language: 'TypeScript', database: 'postgresql' }, { language: 'TypeScript' })).toBe(false);
+  });
+
+  test('should load a YAML manifest as a BasePlugin subclass', async () => {
+    const path = join(dir, 'hono.yaml');
+    await writeFile(path, HONO_YAML);
+
+    await expect(registry.loadExternalPlugin(path)).resolves.toBe('hono');
+    const PluginClass = registry.get('hono');
+    expect(PluginClass.prototype).toBeInstanceOf(BasePlugin);
+    expect(PluginClass.metadata.projectTypes).toEqual(['backend']);
+    expect(PluginClass.requirements).toEqual({ node: '>=18.0.0' });
+
+    const ts = registry.createInstance('hono', { language: 'TypeScript', deployment: 'vercel' });
+    expect(ts.getDependencies()).toEqual({ production: ['hono', 'zod'], development: ['typescript'] });
+    expect(ts.getFileStructure()).toContain('index.ts');
+    expect(ts.getConfigFiles()).toEqual([{ name: 'tsconfig.json', content: '{ "compilerOptions": { "strict": true } }' }]);
+    expect(ts.getSecurityGuidelines()).toEqual(['Validate request bodies', 'Use hono/secure-headers']);
+
+    const js = registry.createInstance('hono', { language: 'JavaScript' });
+    expect(js.getDependencies()).toEqual({ production: ['hono'], development: [] });
+    expect(js.getFileStructure()).toContain('index.js');
+    expect(js.getConfigFiles()).toEqual([]);
+    expect(js.getSecurityGuidelines()).toEqual(['Validate request bodies']);
+    expect(js.getCommands()).toEqual({ ...new BasePlugin().getCommands(), dev: 'npm run dev', build: 'npm run build' });
+  });
+
+  test('should fall back to BasePlugin defaults for missing fields', async () => {
+    const path = join(dir, 'sentry.json');
+    await writeFile(path, JSON.stringify({
+      metadata: { name: 'sentry', displayName: 'Sentry', category: 'monitoring' }
+    }));
+    await registry.loadExternalPlugin(path);
+
+    const plugin = registry.createInstance('sentry', {});
+    expect(plugin.getDependencies()).toEqual({ production: [], development: [] });
+    expect(plugin.getCommands()).toEqual(new BasePlugin().getCommands());
+    expect(plugin.getMarkdownSections()).toEqual([]);
+    expect(plugin.getFileStructure()).toBe('');
+    expect(registry.get('sentry').requirements).toEqual(BasePlugin.requirements);
+  });
+
+  test('should add to the plugin it extends', () => {
+    const ExpressApi = createManifestPlugin({
+      metadata: { name: 'express-api', displayName: 'Express API', category: 'stack', extends: 'express' },
+      dependencies: { production: ['zod'] },
+      configFiles: [{ name: 'src/app.js', language: 'javascript', content: 'export default app;' }],
+      commands: { dev: 'node --watch src/app.js', typecheck: 'tsc --noEmit' }
+    });
+
+    const plugin = new ExpressApi({ language: 'JavaScript' });
+    expect(plugin.getDependencies().production).toEqual(['express', 'cors', 'helmet', 'dotenv', 'zod']);
+    expect(plugin.getConfigFiles().find(file => file.name === 'src/app.js').content).toBe('export default app;');
+    expect(plugin.getConfigFiles().map(file => file.name)).toContain('src/server.js');
+    expect(plugin.getCommands()).toMatchObject({
+      ...new ExpressPlugin({ language: 'JavaScript' }).getCommands(),
+      dev: 'node --watch src/app.js',
+      typecheck: 'tsc --noEmit'
+    });
+  });
+
+  test('should work in the generator like a built-in plugin', async () => {
+    const path = join(dir, 'hono.yaml');
+    await writeFile(path, HONO_YAML);
+    await registry.loadExternalPlugin(path);
+
+    const config = { language: 'TypeScript' };
+    const plugins = [registry.createInstance('hono', config)];
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(data.productionDependencies).toContain('zod');
+    expect(data.commands.dev).toBe('npm run dev');
+    expect(data.configFiles.map(f => f.name)).toContain('tsconfig.json');
+    expect(data.customSections.map(s => s.title)).toContain('Hono Routing');
+  });
+
+  test('should reject invalid manifests', () => {
+    expect(() => createManifestPlugin([])).toThrow('Plugin manifest must be an object');
+    expect(() => createManifestPlugin({ metadata: { name: 'x' } })).toThrow('Plugin manifest metadata is missing: displayName, category');
+    expect(() => createManifestPlugin({
+      metadata: { name: 'x', displayName: 'X', category: 'stack' },
+      getCommands: 'rm -rf /'
+    })).toThrow('Unknown manifest field: getCommands');
+  });
+
+  test('should discover manifests in plugin folders', async () => {
+    const pluginDir = join(dir, '.claude-kickstart', 'plugins');
+    await mkdir(pluginDir, { recursive: true });
+    await writeFile(join(pluginDir, 'hono.yml'), HONO_YAML);
+    await writeFile(join(pluginDir, 'broken.json'), '{ "metadata": ');
+
+    const { loaded, failed } = await discoverPlugins(registry, { cwd: dir });
+
+    expect(loaded.map(plugin => plugin.name)).toContain('hono');
+    expect(failed.map(plugin => plugin.source)).toEqual([join(pluginDir, 'broken.json')]);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeOutput, writeProjectFiles, diffLines, formatDiff, OutputExistsError } from '../src/output.js';
+
+describe('Output Writing', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ck-output-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should write to the requested path and create directories', async () => {
+    const target = join(dir, 'docs', 'setup.md');
+    const result = await writeOutput('# Setup', { output: target });
+
+    expect(result.written).toBe(true);
+    expect(await readFile(target, 'utf8')).toBe('# Setup');
+  });
+
+  test('should refuse to overwrite an existing file without force', async () => {
+    const target = join(dir, 'setup.md');
+    await writeFile(target, '# Old');
+
+    await expect(writeOutput('# New', { output: target, interactive: false }))
+      .rejects.toThrow(OutputExistsError);
+    expect(await readFile(target, 'utf8')).toBe('# Old');
+  });
+
+  test('should overwrite an existing file with force', async () => {
+    const target = join(dir, 'setup.md');
+    await writeFile(target, '# Old');
+
+    const result = await writeOutput('# New', { output: target, force: true });
+
+    expect(result.written).toBe(true);
+    expect(await readFile(target, 'utf8')).toBe('# New');
+  });
+
+  test('should leave identical files untouched', async () => {
+    const target = join(dir, 'setup.md');
+    await writeFile(target, '# Same');
+
+    const result = await writeOutput('# Same', { output: target, interactive: false });
+
+    expect(result.written).toBe(false);
+    expect(result.unchanged).toBe(true);
+  });
+
+  test('should print to stdout instead of writing', async () => {
+    const chunks = [];
+    const original = process.stdout.write;
+    process.stdout.write = chunk => chunks.push(chunk);
+
+    try {
+      const result = await writeOutput('# Piped', { stdout: true, output: join(dir, 'setup.md') });
+      expect(result.path).toBeNull();
+    } finally {
+      process.stdout.write = original;
+    }
+
+    expect(chunks.join('')).toBe('# Piped\n');
+  });
+});
+
+describe('Project Files Writing', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ck-project-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const files = [
+    { path: 'CLAUDE.md', description: 'Project memory', content: '# Project' },
+    { path: join('.claude', 'settings.json'), content: '{}' }
+  ];
+
+  test('should write files into the target directory and report a manifest', async () => {
+    const manifest = await writeProjectFiles(files, { projectFiles: dir });
+
+    expect(manifest.map(entry => entry.status)).toEqual(['created', 'created']);
+    expect(manifest[0].bytes).toBe(9);
+    expect(await readFile(join(dir, '.claude', 'settings.json'), 'utf8')).toBe('{}');
+  });
+
+  test('should report overwritten files when forced', async () => {
+    await writeProjectFiles(files, { projectFiles: dir });
+    const manifest = await writeProjectFiles(
+      [files[0], { ...files[1], content: '{"permissions":{}}' }],
+      { projectFiles: dir, force: true }
+    );
+
+    expect(manifest.map(entry => entry.status)).toEqual(['overwritten', 'overwritten']);
+  });
+
+  test('should write nothing when any file conflicts', async () => {
+    await writeFile(join(dir, 'CLAUDE.md'), '# Old');
+    await writeFile(join(dir, 'notes.md'), '# Old notes');
+
+    const error = await writeProjectFiles(
+      [...files, { path: 'notes.md', content: '# Notes' }],
+      { projectFiles: dir, interactive: false }
+    ).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(OutputExistsError);
+    expect(error.paths).toHaveLength(2);
+    expect(error.message).toContain('already exist. Use --force to overwrite them.');
+    await expect(readFile(join(dir, '.claude', 'settings.json'), 'utf8')).rejects.toThrow();
+  });
+
+  test('should reject stdout mode', async () => {
+    await expect(writeProjectFiles(files, { projectFiles: dir, stdout: true }))
+      .rejects.toThrow('--stdout cannot be combined with --project-files');
+  });
+});
+
+describe('Line Diff', () => {
+  test('should report added and removed lines', () => {
+    const changes = diffLines('a\nb\nc', 'a\nc\nd');
+
+    expect(changes).toEqual([
+      { type: 'same', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'same', line: 'c' },
+      { type: 'added', line: 'd' }
+    ]);
+  });
+
+  test('should collapse unchanged regions outside the context window', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+    const after = before.replace('line 19', 'line 19 changed');
+
+    const output = formatDiff(diffLines(before, after), 1);
+
+    expect(output).toContain('...');
+    expect(output).not.toContain('line 5');
+    expect(output).toContain('+ line 19 changed');
+  });
+});
@@ -59,6 +59,29 @@ describe('Plugin System', () => {
       expect(() => new TestPlugin({})).not.toThrow();
       expect(() => new TestPlugin({ test: 'value' })).not.toThrow();
     });
+
+    test('should enforce its config schema', () => {
+      const TestPlugin = class extends BasePlugin {
+        static get metadata() {
+          return {
+            name: 'test',
+            displayName: 'Test Plugin',
+            category: 'stack'
+          };
+        }
+
+        getConfigSchema() {
+          return {
+            properties: {
+              mode: { type: 'string', enum: ['fast', 'safe'] }
+            }
+          };
+        }
+      };
+
+      expect(() => new TestPlugin({ mode: 'fast' })).not.toThrow();
+      expect(() => new TestPlugin({ mode: 'quick' })).toThrow('Invalid configuration for plugin test: mode must be one of: fast, safe');
+    });
   });
 
   describe('PluginRegistry', () => {
@@ -205,6 +228,38 @@ describe('Plugin System', () => {
       expect(jsPlugins[0].id).toBe('js-plugin');
       expect(frontendPlugins[0].id).toBe('js-plugin');
     });
+
+    test('should collect template helpers from plugins', () => {
+      const HelperPlugin = class extends BasePlugin {
+        static get metadata() {
+          return { name: 'helper-plugin', displayName: 'Helper Plugin', category: 'misc' };
+        }
+
+        static get helpers() {
+          return { isServerless: deployment => ['vercel', 'netlify'].includes(deployment) };
+        }
+      };
+      const DuplicatePlugin = class extends BasePlugin {
+        static get metadata() {
+          return { name: 'duplicate-plugin', displayName: 'Duplicate Plugin', category: 'misc' };
+        }
+
+        static get helpers() {
+          return { isServerless: () => false };
+        }
+      };
+
+      registry.register(HelperPlugin);
+      registry.registerHelper('shout', value => `${value}!`);
+
+      expect([...registry.getHelpers().keys()]).toEqual(['isServerless', 'shout']);
+      expect(registry.getHelpers().get('isServerless')('vercel')).toBe(true);
+      expect(() => registry.register(DuplicatePlugin)).toThrow('Template helper isServerless is already registered by helper-plugin');
+      expect(registry.get('duplicate-plugin')).toBeUndefined();
+
+      registry.unregister('helper-plugin');
+      expect([...registry.getHelpers().keys()]).toEqual(['shout']);
+    });
   });
 
   describe('Plugin Test Framework', () => {
@@ -394,6 +449,35 @@ describe('Plugin System', () => {
       const conflicts = registry.validatePluginCompatibility(['test1', 'test2']);
       
       expect(conflicts.length).toBeGreaterThan(0);
+      expect(conflicts[0]).toEqual({
+        plugin1: 'test1',
+        plugin2: 'test2',
+        plugin: 'test1',
+        reason: "Test Plugin 1 can't be used with Test Plugin 2"
+      });
+    });
+
+    test('should report reasons from getConflicts on either side', () => {
+      const Stack = class extends BasePlugin {
+        static get metadata() {
+          return { name: 'stack1', displayName: 'Stack', category: 'stack' };
+        }
+      };
+      const Addon = class extends BasePlugin {
+        static get metadata() {
+          return { name: 'addon-plugin', displayName: 'Addon', category: 'misc' };
+        }
+
+        getConflicts() {
+          return [{ plugins: ['stack1'], reason: 'Addon needs a Ruby stack' }];
+        }
+      };
+
+      const conflicts = registry.validatePluginCompatibility([new Stack(), new Addon()]);
+
+      expect(conflicts).toEqual([
+        { plugin1: 'stack1', plugin2: 'addon-plugin', plugin: 'addon-plugin', reason: 'Addon needs a Ruby stack' }
+      ]);
     });
   });
 
@@ -1,4 +1,6 @@
 import { describe, test, expect } from '@jest/globals';
+import semver from 'semver';
+import { TOOLS } from '../../src/toolchain.js';
 import { PluginTestHelpers } from '../../src/test-utils/plugin-test-helpers.js';
 import { NextJSPlugin } from '../../src/plugins/nextjs-plugin.js';
 import { ExpressPlugin } from '../../src/plugins/express-plugin.js';
@@ -316,4 +318,13 @@ describe('Framework Integration Tests', () => {
       }
     });
   });
-});
\ No newline at end of file
+
+  test('should declare requirements as semver ranges of known tools', () => {
+    allPlugins.forEach(PluginClass => {
+      Object.entries(PluginClass.requirements).forEach(([tool, range]) => {
+        expect(TOOLS[tool]).toBeDefined();
+        expect(semver.validRange(range)).not.toBeNull();
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { validator } from '../../src/config/schema.js';
+import { AuthPlugin } from '../../src/plugins/auth-plugin.js';
+import { ClerkPlugin } from '../../src/plugins/clerk-plugin.js';
+import { Auth0Plugin } from '../../src/plugins/auth0-plugin.js';
+import { SupabaseAuthPlugin } from '../../src/plugins/supabase-auth-plugin.js';
+import { NextAuthPlugin } from '../../src/plugins/nextauth-plugin.js';
+import { JWTPlugin } from '../../src/plugins/jwt-plugin.js';
+import { ExpressPlugin } from '../../src/plugins/express-plugin.js';
+import { FastAPIPlugin } from '../../src/plugins/fastapi-plugin.js';
+import { T3StackPlugin } from '../../src/plugins/t3-plugin.js';
+
+describe('Auth Plugins', () => {
+  const authChoices = validator.schema.properties.authentication.enum.filter(value => !['other', 'none'].includes(value));
+
+  test('should register a plugin for every authentication choice', () => {
+    authChoices.forEach(authentication => {
+      const PluginClass = registry.get(`${authentication}-plugin`);
+
+      expect(PluginClass).toBeDefined();
+      expect(PluginClass.metadata.category).toBe('auth');
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(AuthPlugin);
+    });
+  });
+
+  test('should provide env vars, a session model and security guidelines', () => {
+    authChoices.forEach(authentication => {
+      const PluginClass = registry.get(`${authentication}-plugin`);
+      const plugin = new PluginClass({ authentication, stack: 'nextjs-app' });
+
+      expect(plugin.getEnvVars().length).toBeGreaterThan(0);
+      expect(plugin.getSecurityGuidelines().length).toBeGreaterThan(0);
+      expect(plugin.getMarkdownSections()[0].content).toContain(plugin.getEnvVars()[0].name);
+    });
+  });
+
+  test('should pick the SDK for the stack', () => {
+    expect(new ClerkPlugin({ stack: 'nextjs-app' }).getDependencies().production).toEqual(['@clerk/nextjs']);
+    expect(new ClerkPlugin({ stack: 'express' }).getDependencies().production).toEqual(['@clerk/express']);
+    expect(new ClerkPlugin({ stack: 'gin' }).getDependencies().production).toEqual(['github.com/clerk/clerk-sdk-go/v2']);
+    expect(new Auth0Plugin({ stack: 'vue' }).getDependencies().production).toEqual(['@auth0/auth0-vue']);
+    expect(new JWTPlugin({ stack: 'django' }).getDependencies().production).toEqual(['djangorestframework-simplejwt']);
+  });
+
+  test('should not add server SDKs to single-page apps', () => {
+    expect(new JWTPlugin({ stack: 'react' }).getDependencies().production).toEqual([]);
+    expect(new ClerkPlugin({ stack: 'react' }).getEnvVars().map(v => v.name)).toEqual(['VITE_CLERK_PUBLISHABLE_KEY']);
+  });
+
+  test('should write middleware or route guards for the stack', () => {
+    expect(new ClerkPlugin({ stack: 'nextjs-app' }).getConfigFiles()[0].content).toContain('clerkMiddleware');
+    expect(new JWTPlugin({ stack: 'express', language: 'TypeScript' }).getConfigFiles()[0].content).toContain("algorithms: ['HS256']");
+    expect(new SupabaseAuthPlugin({ stack: 'nextjs-app' }).getConfigFiles().map(f => f.name)).toEqual(['src/lib/supabase/server.ts', 'src/middleware.ts']);
+    expect(new NextAuthPlugin({ stack: 't3' }).getConfigFiles()[0].content).toContain('getServerAuthSession');
+  });
+
+  test('stack plugins should take auth packages from the auth plugin', () => {
+    const express = new ExpressPlugin({ authentication: 'clerk', language: 'TypeScript' });
+    expect(express.getDependencies().production).toContain('@clerk/express');
+
+    const jwt = new ExpressPlugin({ authentication: 'jwt', language: 'TypeScript' });
+    expect(jwt.getDependencies().development).toContain('@types/jsonwebtoken');
+
+    expect(new FastAPIPlugin({ authentication: 'jwt' }).getDependencies().production).toContain('python-jose[cryptography]');
+    expect(new T3StackPlugin({}).getDependencies().production).toContain('next-auth');
+  });
+
+  test('generator should include the auth plugin', async () => {
+    const config = { stack: 'express', language: 'TypeScript', authentication: 'jwt' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(plugins.map(p => p.constructor.metadata.name)).toContain('jwt-plugin');
+    expect(data.productionDependencies.filter(dep => dep === 'jsonwebtoken')).toHaveLength(1);
+    expect(data.configFiles.map(f => f.name)).toContain('src/middleware/auth.ts');
+    expect(data.customSections.map(s => s.title)).toContain('🔐 Authentication with JWT');
+  });
+});
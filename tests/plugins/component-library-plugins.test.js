@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { validator } from '../../src/config/schema.js';
+import { ComponentLibraryPlugin } from '../../src/plugins/component-library-plugin.js';
+import { ShadcnPlugin } from '../../src/plugins/shadcn-plugin.js';
+import { MUIPlugin } from '../../src/plugins/mui-plugin.js';
+import { AntdPlugin } from '../../src/plugins/antd-plugin.js';
+import { MantinePlugin } from '../../src/plugins/mantine-plugin.js';
+
+describe('Component Library Plugins', () => {
+  const libraryChoices = validator.schema.properties.componentLibrary.enum.filter(value => value !== 'none');
+
+  test('should register a plugin for every component library choice', () => {
+    libraryChoices.forEach(componentLibrary => {
+      const PluginClass = registry.get(`${componentLibrary}-plugin`);
+
+      expect(PluginClass).toBeDefined();
+      expect(PluginClass.metadata.category).toBe('ui');
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(ComponentLibraryPlugin);
+    });
+  });
+
+  test('should support every React stack', () => {
+    ['react', 'nextjs-app', 'nextjs-pages', 'remix', 't3', 'mern'].forEach(stack => {
+      libraryChoices.forEach(componentLibrary => {
+        const plugin = registry.createInstance(`${componentLibrary}-plugin`, { componentLibrary, stack, styling: 'tailwind' });
+
+        expect(plugin.getCompatibilityWarnings()).toEqual([]);
+        expect(plugin.getDependencies().production.length).toBeGreaterThan(0);
+        expect(plugin.getUIGuidelines()).toContain(`### ${plugin.constructor.metadata.displayName}`);
+      });
+    });
+  });
+
+  test('should pick packages for the stack', () => {
+    expect(new ShadcnPlugin({ stack: 'vue' }).getDependencies().production).toContain('radix-vue');
+    expect(new ShadcnPlugin({ stack: 'svelte' }).getDependencies().production).toContain('bits-ui');
+    expect(new MUIPlugin({ stack: 'nextjs-app' }).getDependencies().production).toContain('@mui/material-nextjs');
+    expect(new MUIPlugin({ stack: 'react' }).getDependencies().production).not.toContain('@mui/material-nextjs');
+    expect(new AntdPlugin({ stack: 'nextjs-app' }).getDependencies().production).toContain('@ant-design/nextjs-registry');
+    expect(new AntdPlugin({ stack: 'angular' }).getDependencies().production).toEqual(['ng-zorro-antd']);
+  });
+
+  test('should write components.json for shadcn', () => {
+    const [componentsJson, utils] = new ShadcnPlugin({ stack: 'nextjs-app', language: 'TypeScript' }).getConfigFiles();
+    const settings = JSON.parse(componentsJson.content);
+
+    expect(componentsJson.name).toBe('components.json');
+    expect(settings.rsc).toBe(true);
+    expect(settings.tailwind.css).toBe('src/app/globals.css');
+    expect(settings.aliases.ui).toBe('@/components/ui');
+    expect(utils.name).toBe('src/lib/utils.ts');
+    expect(utils.content).toContain('twMerge(clsx(inputs))');
+
+    const mern = new ShadcnPlugin({ stack: 'mern', language: 'JavaScript' }).getConfigFiles();
+    expect(mern.map(f => f.name)).toEqual(['client/components.json', 'client/src/lib/utils.js']);
+    expect(JSON.parse(new ShadcnPlugin({ stack: 't3' }).getConfigFiles()[0].content).aliases.utils).toBe('~/lib/utils');
+  });
+
+  test('should write theme provider setup files', () => {
+    const mui = new MUIPlugin({ stack: 'nextjs-app', language: 'TypeScript' }).getConfigFiles();
+    expect(mui.map(f => f.name)).toEqual(['src/theme.ts', 'src/components/providers.tsx']);
+    expect(mui[1].content).toMatch(/^'use client';/);
+    expect(mui[1].content).toContain('<AppRouterCacheProvider>');
+
+    const mantine = new MantinePlugin({ stack: 'remix', language: 'TypeScript', styling: 'css-modules' }).getConfigFiles();
+    expect(mantine.map(f => f.name)).toEqual(['app/theme.ts', 'app/components/providers.tsx', 'postcss.config.cjs']);
+    expect(new MantinePlugin({ stack: 'react', styling: 'tailwind' }).getConfigFiles().map(f => f.name)).not.toContain('postcss.config.cjs');
+  });
+
+  test('should warn through the validator when the framework is unsupported', () => {
+    const result = validator.validate({ stack: 'svelte', componentLibrary: 'mui' });
+    expect(result.warnings).toContain('Material UI does not support Svelte (supported: React)');
+
+    expect(new MUIPlugin({ stack: 'svelte' }).getConfigFiles()).toEqual([]);
+    expect(new ShadcnPlugin({ stack: 'react', styling: 'scss' }).getCompatibilityWarnings()).toHaveLength(1);
+    expect(validator.validate({ stack: 'vue', componentLibrary: 'antd' }).warnings).toEqual([]);
+  });
+
+  test('generator should include the component library plugin', async () => {
+    const config = { stack: 'nextjs-app', language: 'TypeScript', styling: 'tailwind', componentLibrary: 'shadcn' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(plugins.map(p => p.constructor.metadata.name)).toContain('shadcn-plugin');
+    expect(data.configFiles.map(f => f.name)).toContain('components.json');
+    expect(data.uiGuidelines).toContain('Use Tailwind utility classes');
+    expect(data.uiGuidelines).toContain('### shadcn/ui');
+    expect(data.customSections.map(s => s.title)).toContain('🧩 shadcn/ui Setup');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { DatabasePlugin } from '../../src/plugins/database-plugin.js';
+import { PostgreSQLPlugin } from '../../src/plugins/postgresql-plugin.js';
+import { MongoDBPlugin } from '../../src/plugins/mongodb-plugin.js';
+import { SupabasePlugin } from '../../src/plugins/supabase-plugin.js';
+import { ExpressPlugin } from '../../src/plugins/express-plugin.js';
+import { GinPlugin } from '../../src/plugins/gin-plugin.js';
+import { RailsPlugin } from '../../src/plugins/rails-plugin.js';
+
+describe('Database Plugins', () => {
+  const databasePlugins = registry.getByCategory('database').map(({ class: PluginClass }) => PluginClass);
+
+  test('should register every database choice under the database category', () => {
+    const ids = registry.getByCategory('database').map(({ id }) => id);
+
+    ['postgresql', 'mysql', 'mongodb', 'sqlite', 'supabase', 'firebase'].forEach(database => {
+      expect(ids).toContain(`${database}-plugin`);
+    });
+  });
+
+  test('should not be offered as stacks', () => {
+    databasePlugins.forEach(PluginClass => {
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(DatabasePlugin);
+    });
+  });
+
+  test('should provide env vars and security guidelines', () => {
+    databasePlugins.forEach(PluginClass => {
+      const plugin = new PluginClass({ language: 'TypeScript' });
+
+      expect(plugin.getEnvVars().length).toBeGreaterThan(0);
+      expect(plugin.getSecurityGuidelines().length).toBeGreaterThan(0);
+      expect(plugin.getMarkdownSections()[0].content).toContain(plugin.getEnvVars()[0].name);
+    });
+  });
+
+  test('should pick drivers for the stack language', () => {
+    expect(new PostgreSQLPlugin({ stack: 'express' }).getDependencies().production).toEqual(['pg']);
+    expect(new PostgreSQLPlugin({ stack: 'django' }).getDependencies().production).toEqual(['psycopg2-binary']);
+    expect(new PostgreSQLPlugin({ stack: 'fastapi' }).getDependencies().production).toContain('asyncpg');
+    expect(new MongoDBPlugin({ stack: 'gin' }).getDependencies().production).toEqual(['go.mongodb.org/mongo-driver/mongo']);
+  });
+
+  test('should add type packages for TypeScript projects', () => {
+    const deps = new PostgreSQLPlugin({ language: 'TypeScript' }).getDependencies();
+    expect(deps.development).toContain('@types/pg');
+  });
+
+  test('should fall back to the default client variant', () => {
+    const plugin = new SupabasePlugin({ language: 'TypeScript' });
+    expect(plugin.getClientDependencies('node', 'prisma').production).toEqual(['@supabase/supabase-js']);
+  });
+
+  test('should write a connection file for the runtime', () => {
+    const files = new PostgreSQLPlugin({ language: 'Python' }).getConfigFiles();
+    expect(files.map(f => f.name)).toEqual(['app/db/session.py']);
+  });
+
+  test('should defer to frameworks with their own ORM', () => {
+    const plugin = new PostgreSQLPlugin({ stack: 'django' });
+
+    expect(plugin.getConfigFiles()).toEqual([]);
+    expect(plugin.getCommands().dbMigrate).toBe('python manage.py migrate');
+  });
+
+  test('getSelectedPlugin should return null without a registered database plugin', () => {
+    expect(new ExpressPlugin({ database: 'none' }).getSelectedPlugin('database')).toBeNull();
+    expect(new ExpressPlugin({ database: 'other' }).getSelectedPlugin('database')).toBeNull();
+    expect(new ExpressPlugin({ database: 'mysql' }).getSelectedPlugin('database')).toBeInstanceOf(DatabasePlugin);
+  });
+
+  test('stack plugins should ask the database plugin for drivers', () => {
+    expect(new ExpressPlugin({ database: 'sqlite' }).getDependencies().production).toContain('better-sqlite3');
+    expect(new GinPlugin({ database: 'postgresql' }).getDependencies().production).toContain('gorm.io/driver/postgres');
+
+    const rails = new RailsPlugin({ database: 'mysql' }).getDependencies().production;
+    expect(rails).toContain('mysql2');
+    expect(rails).not.toContain('pg');
+  });
+
+  test('generator should include the database plugin without duplicate dependencies', async () => {
+    const config = { stack: 'express', language: 'TypeScript', database: 'postgresql' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(plugins.map(p => p.constructor.metadata.name)).toContain('postgresql-plugin');
+    expect(data.productionDependencies.filter(dep => dep === 'pg')).toHaveLength(1);
+    expect(data.configFiles.map(f => f.name)).toContain('src/lib/db.ts');
+    expect(data.customSections.map(s => s.title)).toContain('🗄️ PostgreSQL Setup');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { validator } from '../../src/config/schema.js';
+import { DeploymentPlugin } from '../../src/plugins/deployment-plugin.js';
+import { VercelPlugin } from '../../src/plugins/vercel-plugin.js';
+import { NetlifyPlugin } from '../../src/plugins/netlify-plugin.js';
+import { AWSPlugin } from '../../src/plugins/aws-plugin.js';
+import { FlyPlugin } from '../../src/plugins/fly-plugin.js';
+import { RailwayPlugin } from '../../src/plugins/railway-plugin.js';
+import { DockerPlugin } from '../../src/plugins/docker-plugin.js';
+
+describe('Deployment Plugins', () => {
+  const deploymentChoices = validator.schema.properties.deployment.enum.filter(value => value !== 'unsure');
+
+  test('should register a plugin for every deployment choice', () => {
+    deploymentChoices.forEach(deployment => {
+      const PluginClass = registry.get(`${deployment}-plugin`);
+
+      expect(PluginClass).toBeDefined();
+      expect(PluginClass.metadata.category).toBe('deployment');
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(DeploymentPlugin);
+    });
+  });
+
+  test('should provide config files, deploy commands and security notes', () => {
+    deploymentChoices.forEach(deployment => {
+      const plugin = registry.createInstance(`${deployment}-plugin`, { stack: 'express', deployment });
+
+      expect(plugin.getConfigFiles().length).toBeGreaterThan(0);
+      expect(Object.keys(plugin.getCommands()).length).toBeGreaterThan(0);
+      expect(plugin.getSecurityGuidelines().length).toBeGreaterThan(0);
+    });
+  });
+
+  test('should use the stack build and start commands', () => {
+    const [dockerfile] = new DockerPlugin({ stack: 'express', language: 'TypeScript' }).getConfigFiles();
+    expect(dockerfile.content).toContain('RUN npm run build');
+    expect(dockerfile.content).toContain('CMD ["node", "dist/server.js"]');
+
+    const gin = new DockerPlugin({ stack: 'gin' }).getDockerfile().content;
+    expect(gin).toContain('go build -o bin/server cmd/server/main.go');
+    expect(gin).toContain('EXPOSE 8080');
+
+    const railway = JSON.parse(new RailwayPlugin({ stack: 'fastapi' }).getConfigFiles()[0].content);
+    expect(railway.deploy.startCommand).toBe('uvicorn app.main:app --host 0.0.0.0 --port 8000');
+    expect(railway.deploy.healthcheckPath).toBe('/health');
+  });
+
+  test('should serve static sites from the build output', () => {
+    const vercel = JSON.parse(new VercelPlugin({ stack: 'react' }).getConfigFiles()[0].content);
+    expect(vercel.outputDirectory).toBe('dist');
+    expect(vercel.rewrites[0].destination).toBe('/index.html');
+
+    const netlify = new NetlifyPlugin({ stack: 'nextjs-app' }).getConfigFiles()[0].content;
+    expect(netlify).toContain('@netlify/plugin-nextjs');
+
+    expect(new DockerPlugin({ stack: 'vue' }).getDockerfile().content).toContain('FROM nginx:alpine');
+  });
+
+  test('should add a container image for container platforms', () => {
+    expect(new FlyPlugin({ stack: 'django' }).getConfigFiles().map(f => f.name)).toEqual(['fly.toml', 'Dockerfile', '.dockerignore']);
+    expect(new AWSPlugin({ stack: 'rails' }).getConfigFiles()[0].content).toContain('AWS::AppRunner::Service');
+
+    const staticSite = new AWSPlugin({ stack: 'angular' }).getConfigFiles();
+    expect(staticSite.map(f => f.name)).toEqual(['infra/aws/template.yaml']);
+    expect(staticSite[0].content).toContain('AWS::CloudFront::Distribution');
+  });
+
+  test('generator should include the deployment plugin and keep the stack Dockerfile', async () => {
+    const config = { stack: 'fastapi', deployment: 'docker' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(plugins.map(p => p.constructor.metadata.name)).toContain('docker-plugin');
+    expect(data.configFiles.filter(file => file.name === 'Dockerfile')).toHaveLength(1);
+    expect(data.commands.dockerBuild).toBe('docker build -t my-app .');
+    expect(data.customSections.map(s => s.title)).toContain('🚀 Deploying to Docker');
+  });
+
+  test('generator should skip deployment when undecided', () => {
+    const plugins = generator.selectPlugins({ stack: 'express', deployment: 'unsure' });
+    expect(plugins.map(p => p.constructor.metadata.category)).not.toContain('deployment');
+  });
+});
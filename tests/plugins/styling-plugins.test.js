@@ -0,0 +1,88 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { validator } from '../../src/config/schema.js';
+import { StylingPlugin } from '../../src/plugins/styling-plugin.js';
+import { TailwindPlugin } from '../../src/plugins/tailwind-plugin.js';
+import { StyledComponentsPlugin } from '../../src/plugins/styled-components-plugin.js';
+import { SCSSPlugin } from '../../src/plugins/scss-plugin.js';
+import { EmotionPlugin } from '../../src/plugins/emotion-plugin.js';
+import { ReactPlugin } from '../../src/plugins/react-plugin.js';
+import { AngularPlugin } from '../../src/plugins/angular-plugin.js';
+
+describe('Styling Plugins', () => {
+  const stylingChoices = validator.schema.properties.styling.enum;
+
+  test('should register a plugin for every styling choice', () => {
+    stylingChoices.forEach(styling => {
+      const PluginClass = registry.get(`${styling}-plugin`);
+
+      expect(PluginClass).toBeDefined();
+      expect(PluginClass.metadata.category).toBe('styling');
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(StylingPlugin);
+    });
+  });
+
+  test('should provide UI guidelines and integration notes for every framework', () => {
+    const stacks = ['react', 'vue', 'svelte', 'angular', 'vanilla'];
+
+    stylingChoices.forEach(styling => {
+      stacks.forEach(stack => {
+        const PluginClass = registry.get(`${styling}-plugin`);
+        const plugin = new PluginClass({ styling, stack });
+
+        expect(plugin.getUIGuidelines()).toBeTruthy();
+        expect(plugin.getMarkdownSections()).toHaveLength(1);
+      });
+    });
+  });
+
+  test('should adapt the Tailwind config to the stack', () => {
+    const [nextConfig, nextPostcss] = new TailwindPlugin({ stack: 'nextjs-app' }).getConfigFiles();
+    expect(nextConfig.name).toBe('tailwind.config.ts');
+    expect(nextConfig.content).toContain('./src/app/**/*.{js,ts,jsx,tsx,mdx}');
+    expect(nextPostcss.content).toContain('module.exports');
+
+    const vue = new TailwindPlugin({ stack: 'vue' }).getConfigFiles();
+    expect(vue[0].content).toContain('./src/**/*.{vue,js,ts,jsx,tsx}');
+
+    const angular = new TailwindPlugin({ stack: 'angular' }).getConfigFiles();
+    expect(angular.map(f => f.name)).toEqual(['tailwind.config.js']);
+
+    const mern = new TailwindPlugin({ stack: 'mern' });
+    expect(generator.getPluginConfigFiles(mern)[0].name).toBe('client/tailwind.config.js');
+
+    expect(new TailwindPlugin({ stack: 't3' }).getConfigFiles()).toEqual([]);
+  });
+
+  test('should add the server-side registry for styled-components in the App Router', () => {
+    const files = new StyledComponentsPlugin({ stack: 'nextjs-app', language: 'TypeScript' }).getConfigFiles();
+    expect(files.map(f => f.name)).toContain('src/lib/registry.tsx');
+  });
+
+  test('should pick framework-appropriate packages', () => {
+    expect(new EmotionPlugin({ stack: 'react' }).getDependencies().production).toContain('@emotion/react');
+    expect(new EmotionPlugin({ stack: 'vue' }).getDependencies().production).toEqual(['@emotion/css']);
+    expect(new SCSSPlugin({ stack: 'angular' }).getDependencies().development).toEqual([]);
+    expect(new SCSSPlugin({ stack: 'react' }).getDependencies().development).toContain('sass');
+  });
+
+  test('stack plugins should take their styling setup from the styling plugin', () => {
+    const react = new ReactPlugin({ styling: 'scss' });
+    expect(react.getDevDependencies()).toContain('sass');
+    expect(react.getConfigFiles().map(f => f.name)).toContain('src/styles/_variables.scss');
+
+    const angular = new AngularPlugin({ styling: 'tailwind' });
+    expect(angular.getConfigFiles().filter(f => f.name === 'tailwind.config.js')).toHaveLength(1);
+  });
+
+  test('generator should use the styling plugin for UI guidelines', async () => {
+    const config = { stack: 'vue', styling: 'emotion' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(data.uiGuidelines).toContain('css prop');
+    expect(data.customSections.map(s => s.title)).toContain('🎨 Styling with Emotion');
+  });
+});
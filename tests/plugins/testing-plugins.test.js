@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import { registry } from '../../src/plugins/index.js';
+import { generator } from '../../src/generator.js';
+import { validator } from '../../src/config/schema.js';
+import { TestingPlugin } from '../../src/plugins/testing-plugin.js';
+import { JestPlugin } from '../../src/plugins/jest-plugin.js';
+import { VitestPlugin } from '../../src/plugins/vitest-plugin.js';
+import { PlaywrightPlugin } from '../../src/plugins/playwright-plugin.js';
+import { PytestPlugin } from '../../src/plugins/pytest-plugin.js';
+import { GoTestPlugin } from '../../src/plugins/go-test-plugin.js';
+
+describe('Testing Plugins', () => {
+  const testingChoices = validator.schema.properties.testing.enum.filter(value => value !== 'none');
+
+  test('should register a plugin for every testing choice', () => {
+    testingChoices.forEach(testing => {
+      const PluginClass = registry.get(`${testing}-plugin`);
+
+      expect(PluginClass).toBeDefined();
+      expect(PluginClass.metadata.category).toBe('testing');
+      expect(PluginClass.metadata.projectTypes).toBeUndefined();
+      expect(new PluginClass()).toBeInstanceOf(TestingPlugin);
+    });
+  });
+
+  test('should provide a strategy, a test command and an example test', () => {
+    testingChoices.forEach(testing => {
+      const plugin = registry.createInstance(`${testing}-plugin`, { testing });
+
+      expect(plugin.getTestingStrategy()).toBeTruthy();
+      expect(plugin.getCommands().test).toBeTruthy();
+      expect(plugin.getExampleTest()).toBeTruthy();
+    });
+  });
+
+  test('should run binaries through the configured package manager', () => {
+    expect(new JestPlugin({ packageManager: 'pnpm' }).getCommands().test).toBe('pnpm exec jest');
+    expect(new VitestPlugin().getCommands().testCoverage).toBe('npx vitest run --coverage');
+  });
+
+  test('should clear test commands the runner does not have', () => {
+    const commands = new GoTestPlugin().getCommands();
+
+    expect(commands.testWatch).toBeNull();
+    expect(commands.testCI).toContain('-race');
+  });
+
+  test('should tailor the example test to the stack', () => {
+    expect(new JestPlugin({ stack: 'react', language: 'TypeScript' }).getExampleTest().name).toBe('src/__tests__/Greeting.test.tsx');
+    expect(new JestPlugin({ stack: 'express' }).getExampleTest().content).toContain('supertest');
+    expect(new PytestPlugin({ stack: 'fastapi' }).getExampleTest().content).toContain('/health');
+    expect(new GoTestPlugin({ stack: 'gin' }).getExampleTest().name).toBe('internal/handlers/health_test.go');
+  });
+
+  test('should point browser runners at the stack dev server', () => {
+    const [config] = new PlaywrightPlugin({ stack: 'angular' }).getFrameworkConfigFiles();
+    expect(config.content).toContain("baseURL: 'http://localhost:4200'");
+  });
+
+  test('should write Playwright config in the stack language', () => {
+    const python = new PlaywrightPlugin({ stack: 'fastapi' });
+    expect(python.getConfigFiles().map(f => f.name)).toEqual(['e2e/conftest.py', 'e2e/test_home.py']);
+    expect(python.getConfigFiles()[0].content).toContain('return "http://localhost:8000"');
+    expect(python.getDependencies().development).toEqual(['pytest-playwright']);
+
+    expect(new PlaywrightPlugin({ stack: 'gin' }).getConflicts()).toEqual([{
+      plugins: ['gin'],
+      reason: 'Playwright runs TypeScript, JavaScript and Python tests, but Go + Gin uses Go'
+    }]);
+  });
+
+  test('should add framework helpers for the stack', () => {
+    expect(new PytestPlugin({ stack: 'django' }).getDependencies().development).toContain('pytest-django');
+    expect(new JestPlugin({ stack: 'express', language: 'TypeScript' }).getDependencies().development).toContain('@types/supertest');
+  });
+
+  test('generator should merge testing commands and keep the stack version of shared files', async () => {
+    const config = { stack: 'django', testing: 'pytest' };
+    const plugins = generator.selectPlugins(config);
+    const data = await generator.gatherTemplateData(config, plugins);
+
+    expect(data.commands.testCI).toContain('--junitxml');
+    expect(data.configFiles.filter(file => file.name === 'pytest.ini')).toHaveLength(1);
+    expect(data.configFiles.find(file => file.name === 'pytest.ini').content).toContain('DJANGO_SETTINGS_MODULE');
+    expect(data.testingStrategy).toContain('django_db');
+  });
+});
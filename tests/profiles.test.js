@@ -70,6 +70,12 @@ describe('Profile Management', () => {
 
       await expect(saveProfile(profileName, config)).rejects.toThrow('Permission denied');
     });
+
+    it('should refuse names that would leave the profiles folder', async () => {
+      await expect(saveProfile('../../escaped', { projectType: 'cli' }))
+        .rejects.toThrow('Invalid profile name: profileName must match');
+      expect(writeJson).not.toHaveBeenCalled();
+    });
   });
 
   describe('listProfiles', () => {
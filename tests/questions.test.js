@@ -263,6 +263,21 @@ describe('Dynamic Question Generator', () => {
       expect(errors.some(e => e.includes('Custom language'))).toBe(true);
     });
 
+    test('should report conflicts between all selected plugins', () => {
+      const answers = {
+        projectType: 'backend',
+        stack: 'fastapi',
+        testing: 'vitest',
+        deployment: 'fly'
+      };
+
+      const { warnings, conflicts } = questionGenerator.validateAnswers(answers);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].field).toBe('testing');
+      expect(warnings).toContain('Vitest runs TypeScript and JavaScript tests, but Python + FastAPI uses Python (alternatives: playwright, cypress, pytest, unittest)');
+    });
+
     test('should handle plugin compatibility warnings', () => {
       const answers = {
         projectType: 'fullstack',
@@ -306,6 +321,28 @@ describe('Dynamic Question Generator', () => {
       expect(questionNames).toContain('projectType');
       expect(questionNames).toContain('deployment');
     });
+    test('should ask plugin questions for the selected stack', async () => {
+      const questions = await questionGenerator.getPluginPhaseQuestions({
+        projectType: 'backend',
+        stack: 'fastapi',
+        database: 'postgresql'
+      });
+
+      const orm = questions.find(q => q.name === 'orm');
+      expect(orm).toBeDefined();
+      expect(orm.when({ database: 'postgresql' })).toBe(true);
+      expect(orm.when({ database: 'mongodb' })).toBe(false);
+    });
+
+    test('should skip plugin questions that are already answered', async () => {
+      const django = await questionGenerator.getPluginPhaseQuestions({ stack: 'django' });
+      expect(django.map(q => q.name)).toEqual(['caching']);
+
+      const answered = await questionGenerator.getPluginPhaseQuestions({ stack: 'django', caching: true });
+      expect(answered).toHaveLength(0);
+
+      expect(await questionGenerator.getPluginPhaseQuestions({ stack: 'custom' })).toHaveLength(0);
+    });
   });
 
   describe('Error Handling', () => {
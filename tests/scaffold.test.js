@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, normalize } from 'path';
+import { parseFileStructure, unwrapProjectRoot, planScaffold, applyScaffold } from '../src/scaffold.js';
+import { generator } from '../src/generator.js';
+import { registry } from '../src/plugins/registry.js';
+import '../src/plugins/index.js'; // Auto-register plugins
+
+describe('Scaffold', () => {
+  describe('parseFileStructure', () => {
+    test('should resolve nested directories and files', () => {
+      const tree = `app/
+├── main.py
+├── core/
+│   └── config.py
+└── api/
+    └── v1/
+        └── api.py
+tests/
+requirements.txt`;
+
+      expect(parseFileStructure(tree)).toEqual({
+        directories: ['app', 'app/core', 'app/api', 'app/api/v1', 'tests'],
+        files: ['app/main.py', 'app/core/config.py', 'app/api/v1/api.py', 'requirements.txt']
+      });
+    });
+
+    test('should ignore blank lines and trailing annotations', () => {
+      const tree = `test/ (or spec/ if using RSpec)
+
+Gemfile`;
+
+      expect(parseFileStructure(tree)).toEqual({
+        directories: ['test'],
+        files: ['Gemfile']
+      });
+    });
+  });
+
+  describe('unwrapProjectRoot', () => {
+    const structure = {
+      directories: ['myproject', 'myproject/myproject', 'myproject/apps'],
+      files: ['myproject/manage.py', 'myproject/myproject/urls.py']
+    };
+
+    test('should treat a single wrapping directory as the project root', () => {
+      expect(unwrapProjectRoot(structure, ['manage.py', 'myproject/urls.py'])).toEqual({
+        directories: ['myproject', 'apps'],
+        files: ['manage.py', 'myproject/urls.py']
+      });
+    });
+
+    test('should keep the tree when no root-level file is drawn inside the directory', () => {
+      expect(unwrapProjectRoot(structure, ['myproject/urls.py'])).toBe(structure);
+      expect(unwrapProjectRoot({ directories: ['src'], files: ['src/main.ts'] }, ['src/main.ts'])).toEqual({
+        directories: ['src'],
+        files: ['src/main.ts']
+      });
+    });
+  });
+
+  describe('planScaffold', () => {
+    test('should include plugin config files and their directories', () => {
+      const plan = planScaffold({ projectType: 'backend', stack: 'fastapi' });
+
+      expect(plan.files.some(f => f.path === join('app', 'main.py'))).toBe(true);
+      expect(plan.directories).toContain(join('app', 'api', 'v1', 'endpoints'));
+      expect(plan.directories).toContain('tests');
+    });
+
+    test('should put category plugin files in the sub-apps of composite stacks', () => {
+      const plan = planScaffold({
+        projectType: 'fullstack',
+        stack: 'mern',
+        language: 'TypeScript',
+        database: 'mongodb',
+        testing: 'jest',
+        deployment: 'docker'
+      });
+      const paths = plan.files.map(f => f.path);
+
+      expect(paths).toEqual(expect.arrayContaining([
+        join('server', 'config', 'database.ts'),
+        join('client', 'jest.config.ts'),
+        join('client', 'src', '__tests__', 'Greeting.test.tsx'),
+        'Dockerfile'
+      ]));
+      expect(paths.some(path => path.includes(join('lib', 'db.ts')))).toBe(false);
+      expect(paths).not.toContain('jest.config.ts');
+    });
+
+    test('should write Django files next to manage.py', () => {
+      const paths = planScaffold({ projectType: 'backend', stack: 'django' }).files.map(f => f.path);
+
+      expect(paths).toEqual(expect.arrayContaining(['manage.py', join('myproject', 'settings', 'base.py'), join('apps', 'users', 'models.py')]));
+      expect(paths.some(path => path.startsWith(join('myproject', 'manage.py')))).toBe(false);
+    });
+
+    test('should only write files into directories the tree shows', () => {
+      for (const { id, metadata } of registry.getByCategory('stack')) {
+        for (const language of metadata.languages || []) {
+          const config = { projectType: metadata.projectTypes?.[0], stack: id, language };
+          const plugins = generator.selectPlugins(config);
+          const structure = unwrapProjectRoot(
+            parseFileStructure(generator.generateFileStructure(config, plugins)),
+            plugins.flatMap(plugin => generator.getPluginConfigFiles(plugin).map(file => file.name))
+          );
+          const directories = new Set(['.', ...structure.directories.map(normalize)]);
+          const missing = planScaffold(config).files.map(f => f.path).filter(path => !directories.has(dirname(path)));
+
+          expect({ stack: id, language, missing }).toEqual({ stack: id, language, missing: [] });
+        }
+      }
+    });
+
+    test('should plan nothing for plugins without files', () => {
+      const plan = planScaffold({ projectType: 'cli', stack: 'custom', customStack: 'Rust CLI' });
+
+      expect(plan.files).toEqual([]);
+    });
+  });
+
+  describe('applyScaffold', () => {
+    let dir;
+    const plan = {
+      directories: ['src'],
+      files: [{ path: join('src', 'index.js'), content: 'export {};' }]
+    };
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'ck-scaffold-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('should write files and directories', async () => {
+      const entries = await applyScaffold(plan, dir);
+
+      expect(entries.map(e => e.status)).toEqual(['created', 'created']);
+      expect(await readFile(join(dir, 'src', 'index.js'), 'utf8')).toBe('export {};');
+    });
+
+    test('should not touch the disk in dry-run mode', async () => {
+      const entries = await applyScaffold(plan, join(dir, 'app'), { dryRun: true });
+
+      expect(entries.map(e => e.status)).toEqual(['created', 'created']);
+      await expect(stat(join(dir, 'app'))).rejects.toThrow();
+    });
+
+    test('should skip conflicting files unless forced', async () => {
+      await applyScaffold(plan, dir);
+      await writeFile(join(dir, 'src', 'index.js'), '// local changes');
+
+      const skipped = await applyScaffold(plan, dir, { skipExisting: true });
+      expect(skipped[1].status).toBe('conflict');
+      expect(await readFile(join(dir, 'src', 'index.js'), 'utf8')).toBe('// local changes');
+
+      const forced = await applyScaffold(plan, dir, { force: true });
+      expect(forced[1].status).toBe('overwritten');
+      expect(await readFile(join(dir, 'src', 'index.js'), 'utf8')).toBe('export {};');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, test, expect } from '@jest/globals';
+import { readFile } from 'fs/promises';
+import { ConfigValidator, CONFIG_SCHEMA_PATH, configSchema, PROFILE_NAME_SCHEMA, validator } from '../src/config/schema.js';
+import { BasePlugin, registry } from '../src/plugins/index.js';
+
+describe('Config Validator', () => {
+  describe('Config Schema', () => {
+    test('should load the standalone JSON schema', async () => {
+      const schema = JSON.parse(await readFile(CONFIG_SCHEMA_PATH, 'utf8'));
+
+      expect(schema).toEqual(configSchema);
+      expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    });
+
+    test('should require the custom answer that goes with "custom" and "other"', () => {
+      const { errors } = validator.validate({
+        projectType: 'cli',
+        stack: 'custom',
+        language: 'Other',
+        database: 'other',
+        customDatabase: 'sled'
+      });
+
+      expect(errors).toEqual([
+        'customStack is required when stack is "custom"',
+        'customLanguage is required when language is "Other"'
+      ]);
+    });
+
+    test('should only require a profile name when the profile is saved', () => {
+      expect(validator.validate({ projectType: 'cli', saveProfile: true }).errors)
+        .toEqual(['profileName is required when saveProfile is true']);
+      expect(validator.validate({ projectType: 'cli', saveProfile: false }).isValid).toBe(true);
+    });
+
+    test('should require the answer a custom answer refines', () => {
+      expect(validator.validate({ projectType: 'backend', customDatabase: 'sled' }).errors)
+        .toEqual(['database is required when customDatabase is set']);
+    });
+
+    test('should check new profile names', () => {
+      const check = name => validator.validateProperty('profileName', name, PROFILE_NAME_SCHEMA);
+
+      expect(check('nextjs-app-c++')).toEqual([]);
+      expect(check('')).toEqual([
+        'profileName must be at least 1 character',
+        'profileName must match ^[A-Za-z0-9][A-Za-z0-9._+#-]*$'
+      ]);
+      expect(check('../secrets')).toEqual(['profileName must match ^[A-Za-z0-9][A-Za-z0-9._+#-]*$']);
+    });
+
+    test('should check the profile name only when the config saves a profile', () => {
+      expect(validator.validate({ projectType: 'backend', saveProfile: true, profileName: '../../escaped' }).errors)
+        .toEqual(['profileName must match ^[A-Za-z0-9][A-Za-z0-9._+#-]*$']);
+      expect(validator.validate({ projectType: 'backend', saveProfile: false, profileName: 'My Project' }).isValid).toBe(true);
+    });
+
+    test('should warn about unknown fields', () => {
+      const validation = validator.validate({ projectType: 'backend', stak: 'express' });
+
+      expect(validation.isValid).toBe(true);
+      expect(validation.warnings).toContain('Unknown field: stak');
+      // Editors still flag them from the schema file
+      expect(configSchema.additionalProperties).toBe(false);
+    });
+
+    test('should skip plugins that fail to report their options', () => {
+      class BrokenPlugin extends BasePlugin {
+        static get metadata() {
+          return { name: 'broken', displayName: 'Broken', category: 'stack' };
+        }
+
+        getConfigSchema() {
+          throw new Error('broken');
+        }
+      }
+
+      registry.register(BrokenPlugin);
+      try {
+        expect(validator.validate({ projectType: 'backend', stack: 'broken' }).errors).toEqual([]);
+      } finally {
+        registry.unregister('broken');
+      }
+    });
+
+    test('should accept options and answers of plugins that are not selected', () => {
+      expect(validator.validate({ projectType: 'backend', stack: 'express', caching: true, utilities: ['lodash'] }).isValid)
+        .toBe(true);
+    });
+  });
+
+  describe('Keywords', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        server: {
+          type: 'object',
+          properties: {
+            port: { type: 'integer' },
+            host: { type: 'string', minLength: 1 },
+            tls: { type: 'boolean' }
+          },
+          required: ['port'],
+          additionalProperties: false,
+          if: { properties: { tls: { const: true } }, required: ['tls'] },
+          then: { required: ['certificate'] },
+          else: { properties: { port: { enum: [80, 8080] } } }
+        },
+        tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } }
+      }
+    };
+    const schemaValidator = new ConfigValidator(schema);
+
+    test('should validate nested objects', () => {
+      expect(schemaValidator.validateSchema({ server: { port: 8080, host: 1, hots: 'x' } }, schema)).toEqual([
+        'server.host must be a string, got number',
+        'Unknown field: server.hots'
+      ]);
+      expect(schemaValidator.validateSchema({ server: {} }, schema)).toEqual(['Required field missing: server.port']);
+    });
+
+    test('should apply then and else branches', () => {
+      expect(schemaValidator.validateSchema({ server: { port: 443, tls: true } }, schema))
+        .toEqual(['server.certificate is required when tls is true']);
+      expect(schemaValidator.validateSchema({ server: { port: 443 } }, schema)).toEqual(['server.port must be one of: 80, 8080']);
+    });
+
+    test('should validate array items', () => {
+      expect(schemaValidator.validateSchema({ tags: ['api', 'Web'] }, schema)).toEqual(['tags[1] must match ^[a-z]+$']);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+import { templateEngine } from '../src/templates/template-engine.js';
+
+// Generated files must not contain unresolved template variables, helpers or partials
+templateEngine.strict = true;
@@ -0,0 +1,274 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SafeString, TemplateEngine, UnresolvedTemplateError } from '../src/templates/template-engine.js';
+import { TemplateSyntaxError, parse } from '../src/templates/parser.js';
+
+describe('Template Engine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  describe('Rendering', () => {
+    test('should substitute variables and nested paths', () => {
+      expect(engine.render('{{name}} runs {{commands.dev}}{{missing}}', { name: 'api', commands: { dev: 'npm run dev' } }))
+        .toBe('api runs npm run dev');
+    });
+
+    test('should call helpers with literal and path arguments', () => {
+      expect(engine.render("{{join deps ' '}} / {{uppercase name}}", { deps: ['react', 'vite'], name: 'app' }))
+        .toBe('react vite / APP');
+    });
+
+    test('should compare values with helpers and subexpressions', () => {
+      const context = { language: 'TypeScript', features: ['auth'], name: '', count: 0 };
+
+      expect(engine.render('{{#if (eq language "TypeScript")}}ts{{else}}js{{/if}}', context)).toBe('ts');
+      expect(engine.render('{{#if (ne language "Python")}}node{{/if}}', context)).toBe('node');
+      expect(engine.render("{{#if (includes features 'auth')}}auth{{/if}}", context)).toBe('auth');
+      expect(engine.render('{{#if (and (not count) (or name features))}}yes{{/if}}', context)).toBe('yes');
+      expect(engine.render('{{default name "unnamed"}} {{default count 5}} {{len features}} {{len (default missing "")}}', context))
+        .toBe('unnamed 0 1 0');
+    });
+
+    test('should leave unknown helpers and partials as written', () => {
+      expect(engine.render("{{shout name}} {{> footer}}", { name: 'app' })).toBe('{{shout name}} {{> footer}}');
+    });
+
+    test('should not interpret template syntax inside substituted values', () => {
+      const context = { stack: 'My {{#if x}}stack{{/if}}', items: ['{{stack}}'] };
+
+      expect(engine.render('{{stack}} {{#each items}}{{this}}{{/each}}', context))
+        .toBe('My {{#if x}}stack{{/if}} {{stack}}');
+    });
+
+    test('should render nested blocks', () => {
+      const template = '{{#each groups}}{{name}}:{{#each items}}{{#if @first}} {{else}},{{/if}}{{this}}{{/each}};{{/each}}';
+      const context = { groups: [{ name: 'a', items: [1, 2] }, { name: 'b', items: [3] }] };
+
+      expect(engine.render(template, context)).toBe('a: 1,2;b: 3;');
+    });
+
+    test('should render falsy items as themselves', () => {
+      expect(engine.render('{{#each items}}[{{this}}]{{/each}}', { items: [0, null, false, '', 'z'] })).toBe('[0][][false][][z]');
+    });
+
+    test('should render {{else}} for empty lists and false conditions', () => {
+      expect(engine.render('{{#each items}}{{this}}{{else}}none{{/each}}', { items: [] })).toBe('none');
+      expect(engine.render('{{#if items}}some{{else}}none{{/if}}', { items: [] })).toBe('none');
+      expect(engine.render('{{#unless done}}todo{{else}}done{{/unless}}', { done: true })).toBe('done');
+    });
+
+    test('should expose loop metadata and outer values inside each', () => {
+      const template = '{{#each files}}{{@index}}/{{@length}} {{name}} ({{project}}){{#unless @last}}, {{/unless}}{{/each}}';
+
+      expect(engine.render(template, { project: 'demo', files: [{ name: 'a.js' }, { name: 'b.js' }] }))
+        .toBe('0/2 a.js (demo), 1/2 b.js (demo)');
+    });
+
+    test('should render partials with the current context and skip comments', () => {
+      engine.registerPartial('title', '# {{title}}');
+
+      expect(engine.render('{{! heading }}{{> title}}{{!-- {{ignored}} --}}', { title: 'Setup' })).toBe('# Setup');
+    });
+  });
+
+  describe('Escaping', () => {
+    test('should escape values as inline markdown by default', () => {
+      expect(engine.render('- {{name}}', { name: '# *bold* [link](x) <b> `code` a|b\n- item' }))
+        .toBe('- \\# \\*bold\\* \\[link\\](x) \\<b> \\`code\\` a\\|b - item');
+      expect(engine.render('{{range}}', { range: 'Go >=1.21 #1' })).toBe('Go >=1.21 #1');
+    });
+
+    test('should insert triple-stash values as they are', () => {
+      expect(engine.render('{{{section}}}', { section: '## Notes\n- *one*' })).toBe('## Notes\n- *one*');
+      expect(engine.render("{{{join items '\n'}}}", { items: ['`a`', '`b`'] })).toBe('`a`\n`b`');
+    });
+
+    test('should keep code blocks closed', () => {
+      const output = engine.render('```\n{{fence code}}\n```', { code: '```js\nconsole.log(1)\n```\n# not a heading' });
+
+      expect(output.match(/^```/gm)).toHaveLength(2);
+      expect(output).toContain('console.log(1)\n');
+      expect(output).toContain('\n# not a heading\n');
+    });
+
+    test('should render values as code spans', () => {
+      expect(engine.render('### {{code name}}', { name: 'src/__tests__/a.test.ts' })).toBe('### `src/__tests__/a.test.ts`');
+      expect(engine.render('{{code name}}', { name: 'a ``b`` c' })).toBe('```a ``b`` c```');
+      expect(engine.render('{{code name}}', { name: '`tick' })).toBe('`` `tick ``');
+    });
+
+    test('should keep values inside HTML comments', () => {
+      const output = engine.render('<!-- {{comment name}} -->', { name: 'x --> <script>alert(1)</script> <!--' });
+
+      expect(output).toBe('<!-- x -\u200b-&gt; <script&gt;alert(1)</script&gt; <!-\u200b- -->');
+      expect(output.match(/--/g)).toHaveLength(2);
+    });
+
+    test('should render values as JSON', () => {
+      const context = { name: 'say "hi"\n', config: { args: ['-y'] } };
+
+      expect(engine.render('"name": {{json name}}', context)).toBe('"name": "say \\"hi\\"\\n"');
+      expect(engine.render('{{json config}}', context)).toBe('{\n  "args": [\n    "-y"\n  ]\n}');
+      expect(engine.render('{{json missing}}', context)).toBe('null');
+    });
+
+    test('should not escape SafeStrings from helpers again', () => {
+      engine.registerHelper('badge', label => new SafeString(`**${label}**`));
+
+      expect(engine.render('{{badge name}}', { name: 'beta' })).toBe('**beta**');
+    });
+
+    test('should reject triple-stash blocks and unclosed triple-stash tags', () => {
+      expect(() => parse('{{{#if x}}}{{/if}}')).toThrow('{{{#if x}}} can only insert a value (1:1)');
+      expect(() => parse('{{{name}}')).toThrow('Unclosed tag, expected }}} (1:1)');
+    });
+  });
+
+  describe('Blocks and Partials', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'ck-engine-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('should render a block as written until it is replaced', () => {
+      const template = '{{#block "tips"}}Tips for {{name}}{{/block}}!';
+
+      expect(engine.render(template, { name: 'api' })).toBe('Tips for api!');
+      engine.registerBlock('tips', 'Custom tips for {{name}}');
+      expect(engine.render(template, { name: 'api' })).toBe('Custom tips for api!');
+    });
+
+    test('should report syntax errors in a replacement with the block name', () => {
+      engine.registerBlock('tips', '{{#if x}}');
+
+      expect(() => engine.render('{{#block "tips"}}{{/block}}', {})).toThrow('{{#if}} is never closed (block tips:1:1)');
+    });
+
+    test('should load partials and blocks from .md files', async () => {
+      await mkdir(join(dir, 'partials'));
+      await mkdir(join(dir, 'blocks'));
+      await writeFile(join(dir, 'partials', 'footer.md'), '-- {{name}}\n');
+      await writeFile(join(dir, 'partials', 'notes.txt'), 'ignored');
+      await writeFile(join(dir, 'blocks', 'body.md'), 'Hello {{> footer}}\n');
+
+      await engine.loadPartials(join(dir, 'partials'));
+      await engine.loadBlocks(join(dir, 'blocks'));
+      await engine.loadBlocks(join(dir, 'missing'));
+
+      expect([...engine.loadedPartials.keys()]).toEqual(['footer']);
+      expect(engine.render('[{{#block "body"}}{{/block}}]', { name: 'app' })).toBe('[Hello -- app]');
+    });
+  });
+
+  describe('Strict Mode', () => {
+    beforeEach(() => {
+      engine = new TemplateEngine({ strict: true });
+    });
+
+    test('should report every unresolved reference with its location', () => {
+      engine.registerPartial('footer', '{{author}}');
+      const template = '{{title}}\n{{#each items}}{{label}}{{/each}} {{shout title}} {{> footer}} {{> header}}';
+
+      let error;
+      try {
+        engine.render(template, { items: [{}, {}] }, 'base.md');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(UnresolvedTemplateError);
+      expect(error.message).toBe([
+        '5 unresolved template references:',
+        '  - variable title (base.md:1:1)',
+        '  - variable label (base.md:2:16)',
+        '  - helper shout (base.md:2:35)',
+        '  - variable author (footer:1:1)',
+        '  - partial header (base.md:2:64)'
+      ].join('\n'));
+      expect(error.references[0]).toEqual({ kind: 'variable', name: 'title', templateName: 'base.md', line: 1, column: 1 });
+    });
+
+    test('should allow missing values where the template tests for them', () => {
+      const template = '{{#if draft}}draft{{/if}}{{#unless (or a b)}}{{default title "untitled"}}{{/unless}}{{empty}}';
+
+      expect(engine.render(template, { empty: undefined })).toBe('untitled');
+    });
+
+    test('should check comparisons and helper arguments', () => {
+      expect(() => engine.render('{{#if (eq language "Go")}}go{{/if}}', {})).toThrow('variable language (1:1)');
+      expect(() => engine.render('{{join deps}}', {})).toThrow('variable deps (1:1)');
+    });
+
+    test('should leave later renders unaffected by a failed one', () => {
+      expect(() => engine.render('{{missing}}', {})).toThrow(UnresolvedTemplateError);
+      expect(engine.render('{{name}}', { name: 'app' })).toBe('app');
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should build an AST', () => {
+      expect(parse("Hi {{#if ok}}{{join list ', '}}{{else}}-{{/if}}")).toEqual([
+        { type: 'text', value: 'Hi ' },
+        expect.objectContaining({
+          type: 'block',
+          name: 'if',
+          params: [{ type: 'path', path: 'ok' }],
+          body: [expect.objectContaining({
+            type: 'mustache',
+            name: 'join',
+            params: [{ type: 'path', path: 'list' }, { type: 'literal', value: ', ' }]
+          })],
+          inverse: [{ type: 'text', value: '-' }]
+        })
+      ]);
+    });
+
+    test('should parse subexpressions', () => {
+      expect(parse('{{#if (eq language "TypeScript")}}ts{{/if}}')[0].params).toEqual([{
+        type: 'subexpression',
+        name: 'eq',
+        params: [{ type: 'path', path: 'language' }, { type: 'literal', value: 'TypeScript' }]
+      }]);
+    });
+
+    test('should report line and column of unclosed blocks', () => {
+      expect(() => engine.render('line one\n  {{#each items}}\n{{this}}')).toThrow('{{#each}} is never closed (2:3)');
+    });
+
+    test('should report mismatched closing tags', () => {
+      const template = '{{#each items}}\n{{#if this}}x{{/each}}';
+
+      expect(() => parse(template, 'base.md')).toThrow(TemplateSyntaxError);
+      expect(() => parse(template, 'base.md')).toThrow("{{/each}} doesn't match {{#if}} opened at 2:1 (base.md:2:14)");
+    });
+
+    test('should report stray tags and bad expressions', () => {
+      expect(() => parse('{{else}}')).toThrow('{{else}} outside of a block (1:1)');
+      expect(() => parse('a {{/if}}')).toThrow("{{/if}} doesn't close any block (1:3)");
+      expect(() => parse('{{name')).toThrow('Unclosed tag, expected }} (1:1)');
+      expect(() => parse("{{join list '}}")).toThrow('Unclosed tag');
+      expect(() => parse('{{join list ,}}')).toThrow('Unexpected "," (1:1)');
+      expect(() => parse('{{#if (eq a b}}x{{/if}}')).toThrow('Missing ) (1:1)');
+      expect(() => parse('{{eq a b)}}')).toThrow('Unexpected ")"');
+    });
+
+    test('should parse each template once', () => {
+      engine.render('{{a}}', { a: 1 });
+      engine.render('{{a}}', { a: 2 });
+
+      expect(engine.getCacheStats().templatesCompiled).toBe(1);
+      engine.clearCache();
+      expect(engine.getCacheStats().templatesCompiled).toBe(0);
+    });
+  });
+});
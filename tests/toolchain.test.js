@@ -0,0 +1,102 @@
+import { describe, test, expect } from '@jest/globals';
+import { ToolchainChecker } from '../src/toolchain.js';
+import { BasePlugin } from '../src/plugins/base-plugin.js';
+import { ModularGenerator } from '../src/generator.js';
+import { registry } from '../src/plugins/index.js';
+
+// Reports fixed versions instead of running the real tools
+function checkerWith(versions) {
+  const checker = new ToolchainChecker();
+  checker.probe = tool => versions[tool] ?? null;
+  return checker;
+}
+
+function selectPlugins(config) {
+  return new ModularGenerator().selectPlugins(config);
+}
+
+describe('Toolchain Requirements', () => {
+  test('should merge the selected plugins\' requirements per tool', () => {
+    const plugins = selectPlugins({ stack: 'fastapi', database: 'postgresql', deployment: 'docker' });
+    const requirements = new ToolchainChecker().getRequirements(plugins);
+
+    expect(requirements).toEqual([
+      { tool: 'python', range: '>=3.8.0', plugins: ['Python + FastAPI'] },
+      { tool: 'pip', range: '>=21.0.0', plugins: ['Python + FastAPI'] },
+      { tool: 'docker', range: '>=20.10.0', plugins: ['Docker'] }
+    ]);
+  });
+
+  test('should keep || alternatives when combining ranges', () => {
+    const needing = (displayName, node) => new (class extends BasePlugin {
+      static get metadata() {
+        return { name: displayName, displayName, category: 'misc' };
+      }
+
+      static get requirements() {
+        return { node };
+      }
+    })();
+    const plugins = [needing('LTS', '^18.0.0 || ^20.0.0'), needing('Fetch', '>=18.17.0')];
+    const [requirement] = new ToolchainChecker().getRequirements(plugins);
+
+    expect(requirement.range).toBe('^18.0.0 >=18.17.0 || ^20.0.0 >=18.17.0');
+    expect(checkerWith({ node: '20.1.0' }).check(plugins)).toEqual([]);
+    expect(checkerWith({ node: '18.12.0' }).check(plugins)).toHaveLength(1);
+  });
+
+  test('should report missing and outdated tools with install guidance', () => {
+    const plugins = selectPlugins({ stack: 'fastapi' });
+    const unmet = checkerWith({ python: '3.6.9' }).check(plugins);
+
+    expect(unmet.map(({ tool, version }) => [tool, version])).toEqual([['python', '3.6.9'], ['pip', null]]);
+    expect(unmet[0].name).toBe('Python');
+    expect(unmet[1].install).toContain('ensurepip');
+
+    expect(checkerWith({ python: '3.12.1', pip: '24.0.0' }).check(plugins)).toEqual([]);
+  });
+
+  test('should only probe each tool once', () => {
+    const checker = new ToolchainChecker();
+    const probed = [];
+    checker.probe = tool => {
+      probed.push(tool);
+      return '1.22.0';
+    };
+
+    const plugins = selectPlugins({ stack: 'gin' });
+    checker.check(plugins);
+    checker.check(plugins);
+
+    expect(probed).toEqual(['go']);
+  });
+
+  test('should read versions from the local toolchain', () => {
+    expect(new ToolchainChecker().getVersion('node')).toBe(process.versions.node);
+    expect(new ToolchainChecker().getVersion('definitely-not-a-tool')).toBeNull();
+  });
+
+  test('should phrase wizard warnings', () => {
+    const plugins = [registry.createInstance('rails', {})];
+
+    expect(checkerWith({ ruby: '3.1.4', bundler: '2.5.0' }).getWarnings(plugins))
+      .toEqual(['Ruby on Rails needs Ruby >=3.2.0 (found 3.1.4)']);
+    expect(checkerWith({}).getWarnings(plugins)).toEqual([
+      'Ruby on Rails needs Ruby >=3.2.0 (not installed)',
+      'Ruby on Rails needs Bundler >=2.0.0 (not installed)'
+    ]);
+  });
+
+  test('should add a Prerequisites section only when something is missing', async () => {
+    const generator = new ModularGenerator();
+    const config = { projectType: 'backend', stack: 'gin', language: 'Go' };
+
+    generator.toolchain = checkerWith({});
+    const markdown = await generator.generateMarkdown(config);
+    expect(markdown).toContain('## 🧰 Prerequisites');
+    expect(markdown).toContain('- **Go >=1.19.0** (needed by Go + Gin): not installed. Download it from https://go.dev/dl/');
+
+    generator.toolchain = checkerWith({ go: '1.22.0' });
+    expect(await generator.generateMarkdown(config)).not.toContain('Prerequisites');
+  });
+});
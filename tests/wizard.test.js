@@ -0,0 +1,69 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { resolveConflicts } from '../src/index.js';
+import { BasePlugin, registry } from '../src/plugins/index.js';
+import { questionGenerator } from '../src/questions.js';
+
+// Answers each question like inquirer would, from replies or else the question's default
+function scriptedPrompt(replies, asked) {
+  return async (questions, answers = {}) => {
+    const result = { ...answers };
+    for (const question of questions) {
+      if (question.name in result && !question.askAnswered) continue;
+      if (question.when && !question.when(result)) continue;
+
+      asked.push({ name: question.name, default: question.default });
+      result[question.name] = question.name in replies ? replies[question.name] : question.default;
+    }
+    return result;
+  };
+}
+
+describe('Wizard', () => {
+  describe('Conflict Resolution', () => {
+    const log = () => {};
+
+    afterEach(() => {
+      registry.unregister('legacy-api');
+    });
+
+    test('should ask the plugin options again after a conflicting answer changes', async () => {
+      const asked = [];
+      const questions = await questionGenerator.getAllQuestions();
+      const answers = { projectType: 'backend', stack: 'fastapi', database: 'postgresql', testing: 'jest', orm: false };
+
+      const resolved = await resolveConflicts(answers, questions, new Set(['orm']), {
+        log,
+        prompt: scriptedPrompt({ testing: 'pytest' }, asked)
+      });
+
+      expect(resolved.testing).toBe('pytest');
+      expect(asked.map(question => question.name)).toContain('orm');
+      expect(asked.find(question => question.name === 'orm').default).toBe(false);
+    });
+
+    test('should ask the language again when the stack changes', async () => {
+      class LegacyAPIPlugin extends BasePlugin {
+        static get metadata() {
+          return { name: 'legacy-api', displayName: 'Legacy API', category: 'stack', projectTypes: ['backend'] };
+        }
+
+        getConflicts() {
+          return [{ plugins: ['jest-plugin'], reason: 'Legacy API has no Jest support' }];
+        }
+      }
+      registry.register(LegacyAPIPlugin);
+
+      const asked = [];
+      const questions = await questionGenerator.getAllQuestions();
+      const answers = { projectType: 'backend', stack: 'legacy-api', language: 'TypeScript', testing: 'jest' };
+
+      const resolved = await resolveConflicts(answers, questions, new Set(), {
+        log,
+        prompt: scriptedPrompt({ stack: 'express', language: 'JavaScript' }, asked)
+      });
+
+      expect(resolved).toMatchObject({ stack: 'express', language: 'JavaScript', testing: 'jest' });
+      expect(asked.map(question => question.name)).toEqual(expect.arrayContaining(['stack', 'language']));
+    });
+  });
+});